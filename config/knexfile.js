@@ -0,0 +1,16 @@
+'use strict'
+
+const migrationsDirectory = '../migrations'
+
+const Config = require('../src/lib/config')
+
+module.exports = {
+  client: Config.DATABASE.client,
+  connection: Config.DATABASE.connection,
+  pool: Config.DATABASE.pool,
+  migrations: {
+    directory: migrationsDirectory,
+    tableName: 'settlementMigration',
+    stub: `${migrationsDirectory}/migration.template`
+  }
+}
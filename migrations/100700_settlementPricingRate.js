@@ -0,0 +1,51 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+exports.up = async (knex) => {
+  return await knex.schema.hasTable('settlementPricingRate').then(function (exists) {
+    if (!exists) {
+      return knex.schema.createTable('settlementPricingRate', (t) => {
+        t.bigIncrements('settlementPricingRateId').primary().notNullable()
+        t.string('payerFspId', 256).nullable()
+        t.string('payeeFspId', 256).nullable()
+        t.string('currency', 3).notNullable()
+        t.string('transactionScenario', 32).nullable()
+        t.decimal('rate', 18, 9).notNullable()
+        t.dateTime('effectiveDate').notNullable()
+        t.dateTime('endDate').nullable()
+        t.string('description', 512).nullable()
+        t.dateTime('createdDate').defaultTo(knex.fn.now()).notNullable()
+        t.index(['currency', 'effectiveDate'])
+        t.index(['payerFspId', 'payeeFspId'])
+      })
+    }
+  })
+}
+
+exports.down = function (knex) {
+  return knex.schema.dropTableIfExists('settlementPricingRate')
+}
@@ -17,12 +17,27 @@
 // ## Data retrieval functions:
 // getTransfer(transferId): Retrieves a mojaloop transfer from the central-ledger API.
 
+// ## Read-only data, pre-fetched before the script runs:
+// getParticipant(fspId): name, isActive, currencies, ledgerAccountTypes and accounts of the payer or payee FSP, null for other FSPs
+// getSettlementModel(ledgerAccountType): The settlement model for the transfer currency, 'POSITION' by default
+// getRate(payerFspId, payeeFspId, currency, transactionScenario, date): The most specific pricing rate in effect at the date, now() by default, as a string, null if there is none
+
 // ## Helper functions:
 // getExtensionValue(list, key): Gets a value from an extension list
 // log(message): allows the script to log to standard out for debugging purposes
 
 // Math functions:
 // multiply(number1, number2, decimalPlaces): Uses ml-number to handle multiplication of money values
+// add(number1, number2), subtract(number1, number2): Uses ml-number, returns a string
+// divide(number1, number2, decimalPlaces): Uses ml-number, rounded half up
+// min(...numbers), max(...numbers): Returns the smallest or largest number as a string
+// round(number, decimalPlaces, roundingMode): roundingMode is UP, DOWN, CEIL, FLOOR, HALF_UP (default), HALF_DOWN, HALF_EVEN, HALF_CEIL or HALF_FLOOR
+
+// Date functions:
+// now(): The time of the event being processed, as an ISO string
+// getTimeOfDay(date, timeZone): 'HH:mm' in the time zone, 'UTC' by default
+// getDayOfWeek(date, timeZone): 0 for Sunday to 6 for Saturday
+// isTimeBetween(date, from, to, timeZone): Whether the time of day is from 'HH:mm' (inclusive) to 'HH:mm' (exclusive), the period can span midnight
 
 // Ledger functions:
 // addLedgerEntry: Adds a debit and credit ledger entry to the specified account to the specified DFSPs
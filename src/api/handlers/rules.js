@@ -0,0 +1,67 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const ErrorHandler = require('@mojaloop/central-services-error-handling')
+const Rules = require('../../domain/rules/index')
+
+/**
+ * Operations on /rules
+ */
+module.exports = {
+  /**
+     * summary: Returns the rule scripts of the scripts folder and of the database.
+     * description:
+     * parameters:
+     * produces: application/json
+     * responses: 200, 400, 401, default
+     */
+  get: async function getRuleScripts (request, h) {
+    try {
+      const ruleScripts = await Rules.getRuleScripts()
+      return h.response(ruleScripts)
+    } catch (err) {
+      request.server.log('error', err)
+      return ErrorHandler.Factory.reformatFSPIOPError(err)
+    }
+  },
+  /**
+     * summary: Validates and stores a rule script in the database. The rules handler uses it after its next reload.
+     * description:
+     * parameters: ruleScriptPayload
+     * produces: application/json
+     * responses: 201, 400, 401, 415, default
+     */
+  post: async function uploadRuleScript (request, h) {
+    try {
+      const ruleScript = await Rules.uploadRuleScript(request.payload)
+      return h.response(ruleScript).code(201)
+    } catch (err) {
+      request.server.log('error', err)
+      return ErrorHandler.Factory.reformatFSPIOPError(err)
+    }
+  }
+}
@@ -45,7 +45,7 @@ module.exports = {
   /**
      * summary: Returns a Settlement Window(s) as per parameter(s).
      * description:
-     * parameters: participantId, state, fromDateTime, toDateTime
+     * parameters: participantId, state, fromDateTime, toDateTime, currency, limit, cursor, sortBy, sortOrder
      * produces: application/json
      * responses: 200, 400, 401, 404, 415, default
      */
@@ -67,8 +67,9 @@ module.exports = {
       }, EventSdk.AuditEventAction.start)
 
       const Enums = await request.server.methods.enums('settlementWindowStates')
-      const settlementWindowResult = await settlementWindows.getByParams({ query: request.query }, Enums)
-      return h.response(settlementWindowResult)
+      const { settlementWindows: settlementWindowResult, total, nextCursor } = await settlementWindows.getByParams({ query: request.query }, Enums)
+      const response = h.response(settlementWindowResult).header('X-Total-Count', String(total))
+      return nextCursor ? response.header('X-Next-Cursor', nextCursor) : response
     } catch (err) {
       request.server.log('error', err)
       return ErrorHandler.Factory.reformatFSPIOPError(err)
@@ -80,7 +80,7 @@ module.exports = {
      * responses: 200, 400, 401, 404, 415, default
      */
   post: async function closeSettlementWindow (request) {
-    const { reason } = request.payload
+    const { reason, currency, settlementModel } = request.payload
     const settlementWindowId = request.params.id
     try {
       const { span, headers } = request
@@ -94,7 +94,7 @@ module.exports = {
       span.setTags(spanTags)
       await span.audit(request.payload, EventSdk.AuditEventAction.start)
       const Enums = await request.server.methods.enums('settlementWindowStates')
-      return await settlementWindow.process({ settlementWindowId, reason, headers: request.raw.req.headers }, Enums)
+      return await settlementWindow.process({ settlementWindowId, reason, currency, settlementModel, headers: request.raw.req.headers }, Enums)
     } catch (err) {
       request.server.log('error', err)
       return ErrorHandler.Factory.reformatFSPIOPError(err)
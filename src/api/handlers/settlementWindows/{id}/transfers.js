@@ -0,0 +1,56 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Csv = require('../../../../lib/csv')
+const ErrorHandler = require('@mojaloop/central-services-error-handling')
+const SettlementWindowService = require('../../../../domain/settlementWindow/index')
+
+/**
+ * Operations on /settlementWindows/{id}/transfers
+ */
+module.exports = {
+  /**
+     * summary: Returns a page of the transfers fulfilled in a settlement window, one entry per transfer and ledger entry type.
+     * description:
+     * parameters: id, page, limit, format
+     * produces: application/json, text/csv
+     * responses: 200, 400, 401, 404, default
+     */
+  get: async function getSettlementWindowTransfers (request, h) {
+    try {
+      const { page = 1, limit = 100, format } = request.query
+      const settlementTransfers = await SettlementWindowService.getTransfers({ settlementWindowId: request.params.id }, { page, limit })
+      if (format === 'csv') {
+        return h.response(Csv.toCsv(settlementTransfers.transfers, Csv.SETTLEMENT_TRANSFER_COLUMNS)).type('text/csv')
+      }
+      return h.response(settlementTransfers)
+    } catch (err) {
+      request.server.log('error', err)
+      return ErrorHandler.Factory.reformatFSPIOPError(err)
+    }
+  }
+}
@@ -45,7 +45,7 @@ module.exports = {
   /**
      * summary: Returns Settlement(s) as per parameter(s).
      * description:
-     * parameters: currency, participantId, settlementWindowId, accountId, state, fromDateTime, toDateTime
+     * parameters: currency, participantId, settlementWindowId, accountId, state, fromDateTime, toDateTime, fromSettlementWindowDateTime, toSettlementWindowDateTime, limit, cursor
      * produces: application/json
      * responses: 200, 400, 401, 404, 415, default
      */
@@ -66,8 +66,9 @@ module.exports = {
       }, EventSdk.AuditEventAction.start)
 
       const Enums = await request.server.methods.enums('settlementStates')
-      const settlementResult = await Settlements.getSettlementsByParams({ query: request.query }, Enums)
-      return h.response(settlementResult)
+      const { settlements, total, nextCursor } = await Settlements.getSettlementsByParams({ query: request.query }, Enums)
+      const response = h.response(settlements).header('X-Total-Count', String(total))
+      return nextCursor ? response.header('X-Next-Cursor', nextCursor) : response
     } catch (err) {
       request.server.log('error', err)
       return ErrorHandler.Factory.reformatFSPIOPError(err)
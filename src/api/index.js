@@ -35,6 +35,7 @@ const Routes = require('./routes')
 module.exports = Setup.initialize({
   service: 'api',
   port: Config.PORT,
+  runMigrations: !Config.MIGRATIONS_DISABLED,
   runHandlers: !Config.HANDLERS_DISABLED,
   modules: [Routes]
 })
@@ -0,0 +1,128 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const ErrorHandler = require('@mojaloop/central-services-error-handling')
+const Logger = require('@mojaloop/central-services-logger')
+const PricingRateModel = require('../../models/rules/pricingRate')
+
+const PRICING_RATE_KEYS = ['payerFspId', 'payeeFspId', 'currency', 'transactionScenario']
+
+const pricingRateNotFound = (settlementPricingRateId) => {
+  const error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, `Pricing rate ${settlementPricingRateId} not found`)
+  Logger.isErrorEnabled && Logger.error(error)
+  return error
+}
+
+const getPricingRateById = async (settlementPricingRateId) => {
+  try {
+    const pricingRate = await PricingRateModel.getById(settlementPricingRateId)
+    if (!pricingRate) {
+      throw pricingRateNotFound(settlementPricingRateId)
+    }
+    return pricingRate
+  } catch (err) {
+    Logger.isErrorEnabled && Logger.error(err)
+    throw ErrorHandler.Factory.reformatFSPIOPError(err)
+  }
+}
+
+module.exports = {
+  /**
+   * @function getPricingRates
+   *
+   * @async
+   * @description Lists the pricing rates, optionally filtered by payerFspId, payeeFspId, currency and transactionScenario.
+   * @returns {object[]} - Returns the settlementPricingRate records, including the ones that are no longer or not yet in effect
+   */
+  getPricingRates: async function getPricingRates (query = {}) {
+    try {
+      const criteria = {}
+      for (const key of PRICING_RATE_KEYS) {
+        if (query[key]) {
+          criteria[key] = query[key]
+        }
+      }
+      return await PricingRateModel.getAll(criteria)
+    } catch (err) {
+      Logger.isErrorEnabled && Logger.error(err)
+      throw ErrorHandler.Factory.reformatFSPIOPError(err)
+    }
+  },
+
+  getPricingRateById,
+
+  /**
+   * @function createPricingRate
+   *
+   * @async
+   * @description Stores a pricing rate for the getRate helper of the rule scripts. A rate is changed by adding a rate for the same
+   * payer, payee, currency and transaction scenario with a later effectiveDate, so that the fees of past transfers can still be explained.
+   * Leaving payerFspId, payeeFspId or transactionScenario out makes the rate apply to any of them.
+   * @returns {object} - Returns the stored pricing rate
+   */
+  createPricingRate: async function createPricingRate ({ payerFspId = null, payeeFspId = null, currency, transactionScenario = null, rate, effectiveDate, endDate = null, description = null }) {
+    try {
+      const effectiveFrom = effectiveDate ? new Date(effectiveDate) : new Date()
+      if (endDate && new Date(endDate) <= effectiveFrom) {
+        throw ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, 'The endDate of a pricing rate must be after its effectiveDate')
+      }
+      const [settlementPricingRateId] = await PricingRateModel.create({
+        payerFspId,
+        payeeFspId,
+        currency,
+        transactionScenario,
+        rate,
+        effectiveDate: effectiveFrom,
+        endDate: endDate ? new Date(endDate) : null,
+        description
+      })
+      return await getPricingRateById(settlementPricingRateId)
+    } catch (err) {
+      Logger.isErrorEnabled && Logger.error(err)
+      throw ErrorHandler.Factory.reformatFSPIOPError(err)
+    }
+  },
+
+  /**
+   * @function deletePricingRate
+   *
+   * @async
+   * @description Removes a pricing rate that was added by mistake. A rate that has been in effect should be replaced by a rate with
+   * a later effectiveDate instead.
+   * @returns {object} - Returns the removed pricing rate
+   */
+  deletePricingRate: async function deletePricingRate (settlementPricingRateId) {
+    try {
+      const pricingRate = await getPricingRateById(settlementPricingRateId)
+      await PricingRateModel.remove(settlementPricingRateId)
+      return pricingRate
+    } catch (err) {
+      Logger.isErrorEnabled && Logger.error(err)
+      throw ErrorHandler.Factory.reformatFSPIOPError(err)
+    }
+  }
+}
@@ -23,11 +23,181 @@
  --------------
  ******/
 
+const Config = require('../../lib/config')
 const ErrorHandler = require('@mojaloop/central-services-error-handling')
 const TransferSettlementModel = require('../../models/transferSettlement')
+const RuleScriptModel = require('../../models/rules/ruleScript')
+const RuleExecutionModel = require('../../models/rules/ruleExecution')
+const RuleDeadLetterModel = require('../../models/rules/ruleDeadLetter')
+const RuleLedgerEntryModel = require('../../models/rules/ruleLedgerEntry')
+const RuleReversalModel = require('../../models/rules/ruleReversal')
+const RuleScriptVersionModel = require('../../models/rules/ruleScriptVersion')
+const RuleEvents = require('../../lib/ruleEvents')
+const scriptsLoader = require('../../lib/scriptsLoader')
+const scriptEngine = require('../../lib/scriptEngine')
 const Logger = require('@mojaloop/central-services-logger')
+const Utility = require('../../lib/utility')
+const Uuid = require('uuid4')
+
+const { SCRIPTS_FOLDER } = Config.HANDLERS.SETTINGS.RULES
+
+const RULE_DEAD_LETTER_TOPIC = {
+  FUNCTIONALITY: 'rules',
+  ACTION: 'deadletter'
+}
+
+const RULE_DEAD_LETTER_STATUS = {
+  PENDING: 'PENDING',
+  REPLAYED: 'REPLAYED'
+}
+
+const SCRIPT_LOCATION = {
+  FOLDER: 'folder',
+  DATABASE: 'database'
+}
+
+const describeRuleScript = (name, source, location, isActive) => {
+  const ruleScript = { name, location, isActive }
+  try {
+    const { type, action, status, startTime, endTime, priority, exclusive, timeout, memoryLimit } = scriptsLoader.validateScript(name, source)
+    const now = new Date()
+    Object.assign(ruleScript, {
+      type,
+      action,
+      status,
+      startTime,
+      endTime,
+      priority,
+      exclusive,
+      timeout,
+      memoryLimit,
+      inEffect: isActive && now >= startTime && now <= endTime
+    })
+  } catch (err) {
+    ruleScript.error = err.message
+  }
+  return ruleScript
+}
+
+const describeDatabaseRuleScript = (databaseScript, folderScriptNames) => {
+  return {
+    ...describeRuleScript(databaseScript.name, databaseScript.source, SCRIPT_LOCATION.DATABASE, !!databaseScript.isActive),
+    overridesFolderScript: folderScriptNames.includes(databaseScript.name),
+    createdDate: databaseScript.createdDate,
+    changedDate: databaseScript.changedDate
+  }
+}
+
+// UNKNOWN_URI is the FSPIOP error code that maps to 404
+const ruleScriptNotFound = (name) => {
+  const error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.UNKNOWN_URI, `Rule script ${name} not found`)
+  Logger.isErrorEnabled && Logger.error(error)
+  return error
+}
+
+// the ledger entries of each currency are recorded against a fee transfer of their own, as a transfer has a single currency
+const insertFeeTransferLedgerEntries = async (ledgerEntries, transferId, event, trx) => {
+  const transferParticipantIds = []
+  for (const currency of [...new Set(ledgerEntries.map(ledgerEntry => ledgerEntry.currency))]) {
+    const feeTransferId = RuleEvents.createFeeTransferId(transferId, event, currency)
+    await TransferSettlementModel.insertFeeTransfer({ transferId: feeTransferId, currency, reason: `Rules for ${event.type} ${event.action} of ${transferId}` }, trx)
+    const currencyLedgerEntries = ledgerEntries.filter(ledgerEntry => ledgerEntry.currency === currency)
+    transferParticipantIds.push(...(await TransferSettlementModel.insertLedgerEntries(currencyLedgerEntries, feeTransferId, trx) || []))
+  }
+  return transferParticipantIds
+}
+
+const createSimulationPayload = (transferId, { type, action, status }) => {
+  return {
+    id: transferId,
+    type: 'application/json',
+    content: {
+      headers: {},
+      payload: {}
+    },
+    metadata: {
+      event: {
+        id: Uuid(),
+        type,
+        action,
+        createdAt: new Date().toISOString(),
+        state: {
+          status,
+          code: 0
+        }
+      }
+    }
+  }
+}
+
+const getRuleScriptByName = async (name) => {
+  const folderScripts = scriptsLoader.readScripts(SCRIPTS_FOLDER)
+  const folderScriptNames = folderScripts.map(folderScript => folderScript.name)
+  const databaseScript = await RuleScriptModel.getByName(name)
+  if (databaseScript) {
+    return {
+      ...describeDatabaseRuleScript(databaseScript, folderScriptNames),
+      source: databaseScript.source
+    }
+  }
+  const folderScript = folderScripts.find(folderScript => folderScript.name === name)
+  if (folderScript) {
+    return {
+      ...describeRuleScript(folderScript.name, folderScript.source, SCRIPT_LOCATION.FOLDER, true),
+      source: folderScript.source
+    }
+  }
+  throw ruleScriptNotFound(name)
+}
+
+const ruleDeadLetterNotFound = (settlementRuleDeadLetterId) => {
+  const error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.UNKNOWN_URI, `Rule dead letter ${settlementRuleDeadLetterId} not found`)
+  Logger.isErrorEnabled && Logger.error(error)
+  return error
+}
+
+const parseRuleDeadLetter = ({ message, ...ruleDeadLetter }) => {
+  return {
+    ...ruleDeadLetter,
+    message: JSON.parse(message)
+  }
+}
+
+const getRuleDeadLetterById = async (settlementRuleDeadLetterId) => {
+  const ruleDeadLetter = await RuleDeadLetterModel.getById(settlementRuleDeadLetterId)
+  if (!ruleDeadLetter) {
+    throw ruleDeadLetterNotFound(settlementRuleDeadLetterId)
+  }
+  return parseRuleDeadLetter(ruleDeadLetter)
+}
+
+const publishRuleDeadLetter = async (ruleDeadLetter) => {
+  const message = {
+    id: Uuid(),
+    from: Config.HUB_NAME,
+    to: Config.HUB_NAME,
+    type: 'application/json',
+    content: {
+      headers: {
+        'Content-Type': 'application/json',
+        Date: new Date().toISOString()
+      },
+      payload: ruleDeadLetter
+    },
+    metadata: {
+      event: {
+        action: RULE_DEAD_LETTER_TOPIC.ACTION,
+        createdAt: new Date().toISOString()
+      }
+    }
+  }
+  return Utility.produceGeneralMessage(RULE_DEAD_LETTER_TOPIC.FUNCTIONALITY, RULE_DEAD_LETTER_TOPIC.ACTION, message, Utility.ENUMS.STATE.FAILURE)
+}
 
 module.exports = {
+  RULE_DEAD_LETTER_STATUS,
+  createSimulationPayload,
+
   insertLedgerEntries: async function insertLedgerEntries (ledgerEntries, transferEventId, trx) {
     Logger.isDebugEnabled && Logger.debug(`rules::insertLedgerEntries - ledgerEntries=${JSON.stringify(ledgerEntries)}`)
 
@@ -38,5 +208,373 @@ module.exports = {
       Logger.isErrorEnabled && Logger.error(err)
       throw ErrorHandler.Factory.reformatFSPIOPError(err)
     }
+  },
+
+  /**
+   * @function applyRuleExecutions
+   *
+   * @async
+   * @description Inserts the ledger entries of every script execution and records the execution, keyed by transferId,
+   * script name and event action, with the script version. Executions that were already recorded, e.g. for a redelivered message
+   * or by another handler, are skipped, also when the script changed since.
+   * Every transferParticipant record a ledger entry adds is stamped with the script name and version in settlementRuleLedgerEntry.
+   * Only the ledger entries of a fulfilled transfer are recorded against the transfer, to be settled with the window of its fulfilment.
+   * Those of settlement window and settlement events and of transfers that did not complete, e.g. the penalty fees of an aborted
+   * or rejected transfer, are recorded against a fee transfer per currency, fulfilled in the open window.
+   * @param {object[]} executions - scriptName, scriptVersion and ledgerEntries of every script that ran
+   * @param {string} transferId - Id of the transfer or rule event the scripts ran for
+   * @param {object} event - The metadata.event of the message the scripts ran for
+   * @param {object} trx - The transaction to insert the ledger entries and the execution records in
+   * @returns {object[]} - Returns the executions that were applied
+   */
+  applyRuleExecutions: async function applyRuleExecutions (executions, transferId, event, trx) {
+    try {
+      const appliedExecutions = []
+      for (const { scriptName, scriptVersion, ledgerEntries } of executions) {
+        const ruleExecution = await RuleExecutionModel.getByKey({ transferId, scriptName, eventAction: event.action }, trx)
+        if (ruleExecution) {
+          Logger.isInfoEnabled && Logger.info(`rules::applyRuleExecutions - ${scriptName} (${ruleExecution.scriptVersion}) was already applied to transfer ${transferId} on ${ruleExecution.createdDate}, skipping`)
+          continue
+        }
+        // the execution is recorded before its ledger entries, so that of two handlers applying it at the same time the second one
+        // waits on the unique key and skips it once the first one committed
+        const ruleExecutionIds = await RuleExecutionModel.create({
+          transferId,
+          scriptName,
+          scriptVersion,
+          eventType: event.type,
+          eventAction: event.action,
+          eventStatus: event.state && event.state.status,
+          ledgerEntryCount: ledgerEntries.length,
+          ledgerEntries: JSON.stringify(ledgerEntries)
+        }, trx)
+        if (!ruleExecutionIds) {
+          Logger.isInfoEnabled && Logger.info(`rules::applyRuleExecutions - ${scriptName} (${scriptVersion}) was applied to transfer ${transferId} meanwhile, skipping`)
+          continue
+        }
+        if (ledgerEntries.length > 0) {
+          const transferParticipantIds = RuleEvents.isFulfilmentEvent(event)
+            ? await TransferSettlementModel.insertLedgerEntries(ledgerEntries, transferId, trx)
+            : await insertFeeTransferLedgerEntries(ledgerEntries, transferId, event, trx)
+          const ruleLedgerEntries = (transferParticipantIds || []).flat().map(transferParticipantId => {
+            return { transferParticipantId, transferId, scriptName, scriptVersion }
+          })
+          if (ruleLedgerEntries.length > 0) {
+            await RuleLedgerEntryModel.create(ruleLedgerEntries, trx)
+          }
+        }
+        appliedExecutions.push({ scriptName, scriptVersion, ledgerEntries })
+      }
+      return appliedExecutions
+    } catch (err) {
+      Logger.isErrorEnabled && Logger.error(err)
+      throw ErrorHandler.Factory.reformatFSPIOPError(err)
+    }
+  },
+
+  /**
+   * @function recordRuleScriptVersions
+   *
+   * @async
+   * @description Keeps every version of the loaded rule scripts, keyed by script name and content hash, with the source and the
+   * Start and End headers. A version is effective from the time it was first loaded until another version of the script is
+   * loaded, which sets its supersededDate. Loading an earlier version again makes it the effective one.
+   * @param {object[]} scripts - filename, type, action, status, startTime, endTime, version and source of every loaded script
+   * @returns {number} - Returns the number of versions that were not recorded before
+   */
+  recordRuleScriptVersions: async function recordRuleScriptVersions (scripts) {
+    try {
+      let newVersions = 0
+      for (const { filename: scriptName, version: scriptVersion, source, type, action, status, startTime, endTime } of scripts) {
+        const ruleScriptVersion = await RuleScriptVersionModel.getByKey({ scriptName, scriptVersion })
+        if (ruleScriptVersion) {
+          await RuleScriptVersionModel.markLoaded({ scriptName, scriptVersion })
+        } else {
+          await RuleScriptVersionModel.create({ scriptName, scriptVersion, source, type, action, status, startTime, endTime })
+          newVersions++
+        }
+        await RuleScriptVersionModel.supersedeOtherVersions({ scriptName, scriptVersion })
+      }
+      return newVersions
+    } catch (err) {
+      Logger.isErrorEnabled && Logger.error(err)
+      throw ErrorHandler.Factory.reformatFSPIOPError(err)
+    }
+  },
+
+  getRuleScriptVersions: async function getRuleScriptVersions (scriptName) {
+    try {
+      return await RuleScriptVersionModel.getByScriptName(scriptName)
+    } catch (err) {
+      Logger.isErrorEnabled && Logger.error(err)
+      throw ErrorHandler.Factory.reformatFSPIOPError(err)
+    }
+  },
+
+  /**
+   * @function getRuleScriptByTransferParticipantId
+   *
+   * @async
+   * @description Returns the script name, version and source of the rule script that added a transferParticipant record.
+   * @param {number} transferParticipantId - Id of the transferParticipant record
+   * @returns {object} - Returns the stamp of the record with the script version, throws if no rule script added the record
+   */
+  getRuleScriptByTransferParticipantId: async function getRuleScriptByTransferParticipantId (transferParticipantId) {
+    try {
+      const ruleLedgerEntry = await RuleLedgerEntryModel.getWithScriptByTransferParticipantId(transferParticipantId)
+      if (!ruleLedgerEntry) {
+        throw ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.UNKNOWN_URI, `No rule script added transferParticipant ${transferParticipantId}`)
+      }
+      return ruleLedgerEntry
+    } catch (err) {
+      Logger.isErrorEnabled && Logger.error(err)
+      throw ErrorHandler.Factory.reformatFSPIOPError(err)
+    }
+  },
+
+  /**
+   * @function reverseRuleLedgerEntries
+   *
+   * @async
+   * @description Reverses the ledger entries the rule scripts added for a transfer that was reversed or disputed. Every record
+   * is offset once, reversing the transfer again only offsets the records added since, e.g. by a replayed dead letter.
+   * @param {string} transferId - Id of the transfer or rule event the scripts ran for
+   * @param {string} reason - Why the fees are reversed
+   * @returns {object} - Returns the transferId, the number of records reversed by this call and every reversal of the transfer
+   */
+  reverseRuleLedgerEntries: async function reverseRuleLedgerEntries ({ transferId, reason }) {
+    try {
+      const ruleReversals = await TransferSettlementModel.reverseRuleLedgerEntries(transferId, reason || null)
+      Logger.isInfoEnabled && Logger.info(`rules::reverseRuleLedgerEntries - reversed ${ruleReversals.length} rule ledger entries of transfer ${transferId}`)
+      return {
+        transferId,
+        reversedCount: ruleReversals.length,
+        reversals: await RuleReversalModel.getByTransferId(transferId)
+      }
+    } catch (err) {
+      Logger.isErrorEnabled && Logger.error(err)
+      throw ErrorHandler.Factory.reformatFSPIOPError(err)
+    }
+  },
+
+  getRuleExecutionsByTransferId: async function getRuleExecutionsByTransferId (transferId) {
+    try {
+      const ruleExecutions = await RuleExecutionModel.getByTransferId(transferId)
+      return ruleExecutions.map(({ ledgerEntries, ...ruleExecution }) => {
+        return {
+          ...ruleExecution,
+          ledgerEntries: ledgerEntries ? JSON.parse(ledgerEntries) : []
+        }
+      })
+    } catch (err) {
+      Logger.isErrorEnabled && Logger.error(err)
+      throw ErrorHandler.Factory.reformatFSPIOPError(err)
+    }
+  },
+
+  /**
+   * @function createRuleDeadLetter
+   *
+   * @async
+   * @description Records a message the rule scripts failed for, so that it can be replayed once the script or the data has been
+   * fixed, and publishes it to the rules dead-letter topic. A failure to record or to publish is logged but not thrown, the
+   * handler is already dealing with the original error.
+   * @param {object} message - The Kafka message the rules ran for
+   * @param {string} stage - Where the rules failed, execute for the scripts, apply for their ledger entries and reverse for a fee reversal
+   * @param {string} scriptName - The script that failed, or the scripts whose ledger entries could not be applied
+   * @param {string} error - The error message
+   * @returns {object} - Returns the dead letter, without settlementRuleDeadLetterId if it could not be recorded
+   */
+  createRuleDeadLetter: async function createRuleDeadLetter ({ message, stage, scriptName, error }) {
+    const ruleDeadLetter = {
+      transferId: message.value.id,
+      scriptName,
+      stage,
+      error,
+      topic: message.topic,
+      partition: message.partition,
+      offset: message.offset,
+      status: RULE_DEAD_LETTER_STATUS.PENDING
+    }
+    try {
+      const [settlementRuleDeadLetterId] = await RuleDeadLetterModel.create({ ...ruleDeadLetter, message: JSON.stringify(message.value) })
+      ruleDeadLetter.settlementRuleDeadLetterId = settlementRuleDeadLetterId
+    } catch (err) {
+      Logger.isErrorEnabled && Logger.error(`rules::createRuleDeadLetter - unable to record the failed rules for transfer ${ruleDeadLetter.transferId}: ${err.message}`)
+    }
+    try {
+      await publishRuleDeadLetter({ ...ruleDeadLetter, message: message.value })
+    } catch (err) {
+      Logger.isErrorEnabled && Logger.error(`rules::createRuleDeadLetter - unable to publish the failed rules for transfer ${ruleDeadLetter.transferId}: ${err.message}`)
+    }
+    return ruleDeadLetter
+  },
+
+  getRuleDeadLetters: async function getRuleDeadLetters ({ status, transferId } = {}) {
+    try {
+      const criteria = {}
+      if (status) {
+        criteria.status = status
+      }
+      if (transferId) {
+        criteria.transferId = transferId
+      }
+      const ruleDeadLetters = await RuleDeadLetterModel.getAll(criteria)
+      return ruleDeadLetters.map(parseRuleDeadLetter)
+    } catch (err) {
+      Logger.isErrorEnabled && Logger.error(err)
+      throw ErrorHandler.Factory.reformatFSPIOPError(err)
+    }
+  },
+
+  getRuleDeadLetterById,
+
+  /**
+   * @function updateRuleDeadLetterReplay
+   *
+   * @async
+   * @description Records a replay of a dead letter, REPLAYED once the rules succeeded, PENDING with the new error otherwise.
+   * @returns {object} - Returns the updated dead letter
+   */
+  updateRuleDeadLetterReplay: async function updateRuleDeadLetterReplay (settlementRuleDeadLetterId, { status, error }) {
+    try {
+      await RuleDeadLetterModel.updateReplay(settlementRuleDeadLetterId, { status, error })
+      return await getRuleDeadLetterById(settlementRuleDeadLetterId)
+    } catch (err) {
+      Logger.isErrorEnabled && Logger.error(err)
+      throw ErrorHandler.Factory.reformatFSPIOPError(err)
+    }
+  },
+
+  getDatabaseRuleScripts: async function getDatabaseRuleScripts () {
+    return RuleScriptModel.getAll()
+  },
+
+  /**
+   * @function getRuleScripts
+   *
+   * @async
+   * @description Lists the rule scripts of SCRIPTS_FOLDER and of the database. A database script replaces the folder script
+   * with the same name. Scripts with invalid headers are listed with an error instead of their headers.
+   * @returns {object[]} - Returns the name, location, headers, isActive and inEffect of every script
+   */
+  getRuleScripts: async function getRuleScripts () {
+    try {
+      const folderScripts = scriptsLoader.readScripts(SCRIPTS_FOLDER)
+      const folderScriptNames = folderScripts.map(folderScript => folderScript.name)
+      const databaseScripts = await RuleScriptModel.getAll()
+      const databaseScriptNames = databaseScripts.map(databaseScript => databaseScript.name)
+      return [
+        ...folderScripts
+          .filter(folderScript => !databaseScriptNames.includes(folderScript.name))
+          .map(folderScript => describeRuleScript(folderScript.name, folderScript.source, SCRIPT_LOCATION.FOLDER, true)),
+        ...databaseScripts.map(databaseScript => describeDatabaseRuleScript(databaseScript, folderScriptNames))
+      ]
+    } catch (err) {
+      Logger.isErrorEnabled && Logger.error(err)
+      throw ErrorHandler.Factory.reformatFSPIOPError(err)
+    }
+  },
+
+  getRuleScriptByName,
+
+  validateRuleScript: function validateRuleScript ({ name, source }) {
+    try {
+      return {
+        name,
+        isValid: true,
+        ...scriptsLoader.validateScript(name, source)
+      }
+    } catch (err) {
+      return {
+        name,
+        isValid: false,
+        error: err.message
+      }
+    }
+  },
+
+  /**
+   * @function uploadRuleScript
+   *
+   * @async
+   * @description Validates the script and stores it in the database, replacing a stored script with the same name.
+   * The rules handler picks it up on its next reload.
+   * @returns {object} - Returns the stored script, see getRuleScriptByName
+   */
+  uploadRuleScript: async function uploadRuleScript ({ name, source, isActive = true }) {
+    try {
+      try {
+        scriptsLoader.validateScript(name, source)
+      } catch (err) {
+        throw ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, err.message)
+      }
+      await RuleScriptModel.upsert({ name, source, isActive })
+      return await getRuleScriptByName(name)
+    } catch (err) {
+      Logger.isErrorEnabled && Logger.error(err)
+      throw ErrorHandler.Factory.reformatFSPIOPError(err)
+    }
+  },
+
+  /**
+   * @function updateRuleScript
+   *
+   * @async
+   * @description Enables or disables a script. Disabling a folder script stores a copy of it in the database, so
+   * that the setting survives restarts without changing SCRIPTS_FOLDER.
+   * @returns {object} - Returns the updated script, see getRuleScriptByName
+   */
+  updateRuleScript: async function updateRuleScript (name, { isActive }) {
+    try {
+      const databaseScript = await RuleScriptModel.getByName(name)
+      if (databaseScript) {
+        await RuleScriptModel.updateIsActive(name, isActive)
+      } else {
+        const folderScript = scriptsLoader.readScripts(SCRIPTS_FOLDER).find(folderScript => folderScript.name === name)
+        if (!folderScript) {
+          throw ruleScriptNotFound(name)
+        }
+        await RuleScriptModel.upsert({ name, source: folderScript.source, isActive })
+      }
+      return await getRuleScriptByName(name)
+    } catch (err) {
+      Logger.isErrorEnabled && Logger.error(err)
+      throw ErrorHandler.Factory.reformatFSPIOPError(err)
+    }
+  },
+
+  /**
+   * @function simulateRuleScript
+   *
+   * @async
+   * @description Runs a rule script against a transfer and returns the ledger entries it would add, without writing them.
+   * The transfer is loaded from the central ledger by transferId unless a transfer object is provided. If no payload is
+   * provided, the script receives a message for its Type, Action and Status headers with transferId as id.
+   * @returns {object} - Returns the script headers, the transferId used, the ledger entries, the logged messages and the duration of the run
+   */
+  simulateRuleScript: async function simulateRuleScript ({ name = 'simulation.js', source, transferId, transfer, payload }) {
+    try {
+      let compiledScript
+      try {
+        compiledScript = scriptsLoader.compileScript(name, source)
+      } catch (err) {
+        throw ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, err.message)
+      }
+      if (!transferId && !transfer && !(payload && payload.id)) {
+        throw ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, 'Rule script simulation requires a transferId or a transfer')
+      }
+      const { script, source: scriptSource, ...scriptDetails } = compiledScript
+      const simulationPayload = payload || createSimulationPayload(transferId || Uuid(), scriptDetails)
+      const result = await scriptEngine.simulate(script, simulationPayload, transfer, { ...scriptDetails, source: scriptSource })
+      return {
+        ...scriptDetails,
+        transferId: simulationPayload.id,
+        ...result
+      }
+    } catch (err) {
+      Logger.isErrorEnabled && Logger.error(err)
+      throw ErrorHandler.Factory.reformatFSPIOPError(err)
+    }
   }
 }
@@ -28,6 +28,8 @@
 'use strict'
 
 const arrayDiff = require('lodash').difference
+const ParticipantCurrencyModel = require('../../models/settlement/participantCurrency')
+const RuleEvents = require('../../lib/ruleEvents')
 const SettlementModel = require('../../models/settlement')
 const SettlementModelModel = require('../../models/settlement/settlementModel')
 const SettlementWindowContentModel = require('../../models/settlementWindowContent')
@@ -65,6 +67,51 @@ const prepareParticipantsResult = (participantCurrenciesList) => {
   return Array.from(Object.keys(participantAccounts).map(participantId => participantAccounts[participantId]))
 }
 
+// a window closed for a currency is only settled by the models of that currency or of all currencies, a window closed for a
+// settlement model by that model or the models of other ledger account types, such as fees
+const getOutOfScopeWindowIds = async (idList, settlementModelData) => {
+  const scopes = await SettlementWindowModel.getScopes(idList)
+  if (!scopes.length) {
+    return []
+  }
+  const settlementModels = await SettlementModelModel.getAll()
+  return scopes.filter(({ currencyId, settlementModelId }) => {
+    if (currencyId) {
+      return settlementModelData.currencyId !== null && settlementModelData.currencyId !== currencyId
+    }
+    const scopeModel = settlementModels.find(model => model.settlementModelId === settlementModelId)
+    return settlementModelId !== settlementModelData.settlementModelId &&
+      (!scopeModel || scopeModel.ledgerAccountTypeId === settlementModelData.ledgerAccountTypeId)
+  }).map(scope => scope.settlementWindowId)
+}
+
+// the settlement is SETTLED whether or not its rule event could be published, the failure is logged for the scheme to follow up
+const publishSettlementRuleEvent = async (settlement) => {
+  try {
+    const accounts = settlement.participants.reduce((list, participant) => {
+      return list.concat(participant.accounts.map(account => ({ participantId: participant.id, ...account })))
+    }, [])
+    const participantCurrencies = accounts.length > 0
+      ? await ParticipantCurrencyModel.getByParticipantCurrencyIds(accounts.map(account => account.id))
+      : []
+    const participants = accounts.map(account => {
+      const participantCurrency = participantCurrencies.find(record => record.participantCurrencyId === account.id) || {}
+      return {
+        fspId: participantCurrency.name,
+        participantId: account.participantId,
+        participantCurrencyId: account.id,
+        currency: account.netSettlementAmount.currency,
+        ledgerAccountType: participantCurrency.ledgerAccountType,
+        netAmount: account.netSettlementAmount.amount,
+        state: account.state
+      }
+    })
+    await RuleEvents.publish(RuleEvents.RULE_EVENT.SETTLEMENT_SETTLED, settlement.id, { ...settlement, participants })
+  } catch (err) {
+    Logger.isErrorEnabled && Logger.error(`Unable to publish the rule event of settled settlement ${settlement.id}: ${err.message}`)
+  }
+}
+
 const groupSettlementWindowContentBySettlementWindow = (records) => {
   const settlementWindows = {}
   for (const record of records) {
@@ -79,39 +126,103 @@ const groupSettlementWindowContentBySettlementWindow = (records) => {
   return settlementWindows
 }
 
+const groupBySettlement = (records) => {
+  const settlements = {}
+  for (const { settlementId, ...record } of records) {
+    if (settlementId in settlements) {
+      settlements[settlementId].push(record)
+    } else {
+      settlements[settlementId] = [record]
+    }
+  }
+  return settlements
+}
+
+// the windows with their content and the participant accounts of all the settlements are loaded with a query each, the
+// account filters of the settlements search also apply to the accounts listed
+const getSettlementWindowsAndParticipants = async (settlementIdList, accountFilters) => {
+  const settlementWindows = groupBySettlement(await SettlementWindowModel.getBySettlementIds(settlementIdList))
+  const settlementWindowContent = groupBySettlement(await SettlementWindowContentModel.getBySettlementIds(settlementIdList))
+  const participantCurrencies = groupBySettlement(await SettlementModel.settlementParticipantCurrency.getParticipantCurrencyBySettlementIds(settlementIdList, accountFilters))
+  const result = {}
+  for (const settlementId of settlementIdList) {
+    const contentBySettlementWindow = groupSettlementWindowContentBySettlementWindow(settlementWindowContent[settlementId] || [])
+    result[settlementId] = {
+      settlementWindows: (settlementWindows[settlementId] || []).map(settlementWindow => {
+        return { ...settlementWindow, content: contentBySettlementWindow[settlementWindow.id] || [] }
+      }),
+      participants: prepareParticipantsResult(participantCurrencies[settlementId] || [])
+    }
+  }
+  return result
+}
+
+// the settlement creation and its preview run the same checks on the settlement model and windows
+const validateSettlementEvent = async ({ settlementModel, settlementWindows }, enums) => {
+  // validate settlement model
+  const settlementModelData = await SettlementModelModel.getByName(settlementModel)
+  if (!settlementModelData) {
+    const error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, 'Settlement model not found')
+    Logger.isErrorEnabled && Logger.error(error)
+    throw error
+  } else if (settlementModelData.settlementGranularityId === enums.settlementGranularity.GROSS ||
+    settlementModelData.settlementDelayId === enums.settlementDelay.IMMEDIATE) {
+    const error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, 'Settlement can not be created for GROSS or IMMEDIATE models')
+    Logger.isErrorEnabled && Logger.error(error)
+    throw error
+  }
+
+  // validate windows content
+  const idList = settlementWindows.map(v => v.id)
+  const applicableWindows = await SettlementWindowModel.getByListOfIds(idList, settlementModelData, enums.settlementWindowStates)
+  const applicableIdList = applicableWindows.map(v => v.settlementWindowId)
+  const nonApplicableIdList = arrayDiff(idList, applicableIdList)
+  if (nonApplicableIdList.length) {
+    const error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, `Inapplicable windows ${nonApplicableIdList.join(', ')}`)
+    Logger.isErrorEnabled && Logger.error(error)
+    throw error
+  }
+  const outOfScopeIdList = await getOutOfScopeWindowIds(idList, settlementModelData)
+  if (outOfScopeIdList.length) {
+    const error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, `Windows ${outOfScopeIdList.join(', ')} are scoped to another currency or settlement model`)
+    Logger.isErrorEnabled && Logger.error(error)
+    throw error
+  }
+  return { settlementModelData, idList }
+}
+
+// the cursor of a page is the id of the last settlement of the previous page
+const encodeCursor = (settlement) => {
+  return Buffer.from(JSON.stringify({ settlementId: settlement.id })).toString('base64url')
+}
+
+const decodeCursor = (encodedCursor) => {
+  let cursor = null
+  try {
+    cursor = JSON.parse(Buffer.from(encodedCursor, 'base64url').toString())
+  } catch (err) {
+    cursor = null
+  }
+  if (!cursor || !Number.isInteger(cursor.settlementId)) {
+    const error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, 'Invalid cursor for settlements')
+    Logger.isErrorEnabled && Logger.error(error)
+    throw error
+  }
+  return { settlementId: cursor.settlementId }
+}
+
 module.exports = {
   getById: async function ({ settlementId }, enums) {
     const settlement = await SettlementModel.getById({ settlementId }, enums)
     if (settlement) {
-      const settlementWindowsList = await SettlementWindowModel.getBySettlementId({ settlementId }, enums)
-      const participantCurrenciesList = await SettlementModel.settlementParticipantCurrency.getParticipantCurrencyBySettlementId({ settlementId }, enums)
-      const participants = prepareParticipantsResult(participantCurrenciesList)
-
-      // Build settlement window content array and insert into settlement window list object
-      const windowContentRecords = []
-      let windowContentResponseData = {}
-
-      for (const key of Object.keys(settlementWindowsList)) {
-        const windowContentRecord = await SettlementWindowContentModel.getBySettlementAndWindowId(settlementId, settlementWindowsList[key].id)
-        windowContentResponseData = {
-          id: windowContentRecord[0].id,
-          state: windowContentRecord[0].state,
-          ledgerAccountType: windowContentRecord[0].ledgerAccountType,
-          currencyId: windowContentRecord[0].currencyId,
-          createdDate: windowContentRecord[0].createdDate,
-          changedDate: windowContentRecord[0].changedDate
-        }
-        windowContentRecords.push(windowContentResponseData)
-        settlementWindowsList[key].content = windowContentRecords
-      }
-
+      const { settlementWindows, participants } = (await getSettlementWindowsAndParticipants([settlementId]))[settlementId]
       return {
         id: settlement.settlementId,
         state: settlement.state,
         reason: settlement.reason,
         createdDate: settlement.createdDate,
         changedDate: settlement.changedDate,
-        settlementWindows: settlementWindowsList,
+        settlementWindows,
         participants
       }
     } else {
@@ -121,7 +232,13 @@ module.exports = {
     }
   },
 
-  putById: SettlementModel.putById,
+  putById: async function (settlementId, payload, enums) {
+    const settlement = await SettlementModel.putById(settlementId, payload, enums)
+    if (settlement && settlement.state === enums.settlementStates.SETTLED) {
+      await publishSettlementRuleEvent(settlement)
+    }
+    return settlement
+  },
   abortById: async function (settlementId, payload, enums) {
     // seq-settlement-6.2.6, step 3
     const settlementData = await SettlementModel.getById({ settlementId })
@@ -149,77 +266,47 @@ module.exports = {
     }
   },
 
+  /**
+   * @function getSettlementsByParams
+   *
+   * @async
+   * @description Returns the settlements matching the filters, by ascending id, with their windows, window content and
+   * participant accounts loaded for the whole page at once. A page of limit settlements is returned with the cursor of the next page.
+   * @param {object} params - The query: state, fromDateTime, toDateTime, currency, settlementWindowId, fromSettlementWindowDateTime,
+   * toSettlementWindowDateTime, participantId and accountId filters, at least one of them, and the optional limit and cursor
+   * @param {object} enums - The settlementStates enum
+   * @returns {object} - Returns the settlements, the total number of settlements matching the filters and the cursor of the
+   * next page, or null if there is none
+   */
   getSettlementsByParams: async function (params, enums) {
-    // 7 filters - at least one should be used
-    Object.keys(params.query).forEach(key => params.query[key] === undefined && delete params.query[key])
-    if (Object.keys(params.query).length && Object.keys(params.query).length < 10) {
-      const settlements = {}
-      let settlement
-      let participant
-      const settlementsData = await SettlementModel.getByParams(params.query, enums)
+    const { limit, cursor, ...query } = params.query
+    // 9 filters - at least one should be used
+    Object.keys(query).forEach(key => query[key] === undefined && delete query[key])
+    if (Object.keys(query).length && Object.keys(query).length < 10) {
+      const after = cursor ? decodeCursor(cursor) : null
+      const settlementsData = await SettlementModel.getByParams({ query }, { after, limit: limit ? limit + 1 : null })
       if (settlementsData && settlementsData.length > 0) {
-        for (const s of settlementsData) {
-          if (!settlements[s.settlementId]) {
-            const settlementId = s.settlementId
-            const settlementWindowsList = await SettlementWindowModel.getBySettlementId({ settlementId })
-            for (const key of Object.keys(settlementWindowsList)) {
-              settlementWindowsList[key].content = await SettlementWindowContentModel.getBySettlementAndWindowId(s.settlementId, settlementWindowsList[key].id)
-            }
-            settlements[s.settlementId] = {
-              id: s.settlementId,
-              state: s.settlementStateId,
-              reason: s.settlementWindowReason,
-              createdDate: s.createdDate,
-              changedDate: s.changedDate,
-              settlementWindows: settlementWindowsList
-            }
-          }
-          settlement = settlements[s.settlementId]
-          if (!settlement.settlementWindows) {
-            settlement.settlementWindows = {}
-          }
-          if (!settlement.participants) {
-            settlement.participants = {}
-          }
-          if (!settlement.participants[s.participantId]) {
-            settlement.participants[s.participantId] = {
-              id: s.participantId
-            }
-          }
-          participant = settlement.participants[s.participantId]
-          if (!participant.accounts) {
-            participant.accounts = {}
-          }
-          participant.accounts[s.participantCurrencyId] = {
-            id: s.participantCurrencyId,
-            state: s.accountState,
-            reason: s.accountReason,
-            netSettlementAmount: {
-              amount: s.accountAmount,
-              currency: s.accountCurrency
-            }
+        const hasMore = !!limit && settlementsData.length > limit
+        const page = hasMore ? settlementsData.slice(0, limit) : settlementsData
+        const { total } = await SettlementModel.countByParams({ query })
+        const { currency, participantId, accountId } = query
+        const settlementIdList = page.map(settlement => settlement.settlementId)
+        const settlementWindowsAndParticipants = await getSettlementWindowsAndParticipants(settlementIdList, { currency, participantId, accountId })
+        const settlements = page.map(settlement => {
+          return {
+            id: settlement.settlementId,
+            state: settlement.state,
+            reason: settlement.reason,
+            createdDate: settlement.createdDate,
+            changedDate: settlement.changedDate,
+            ...settlementWindowsAndParticipants[settlement.settlementId]
           }
-        }
-        // transform settlements map to result array
-        const result = Object.keys(settlements).map((i) => {
-          let settlementWindows = settlements[i].settlementWindows
-          settlementWindows = Object.keys(settlementWindows).map((j) => {
-            return settlementWindows[j]
-          })
-          settlements[i].settlementWindows = settlementWindows
-          let participants = settlements[i].participants
-          participants = Object.keys(participants).map((j) => {
-            let accounts = participants[j].accounts
-            accounts = Object.keys(accounts).map((k) => {
-              return accounts[k]
-            })
-            participants[j].accounts = accounts
-            return participants[j]
-          })
-          settlements[i].participants = participants
-          return settlements[i]
         })
-        return result
+        return {
+          settlements,
+          total: Number(total),
+          nextCursor: hasMore ? encodeCursor(settlements[settlements.length - 1]) : null
+        }
       } else {
         const error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, 'Settlements not found')
         Logger.isErrorEnabled && Logger.error(error)
@@ -233,30 +320,8 @@ module.exports = {
   },
 
   settlementEventTrigger: async function (params, enums) {
-    // validate settlement model
-    const { settlementModel, reason, settlementWindows } = params
-    const settlementModelData = await SettlementModelModel.getByName(settlementModel)
-    if (!settlementModelData) {
-      const error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, 'Settlement model not found')
-      Logger.isErrorEnabled && Logger.error(error)
-      throw error
-    } else if (settlementModelData.settlementGranularityId === enums.settlementGranularity.GROSS ||
-      settlementModelData.settlementDelayId === enums.settlementDelay.IMMEDIATE) {
-      const error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, 'Settlement can not be created for GROSS or IMMEDIATE models')
-      Logger.isErrorEnabled && Logger.error(error)
-      throw error
-    }
-
-    // validate windows content
-    const idList = settlementWindows.map(v => v.id)
-    const applicableWindows = await SettlementWindowModel.getByListOfIds(idList, settlementModelData, enums.settlementWindowStates)
-    const applicableIdList = applicableWindows.map(v => v.settlementWindowId)
-    const nonApplicableIdList = arrayDiff(idList, applicableIdList)
-    if (nonApplicableIdList.length) {
-      const error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, `Inapplicable windows ${nonApplicableIdList.join(', ')}`)
-      Logger.isErrorEnabled && Logger.error(error)
-      throw error
-    }
+    const { settlementModel, reason } = params
+    const { settlementModelData, idList } = await validateSettlementEvent(params, enums)
 
     // settlement event trigger
     const settlementId = await SettlementModel.triggerSettlementEvent({ idList, reason }, settlementModelData, enums)
@@ -284,6 +349,69 @@ module.exports = {
     }
   },
 
+  /**
+   * @function previewSettlementEvent
+   *
+   * @async
+   * @description Runs the checks and the net amount aggregation of settlementEventTrigger without writing anything, so that
+   * the net settlement report can be reviewed before the settlement is created. The participants and their accounts are
+   * those a settlement of the same windows would have, with the state and reason it would set.
+   * @param {object} params - The settlement event payload: settlementModel, reason and settlementWindows
+   * @param {object} enums - The same enums as settlementEventTrigger
+   * @returns {object} - Returns the settlement model, reason, the windows with the content they would settle and the
+   * participants with their net settlement amounts
+   */
+  previewSettlementEvent: async function (params, enums) {
+    const { settlementModel, reason } = params
+    const { settlementModelData, idList } = await validateSettlementEvent(params, enums)
+
+    const { settlementWindowContent, participantCurrencies } = await SettlementModel.previewSettlementEvent({ idList }, settlementModelData, enums)
+    const settlementWindowsContent = groupSettlementWindowContentBySettlementWindow(settlementWindowContent)
+    const participants = prepareParticipantsResult(participantCurrencies.map(participantCurrency => {
+      return { ...participantCurrency, state: enums.settlementStates.PENDING_SETTLEMENT, reason }
+    }))
+    return {
+      settlementModel,
+      reason,
+      settlementWindows: idList.map(id => {
+        return { id, content: settlementWindowsContent[id] || [] }
+      }),
+      participants
+    }
+  },
+
+  /**
+   * @function getParticipantAccountTransfers
+   *
+   * @async
+   * @description Returns a page of the transfers behind a participant position account in a settlement, those of the settlement
+   * windows content in the settlement that the account took part in
+   * @param {object} params - The settlementId, participantId and accountId
+   * @param {object} enums - The settlementWindowStates and ledgerAccountTypes enums
+   * @param {object} pagination - The page number, starting at 1, and the number of entries per page
+   * @returns {object} - Returns the page, the limit, whether there are more entries and the transfers
+   */
+  getParticipantAccountTransfers: async function ({ settlementId, participantId, accountId }, enums, { page, limit }) {
+    let errorMessage = null
+    if (!await SettlementModel.getById({ settlementId }, enums)) {
+      errorMessage = 'Settlement not found'
+    } else if (!await SettlementModel.checkParticipantAccountExists({ participantId, accountId }, enums)) {
+      errorMessage = 'Provided account does not match any participant position account'
+    } else if (!await SettlementModel.getAccountInSettlement({ settlementId, accountId }, enums)) {
+      errorMessage = 'Account not in settlement'
+    }
+    if (errorMessage) {
+      const error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, errorMessage)
+      Logger.isErrorEnabled && Logger.error(error)
+      throw error
+    }
+    return SettlementWindowModel.getTransfers({
+      settlementId,
+      ledgerAccountTypeId: enums.ledgerAccountTypes.POSITION,
+      participantCurrencyId: accountId
+    }, { page, limit })
+  },
+
   getByIdParticipantAccount: async function ({ settlementId, participantId, accountId = null }, enums) {
     let participantFoundInSettlement = false
     const accountProvided = accountId > 0
@@ -28,18 +28,95 @@
 --------------
  ******/
 
+const BigNumber = require('bignumber.js')
 const Config = require('../../lib/config')
 const Enum = require('@mojaloop/central-services-shared').Enum
 const ErrorHandler = require('@mojaloop/central-services-error-handling')
 const hasFilters = require('./../../utils/truthyProperty')
 const Producer = require('@mojaloop/central-services-stream').Util.Producer
 const KafkaUtil = require('@mojaloop/central-services-shared').Util.Kafka
+const RuleEvents = require('../../lib/ruleEvents')
 const SettlementWindowModel = require('../../models/settlementWindow')
 const SettlementWindowContentModel = require('../../models/settlementWindowContent')
+const SettlementModelModel = require('../../models/settlement/settlementModel')
 const StreamingProtocol = require('@mojaloop/central-services-shared').Util.StreamingProtocol
 const Logger = require('@mojaloop/central-services-logger')
+const MLNumber = require('@mojaloop/ml-number')
 const Uuid = require('uuid4')
 
+// the window is closed whether or not its rule event could be published, the failure is logged for the scheme to follow up
+const publishSettlementWindowRuleEvent = async (settlementWindow) => {
+  const { settlementWindowId } = settlementWindow
+  try {
+    const content = await SettlementWindowContentModel.getBySettlementWindowId(settlementWindowId)
+    const participants = await SettlementWindowContentModel.getParticipantAmountsBySettlementWindowId(settlementWindowId)
+    await RuleEvents.publish(RuleEvents.RULE_EVENT.SETTLEMENT_WINDOW_CLOSE, settlementWindowId, { ...settlementWindow, content, participants })
+  } catch (err) {
+    Logger.isErrorEnabled && Logger.error(`Unable to publish the rule event of closed settlement window ${settlementWindowId}: ${err.message}`)
+  }
+}
+
+// close adds an account to the window content if a NET settlement model covers its currency, or the default model if no model is
+// specific to the currency
+const isNetSettled = (settlementModels, { ledgerAccountTypeId, currency }) => {
+  const modelCurrencies = settlementModels.filter(model => model.currencyId !== null).map(model => model.currencyId)
+  return settlementModels.some(model => model.ledgerAccountTypeId === ledgerAccountTypeId &&
+    model.settlementGranularityId === Enum.Settlements.SettlementGranularity.NET &&
+    (model.currencyId === currency || (model.currencyId === null && !modelCurrencies.includes(currency))))
+}
+
+// the cursor of a page is the sort value and id of the last window of the previous page, for the sort it was created with
+const encodeCursor = ({ sortBy, sortOrder }, settlementWindow) => {
+  const value = settlementWindow[sortBy]
+  const cursor = { sortBy, sortOrder, value: value instanceof Date ? value.toISOString() : value, settlementWindowId: settlementWindow.settlementWindowId }
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url')
+}
+
+const decodeCursor = (encodedCursor, { sortBy, sortOrder }) => {
+  let cursor = null
+  try {
+    cursor = JSON.parse(Buffer.from(encodedCursor, 'base64url').toString())
+  } catch (err) {
+    cursor = null
+  }
+  if (!cursor || cursor.sortBy !== sortBy || cursor.sortOrder !== sortOrder || !cursor.settlementWindowId || cursor.value === undefined) {
+    const error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, `Invalid cursor for settlement windows sorted by ${sortBy} ${sortOrder}`)
+    Logger.isErrorEnabled && Logger.error(error)
+    throw error
+  }
+  return {
+    value: sortBy === 'settlementWindowId' ? cursor.value : new Date(cursor.value),
+    settlementWindowId: cursor.settlementWindowId
+  }
+}
+
+// a window is closed for a currency, for a NET settlement model or, without either, for all of its transfers
+const getScope = async ({ currency, settlementModel }) => {
+  if (currency && settlementModel) {
+    const error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, 'Use either currency or settlementModel to scope the settlement window')
+    Logger.isErrorEnabled && Logger.error(error)
+    throw error
+  }
+  if (currency) {
+    return { currencyId: currency }
+  }
+  if (settlementModel) {
+    const settlementModelData = await SettlementModelModel.getByName(settlementModel)
+    if (!settlementModelData) {
+      const error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, 'Settlement model not found')
+      Logger.isErrorEnabled && Logger.error(error)
+      throw error
+    }
+    if (settlementModelData.settlementGranularityId !== Enum.Settlements.SettlementGranularity.NET) {
+      const error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, `Settlement model ${settlementModel} is not a NET settlement model`)
+      Logger.isErrorEnabled && Logger.error(error)
+      throw error
+    }
+    return { settlementModelId: settlementModelData.settlementModelId }
+  }
+  return null
+}
+
 module.exports = {
   getById: async function (params, enums, options) {
     const settlementWindow = await SettlementWindowModel.getById(params)
@@ -62,24 +139,44 @@ module.exports = {
     }
   },
 
+  /**
+   * @function getByParams
+   *
+   * @async
+   * @description Returns the settlement windows matching the filters, sorted by changedDate, createdDate or settlementWindowId,
+   * with their content loaded in a single query. A page of limit windows is returned with the cursor of the next page, which
+   * continues after the last window of the page so that windows closed in between do not shift the pages.
+   * @param {object} params - The query: participantId, state, fromDateTime, toDateTime and currency filters, at least one of them,
+   * and the optional limit, cursor, sortBy and sortOrder
+   * @param {object} enums - The settlementWindowStates enum
+   * @returns {object} - Returns the settlement windows, the total number of windows matching the filters and the cursor of the
+   * next page, or null if there is none
+   */
   getByParams: async function (params, enums) {
-    // 4 filters - at least one should be used
-    if (hasFilters(params.query) && Object.keys(params.query).length < 6) {
-      const settlementWindows = await SettlementWindowModel.getByParams(params, enums)
+    const { limit, cursor, sortBy = 'changedDate', sortOrder = 'desc', ...query } = params.query
+    // 5 filters - at least one should be used
+    if (hasFilters(query) && Object.keys(query).length < 6) {
+      const sort = { sortBy, sortOrder }
+      const after = cursor ? decodeCursor(cursor, sort) : null
+      const settlementWindows = await SettlementWindowModel.getByParams({ query }, { ...sort, after, limit: limit ? limit + 1 : null })
       if (settlementWindows && settlementWindows.length > 0) {
-        for (const settlementWindow of settlementWindows) {
-          const settlementWindowContent = await SettlementWindowContentModel.getBySettlementWindowId(settlementWindow.settlementWindowId)
-          if (settlementWindowContent) {
-            settlementWindow.content = settlementWindowContent
-          } else {
-            const error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.INTERNAL_SERVER_ERROR, `No records for settlementWidowContentId : ${settlementWindow.settlementWindowId} found`)
-            Logger.isErrorEnabled && Logger.error(error)
-            throw error
-          }
+        const hasMore = !!limit && settlementWindows.length > limit
+        const page = hasMore ? settlementWindows.slice(0, limit) : settlementWindows
+        const { total } = await SettlementWindowModel.countByParams({ query })
+        const contentBySettlementWindow = {}
+        for (const { settlementWindowId, ...content } of await SettlementWindowContentModel.getBySettlementWindowIds(page.map(settlementWindow => settlementWindow.settlementWindowId))) {
+          contentBySettlementWindow[settlementWindowId] = (contentBySettlementWindow[settlementWindowId] || []).concat(content)
+        }
+        for (const settlementWindow of page) {
+          settlementWindow.content = contentBySettlementWindow[settlementWindow.settlementWindowId] || []
+        }
+        return {
+          settlementWindows: page,
+          total: Number(total),
+          nextCursor: hasMore ? encodeCursor(sort, page[page.length - 1]) : null
         }
-        return settlementWindows
       } else {
-        const error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, `settlementWindow by filters: ${JSON.stringify(params.query).replace(/"/g, '')} not found`)
+        const error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, `settlementWindow by filters: ${JSON.stringify(query).replace(/"/g, '')} not found`)
         Logger.isErrorEnabled && Logger.error(error)
         throw error
       }
@@ -91,7 +188,8 @@ module.exports = {
   },
 
   process: async function (params, enums) {
-    const settlementWindowId = await SettlementWindowModel.process(params, enums)
+    const scope = await getScope(params)
+    const settlementWindowId = await SettlementWindowModel.process({ ...params, scope }, enums)
     const messageId = Uuid()
     const eventId = Uuid()
     const state = StreamingProtocol.createEventState(Enum.Events.EventStatus.SUCCESS.status, Enum.Events.EventStatus.SUCCESS.code, Enum.Events.EventStatus.SUCCESS.description)
@@ -105,8 +203,259 @@ module.exports = {
     return SettlementWindowModel.getById({ settlementWindowId }, enums)
   },
 
-  close: async function (settlementWindowId, reason) {
-    await SettlementWindowModel.close(settlementWindowId, reason)
+  /**
+   * @function getPositions
+   *
+   * @async
+   * @description Returns the net amounts of the participant accounts in a settlement window, aggregated from the transfers of the window
+   * the way close aggregates the window content, so that an OPEN window can be previewed before it is closed and settled
+   * @param {number} settlementWindowId - Id of the settlement window
+   * @param {boolean} byLedgerEntryType - Adds the amounts of each account by ledger entry type
+   * @returns {object} - Returns the settlement window id and state with the net amount of each account
+   */
+  getPositions: async function ({ settlementWindowId, byLedgerEntryType = false }) {
+    const settlementWindow = await SettlementWindowModel.getById({ settlementWindowId })
+    if (!settlementWindow) {
+      const error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.UNKNOWN_URI, `No record for settlementWindowId: ${settlementWindowId} found`)
+      Logger.isErrorEnabled && Logger.error(error)
+      throw error
+    }
+    const settlementModels = await SettlementModelModel.getAll()
+    const ledgerEntryAmounts = await SettlementWindowModel.getLedgerEntryAmounts({ settlementWindowId })
+    const positions = new Map()
+    for (const ledgerEntryAmount of ledgerEntryAmounts) {
+      if (!isNetSettled(settlementModels, ledgerEntryAmount)) {
+        continue
+      }
+      const { fspId, participantCurrencyId, currency, ledgerAccountType, ledgerEntryType, amount } = ledgerEntryAmount
+      if (!positions.has(participantCurrencyId)) {
+        positions.set(participantCurrencyId, { fspId, participantCurrencyId, currency, ledgerAccountType, netAmount: '0', ...(byLedgerEntryType && { ledgerEntries: [] }) })
+      }
+      const position = positions.get(participantCurrencyId)
+      position.netAmount = new MLNumber(position.netAmount).add(amount).toString()
+      if (byLedgerEntryType) {
+        position.ledgerEntries.push({ ledgerEntryType, amount: new MLNumber(amount).toString() })
+      }
+    }
+    return {
+      settlementWindowId: settlementWindow.settlementWindowId,
+      state: settlementWindow.state,
+      positions: [...positions.values()]
+    }
+  },
+
+  /**
+   * @function getTransfers
+   *
+   * @async
+   * @description Returns a page of the transfers fulfilled in a settlement window, one entry per transfer and ledger entry type
+   * @param {number} settlementWindowId - Id of the settlement window
+   * @param {object} pagination - The page number, starting at 1, and the number of entries per page
+   * @returns {object} - Returns the page, the limit, whether there are more entries and the transfers
+   */
+  getTransfers: async function ({ settlementWindowId }, { page, limit }) {
+    const settlementWindow = await SettlementWindowModel.getById({ settlementWindowId })
+    if (!settlementWindow) {
+      const error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.UNKNOWN_URI, `No record for settlementWindowId: ${settlementWindowId} found`)
+      Logger.isErrorEnabled && Logger.error(error)
+      throw error
+    }
+    return SettlementWindowModel.getTransfers({ settlementWindowId }, { page, limit })
+  },
+
+  /**
+   * @function getContentTransfers
+   *
+   * @async
+   * @description Returns a page of the transfers behind a settlement window content record, those of its window on accounts of its
+   * ledger account type and currency
+   * @param {number} settlementWindowContentId - Id of the settlement window content
+   * @param {object} pagination - The page number, starting at 1, and the number of entries per page
+   * @returns {object} - Returns the page, the limit, whether there are more entries and the transfers
+   */
+  getContentTransfers: async function ({ settlementWindowContentId }, { page, limit }) {
+    const settlementWindowContent = await SettlementWindowContentModel.getById(settlementWindowContentId)
+    if (!settlementWindowContent) {
+      const error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.UNKNOWN_URI, `No record for settlementWindowContentId: ${settlementWindowContentId} found`)
+      Logger.isErrorEnabled && Logger.error(error)
+      throw error
+    }
+    const { settlementWindowId, ledgerAccountTypeId, currencyId } = settlementWindowContent
+    return SettlementWindowModel.getTransfers({ settlementWindowId, ledgerAccountTypeId, currencyId }, { page, limit })
+  },
+
+  /**
+   * @function closeOpenWindow
+   *
+   * @async
+   * @description Closes the open settlement window like POST /settlementWindows/{id} does, for closures the hub triggers itself.
+   * An empty window is left open instead of failing, as there is nothing to settle.
+   * @param {string} reason - Reason recorded with the state change
+   * @param {number} [expectedSettlementWindowId] - Only close the open window if it is still this window
+   * @param {object} [scope] - Only close the transfers of this currency or settlementModel, the others stay in the open window
+   * @returns {object} - Returns the new open settlement window, or null if the open window is empty, was already closed or there is none
+   */
+  closeOpenWindow: async function (reason, expectedSettlementWindowId, { currency, settlementModel } = {}) {
+    const openWindow = await SettlementWindowModel.getOpen()
+    if (!openWindow) {
+      Logger.isWarnEnabled && Logger.warn(`No open settlement window to close: ${reason}`)
+      return null
+    }
+    if (expectedSettlementWindowId && openWindow.settlementWindowId !== expectedSettlementWindowId) {
+      Logger.isInfoEnabled && Logger.info(`Settlement window ${expectedSettlementWindowId} was already closed: ${reason}`)
+      return null
+    }
+    const { settlementWindowId } = openWindow
+    const scope = await getScope({ currency, settlementModel })
+    const { cnt } = await SettlementWindowModel.getTransfersCount({ settlementWindowId, scope })
+    if (cnt === 0) {
+      Logger.isInfoEnabled && Logger.info(`Settlement window ${settlementWindowId} is empty and stays open: ${reason}`)
+      return null
+    }
+    const headers = {
+      [Enum.Http.Headers.FSPIOP.SOURCE]: Enum.Http.Headers.FSPIOP.SWITCH.value,
+      [Enum.Http.Headers.FSPIOP.DESTINATION]: Enum.Http.Headers.FSPIOP.SWITCH.value
+    }
+    return module.exports.process({ settlementWindowId, reason, currency, settlementModel, headers }, Enum.Settlements.SettlementWindowState)
+  },
+
+  /**
+   * @function getClosureThresholdBreach
+   *
+   * @async
+   * @description Checks the open settlement window against the closure thresholds. A threshold that is not set is not checked.
+   * @param {object} thresholds - TRANSFER_COUNT, the maximum number of transfers, TRANSFER_AMOUNT, the maximum total amount of
+   * the transfers by currency, and NET_POSITION, the maximum net position of a participant by currency, either way
+   * @returns {object} - Returns the settlementWindowId and the reason of the first threshold reached, or null if none is
+   */
+  getClosureThresholdBreach: async function ({ TRANSFER_COUNT, TRANSFER_AMOUNT = {}, NET_POSITION = {} }) {
+    const openWindow = await SettlementWindowModel.getOpen()
+    if (!openWindow) {
+      return null
+    }
+    const { settlementWindowId } = openWindow
+    if (TRANSFER_COUNT) {
+      const { cnt } = await SettlementWindowModel.getTransfersCount({ settlementWindowId })
+      if (cnt >= TRANSFER_COUNT) {
+        return { settlementWindowId, reason: `${cnt} transfers reached the TRANSFER_COUNT threshold of ${TRANSFER_COUNT}` }
+      }
+    }
+    if (!Object.keys(TRANSFER_AMOUNT).length && !Object.keys(NET_POSITION).length) {
+      return null
+    }
+    const positions = await SettlementWindowModel.getParticipantPositions({ settlementWindowId })
+    // every transfer adds its amount to the POSITION account of the payer
+    const transferAmounts = {}
+    for (const { currency, sentAmount } of positions) {
+      transferAmounts[currency] = new BigNumber(sentAmount).plus(transferAmounts[currency] || 0)
+    }
+    for (const [currency, amount] of Object.entries(transferAmounts)) {
+      if (TRANSFER_AMOUNT[currency] && amount.gte(TRANSFER_AMOUNT[currency])) {
+        return { settlementWindowId, reason: `${currency} transfer amount ${amount} reached the TRANSFER_AMOUNT threshold of ${TRANSFER_AMOUNT[currency]}` }
+      }
+    }
+    for (const { fspId, currency, netAmount } of positions) {
+      if (NET_POSITION[currency] && new BigNumber(netAmount).abs().gte(NET_POSITION[currency])) {
+        return { settlementWindowId, reason: `${currency} net position ${new BigNumber(netAmount)} of ${fspId} reached the NET_POSITION threshold of ${NET_POSITION[currency]}` }
+      }
+    }
+    return null
+  },
+
+  /**
+   * @function getStuckWindows
+   *
+   * @async
+   * @description Returns the settlement windows that have been in PROCESSING for at least stuckSeconds, their close message was lost
+   * or their close kept failing
+   * @param {number} stuckSeconds - Minimum time in PROCESSING
+   * @returns {array} - Returns the stuck settlement windows, oldest first
+   */
+  getStuckWindows: async function (stuckSeconds) {
+    return SettlementWindowModel.getProcessing({ changedBefore: new Date(Date.now() - stuckSeconds * 1000) })
+  },
+
+  /**
+   * @function retryClose
+   *
+   * @async
+   * @description Closes a settlement window in PROCESSING right away, without the deferredsettlement-close message, with the reason
+   * it was given when it was processed. The close runs in a single transaction, so a failed close leaves nothing behind and can be retried.
+   * @param {number} settlementWindowId - Id of the settlement window
+   * @returns {object} - Returns the closed settlement window
+   */
+  retryClose: async function (settlementWindowId) {
+    const settlementWindow = await SettlementWindowModel.getById({ settlementWindowId })
+    let error = null
+    if (!settlementWindow) {
+      error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.UNKNOWN_URI, `No record for settlementWindowId: ${settlementWindowId} found`)
+    } else if (settlementWindow.state !== Enum.Settlements.SettlementWindowState.PROCESSING) {
+      error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, `Window ${settlementWindowId} is not in processing state`)
+    }
+    if (error) {
+      Logger.isErrorEnabled && Logger.error(error)
+      throw error
+    }
+    Logger.isInfoEnabled && Logger.info(`Retrying the close of settlement window ${settlementWindowId}, in PROCESSING since ${settlementWindow.changedDate}`)
+    return module.exports.close(settlementWindowId, settlementWindow.reason)
+  },
+
+  /**
+   * @function recoverStuckWindows
+   *
+   * @async
+   * @description Retries the close of every settlement window stuck in PROCESSING for at least stuckSeconds. A window whose close
+   * fails again is logged as an error and left in PROCESSING for the next run.
+   * @param {number} stuckSeconds - Minimum time in PROCESSING
+   * @returns {object} - Returns the ids of the recovered windows and the windows that failed with the error description
+   */
+  recoverStuckWindows: async function (stuckSeconds) {
+    const recovered = []
+    const failed = []
+    for (const { settlementWindowId, changedDate } of await module.exports.getStuckWindows(stuckSeconds)) {
+      Logger.isWarnEnabled && Logger.warn(`Settlement window ${settlementWindowId} stuck in PROCESSING since ${changedDate}`)
+      try {
+        await module.exports.retryClose(settlementWindowId)
+        recovered.push(settlementWindowId)
+      } catch (err) {
+        Logger.isErrorEnabled && Logger.error(`Settlement window ${settlementWindowId} is still stuck in PROCESSING, its close failed: ${err.message}`)
+        failed.push({ settlementWindowId, errorDescription: err.message })
+      }
+    }
+    return { recovered, failed }
+  },
+
+  /**
+   * @function abort
+   *
+   * @async
+   * @description Aborts a CLOSED settlement window that is not in any settlement, removing its content and aggregated amounts. The
+   * transfers of an aborted window are moved to the open window and settled with it. With reaggregate, the window keeps its transfers
+   * and its content is aggregated again from them, like when it was closed. If that close fails, the window stays in PROCESSING and
+   * is recovered like a window whose close message was lost.
+   * @param {number} settlementWindowId - Id of the settlement window
+   * @param {string} reason - Reason recorded with the state change
+   * @param {boolean} reaggregate - Aggregates the window content again instead of aborting the window
+   * @param {object} enums - The settlementWindowStates enum
+   * @returns {object} - Returns the ABORTED or the re-aggregated CLOSED settlement window
+   */
+  abort: async function ({ settlementWindowId, reason, reaggregate = false }, enums) {
+    const openSettlementWindowId = await SettlementWindowModel.abort({ settlementWindowId, reason, reaggregate }, enums)
+    if (reaggregate) {
+      Logger.isInfoEnabled && Logger.info(`Settlement window ${settlementWindowId} content removed, aggregating it again: ${reason}`)
+      return module.exports.close(settlementWindowId, reason)
+    }
+    Logger.isInfoEnabled && Logger.info(`Settlement window ${settlementWindowId} aborted, its transfers moved to settlement window ${openSettlementWindowId}: ${reason}`)
     return SettlementWindowModel.getById({ settlementWindowId })
+  },
+
+  close: async function (settlementWindowId, reason) {
+    const isClosed = await SettlementWindowModel.close(settlementWindowId, reason)
+    const settlementWindow = await SettlementWindowModel.getById({ settlementWindowId })
+    // a window closed meanwhile by another closer has had its rule event published by that closer
+    if (isClosed) {
+      await publishSettlementWindowRuleEvent(settlementWindow)
+    }
+    return settlementWindow
   }
 }
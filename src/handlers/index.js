@@ -40,6 +40,9 @@ const Setup = require('../shared/setup')
 const PJson = require('../../package.json')
 const { Command } = require('commander')
 const HandlerRoutes = require('../api/handlerRoutes')
+const RulesSimulation = require('../shared/rulesSimulation')
+const RulesDeadLetters = require('../shared/rulesDeadLetters')
+const RulesTestHarness = require('../shared/rulesTestHarness')
 
 const Program = new Command()
 
@@ -53,6 +56,7 @@ Program.command('handler') // sub-command name, coffeeType = type, required
   .option('--deferredSettlement', 'Start the Deffered Settlement Handler')
   .option('--grossSettlement', 'Start the Gross Settlement Handler')
   .option('--rules', 'Start the Rules Handler')
+  .option('--windowClosure', 'Start closing the settlement window on the WINDOW_CLOSURE schedule, scope schedules and thresholds, and recovering the windows stuck in PROCESSING')
   // function to execute when command is used
   .action(async (args) => {
     const handlerList = []
@@ -83,6 +87,15 @@ Program.command('handler') // sub-command name, coffeeType = type, required
       handlerList.push(handler)
     }
 
+    if (args.windowClosure === true) {
+      Logger.isDebugEnabled && Logger.debug('CLI: Executing --windowClosure')
+      const handler = {
+        type: 'windowClosure',
+        enabled: true
+      }
+      handlerList.push(handler)
+    }
+
     module.exports = Setup.initialize({
       service: 'handler',
       port: Config.PORT,
@@ -92,6 +105,34 @@ Program.command('handler') // sub-command name, coffeeType = type, required
     })
   })
 
+Program.command('simulate <scriptFile>')
+  .description('Run a rule script against a transfer and print the ledger entries it would add, without writing them')
+  .option('--transferId <transferId>', 'Id of the transfer, loaded from the central ledger unless --transfer is given')
+  .option('--transfer <transferFile>', 'JSON file with the transfer object the script receives')
+  .option('--payload <payloadFile>', 'JSON file with the message the script receives as payload')
+  .action(async (scriptFile, args) => {
+    Logger.isDebugEnabled && Logger.debug(`CLI: Executing simulate ${scriptFile}`)
+    module.exports = RulesSimulation.run(scriptFile, args)
+  })
+
+Program.command('deadLetters <action> [id]')
+  .description('List the failed rule executions (list) or replay one of them with the current rule scripts (replay <id>)')
+  .option('--status <status>', 'Only list dead letters with this status, PENDING or REPLAYED')
+  .option('--transferId <transferId>', 'Only list dead letters of this transfer')
+  .action(async (action, id, args) => {
+    Logger.isDebugEnabled && Logger.debug(`CLI: Executing deadLetters ${action}`)
+    module.exports = RulesDeadLetters.run(action, id, args)
+  })
+
+Program.command('testRules')
+  .description('Run the test cases of the rule scripts and exit with a non-zero code if a script adds other ledger entries than expected')
+  .option('--scripts <scriptsFolder>', 'Folder with the rule scripts, HANDLERS.SETTINGS.RULES.SCRIPTS_FOLDER by default')
+  .option('--cases <casesFolder>', 'Folder with the JSON test case files, the tests folder of the scripts folder by default')
+  .action(async (args) => {
+    Logger.isDebugEnabled && Logger.debug('CLI: Executing testRules')
+    module.exports = RulesTestHarness.run(args)
+  })
+
 if (Array.isArray(process.argv) && process.argv.length > 2) {
   // parse command line vars
   Program.parse(process.argv)
@@ -35,6 +35,7 @@ const requireGlob = require('require-glob')
 const DeferredSettlementHandler = require('./deferredSettlement/handler')
 const GrossSettlementHandler = require('./grossSettlement/handler')
 const RulesHandler = require('./rules/handler')
+const WindowClosureHandler = require('./windowClosure/handler')
 
 /**
  * @module src/handlers
@@ -88,5 +89,9 @@ module.exports = {
   rules: {
     registerAllHandlers: RulesHandler.registerAllHandlers,
     registerRulesHandler: RulesHandler.registerRules
+  },
+  windowClosure: {
+    registerAllHandlers: WindowClosureHandler.registerAllHandlers,
+    registerWindowClosureHandler: WindowClosureHandler.registerWindowClosureHandler
   }
 }
@@ -39,6 +39,8 @@ const ErrorHandler = require('@mojaloop/central-services-error-handling')
 const Kafka = require('@mojaloop/central-services-shared').Util.Kafka
 const Logger = require('@mojaloop/central-services-logger')
 const Producer = require('@mojaloop/central-services-stream').Util.Producer
+const RuleEvents = require('../../lib/ruleEvents')
+const RulesMetrics = require('../../lib/rulesMetrics')
 const RulesService = require('../../domain/rules')
 const scriptsLoader = require('../../lib/scriptsLoader')
 const Utility = require('@mojaloop/central-services-shared').Util
@@ -48,78 +50,271 @@ const LOG_LOCATION = { module: 'RulesHandler', method: '', path: '' } // var obj
 const {
   CONSUMER_COMMIT,
   FROM_SWITCH,
-  SCRIPTS_FOLDER
+  SCRIPTS_FOLDER,
+  HOT_RELOAD
 } = Config.HANDLERS.SETTINGS.RULES
 
 let INJECTED_SCRIPTS = {}
+let SCRIPTS_WATCHER = null
+let RELOAD_SIGNAL_REGISTERED = false
 
-async function processRules (error, messages) {
-  if (error) {
-    Logger.isErrorEnabled && Logger.error(error)
-    throw ErrorHandling.Factory.reformatFSPIOPError(error)
+const RULE_FAILURE_STAGE = {
+  EXECUTE: 'execute',
+  APPLY: 'apply',
+  REVERSE: 'reverse'
+}
+
+// the error of a failed script is the cause of the scripts loader error
+const describeRuleFailure = (err) => {
+  return err.cause instanceof Error ? `${err.message}: ${err.cause.message}` : err.message
+}
+
+const getFailedScriptName = (err) => {
+  const extension = (err.extensions || []).find(extension => extension.key === 'scriptName')
+  return extension ? extension.value : null
+}
+
+/**
+ * @function executeRules
+ *
+ * @async
+ * @description Runs the rule scripts for a message and applies their ledger entries, the processing shared by processRules
+ * and replayDeadLetter. A fee reversal event reverses the rule ledger entries of its transfer instead.
+ * @param {object} message - The Kafka message, with the event as value
+ * @param {function} onRuleFailure - Called with the stage, scriptName and error before a script or ledger entry failure is thrown
+ * @returns {boolean} - Returns true if successful, or throws an error if failed
+ */
+async function executeRules (message, onRuleFailure = async () => {}) {
+  const payload = message.value.content.payload
+  const kafkaTopic = message.topic
+  const params = { message, kafkaTopic, decodedPayload: payload, consumer: Consumer, producer: Producer }
+
+  const transferEventId = message.value.id
+  const transferEventType = message.value.metadata.event.type
+  const transferEventAction = message.value.metadata.event.action
+  const transferEventStateStatus = message.value.metadata.event.state.status
+  const actionLetter = transferEventAction === Enum.Events.Event.Action.COMMIT
+    ? Enum.Events.ActionLetter.commit
+    : Enum.Events.ActionLetter.unknown
+
+  if (!payload) {
+    Logger.isInfoEnabled && Logger.info(Utility.breadcrumb(LOG_LOCATION, `missingPayload--${actionLetter}1`))
+    const fspiopError = ErrorHandling.Factory.createInternalServerFSPIOPError('Rules handler missing payload')
+    const eventDetail = { functionality: Enum.Events.Event.Type.NOTIFICATION, action: Enum.Events.Event.Action.SETTLEMENT_WINDOW }
+    await Kafka.proceed(Config.KAFKA_CONFIG, params, { CONSUMER_COMMIT, fspiopError: fspiopError.toApiErrorObject(Config.ERROR_HANDLING), eventDetail, FROM_SWITCH })
+    throw fspiopError
   }
-  Logger.isInfoEnabled && Logger.info(Utility.breadcrumb(LOG_LOCATION, messages))
-  let message = {}
-  try {
-    Logger.isInfoEnabled && Logger.info(Utility.breadcrumb(LOG_LOCATION, { method: 'processRules' }))
-    if (Array.isArray(messages)) {
-      message = messages[0]
-    } else {
-      message = messages
-    }
-    const payload = message.value.content.payload
-    const kafkaTopic = message.topic
-    const params = { message, kafkaTopic, decodedPayload: payload, consumer: Consumer, producer: Producer }
-
-    const transferEventId = message.value.id
-    const transferEventType = message.value.metadata.event.type
-    const transferEventAction = message.value.metadata.event.action
-    const transferEventStateStatus = message.value.metadata.event.state.status
-    const actionLetter = transferEventAction === Enum.Events.Event.Action.COMMIT
-      ? Enum.Events.ActionLetter.commit
-      : Enum.Events.ActionLetter.unknown
-
-    if (!payload) {
-      Logger.isInfoEnabled && Logger.info(Utility.breadcrumb(LOG_LOCATION, `missingPayload--${actionLetter}1`))
-      const fspiopError = ErrorHandling.Factory.createInternalServerFSPIOPError('Rules handler missing payload')
-      const eventDetail = { functionality: Enum.Events.Event.Type.NOTIFICATION, action: Enum.Events.Event.Action.SETTLEMENT_WINDOW }
-      await Kafka.proceed(Config.KAFKA_CONFIG, params, { CONSUMER_COMMIT, fspiopError: fspiopError.toApiErrorObject(Config.ERROR_HANDLING), eventDetail, FROM_SWITCH })
-      throw fspiopError
+  Logger.isInfoEnabled && Logger.info(Utility.breadcrumb(LOG_LOCATION, 'validationPassed'))
+
+  if (RuleEvents.isReversalEvent(message.value.metadata.event)) {
+    const { transferId, reason } = RuleEvents.getEventContext(message.value).value
+    try {
+      await RulesService.reverseRuleLedgerEntries({ transferId: transferId || transferEventId, reason })
+    } catch (err) {
+      await onRuleFailure({ stage: RULE_FAILURE_STAGE.REVERSE, scriptName: null, error: describeRuleFailure(err) })
+      throw err
     }
-    Logger.isInfoEnabled && Logger.info(Utility.breadcrumb(LOG_LOCATION, 'validationPassed'))
+    Logger.isInfoEnabled && Logger.info(Utility.breadcrumb(LOG_LOCATION, `reversed--${actionLetter}2`))
+    return true
+  }
 
-    // execute the rule
-    Logger.isInfoEnabled && Logger.info(Utility.breadcrumb(LOG_LOCATION, 'executing the scripts'))
-    const scriptResults = await scriptsLoader.executeScripts(INJECTED_SCRIPTS, transferEventType, transferEventAction, transferEventStateStatus, message.value)
-    Logger.isDebugEnabled && Logger.debug(`Rules Handler - scriptResults: ${JSON.stringify(scriptResults)}`)
+  // execute the rule
+  Logger.isInfoEnabled && Logger.info(Utility.breadcrumb(LOG_LOCATION, 'executing the scripts'))
+  let scriptResults
+  try {
+    scriptResults = await scriptsLoader.executeScripts(INJECTED_SCRIPTS, transferEventType, transferEventAction, transferEventStateStatus, message.value)
+  } catch (err) {
+    await onRuleFailure({ stage: RULE_FAILURE_STAGE.EXECUTE, scriptName: getFailedScriptName(err), error: describeRuleFailure(err) })
+    throw err
+  }
+  Logger.isDebugEnabled && Logger.debug(`Rules Handler - scriptResults: ${JSON.stringify(scriptResults)}`)
 
-    const ledgerEntries = scriptResults.ledgerEntries ? scriptResults.ledgerEntries : []
-    if (ledgerEntries.length > 0) {
+  const executions = scriptResults.executions ? scriptResults.executions : []
+  for (const { scriptName, reason, excludedBy } of scriptResults.skipped || []) {
+    Logger.isDebugEnabled && Logger.debug(`Rules Handler - skipped script ${scriptName} for transfer ${transferEventId}: ${reason}${excludedBy ? ` by ${excludedBy}` : ''}`)
+  }
+  if (executions.length > 0) {
+    let appliedExecutions
+    try {
       const knex = Db.getKnex()
       await knex.transaction(async trx => {
         try {
-          await RulesService.insertLedgerEntries(ledgerEntries, transferEventId, trx)
+          appliedExecutions = await RulesService.applyRuleExecutions(executions, transferEventId, message.value.metadata.event, trx)
           await trx.commit
         } catch (err) {
           await trx.rollback
           throw ErrorHandler.Factory.reformatFSPIOPError(err)
         }
       })
+    } catch (err) {
+      await onRuleFailure({ stage: RULE_FAILURE_STAGE.APPLY, scriptName: executions.map(execution => execution.scriptName).join(', '), error: describeRuleFailure(err) })
+      throw err
     }
-    Logger.isInfoEnabled && Logger.info(Utility.breadcrumb(LOG_LOCATION, `done--${actionLetter}2`))
-    return true
+    // executions already applied for a redelivered message are skipped by applyRuleExecutions and their fees are not counted again
+    RulesMetrics.recordFees(appliedExecutions.flatMap(execution => execution.ledgerEntries))
+  }
+  Logger.isInfoEnabled && Logger.info(Utility.breadcrumb(LOG_LOCATION, `done--${actionLetter}2`))
+  return true
+}
+
+/**
+ * @function processRules
+ *
+ * @async
+ * @description Runs the rule scripts for a transfer notification or a settlement window or settlement rule event. The message is not retried: if a script or its ledger entries
+ * fail, the message, the script and the error are recorded as a dead letter that can be replayed with replayDeadLetter. The processing time
+ * is recorded in the rules metrics.
+ * @returns {boolean} - Returns true, errors are logged
+ */
+async function processRules (error, messages) {
+  if (error) {
+    Logger.isErrorEnabled && Logger.error(error)
+    throw ErrorHandling.Factory.reformatFSPIOPError(error)
+  }
+  Logger.isInfoEnabled && Logger.info(Utility.breadcrumb(LOG_LOCATION, messages))
+  const histTimerEnd = RulesMetrics.startMessageTimer()
+  let message = {}
+  let event = {}
+  try {
+    Logger.isInfoEnabled && Logger.info(Utility.breadcrumb(LOG_LOCATION, { method: 'processRules' }))
+    if (Array.isArray(messages)) {
+      message = messages[0]
+    } else {
+      message = messages
+    }
+    event = message.value.metadata.event
+    const result = await executeRules(message, async (ruleFailure) => {
+      const ruleDeadLetter = await RulesService.createRuleDeadLetter({ message, ...ruleFailure })
+      Logger.isErrorEnabled && Logger.error(`Rules Handler - rules failed for transfer ${ruleDeadLetter.transferId}, recorded as dead letter ${ruleDeadLetter.settlementRuleDeadLetterId}`)
+    })
+    histTimerEnd({ success: true, eventType: event.type, eventAction: event.action })
+    return result
   } catch (err) {
+    histTimerEnd({ success: false, eventType: event.type, eventAction: event.action })
     Logger.isErrorEnabled && Logger.error(`${Utility.breadcrumb(LOG_LOCATION)}::${err.message}--0`, err)
     return true
   }
 }
 
+/**
+ * @function replayDeadLetter
+ *
+ * @async
+ * @description Runs the rules again for the message of a dead letter, after the script or the data it failed for has been fixed.
+ * Scripts that were already applied to the transfer are skipped. The dead letter is marked REPLAYED on success, and keeps
+ * the PENDING status with the new error otherwise.
+ * @param {number} settlementRuleDeadLetterId - Id of the dead letter
+ * @returns {object} - Returns the replayed dead letter, or throws an error if the replay failed
+ */
+async function replayDeadLetter (settlementRuleDeadLetterId) {
+  const ruleDeadLetter = await RulesService.getRuleDeadLetterById(settlementRuleDeadLetterId)
+  if (ruleDeadLetter.status === RulesService.RULE_DEAD_LETTER_STATUS.REPLAYED) {
+    const fspiopError = ErrorHandling.Factory.createFSPIOPError(ErrorHandling.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, `Rule dead letter ${settlementRuleDeadLetterId} was already replayed`)
+    Logger.isErrorEnabled && Logger.error(fspiopError)
+    throw fspiopError
+  }
+  const { topic, partition, offset, message: value } = ruleDeadLetter
+  try {
+    await executeRules({ topic, partition, offset, value })
+  } catch (err) {
+    const error = describeRuleFailure(err)
+    await RulesService.updateRuleDeadLetterReplay(settlementRuleDeadLetterId, { status: RulesService.RULE_DEAD_LETTER_STATUS.PENDING, error })
+    const fspiopError = ErrorHandling.Factory.createFSPIOPError(ErrorHandling.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, `Replay of rule dead letter ${settlementRuleDeadLetterId} failed: ${error}`)
+    Logger.isErrorEnabled && Logger.error(fspiopError)
+    throw fspiopError
+  }
+  Logger.isInfoEnabled && Logger.info(`Rules Handler - dead letter ${settlementRuleDeadLetterId} replayed for transfer ${ruleDeadLetter.transferId}`)
+  return RulesService.updateRuleDeadLetterReplay(settlementRuleDeadLetterId, { status: RulesService.RULE_DEAD_LETTER_STATUS.REPLAYED })
+}
+
+/**
+ * @function loadDatabaseScripts
+ *
+ * @async
+ * @description Gets the rule scripts stored through the rules API. The handler still starts with the SCRIPTS_FOLDER
+ * scripts if they can not be read, e.g. when the settlement migrations have not been run yet.
+ * @returns {object[]} - Returns the settlementRuleScript records
+ */
+async function loadDatabaseScripts () {
+  try {
+    return await RulesService.getDatabaseRuleScripts()
+  } catch (err) {
+    Logger.isErrorEnabled && Logger.error(`Rules handler - unable to load the database rule scripts, only ${SCRIPTS_FOLDER} is used: ${err.message}`)
+    return []
+  }
+}
+
+/**
+ * @function recordScriptVersions
+ *
+ * @async
+ * @description Records the versions of the loaded rule scripts, so that the source behind a ledger entry can still be looked up
+ * after the script has changed. Failures are logged and the loaded scripts are used anyway.
+ * @param {object} scriptsMap - The loaded scripts
+ */
+async function recordScriptVersions (scriptsMap) {
+  try {
+    const newVersions = await RulesService.recordRuleScriptVersions(scriptsLoader.listScripts(scriptsMap, true))
+    Logger.isInfoEnabled && Logger.info(`Rules handler - ${newVersions} new rule script version(s) recorded`)
+  } catch (err) {
+    Logger.isErrorEnabled && Logger.error(`Rules handler - unable to record the rule script versions: ${err.message}`)
+  }
+}
+
+/**
+ * @function reloadRules
+ *
+ * @async
+ * @description Loads the rule scripts from SCRIPTS_FOLDER and the database into a new scripts map and swaps it in only if every script
+ * has valid headers and compiles. On failure the previously loaded scripts stay active and the error is thrown.
+ * @param {string} trigger - What requested the reload (api, signal, watch), used for logging
+ * @returns {object} - Returns the reload date and the list of loaded scripts
+ */
+async function reloadRules (trigger = 'api') {
+  Logger.isInfoEnabled && Logger.info(Utility.breadcrumb(LOG_LOCATION, { method: 'reloadRules', path: trigger }))
+  let scriptsMap
+  try {
+    const databaseScripts = await RulesService.getDatabaseRuleScripts()
+    scriptsMap = scriptsLoader.reloadScripts(SCRIPTS_FOLDER, databaseScripts)
+  } catch (err) {
+    const fspiopError = ErrorHandling.Factory.createFSPIOPError(ErrorHandling.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, `Rules reload triggered by ${trigger} failed, the previously loaded scripts remain active: ${err.message}`)
+    Logger.isErrorEnabled && Logger.error(fspiopError)
+    throw fspiopError
+  }
+  INJECTED_SCRIPTS = scriptsMap
+  await recordScriptVersions(INJECTED_SCRIPTS)
+  const scripts = scriptsLoader.listScripts(INJECTED_SCRIPTS)
+  Logger.isInfoEnabled && Logger.info(`Rules reload triggered by ${trigger} succeeded, ${scripts.length} script(s) loaded`)
+  return {
+    reloadedDate: new Date(),
+    scripts
+  }
+}
+
+/**
+ * @function enableHotReload
+ *
+ * @description Reloads the rule scripts when HOT_RELOAD.SIGNAL is received and, if HOT_RELOAD.WATCH_SCRIPTS_FOLDER is set,
+ * when the contents of SCRIPTS_FOLDER change. Failures are logged by reloadRules and the previous scripts remain active.
+ */
+function enableHotReload () {
+  const reload = (trigger) => reloadRules(trigger).catch(() => {})
+  if (HOT_RELOAD.SIGNAL && !RELOAD_SIGNAL_REGISTERED) {
+    process.on(HOT_RELOAD.SIGNAL, () => reload('signal'))
+    RELOAD_SIGNAL_REGISTERED = true
+  }
+  if (HOT_RELOAD.WATCH_SCRIPTS_FOLDER && !SCRIPTS_WATCHER) {
+    SCRIPTS_WATCHER = scriptsLoader.watchScripts(SCRIPTS_FOLDER, () => reload('watch'), HOT_RELOAD.WATCH_DEBOUNCE_MS)
+  }
+}
+
 /**
  * @function registerRules
  *
  * @async
  * @description Registers RulesHandler for processing settlement rules. Gets Kafka config from default.json
- * Calls createHandler to register the handler against the Stream Processing API
+ * Calls createHandler to register the handler against the Stream Processing API, for the transfer notifications and for the
+ * settlement window and settlement rule events
  * @returns {boolean} - Returns a boolean: true if successful, or throws and error if failed
  */
 async function registerRules () {
@@ -127,13 +322,21 @@ async function registerRules () {
     if (SCRIPTS_FOLDER == null) {
       throw new Error('No SCRIPTS_FOLDER configured for running the rules handler')
     }
-    INJECTED_SCRIPTS = scriptsLoader.loadScripts(SCRIPTS_FOLDER)
+    INJECTED_SCRIPTS = scriptsLoader.loadScripts(SCRIPTS_FOLDER, await loadDatabaseScripts())
+    await recordScriptVersions(INJECTED_SCRIPTS)
+    enableHotReload()
     const registerRulesHandler = {
       command: processRules,
       topicName: Kafka.transformGeneralTopicName(Config.KAFKA_CONFIG.TOPIC_TEMPLATES.GENERAL_TOPIC_TEMPLATE.TEMPLATE, Enum.Events.Event.Type.NOTIFICATION, Enum.Events.Event.Action.EVENT),
       config: Kafka.getKafkaConfig(Config.KAFKA_CONFIG, Enum.Kafka.Config.CONSUMER, Enum.Events.Event.Type.NOTIFICATION.toUpperCase(), Enum.Events.Event.Action.EVENT.toUpperCase())
     }
     await Consumer.createHandler(registerRulesHandler.topicName, registerRulesHandler.config, registerRulesHandler.command)
+    const registerRuleEventsHandler = {
+      command: processRules,
+      topicName: Kafka.transformGeneralTopicName(Config.KAFKA_CONFIG.TOPIC_TEMPLATES.GENERAL_TOPIC_TEMPLATE.TEMPLATE, RuleEvents.RULE_EVENT_TOPIC.FUNCTIONALITY, RuleEvents.RULE_EVENT_TOPIC.ACTION),
+      config: Kafka.getKafkaConfig(Config.KAFKA_CONFIG, Enum.Kafka.Config.CONSUMER, RuleEvents.RULE_EVENT_TOPIC.FUNCTIONALITY.toUpperCase(), RuleEvents.RULE_EVENT_TOPIC.ACTION.toUpperCase())
+    }
+    await Consumer.createHandler(registerRuleEventsHandler.topicName, registerRuleEventsHandler.config, registerRuleEventsHandler.command)
     return true
   } catch (err) {
     Logger.isErrorEnabled && Logger.error(err)
@@ -162,5 +365,7 @@ async function registerAllHandlers () {
 module.exports = {
   processRules,
   registerAllHandlers,
-  registerRules
+  registerRules,
+  reloadRules,
+  replayDeadLetter
 }
@@ -0,0 +1,403 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+/**
+ * @module src/handlers/windowClosure
+ */
+const { CronJob } = require('cron')
+const Os = require('os')
+const Config = require('../../lib/config')
+const Consumer = require('@mojaloop/central-services-stream').Util.Consumer
+const Enum = require('@mojaloop/central-services-shared').Enum
+const ErrorHandler = require('@mojaloop/central-services-error-handling')
+const JobLockModel = require('../../models/misc/jobLock')
+const Kafka = require('@mojaloop/central-services-shared').Util.Kafka
+const Logger = require('@mojaloop/central-services-logger')
+const SettlementWindowService = require('../../domain/settlementWindow')
+
+const { SCHEDULE, THRESHOLDS, RECOVERY, SCOPES = [] } = Config.HANDLERS.SETTINGS.WINDOW_CLOSURE
+
+const SCHEDULE_LOCK_NAME = 'settlementWindowClosureSchedule'
+const THRESHOLD_LOCK_NAME = 'settlementWindowClosureThreshold'
+const RECOVERY_LOCK_NAME = 'settlementWindowRecovery'
+const LOCKED_BY = `${Os.hostname()}:${process.pid}`
+// the notification consumer has its own consumer group, so that it sees every transfer next to the other notification handlers
+const THRESHOLD_CONSUMER_ACTION = 'WINDOW_CLOSURE'
+const THRESHOLD_EVENT_ACTIONS = [Enum.Events.Event.Action.COMMIT, Enum.Events.Event.Action.RESERVE, Enum.Events.Event.Action.BULK_COMMIT]
+
+let SCHEDULE_JOB = null
+let SCOPE_JOBS = []
+let RECOVERY_JOB = null
+let LAST_THRESHOLD_CHECK = 0
+let TRAILING_THRESHOLD_CHECK = null
+
+const hasClosureThresholds = () => !!(THRESHOLDS.TRANSFER_COUNT ||
+  Object.keys(THRESHOLDS.TRANSFER_AMOUNT || {}).length ||
+  Object.keys(THRESHOLDS.NET_POSITION || {}).length)
+
+const getScopeName = (scope) => scope.CURRENCY ? `currency ${scope.CURRENCY}` : `settlement model ${scope.SETTLEMENT_MODEL}`
+
+/**
+ * @function closeScheduledWindow
+ *
+ * @async
+ * @description Closes the open settlement window when the schedule fires. Every replica of the handler runs the schedule, the
+ * job lock lets only the first one close the window. Failures are logged, the next closure is attempted at the next scheduled time.
+ * @returns {object} - Returns the new open settlement window, or null if the window was not closed
+ */
+async function closeScheduledWindow () {
+  try {
+    if (!await JobLockModel.acquire(SCHEDULE_LOCK_NAME, LOCKED_BY, SCHEDULE.LOCK_SECONDS)) {
+      Logger.isInfoEnabled && Logger.info('Scheduled settlement window closure skipped, it was run by another replica')
+      return null
+    }
+    const settlementWindow = await SettlementWindowService.closeOpenWindow(`Closed by the settlement window schedule ${SCHEDULE.CRON} (${SCHEDULE.TIME_ZONE})`)
+    if (settlementWindow) {
+      Logger.isInfoEnabled && Logger.info(`Scheduled settlement window closure done, settlement window ${settlementWindow.settlementWindowId} opened`)
+    }
+    return settlementWindow
+  } catch (err) {
+    Logger.isErrorEnabled && Logger.error(`Scheduled settlement window closure failed: ${err.message}`)
+    return null
+  }
+}
+
+/**
+ * @function closeScopedWindow
+ *
+ * @async
+ * @description Closes the transfers of a currency or settlement model in the open settlement window when the schedule of the scope
+ * fires, the transfers of other scopes stay in the open window. Each scope has its own job lock, so that only the first replica
+ * closes it. Failures are logged, the next closure is attempted at the next scheduled time.
+ * @param {object} scope - The CURRENCY or SETTLEMENT_MODEL of the WINDOW_CLOSURE.SCOPES entry, with its CRON and TIME_ZONE
+ * @returns {object} - Returns the new open settlement window, or null if the window was not closed
+ */
+async function closeScopedWindow (scope) {
+  const scopeName = getScopeName(scope)
+  try {
+    const lockName = `${SCHEDULE_LOCK_NAME}:${scope.CURRENCY || scope.SETTLEMENT_MODEL}`
+    if (!await JobLockModel.acquire(lockName, LOCKED_BY, scope.LOCK_SECONDS || SCHEDULE.LOCK_SECONDS)) {
+      Logger.isInfoEnabled && Logger.info(`Scheduled settlement window closure for ${scopeName} skipped, it was run by another replica`)
+      return null
+    }
+    const settlementWindow = await SettlementWindowService.closeOpenWindow(`Closed for ${scopeName} by the settlement window schedule ${scope.CRON} (${scope.TIME_ZONE})`,
+      undefined, { currency: scope.CURRENCY, settlementModel: scope.SETTLEMENT_MODEL })
+    if (settlementWindow) {
+      Logger.isInfoEnabled && Logger.info(`Scheduled settlement window closure for ${scopeName} done, settlement window ${settlementWindow.settlementWindowId} opened`)
+    }
+    return settlementWindow
+  } catch (err) {
+    Logger.isErrorEnabled && Logger.error(`Scheduled settlement window closure for ${scopeName} failed: ${err.message}`)
+    return null
+  }
+}
+
+/**
+ * @function closeWindowOnThreshold
+ *
+ * @async
+ * @description Closes the open settlement window if it reached one of the closure thresholds, with the threshold as reason.
+ * The job lock lets only one replica close the window, a replica that checked the same window later finds it already closed.
+ * Failures are logged, the thresholds are checked again on the next transfer.
+ * @returns {object} - Returns the new open settlement window, or null if the window was not closed
+ */
+async function closeWindowOnThreshold () {
+  try {
+    const breach = await SettlementWindowService.getClosureThresholdBreach(THRESHOLDS)
+    if (!breach) {
+      return null
+    }
+    if (!await JobLockModel.acquire(THRESHOLD_LOCK_NAME, LOCKED_BY, THRESHOLDS.LOCK_SECONDS)) {
+      Logger.isInfoEnabled && Logger.info(`Settlement window ${breach.settlementWindowId} threshold closure skipped, it is run by another replica`)
+      return null
+    }
+    const settlementWindow = await SettlementWindowService.closeOpenWindow(`Closed by threshold: ${breach.reason}`, breach.settlementWindowId)
+    if (settlementWindow) {
+      Logger.isInfoEnabled && Logger.info(`Settlement window ${breach.settlementWindowId} closed by threshold (${breach.reason}), settlement window ${settlementWindow.settlementWindowId} opened`)
+    }
+    return settlementWindow
+  } catch (err) {
+    Logger.isErrorEnabled && Logger.error(`Settlement window threshold closure failed: ${err.message}`)
+    return null
+  }
+}
+
+/**
+ * @function recoverStuckWindows
+ *
+ * @async
+ * @description Retries the close of the settlement windows stuck in PROCESSING for RECOVERY.STUCK_SECONDS when the recovery schedule
+ * fires. The job lock lets only one replica run the recovery. Failures are logged, the windows are retried at the next scheduled time.
+ * @returns {object} - Returns the ids of the recovered windows and the windows that failed, or null if the recovery was not run
+ */
+async function recoverStuckWindows () {
+  try {
+    if (!await JobLockModel.acquire(RECOVERY_LOCK_NAME, LOCKED_BY, RECOVERY.LOCK_SECONDS)) {
+      Logger.isInfoEnabled && Logger.info('Settlement window recovery skipped, it was run by another replica')
+      return null
+    }
+    const result = await SettlementWindowService.recoverStuckWindows(RECOVERY.STUCK_SECONDS)
+    if (result.recovered.length || result.failed.length) {
+      Logger.isInfoEnabled && Logger.info(`Settlement window recovery done, ${result.recovered.length} closed, ${result.failed.length} still stuck in PROCESSING`)
+    }
+    return result
+  } catch (err) {
+    Logger.isErrorEnabled && Logger.error(`Settlement window recovery failed: ${err.message}`)
+    return null
+  }
+}
+
+const checkThresholds = async () => {
+  clearTimeout(TRAILING_THRESHOLD_CHECK)
+  TRAILING_THRESHOLD_CHECK = null
+  LAST_THRESHOLD_CHECK = Date.now()
+  return closeWindowOnThreshold()
+}
+
+/**
+ * @function processThresholdNotification
+ *
+ * @async
+ * @description Checks the closure thresholds for a successful transfer commit notification, at most once per THRESHOLDS.INTERVAL_MS.
+ * A notification received within the interval schedules one check at its end, so that the last transfers before a quiet period are
+ * checked too. Other notifications are ignored.
+ * @returns {boolean} - Returns true, errors are logged
+ */
+async function processThresholdNotification (error, messages) {
+  if (error) {
+    Logger.isErrorEnabled && Logger.error(error)
+    throw ErrorHandler.Factory.reformatFSPIOPError(error)
+  }
+  try {
+    const message = Array.isArray(messages) ? messages[0] : messages
+    const { action, state } = message.value.metadata.event
+    if (!THRESHOLD_EVENT_ACTIONS.includes(action) || state.status !== Enum.Events.EventStatus.SUCCESS.status) {
+      return true
+    }
+    const elapsedMs = Date.now() - LAST_THRESHOLD_CHECK
+    if (elapsedMs < THRESHOLDS.INTERVAL_MS) {
+      if (!TRAILING_THRESHOLD_CHECK) {
+        TRAILING_THRESHOLD_CHECK = setTimeout(checkThresholds, THRESHOLDS.INTERVAL_MS - elapsedMs)
+      }
+      return true
+    }
+    await checkThresholds()
+    return true
+  } catch (err) {
+    Logger.isErrorEnabled && Logger.error(`Settlement window threshold check failed: ${err.message}`)
+    return true
+  }
+}
+
+/**
+ * @function registerWindowClosureSchedule
+ *
+ * @async
+ * @description Starts closing the open settlement window on the HANDLERS.SETTINGS.WINDOW_CLOSURE.SCHEDULE cron expression, in its TIME_ZONE
+ * @returns {boolean} - Returns a boolean: true if successful, or throws and error if failed
+ */
+async function registerWindowClosureSchedule () {
+  try {
+    if (!SCHEDULE.CRON) {
+      throw new Error('No WINDOW_CLOSURE.SCHEDULE.CRON configured for the settlement window closure schedule')
+    }
+    if (!SCHEDULE_JOB) {
+      SCHEDULE_JOB = new CronJob(SCHEDULE.CRON, closeScheduledWindow, null, true, SCHEDULE.TIME_ZONE)
+      Logger.isInfoEnabled && Logger.info(`Settlement window closure scheduled on ${SCHEDULE.CRON} (${SCHEDULE.TIME_ZONE}), next closure at ${SCHEDULE_JOB.nextDate().toISO()}`)
+    }
+    return true
+  } catch (err) {
+    Logger.isErrorEnabled && Logger.error(err)
+    throw ErrorHandler.Factory.reformatFSPIOPError(err)
+  }
+}
+
+/**
+ * @function registerWindowScopeSchedules
+ *
+ * @async
+ * @description Starts closing the transfers of each HANDLERS.SETTINGS.WINDOW_CLOSURE.SCOPES entry, a CURRENCY or a SETTLEMENT_MODEL,
+ * on its own cron expression, in its TIME_ZONE
+ * @returns {boolean} - Returns a boolean: true if successful, or throws and error if failed
+ */
+async function registerWindowScopeSchedules () {
+  try {
+    if (!SCOPES.length) {
+      throw new Error('No WINDOW_CLOSURE.SCOPES configured for the scoped settlement window closure schedules')
+    }
+    for (const scope of SCOPES) {
+      if (!scope.CRON || !!scope.CURRENCY === !!scope.SETTLEMENT_MODEL) {
+        throw new Error(`WINDOW_CLOSURE.SCOPES entry ${JSON.stringify(scope)} needs a CRON and either a CURRENCY or a SETTLEMENT_MODEL`)
+      }
+    }
+    if (!SCOPE_JOBS.length) {
+      SCOPE_JOBS = SCOPES.map(scope => {
+        const job = new CronJob(scope.CRON, () => closeScopedWindow(scope), null, true, scope.TIME_ZONE)
+        Logger.isInfoEnabled && Logger.info(`Settlement window closure for ${getScopeName(scope)} scheduled on ${scope.CRON} (${scope.TIME_ZONE}), next closure at ${job.nextDate().toISO()}`)
+        return job
+      })
+    }
+    return true
+  } catch (err) {
+    Logger.isErrorEnabled && Logger.error(err)
+    throw ErrorHandler.Factory.reformatFSPIOPError(err)
+  }
+}
+
+/**
+ * @function registerWindowRecoverySchedule
+ *
+ * @async
+ * @description Starts retrying the close of the settlement windows stuck in PROCESSING on the HANDLERS.SETTINGS.WINDOW_CLOSURE.RECOVERY
+ * cron expression, in its TIME_ZONE
+ * @returns {boolean} - Returns a boolean: true if successful, or throws and error if failed
+ */
+async function registerWindowRecoverySchedule () {
+  try {
+    if (!RECOVERY.CRON) {
+      throw new Error('No WINDOW_CLOSURE.RECOVERY.CRON configured for the settlement window recovery schedule')
+    }
+    if (!RECOVERY_JOB) {
+      RECOVERY_JOB = new CronJob(RECOVERY.CRON, recoverStuckWindows, null, true, RECOVERY.TIME_ZONE)
+      Logger.isInfoEnabled && Logger.info(`Settlement window recovery scheduled on ${RECOVERY.CRON} (${RECOVERY.TIME_ZONE}) for windows in PROCESSING for ${RECOVERY.STUCK_SECONDS}s`)
+    }
+    return true
+  } catch (err) {
+    Logger.isErrorEnabled && Logger.error(err)
+    throw ErrorHandler.Factory.reformatFSPIOPError(err)
+  }
+}
+
+/**
+ * @function stopWindowClosureSchedule
+ *
+ * @description Stops the settlement window closure, scoped closure and recovery schedules, if they were started, and cancels a pending
+ * threshold check
+ */
+function stopWindowClosureSchedule () {
+  if (SCHEDULE_JOB) {
+    SCHEDULE_JOB.stop()
+    SCHEDULE_JOB = null
+  }
+  for (const job of SCOPE_JOBS) {
+    job.stop()
+  }
+  SCOPE_JOBS = []
+  if (RECOVERY_JOB) {
+    RECOVERY_JOB.stop()
+    RECOVERY_JOB = null
+  }
+  clearTimeout(TRAILING_THRESHOLD_CHECK)
+  TRAILING_THRESHOLD_CHECK = null
+}
+
+/**
+ * @function registerWindowClosureThresholds
+ *
+ * @async
+ * @description Registers the consumer of the transfer notifications that checks the HANDLERS.SETTINGS.WINDOW_CLOSURE.THRESHOLDS
+ * @returns {boolean} - Returns a boolean: true if successful, or throws and error if failed
+ */
+async function registerWindowClosureThresholds () {
+  try {
+    if (!hasClosureThresholds()) {
+      throw new Error('No WINDOW_CLOSURE.THRESHOLDS configured for the settlement window threshold closure')
+    }
+    const windowClosureThresholdsHandler = {
+      command: processThresholdNotification,
+      topicName: Kafka.transformGeneralTopicName(Config.KAFKA_CONFIG.TOPIC_TEMPLATES.GENERAL_TOPIC_TEMPLATE.TEMPLATE, Enum.Events.Event.Type.NOTIFICATION, Enum.Events.Event.Action.EVENT),
+      config: Kafka.getKafkaConfig(Config.KAFKA_CONFIG, Enum.Kafka.Config.CONSUMER, Enum.Events.Event.Type.NOTIFICATION.toUpperCase(), THRESHOLD_CONSUMER_ACTION)
+    }
+    await Consumer.createHandler(windowClosureThresholdsHandler.topicName, windowClosureThresholdsHandler.config, windowClosureThresholdsHandler.command)
+    return true
+  } catch (err) {
+    Logger.isErrorEnabled && Logger.error(err)
+    throw ErrorHandler.Factory.reformatFSPIOPError(err)
+  }
+}
+
+/**
+ * @function registerWindowClosureHandler
+ *
+ * @async
+ * @description Starts the configured settlement window closures, the schedule, the scope schedules and/or the thresholds, and the
+ * recovery of the windows stuck in PROCESSING, when the handler is started on its own
+ * @returns {boolean} - Returns a boolean: true if successful, or throws and error if failed
+ */
+async function registerWindowClosureHandler () {
+  if (!SCHEDULE.CRON && !SCOPES.length && !hasClosureThresholds() && !RECOVERY.CRON) {
+    const err = new Error('Neither WINDOW_CLOSURE.SCHEDULE.CRON, WINDOW_CLOSURE.SCOPES, WINDOW_CLOSURE.THRESHOLDS nor WINDOW_CLOSURE.RECOVERY.CRON configured for the window closure handler')
+    Logger.isErrorEnabled && Logger.error(err)
+    throw ErrorHandler.Factory.reformatFSPIOPError(err)
+  }
+  return registerAllHandlers()
+}
+
+/**
+ * @function RegisterAllHandlers
+ *
+ * @async
+ * @description Registers all handlers. The schedules are only started if their cron expression is configured, the scope schedules
+ * only if scopes are configured, the threshold consumer only if a threshold is configured
+ *
+ * @returns {boolean} - Returns a boolean: true if successful, or throws and error if failed
+ */
+async function registerAllHandlers () {
+  try {
+    if (SCHEDULE.CRON) {
+      await registerWindowClosureSchedule()
+    }
+    if (SCOPES.length) {
+      await registerWindowScopeSchedules()
+    }
+    if (hasClosureThresholds()) {
+      await registerWindowClosureThresholds()
+    }
+    if (RECOVERY.CRON) {
+      await registerWindowRecoverySchedule()
+    }
+    return true
+  } catch (err) {
+    Logger.isErrorEnabled && Logger.error(err)
+    throw ErrorHandler.Factory.reformatFSPIOPError(err)
+  }
+}
+
+module.exports = {
+  closeScheduledWindow,
+  closeScopedWindow,
+  closeWindowOnThreshold,
+  processThresholdNotification,
+  recoverStuckWindows,
+  registerAllHandlers,
+  registerWindowClosureHandler,
+  registerWindowClosureSchedule,
+  registerWindowClosureThresholds,
+  registerWindowScopeSchedules,
+  registerWindowRecoverySchedule,
+  stopWindowClosureSchedule
+}
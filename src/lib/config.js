@@ -41,6 +41,9 @@ module.exports = {
   TRANSFER_VALIDITY_SECONDS: RC.TRANSFER_VALIDITY_SECONDS,
   HUB_ID: RC.HUB_PARTICIPANT.ID,
   HUB_NAME: RC.HUB_PARTICIPANT.NAME,
+  MIGRATIONS_DISABLED: RC.MIGRATIONS.DISABLED,
+  INSTRUMENTATION_METRICS_DISABLED: RC.INSTRUMENTATION.METRICS.DISABLED,
+  INSTRUMENTATION_METRICS_CONFIG: RC.INSTRUMENTATION.METRICS.config,
   HANDLERS: RC.HANDLERS,
   HANDLERS_API: RC.HANDLERS.API,
   HANDLERS_API_DISABLED: RC.HANDLERS.API.DISABLED,
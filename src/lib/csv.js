@@ -0,0 +1,60 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const SETTLEMENT_TRANSFER_COLUMNS = ['transferId', 'payerFsp', 'payeeFsp', 'amount', 'currency', 'fulfilmentDate', 'ledgerEntryType']
+
+/**
+ * [formatValue Formats a value as a CSV field, quoting it if it contains a separator, a quote or a line break]
+ * @param  {[*]}      value [The value, a Date is written in ISO format and a missing value as an empty field]
+ * @return {[String]}       [The CSV field]
+ */
+function formatValue (value) {
+  if (value === null || value === undefined) {
+    return ''
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * [toCsv Writes the rows as CSV with a header line, one line per row]
+ * @param  {[Object[]]} rows    [The rows to write]
+ * @param  {[String[]]} columns [The properties of the rows written, in order, also used as header]
+ * @return {[String]}           [The CSV text]
+ */
+function toCsv (rows, columns) {
+  const lines = [columns.map(formatValue).join(',')]
+  for (const row of rows) {
+    lines.push(columns.map(column => formatValue(row[column])).join(','))
+  }
+  return `${lines.join('\r\n')}\r\n`
+}
+
+module.exports = {
+  SETTLEMENT_TRANSFER_COLUMNS,
+  toCsv
+}
@@ -0,0 +1,261 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const BigNumber = require('bignumber.js')
+const Yaml = require('js-yaml')
+const MLNumber = require('@mojaloop/ml-number')
+
+const FEE_SCHEDULE_EXTENSIONS = ['.json', '.yaml', '.yml']
+const DIRECTION = {
+  PAYER_TO_PAYEE: 'payerToPayee',
+  PAYEE_TO_PAYER: 'payeeToPayer'
+}
+const ROUNDING_MODES = ['UP', 'DOWN', 'CEIL', 'FLOOR', 'HALF_UP', 'HALF_DOWN', 'HALF_EVEN', 'HALF_CEIL', 'HALF_FLOOR']
+const TRANSACTION_TYPE_FIELDS = ['scenario', 'subScenario', 'initiator', 'initiatorType']
+
+function invalidField (scheduleName, field) {
+  return new Error(`Rules file: ${scheduleName}: has invalid or missing '${field}'`)
+}
+
+function isNumeric (value) {
+  return (typeof value === 'number' || typeof value === 'string') && !new BigNumber(value).isNaN()
+}
+
+function toList (value) {
+  return Array.isArray(value) ? value : [value]
+}
+
+function matchesValue (expected, actual) {
+  return expected === undefined || toList(expected).map(String).includes(String(actual))
+}
+
+function getExtensionValue (party, key) {
+  const extensions = (party && party.partyIdInfo && party.partyIdInfo.extensionList && party.partyIdInfo.extensionList.extension) || []
+  const extension = extensions.find(extension => extension.key === key)
+  return extension && extension.value
+}
+
+function matchesParty (partyMatch = {}, party) {
+  if (!matchesValue(partyMatch.fspId, party && party.partyIdInfo && party.partyIdInfo.fspId)) {
+    return false
+  }
+  return Object.keys(partyMatch.extensions || {}).every(key => {
+    const value = getExtensionValue(party, key)
+    return value !== undefined && matchesValue(partyMatch.extensions[key], value)
+  })
+}
+
+function matches (match = {}, transfer) {
+  const transactionType = transfer.transactionType || {}
+  return (!match.crossFsp || transfer.payer.partyIdInfo.fspId !== transfer.payee.partyIdInfo.fspId) &&
+    matchesValue(match.currency, transfer.amount.currency) &&
+    matchesParty(match.payer, transfer.payer) &&
+    matchesParty(match.payee, transfer.payee) &&
+    TRANSACTION_TYPE_FIELDS.every(field => matchesValue((match.transactionType || {})[field], transactionType[field]))
+}
+
+function findBand (bands, amount) {
+  return bands.find(band => {
+    return (band.from === undefined || new BigNumber(amount).isGreaterThanOrEqualTo(band.from)) &&
+      (band.to === undefined || new BigNumber(amount).isLessThan(band.to))
+  })
+}
+
+function applyCaps (fee, { min, max }) {
+  if (min !== undefined && new BigNumber(fee.toString()).isLessThan(min)) {
+    return new MLNumber(min)
+  }
+  if (max !== undefined && new BigNumber(fee.toString()).isGreaterThan(max)) {
+    return new MLNumber(max)
+  }
+  return fee
+}
+
+function calculateRate (rate, amount) {
+  const fee = rate.fixed !== undefined
+    ? new MLNumber(rate.fixed)
+    : new MLNumber(amount).multiply(rate.percentage).divide(100)
+  return applyCaps(fee, rate)
+}
+
+/**
+ * [calculateFee Calculates the fee of a schedule for a transfer amount, without checking the match conditions]
+ * @param  {[Object]} schedule [The parsed fee schedule]
+ * @param  {[String]} amount   [The transfer amount]
+ * @return {[String]}          [The rounded fee, null if the amount is outside all the bands of a tiered rate]
+ */
+function calculateFee (schedule, amount) {
+  let fee
+  if (schedule.rate.bands) {
+    const band = findBand(schedule.rate.bands, amount)
+    if (!band) {
+      return null
+    }
+    fee = applyCaps(calculateRate(band, amount), schedule.rate)
+  } else {
+    fee = calculateRate(schedule.rate, amount)
+  }
+  const { decimalPlaces = 2, mode = 'HALF_UP' } = schedule.rounding || {}
+  return fee.toFixed(decimalPlaces, BigNumber[`ROUND_${mode}`])
+}
+
+/**
+ * [evaluate Works out the ledger entry a fee schedule adds for a transfer]
+ * @param  {[Object]} schedule [The parsed fee schedule]
+ * @param  {[Object]} transfer [The transfer object, as scripts receive it]
+ * @return {[Object]}          [ledgerAccountTypeId, ledgerEntryTypeId, amount, currency, payerFspId and payeeFspId, null if the transfer does not match]
+ */
+function evaluate (schedule, transfer) {
+  if (!matches(schedule.match, transfer)) {
+    return null
+  }
+  const amount = calculateFee(schedule, transfer.amount.amount)
+  if (amount === null) {
+    return null
+  }
+  const payerFspId = transfer.payer.partyIdInfo.fspId
+  const payeeFspId = transfer.payee.partyIdInfo.fspId
+  const payeeToPayer = schedule.direction === DIRECTION.PAYEE_TO_PAYER
+  return {
+    ledgerAccountTypeId: schedule.ledgerAccountType,
+    ledgerEntryTypeId: schedule.ledgerEntryType,
+    amount,
+    currency: transfer.amount.currency,
+    payerFspId: payeeToPayer ? payeeFspId : payerFspId,
+    payeeFspId: payeeToPayer ? payerFspId : payeeFspId
+  }
+}
+
+function validateRate (scheduleName, rate, field) {
+  if (!rate || typeof rate !== 'object') {
+    throw invalidField(scheduleName, field)
+  }
+  const kinds = ['percentage', 'fixed', 'bands'].filter(kind => rate[kind] !== undefined)
+  if (kinds.length !== 1) {
+    throw invalidField(scheduleName, field)
+  }
+  for (const kind of ['percentage', 'fixed', 'min', 'max', 'from', 'to']) {
+    if (rate[kind] !== undefined && !isNumeric(rate[kind])) {
+      throw invalidField(scheduleName, `${field}.${kind}`)
+    }
+  }
+  if (rate.bands !== undefined) {
+    if (!Array.isArray(rate.bands) || rate.bands.length === 0) {
+      throw invalidField(scheduleName, `${field}.bands`)
+    }
+    rate.bands.forEach((band, index) => {
+      if (band && band.bands !== undefined) {
+        throw invalidField(scheduleName, `${field}.bands[${index}]`)
+      }
+      validateRate(scheduleName, band, `${field}.bands[${index}]`)
+    })
+  }
+}
+
+/**
+ * [validate Checks the fee part of a schedule, the rules headers are checked by the scripts loader]
+ * @param  {[String]} scheduleName [The name of the schedule file, used in the error messages]
+ * @param  {[Object]} schedule     [The parsed fee schedule]
+ * @return {[undefined]}           [Throws if the schedule is invalid]
+ */
+function validate (scheduleName, schedule) {
+  if (schedule.match !== undefined && (!schedule.match || typeof schedule.match !== 'object')) {
+    throw invalidField(scheduleName, 'match')
+  }
+  for (const field of ['ledgerAccountType', 'ledgerEntryType']) {
+    if (typeof schedule[field] !== 'string' || schedule[field].length === 0) {
+      throw invalidField(scheduleName, field)
+    }
+  }
+  validateRate(scheduleName, schedule.rate, 'rate')
+  const { decimalPlaces = 2, mode = 'HALF_UP' } = schedule.rounding || {}
+  if (!Number.isInteger(decimalPlaces) || decimalPlaces < 0) {
+    throw invalidField(scheduleName, 'rounding.decimalPlaces')
+  }
+  if (!ROUNDING_MODES.includes(mode)) {
+    throw invalidField(scheduleName, 'rounding.mode')
+  }
+  if (schedule.direction !== undefined && !Object.values(DIRECTION).includes(schedule.direction)) {
+    throw invalidField(scheduleName, 'direction')
+  }
+}
+
+/**
+ * [isFeeSchedule Tells fee schedule files from JavaScript rule scripts]
+ * @param  {[String]}  scheduleName [The file or rule script name]
+ * @return {Boolean}                [true for .json, .yaml and .yml files]
+ */
+function isFeeSchedule (scheduleName) {
+  return FEE_SCHEDULE_EXTENSIONS.some(extension => String(scheduleName).toLowerCase().endsWith(extension))
+}
+
+/**
+ * [parse Parses the source of a JSON or YAML fee schedule]
+ * @param  {[String]} scheduleName   [The name of the schedule file, used in the error messages]
+ * @param  {[String]} scheduleSource [The schedule source]
+ * @return {[Object]}                [The parsed schedule. Throws if the source is not valid JSON or YAML]
+ */
+function parse (scheduleName, scheduleSource) {
+  try {
+    return String(scheduleName).toLowerCase().endsWith('.json')
+      ? JSON.parse(scheduleSource)
+      : Yaml.load(scheduleSource)
+  } catch (err) {
+    throw new Error(`Rules file: ${scheduleName}: is not a valid fee schedule, ${err.message}`)
+  }
+}
+
+/**
+ * [compile Validates a parsed fee schedule and wraps it so that the script engine can run it like a compiled script]
+ * @param  {[String]} scheduleName [The name of the schedule file]
+ * @param  {[Object]} schedule     [The parsed fee schedule]
+ * @return {[Object]}              [An object with the runInNewContext method of vm.Script, adding the ledger entry through the context's addLedgerEntry. Throws if the schedule is invalid]
+ */
+function compile (scheduleName, schedule) {
+  validate(scheduleName, schedule)
+  return {
+    runInNewContext: function (context) {
+      const ledgerEntry = evaluate(schedule, context.transfer)
+      if (!ledgerEntry) {
+        context.log(`${scheduleName}: transfer ${context.payload.id} does not match the fee schedule`)
+        return
+      }
+      const { ledgerAccountTypeId, ledgerEntryTypeId, amount, currency, payerFspId, payeeFspId } = ledgerEntry
+      context.log(`${scheduleName}: adding ${amount} ${currency} ${ledgerAccountTypeId} from ${payerFspId} to ${payeeFspId}`)
+      context.addLedgerEntry(context.payload.id, ledgerAccountTypeId, ledgerEntryTypeId, amount, currency, payerFspId, payeeFspId)
+    }
+  }
+}
+
+module.exports = {
+  DIRECTION,
+  calculateFee,
+  compile,
+  evaluate,
+  isFeeSchedule,
+  parse
+}
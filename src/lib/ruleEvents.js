@@ -0,0 +1,194 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const crypto = require('crypto')
+const Config = require('./config')
+const Enum = require('@mojaloop/central-services-shared').Enum
+const KafkaUtil = require('@mojaloop/central-services-shared').Util.Kafka
+const Producer = require('@mojaloop/central-services-stream').Util.Producer
+const StreamingProtocol = require('@mojaloop/central-services-shared').Util.StreamingProtocol
+
+const RULE_EVENT_TOPIC = {
+  FUNCTIONALITY: 'rules',
+  ACTION: 'event'
+}
+
+// settlements and fee reversals do not have a Kafka event of their own, so there is no shared enum for them
+const RULE_EVENT_ACTION = {
+  SETTLED: 'settled',
+  REVERSE: 'reverse'
+}
+
+// the transfer notifications of a transfer that was fulfilled, and so is settled with the window of its fulfilment
+const FULFILMENT_ACTIONS = [
+  Enum.Events.Event.Action.COMMIT,
+  Enum.Events.Event.Action.RESERVE
+]
+
+// the events of the rules event topic, with the name of the sandbox global that holds their payload
+const RULE_EVENT = {
+  SETTLEMENT_WINDOW_CLOSE: {
+    type: Enum.Events.Event.Type.SETTLEMENT_WINDOW,
+    action: Enum.Events.Event.Action.CLOSE,
+    context: 'settlementWindow'
+  },
+  SETTLEMENT_SETTLED: {
+    type: Enum.Events.Event.Type.SETTLEMENT,
+    action: RULE_EVENT_ACTION.SETTLED,
+    context: 'settlement'
+  },
+  // published by the systems that reverse or dispute transfers, the handler reverses the rule ledger entries of the transfer instead of running scripts
+  FEE_REVERSAL: {
+    type: Enum.Events.Event.Type.TRANSFER,
+    action: RULE_EVENT_ACTION.REVERSE,
+    context: 'reversal'
+  }
+}
+
+// FEE_REVERSAL shares its type with the transfer notifications, so the events are told apart by type and action
+const getRuleEvent = ({ type, action } = {}) => {
+  return Object.values(RULE_EVENT).find(ruleEvent => ruleEvent.type === type && ruleEvent.action === action) || null
+}
+
+/**
+ * [isTransferEvent Tells transfer notifications apart from the events of the rules event topic]
+ * @param  {[Object]}  event [The metadata.event of the message]
+ * @return {Boolean}         [false for settlement window, settlement and fee reversal events, true otherwise]
+ */
+function isTransferEvent (event) {
+  return getRuleEvent(event) === null
+}
+
+/**
+ * [isFulfilmentEvent Tells the notifications of fulfilled transfers apart from those of transfers that did not complete, e.g. aborted or rejected]
+ * @param  {[Object]}  event [The metadata.event of the message]
+ * @return {Boolean}         [true for a commit or reserve transfer notification]
+ */
+function isFulfilmentEvent (event) {
+  return isTransferEvent(event) && FULFILMENT_ACTIONS.includes(event.action)
+}
+
+/**
+ * [isReversalEvent Tells the fee reversal events apart from the events the rule scripts run for]
+ * @param  {[Object]}  event [The metadata.event of the message]
+ * @return {Boolean}         [true for FEE_REVERSAL]
+ */
+function isReversalEvent (event) {
+  return !!event && event.type === RULE_EVENT.FEE_REVERSAL.type && event.action === RULE_EVENT.FEE_REVERSAL.action
+}
+
+function isValidAction (action) {
+  return Object.values(Enum.Events.Event.Action).includes(action) || Object.values(RULE_EVENT_ACTION).includes(action)
+}
+
+/**
+ * [getEventContext Gets the object a rule event was published for from its message]
+ * @param  {[Object]} message [The message value]
+ * @return {[Object]}         [name of the sandbox global and value, the settlementWindow or settlement with its participants, or null for transfer events]
+ */
+function getEventContext (message) {
+  const event = message && message.metadata && message.metadata.event
+  const ruleEvent = event && getRuleEvent(event)
+  if (!ruleEvent) {
+    return null
+  }
+  const payload = (message.content && message.content.payload) || {}
+  const value = payload[ruleEvent.context] || {}
+  return {
+    name: ruleEvent.context,
+    value: {
+      ...value,
+      participants: value.participants || []
+    }
+  }
+}
+
+/**
+ * [createRuleEventId Derives the id of a rule event from the event and the id of the settlement window or settlement. The ledger
+ * entries of the event are recorded against this id, so publishing the same event twice does not apply its rules twice]
+ * @param  {[Object]} ruleEvent [One of RULE_EVENT]
+ * @param  {[Number]} id        [settlementWindowId or settlementId]
+ * @return {[String]}           [A name based UUID]
+ */
+function createRuleEventId (ruleEvent, id) {
+  return createNameBasedUuid(`${Config.HUB_NAME}:${ruleEvent.type}:${ruleEvent.action}:${id}`)
+}
+
+/**
+ * [createFeeTransferId Derives the id of the fee transfer that carries the ledger entries of an event in one currency. The same
+ * event always gets the same fee transfer, so its ledger entries are not booked against a second one when it is handled again]
+ * @param  {[String]} id       [Id of the transfer or rule event the scripts ran for]
+ * @param  {[Object]} event    [The metadata.event of the message]
+ * @param  {[String]} currency [Currency of the ledger entries]
+ * @return {[String]}          [A name based UUID]
+ */
+function createFeeTransferId (id, event, currency) {
+  return createNameBasedUuid(`${Config.HUB_NAME}:fee:${event.type}:${event.action}:${id}:${currency}`)
+}
+
+function createNameBasedUuid (name) {
+  const hash = crypto.createHash('sha1').update(name).digest('hex')
+  const variant = ((parseInt(hash.substr(16, 2), 16) & 0x3f) | 0x80).toString(16)
+  return `${hash.substr(0, 8)}-${hash.substr(8, 4)}-5${hash.substr(13, 3)}-${variant}${hash.substr(18, 2)}-${hash.substr(20, 12)}`
+}
+
+/**
+ * [publish Publishes a rule event to the rules event topic, where the rules handler picks it up]
+ * @param  {[Object]} ruleEvent [One of RULE_EVENT]
+ * @param  {[Number]} id        [settlementWindowId or settlementId, see createRuleEventId]
+ * @param  {[Object]} value     [The settlement window or settlement, with a participants list of fspId, participantCurrencyId, currency, ledgerAccountType and netAmount]
+ * @return {Promise}            [The id of the published message]
+ */
+async function publish (ruleEvent, id, value) {
+  const messageId = createRuleEventId(ruleEvent, id)
+  const state = StreamingProtocol.createEventState(Enum.Events.EventStatus.SUCCESS.status, Enum.Events.EventStatus.SUCCESS.code, Enum.Events.EventStatus.SUCCESS.description)
+  const event = StreamingProtocol.createEventMetadata(ruleEvent.type, ruleEvent.action, state)
+  const metadata = StreamingProtocol.createMetadata(messageId, event)
+  const headers = {
+    'content-type': 'application/json',
+    date: new Date().toISOString()
+  }
+  const messageProtocol = StreamingProtocol.createMessage(messageId, Enum.Http.Headers.FSPIOP.SWITCH.value, Enum.Http.Headers.FSPIOP.SWITCH.value, metadata, headers, { [ruleEvent.context]: value })
+  const topicConfig = KafkaUtil.createGeneralTopicConf(Config.KAFKA_CONFIG.TOPIC_TEMPLATES.GENERAL_TOPIC_TEMPLATE.TEMPLATE, RULE_EVENT_TOPIC.FUNCTIONALITY, RULE_EVENT_TOPIC.ACTION)
+  const kafkaConfig = KafkaUtil.getKafkaConfig(Config.KAFKA_CONFIG, Enum.Kafka.Config.PRODUCER, RULE_EVENT_TOPIC.FUNCTIONALITY.toUpperCase(), RULE_EVENT_TOPIC.ACTION.toUpperCase())
+  await Producer.produceMessage(messageProtocol, topicConfig, kafkaConfig)
+  return messageId
+}
+
+module.exports = {
+  RULE_EVENT,
+  RULE_EVENT_ACTION,
+  RULE_EVENT_TOPIC,
+  createFeeTransferId,
+  createRuleEventId,
+  getEventContext,
+  isFulfilmentEvent,
+  isReversalEvent,
+  isTransferEvent,
+  isValidAction,
+  publish
+}
@@ -0,0 +1,156 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+/**
+ * @module src/lib/rulesMetrics
+ */
+const Client = require('prom-client')
+const Metrics = require('@mojaloop/central-services-metrics')
+
+// script runs are bounded by SCRIPT_TIMEOUT, 100ms by default, so the default buckets of up to 5s are too coarse
+const SCRIPT_DURATION_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1]
+
+const SCRIPT_TIMEOUT_ERROR_CODE = 'ERR_SCRIPT_EXECUTION_TIMEOUT'
+
+const counters = {}
+
+/**
+ * [getCounter central-services-metrics only provides histograms and summaries, so counters are created on the same prom-client registry with the configured prefix]
+ * @param  {[String]} name       [Name of the counter, without the prefix]
+ * @param  {[String]} help       [Description of the counter]
+ * @param  {[Array]}  labelNames [Names of the labels of the counter]
+ * @return {[Object]}            [The prom-client Counter]
+ */
+function getCounter (name, help, labelNames) {
+  if (!counters[name]) {
+    counters[name] = new Client.Counter({
+      name: `${Metrics.getOptions().prefix}${name}`,
+      help,
+      labelNames
+    })
+  }
+  return counters[name]
+}
+
+/**
+ * [setup Registers the default process metrics with the prefix and default labels of INSTRUMENTATION.METRICS.config]
+ * @param  {[Object]} options [timeout, prefix and defaultLabels]
+ * @return {[Boolean]}        [true if the metrics were set up, false if they were already]
+ */
+function setup (options) {
+  return Metrics.setup(options)
+}
+
+/**
+ * [getMetricsForPrometheus Returns the metrics in the Prometheus text format]
+ * @return {Promise} [The metrics]
+ */
+async function getMetricsForPrometheus () {
+  return Metrics.getMetricsForPrometheus()
+}
+
+/**
+ * [startMessageTimer Times the processing of a message by the rules handler]
+ * @return {[Function]} [Ends the timer, with the success, eventType and eventAction labels]
+ */
+function startMessageTimer () {
+  return Metrics.getHistogram(
+    'rules_handler_message',
+    'Time taken by the rules handler to process a transfer notification or rule event',
+    ['success', 'eventType', 'eventAction']
+  ).startTimer()
+}
+
+/**
+ * [startLookupTimer Times a central ledger lookup of the script engine]
+ * @param  {[String]}   lookup [transfer for the transfer of the message, scriptData for the data behind the script helpers]
+ * @return {[Function]}        [Ends the timer]
+ */
+function startLookupTimer (lookup) {
+  return Metrics.getHistogram(
+    'rules_ledger_lookup',
+    'Time taken to read the transfer and script helper data of a rule script from the central ledger',
+    ['lookup']
+  ).startTimer({ lookup })
+}
+
+/**
+ * [recordScriptRun Counts a completed run of a rule script and its duration. A run matches if the script added ledger entries]
+ * @param  {[String]} scriptName [The file name of the script]
+ * @param  {[Object]} result     [ledgerEntries and durationMs of the run]
+ */
+function recordScriptRun (scriptName, { ledgerEntries, durationMs }) {
+  getCounter('rules_script_executions_total', 'Number of runs of a rule script', ['scriptName']).inc({ scriptName })
+  if (ledgerEntries.length > 0) {
+    getCounter('rules_script_matches_total', 'Number of runs of a rule script that added ledger entries', ['scriptName']).inc({ scriptName })
+  }
+  Metrics.getHistogram(
+    'rules_script_execution',
+    'Time taken by a rule script to run, without the central ledger lookups',
+    ['scriptName'],
+    SCRIPT_DURATION_BUCKETS
+  ).observe({ scriptName }, durationMs / 1000)
+}
+
+/**
+ * [recordScriptFailure Counts a failed run of a rule script, and a timeout if the script did not finish within its timeout]
+ * @param  {[String]} scriptName [The file name of the script]
+ * @param  {[Error]}  error      [The error of the run]
+ */
+function recordScriptFailure (scriptName, error) {
+  getCounter('rules_script_executions_total', 'Number of runs of a rule script', ['scriptName']).inc({ scriptName })
+  getCounter('rules_script_failures_total', 'Number of runs of a rule script that failed, including timeouts', ['scriptName']).inc({ scriptName })
+  if (error && error.code === SCRIPT_TIMEOUT_ERROR_CODE) {
+    getCounter('rules_script_timeouts_total', 'Number of runs of a rule script that did not finish within its timeout', ['scriptName']).inc({ scriptName })
+  }
+}
+
+/**
+ * [recordFees Adds the amounts of applied rule ledger entries to the fee totals by currency and ledger entry type]
+ * @param  {[Array]} ledgerEntries [The ledger entries, with amount, currency and ledgerEntryTypeId]
+ */
+function recordFees (ledgerEntries) {
+  const fees = getCounter('rules_fee_amount_total', 'Total amount of the ledger entries added by the rule scripts', ['currency', 'ledgerEntryType'])
+  for (const { amount, currency, ledgerEntryTypeId } of ledgerEntries) {
+    const value = Number(amount)
+    // prometheus counters only go up, reversals are not subtracted
+    if (value > 0) {
+      fees.inc({ currency, ledgerEntryType: ledgerEntryTypeId }, value)
+    }
+  }
+}
+
+module.exports = {
+  SCRIPT_TIMEOUT_ERROR_CODE,
+  getMetricsForPrometheus,
+  recordFees,
+  recordScriptFailure,
+  recordScriptRun,
+  setup,
+  startLookupTimer,
+  startMessageTimer
+}
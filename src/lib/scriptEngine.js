@@ -24,14 +24,19 @@
  - Claudio Viola <claudio.viola@modusbox.com>
  --------------
  ******/
-const MLNumber = require('@mojaloop/ml-number')
 const Transaction = require('../domain/transactions/index')
-const BigNumber = require('bignumber.js')
 const Logger = require('@mojaloop/central-services-logger')
 const ErrorHandler = require('@mojaloop/central-services-error-handling')
 const Config = require('../../src/lib/config')
+const ScriptHelpers = require('./scriptHelpers')
+const ScriptWorkerPool = require('./scriptWorkerPool')
+const ParticipantCurrencyModel = require('../models/settlement/participantCurrency')
+const PricingRateModel = require('../models/rules/pricingRate')
+const RuleEvents = require('./ruleEvents')
+const RulesMetrics = require('./rulesMetrics')
+const SettlementModelModel = require('../models/settlement/settlementModel')
 
-const { SCRIPT_TIMEOUT } = Config.HANDLERS.SETTINGS.RULES
+const { SCRIPT_TIMEOUT, WORKERS } = Config.HANDLERS.SETTINGS.RULES
 
 async function getTransferFromCentralLedger (transferId) {
   const entity = await Transaction.getById(transferId)
@@ -44,45 +49,155 @@ async function getTransferFromCentralLedger (transferId) {
   }
 }
 
-function multiply (number1, number2, decimalPlaces) {
-  const result = new MLNumber(number1).multiply(number2).toFixed(decimalPlaces, BigNumber.ROUND_HALF_UP)
-  return result
+function log (message) {
+  Logger.isInfoEnabled && Logger.info(message)
 }
 
-function getExtensionValue (list, key) {
-  return list.find((extension) => {
-    return extension.key === key
-  }).value
+async function timeLookup (lookup, load) {
+  const histTimerEnd = RulesMetrics.startLookupTimer(lookup)
+  try {
+    return await load()
+  } finally {
+    histTimerEnd()
+  }
 }
 
-function log (message) {
-  Logger.isInfoEnabled && Logger.info(message)
+/**
+ * [loadEventScriptData Pre-fetches the participant data behind the getParticipant helper and the pricing rates behind the getRate helper
+ * for a settlement window or settlement event. There is no single currency to pick settlement models for, so getSettlementModel returns null for these events]
+ * @param  {[Object]} eventContext [name and value of the settlementWindow or settlement, see RuleEvents.getEventContext]
+ * @return {Promise}               [participantAccounts of the participants of the event, pricingRates for their currencies and the settlementWindow or settlement]
+ */
+async function loadEventScriptData ({ name, value }) {
+  const fspIds = value.participants
+    .map(participant => participant.fspId)
+    .filter((fspId, index, list) => fspId && list.indexOf(fspId) === index)
+  const currencies = value.participants
+    .map(participant => participant.currency)
+    .filter((currency, index, list) => currency && list.indexOf(currency) === index)
+  const [participantAccounts, pricingRates] = await Promise.all([
+    fspIds.length > 0 ? ParticipantCurrencyModel.getByParticipantNames(fspIds) : [],
+    currencies.length > 0 ? PricingRateModel.getByCurrencies(currencies) : []
+  ])
+  return { participantAccounts, settlementModels: [], pricingRates, [name]: value }
 }
 
-async function execute (script, payload) {
-  try {
-    const transfer = await getTransferFromCentralLedger(payload.id)
-    const ledgerEntries = []
-    const sandbox = {
-      payload,
-      log,
-      transfer,
-      multiply,
-      getExtensionValue,
-      addLedgerEntry: function (transferId, ledgerAccountTypeId, ledgerEntryTypeId, amount, currency, payerFspId, payeeFspId) {
-        ledgerEntries.push({
-          transferId,
-          ledgerAccountTypeId,
-          ledgerEntryTypeId,
-          amount,
-          currency,
-          payerFspId,
-          payeeFspId
-        })
-      }
+/**
+ * [loadScriptData Pre-fetches the data behind the getParticipant, getSettlementModel and getRate helpers, so that scripts do not need to wait for the database]
+ * @param  {[Object]} transfer     [The transfer object]
+ * @param  {[Object]} eventContext [The settlement window or settlement of the event, loadEventScriptData is used instead if set]
+ * @return {Promise}               [participantAccounts of the payer and payee FSPs, the settlementModels and the pricingRates for the transfer currency]
+ */
+async function loadScriptData (transfer, eventContext = null) {
+  if (eventContext) {
+    return loadEventScriptData(eventContext)
+  }
+  const fspIds = [transfer.payer, transfer.payee]
+    .map(party => party && party.partyIdInfo && party.partyIdInfo.fspId)
+    .filter((fspId, index, list) => fspId && list.indexOf(fspId) === index)
+  const currency = transfer.amount && transfer.amount.currency
+  const [participantAccounts, settlementModels, pricingRates] = await Promise.all([
+    fspIds.length > 0 ? ParticipantCurrencyModel.getByParticipantNames(fspIds) : [],
+    currency ? SettlementModelModel.getByCurrency(currency) : [],
+    currency ? PricingRateModel.getByCurrencies([currency]) : []
+  ])
+  return { participantAccounts, settlementModels, pricingRates }
+}
+
+let workerPool = null
+
+function getWorkerPool () {
+  if (!workerPool) {
+    workerPool = ScriptWorkerPool.createWorkerPool({ size: WORKERS.POOL_SIZE })
+  }
+  return workerPool
+}
+
+/**
+ * [runScript Runs a script in the worker thread pool when workers are enabled and the script source is known, and in the current thread otherwise]
+ * @param  {[Object]}   script     [The compiled script]
+ * @param  {[Object]}   payload    [The message value the script receives as payload]
+ * @param  {[Object]}   transfer   [The transfer object, null for settlement window and settlement events]
+ * @param  {[Object]}   scriptData [participantAccounts, settlementModels and pricingRates for the script helpers, and the settlementWindow or settlement of the event]
+ * @param  {[Function]} logger     [Receives the messages passed to log]
+ * @param  {[Object]}   scriptInfo [filename, source and version of the script, with its optional timeout and memoryLimit]
+ * @return {Promise}               [ledgerEntries and the durationMs of the script run]
+ */
+async function runScript (script, payload, transfer, scriptData, logger, scriptInfo = {}) {
+  const timeout = scriptInfo.timeout || SCRIPT_TIMEOUT
+  if (WORKERS && WORKERS.ENABLED && scriptInfo.source) {
+    const { filename, source, version } = scriptInfo
+    let result
+    try {
+      result = await getWorkerPool().run({ script: { filename, source, version }, payload, transfer, scriptData, timeout }, {
+        timeout,
+        memoryLimitMb: scriptInfo.memoryLimit || WORKERS.MEMORY_LIMIT_MB
+      })
+    } catch (err) {
+      err.logs && err.logs.forEach(logger)
+      throw err
     }
-    script.runInNewContext(sandbox, { timeout: SCRIPT_TIMEOUT })
+    result.logs.forEach(logger)
+    return { ledgerEntries: result.ledgerEntries, durationMs: result.durationMs }
+  }
+  const ledgerEntries = []
+  const startTime = process.hrtime.bigint()
+  script.runInNewContext(ScriptHelpers.createSandbox(payload, transfer, ledgerEntries, logger, scriptData), { timeout })
+  const durationMs = Number(process.hrtime.bigint() - startTime) / 1e6
+  return { ledgerEntries, durationMs }
+}
+
+/**
+ * [execute Runs a script for a message. Transfer events get the transfer of the message, settlement window and settlement events
+ * get the settlementWindow or settlement they were published with instead. The run, its duration and the central ledger lookups are recorded in the rules metrics]
+ * @param  {[vm.Script]} script     [The compiled script]
+ * @param  {[Object]}    payload    [The message value the script receives as payload]
+ * @param  {[Object]}    scriptInfo [filename, source and version of the script, with its optional timeout and memoryLimit]
+ * @return {Promise}                [ledgerEntries added by the script]
+ */
+async function execute (script, payload, scriptInfo = {}) {
+  const scriptName = scriptInfo.filename || 'unknown'
+  try {
+    const eventContext = RuleEvents.getEventContext(payload)
+    const transfer = eventContext ? null : await timeLookup('transfer', () => getTransferFromCentralLedger(payload.id))
+    const scriptData = await timeLookup('scriptData', () => loadScriptData(transfer, eventContext))
+    const { ledgerEntries, durationMs } = await runScript(script, payload, transfer, scriptData, log, scriptInfo)
+    RulesMetrics.recordScriptRun(scriptName, { ledgerEntries, durationMs })
     return { ledgerEntries }
+  } catch (err) {
+    RulesMetrics.recordScriptFailure(scriptName, err)
+    Logger.isErrorEnabled && Logger.error(err)
+    throw ErrorHandler.Factory.reformatFSPIOPError(err)
+  }
+}
+
+/**
+ * [simulate Runs a script like execute does, but also collects the messages passed to log and times the run. The caller decides what to do with the ledger entries]
+ * @param  {[vm.Script]} script     [The compiled script]
+ * @param  {[Object]}    payload    [The message value the script receives as payload]
+ * @param  {[Object]}    transfer   [Optional transfer object, loaded from the central ledger by payload.id if not provided. Not used for settlement window and settlement events]
+ * @param  {[Object]}    scriptInfo [Optional filename, source and version of the script, with its timeout and memoryLimit, to run it in a worker thread]
+ * @return {Promise}                [ledgerEntries, logs and the durationMs of the script run]
+ */
+async function simulate (script, payload, transfer, scriptInfo) {
+  try {
+    const eventContext = RuleEvents.getEventContext(payload)
+    const scriptTransfer = eventContext ? null : transfer || await getTransferFromCentralLedger(payload.id)
+    const logs = []
+    const logger = (message) => {
+      logs.push(typeof message === 'string' ? message : JSON.stringify(message))
+      log(message)
+    }
+    let scriptData
+    try {
+      scriptData = await loadScriptData(scriptTransfer, eventContext)
+    } catch (err) {
+      // a transfer from a file can be simulated without a database, the lookups then return null
+      logger(`Participant, settlement model and pricing rate data not available: ${err.message}`)
+      scriptData = eventContext ? { [eventContext.name]: eventContext.value } : {}
+    }
+    const { ledgerEntries, durationMs } = await runScript(script, payload, scriptTransfer, scriptData, logger, scriptInfo)
+    return { ledgerEntries, logs, durationMs }
   } catch (err) {
     Logger.isErrorEnabled && Logger.error(err)
     throw ErrorHandler.Factory.reformatFSPIOPError(err)
@@ -90,5 +205,6 @@ async function execute (script, payload) {
 }
 
 module.exports = {
-  execute
+  execute,
+  simulate
 }
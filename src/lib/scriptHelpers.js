@@ -0,0 +1,264 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const BigNumber = require('bignumber.js')
+const MLNumber = require('@mojaloop/ml-number')
+
+const DEFAULT_LEDGER_ACCOUNT_TYPE = 'POSITION'
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+function deepFreeze (value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.freeze(value)
+    Object.values(value).forEach(deepFreeze)
+  }
+  return value
+}
+
+function getRoundingMode (roundingMode) {
+  const mode = BigNumber[`ROUND_${roundingMode}`]
+  if (mode === undefined) {
+    throw new Error(`Invalid rounding mode ${roundingMode}`)
+  }
+  return mode
+}
+
+function multiply (number1, number2, decimalPlaces) {
+  const result = new MLNumber(number1).multiply(number2).toFixed(decimalPlaces, BigNumber.ROUND_HALF_UP)
+  return result
+}
+
+function getExtensionValue (list, key) {
+  return list.find((extension) => {
+    return extension.key === key
+  }).value
+}
+
+function add (number1, number2) {
+  return new MLNumber(number1).add(number2).toString()
+}
+
+function subtract (number1, number2) {
+  return new MLNumber(number1).subtract(number2).toString()
+}
+
+function divide (number1, number2, decimalPlaces) {
+  return new MLNumber(number1).divide(number2).toFixed(decimalPlaces, BigNumber.ROUND_HALF_UP)
+}
+
+function min (...numbers) {
+  return BigNumber.minimum(...numbers).toString()
+}
+
+function max (...numbers) {
+  return BigNumber.maximum(...numbers).toString()
+}
+
+function round (number, decimalPlaces, roundingMode = 'HALF_UP') {
+  return new MLNumber(number).toFixed(decimalPlaces, getRoundingMode(roundingMode))
+}
+
+function getDateParts (date, timeZone = 'UTC') {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, hourCycle: 'h23', weekday: 'short', hour: '2-digit', minute: '2-digit' })
+    .formatToParts(new Date(date))
+  return parts.reduce((dateParts, { type, value }) => ({ ...dateParts, [type]: value }), {})
+}
+
+function getTimeOfDay (date, timeZone = 'UTC') {
+  const { hour, minute } = getDateParts(date, timeZone)
+  return `${hour}:${minute}`
+}
+
+function getDayOfWeek (date, timeZone = 'UTC') {
+  return WEEKDAYS.indexOf(getDateParts(date, timeZone).weekday)
+}
+
+function isTimeBetween (date, from, to, timeZone = 'UTC') {
+  const timeOfDay = getTimeOfDay(date, timeZone)
+  return from <= to
+    ? timeOfDay >= from && timeOfDay < to
+    : timeOfDay >= from || timeOfDay < to
+}
+
+/**
+ * [createParticipantLookup Groups the participantCurrency rows of the transfer participants by participant]
+ * @param  {[Array]}    participantAccounts [name, isActive, currencyId, ledgerAccountType and accountIsActive of every participant account]
+ * @return {[Function]}                     [getParticipant(fspId), returning the frozen name, isActive, currencies, ledgerAccountTypes and accounts of the participant, or null if it was not loaded]
+ */
+function createParticipantLookup (participantAccounts = []) {
+  const participants = {}
+  for (const { name, isActive, currencyId, ledgerAccountType, accountIsActive } of participantAccounts) {
+    if (!participants[name]) {
+      participants[name] = { name, isActive: !!isActive, currencies: [], ledgerAccountTypes: [], accounts: [] }
+    }
+    const participant = participants[name]
+    if (!currencyId) {
+      continue
+    }
+    participant.accounts.push({ currency: currencyId, ledgerAccountType, isActive: !!accountIsActive })
+    if (accountIsActive && !participant.currencies.includes(currencyId)) {
+      participant.currencies.push(currencyId)
+    }
+    if (accountIsActive && !participant.ledgerAccountTypes.includes(ledgerAccountType)) {
+      participant.ledgerAccountTypes.push(ledgerAccountType)
+    }
+  }
+  deepFreeze(participants)
+  return function getParticipant (fspId) {
+    return participants[fspId] || null
+  }
+}
+
+/**
+ * [createSettlementModelLookup Picks the settlement model of every ledger account type, a model for the transfer currency replacing the default model]
+ * @param  {[Array]}    settlementModels [The active settlement models for the transfer currency and the default models]
+ * @return {[Function]}                  [getSettlementModel(ledgerAccountType = 'POSITION'), returning the frozen settlement model or null]
+ */
+function createSettlementModelLookup (settlementModels = []) {
+  const models = {}
+  for (const settlementModel of settlementModels) {
+    const current = models[settlementModel.ledgerAccountType]
+    if (!current || (current.currencyId === null && settlementModel.currencyId !== null)) {
+      models[settlementModel.ledgerAccountType] = settlementModel
+    }
+  }
+  deepFreeze(models)
+  return function getSettlementModel (ledgerAccountType = DEFAULT_LEDGER_ACCOUNT_TYPE) {
+    return models[ledgerAccountType] || null
+  }
+}
+
+// a rate for the payer beats one for the payee, which beats one for the transaction scenario, a rate that leaves all three open comes last
+function getRateSpecificity ({ payerFspId, payeeFspId, transactionScenario }) {
+  return (payerFspId ? 4 : 0) + (payeeFspId ? 2 : 0) + (transactionScenario ? 1 : 0)
+}
+
+/**
+ * [createRateLookup Picks the pricing rate of a payer, payee, currency and transaction scenario that was in effect at a time. A rate without
+ * payerFspId, payeeFspId or transactionScenario applies to any of them. The most specific rate wins, then the one with the latest effectiveDate]
+ * @param  {[Array]}    pricingRates [The settlementPricingRate rows for the currencies of the event]
+ * @param  {[String]}   eventTime    [The time rates are looked up for when no date is given]
+ * @return {[Function]}              [getRate(payerFspId, payeeFspId, currency, transactionScenario = null, date = now()), returning the rate as a string or null]
+ */
+function createRateLookup (pricingRates = [], eventTime) {
+  const rates = pricingRates.map(pricingRate => {
+    return {
+      ...pricingRate,
+      specificity: getRateSpecificity(pricingRate),
+      effectiveTime: new Date(pricingRate.effectiveDate).getTime(),
+      endTime: pricingRate.endDate ? new Date(pricingRate.endDate).getTime() : Infinity
+    }
+  })
+  return function getRate (payerFspId, payeeFspId, currency, transactionScenario = null, date = eventTime) {
+    const time = new Date(date).getTime()
+    const rate = rates
+      .filter(rate => rate.currency === currency &&
+        (!rate.payerFspId || rate.payerFspId === payerFspId) &&
+        (!rate.payeeFspId || rate.payeeFspId === payeeFspId) &&
+        (!rate.transactionScenario || rate.transactionScenario === transactionScenario) &&
+        rate.effectiveTime <= time && time < rate.endTime)
+      .sort((rate1, rate2) => rate2.specificity - rate1.specificity || rate2.effectiveTime - rate1.effectiveTime)[0]
+    return rate ? new MLNumber(rate.rate).toString() : null
+  }
+}
+
+/**
+ * [createHelpers Creates the helpers added to the script sandbox. They only use the pre-fetched data so that scripts stay synchronous and deterministic]
+ * @param  {[Object]} payload    [The message value, its metadata.event.createdAt is the time returned by now()]
+ * @param  {[Object]} scriptData [participantAccounts, settlementModels and pricingRates pre-fetched for the transfer]
+ * @return {[Object]}            [The helpers]
+ */
+function createHelpers (payload, { participantAccounts, settlementModels, pricingRates } = {}) {
+  const eventTime = new Date((payload && payload.metadata && payload.metadata.event && payload.metadata.event.createdAt) || Date.now()).toISOString()
+  return {
+    getParticipant: createParticipantLookup(participantAccounts),
+    getSettlementModel: createSettlementModelLookup(settlementModels),
+    getRate: createRateLookup(pricingRates, eventTime),
+    add,
+    subtract,
+    divide,
+    min,
+    max,
+    round,
+    now: () => eventTime,
+    getTimeOfDay,
+    getDayOfWeek,
+    isTimeBetween
+  }
+}
+
+/**
+ * [createSandbox Creates the global context a rule script runs in]
+ * @param  {[Object]}   payload       [The message value the script receives as payload]
+ * @param  {[Object]}   transfer      [The transfer object, null for settlement window and settlement events]
+ * @param  {[Array]}    ledgerEntries [Collects the ledger entries added by the script]
+ * @param  {[Function]} logger        [Receives the messages passed to log]
+ * @param  {[Object]}   scriptData    [participantAccounts, settlementModels and pricingRates pre-fetched for the transfer, see createHelpers, and the settlementWindow or settlement of the event]
+ * @return {[Object]}                 [The sandbox]
+ */
+function createSandbox (payload, transfer, ledgerEntries, logger, scriptData = {}) {
+  return {
+    ...createHelpers(payload, scriptData),
+    payload,
+    log: logger,
+    transfer,
+    settlementWindow: scriptData.settlementWindow || null,
+    settlement: scriptData.settlement || null,
+    multiply,
+    getExtensionValue,
+    addLedgerEntry: function (transferId, ledgerAccountTypeId, ledgerEntryTypeId, amount, currency, payerFspId, payeeFspId) {
+      ledgerEntries.push({
+        transferId,
+        ledgerAccountTypeId,
+        ledgerEntryTypeId,
+        amount,
+        currency,
+        payerFspId,
+        payeeFspId
+      })
+    }
+  }
+}
+
+module.exports = {
+  add,
+  createHelpers,
+  createSandbox,
+  createParticipantLookup,
+  createRateLookup,
+  createSettlementModelLookup,
+  divide,
+  getDayOfWeek,
+  getExtensionValue,
+  getTimeOfDay,
+  isTimeBetween,
+  max,
+  min,
+  multiply,
+  round,
+  subtract
+}
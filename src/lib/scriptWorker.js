@@ -0,0 +1,85 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const vm = require('vm')
+const { isMainThread, parentPort } = require('worker_threads')
+const FeeSchedule = require('./feeSchedule')
+const ScriptHelpers = require('./scriptHelpers')
+
+const MAX_COMPILED_SCRIPTS = 100
+
+const compiledScripts = new Map()
+
+/**
+ * [compileScript Compiles a rule script or fee schedule, keeping the compiled script for the next run of the same version]
+ * @param  {[Object]} script [filename, source and version of the script]
+ * @return {[Object]}        [The compiled script]
+ */
+function compileScript ({ filename, source, version }) {
+  const key = version || source
+  if (!compiledScripts.has(key)) {
+    if (compiledScripts.size >= MAX_COMPILED_SCRIPTS) {
+      compiledScripts.clear()
+    }
+    compiledScripts.set(key, FeeSchedule.isFeeSchedule(filename)
+      ? FeeSchedule.compile(filename, FeeSchedule.parse(filename, source))
+      : new vm.Script(source, { filename }))
+  }
+  return compiledScripts.get(key)
+}
+
+/**
+ * [runScript Runs a rule script the way scriptEngine does in the main thread, for a message posted by the worker pool]
+ * @param  {[Object]} message [script {filename, source, version}, payload, transfer, scriptData and timeout]
+ * @return {[Object]}         [result {ledgerEntries, logs, durationMs}, or error {message, code} if the script failed]
+ */
+function runScript ({ script, payload, transfer, scriptData, timeout }) {
+  const ledgerEntries = []
+  const logs = []
+  const logger = (message) => {
+    logs.push(typeof message === 'string' ? message : JSON.stringify(message))
+  }
+  try {
+    const compiledScript = compileScript(script)
+    const startTime = process.hrtime.bigint()
+    compiledScript.runInNewContext(ScriptHelpers.createSandbox(payload, transfer, ledgerEntries, logger, scriptData), { timeout })
+    const durationMs = Number(process.hrtime.bigint() - startTime) / 1e6
+    return { result: { ledgerEntries, logs, durationMs } }
+  } catch (err) {
+    return { error: { message: err.message, code: err.code, logs } }
+  }
+}
+
+if (!isMainThread) {
+  parentPort.on('message', (message) => {
+    parentPort.postMessage(runScript(message))
+  })
+}
+
+module.exports = {
+  runScript
+}
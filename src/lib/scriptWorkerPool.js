@@ -0,0 +1,158 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Path = require('path')
+const { Worker } = require('worker_threads')
+
+const WORKER_FILE = Path.join(__dirname, 'scriptWorker.js')
+// the script timeout is enforced inside the worker, the pool only stops a worker that fails to return after it
+const TERMINATE_GRACE_MS = 1000
+
+/**
+ * [createWorkerPool Creates a pool of worker threads that run rule scripts. Every worker is started with the heap limit of the script it runs, a worker that runs out of memory, crashes or does not return in time is stopped and replaced, and the run is rejected]
+ * @param  {[Object]} options [size: the maximum number of workers, workerFile: the worker script, defaults to scriptWorker.js]
+ * @return {[Object]}         [run(message, { timeout, memoryLimitMb }) resolves with the result posted by the worker, close() stops all workers]
+ */
+function createWorkerPool ({ size, workerFile = WORKER_FILE }) {
+  const workers = new Set()
+  const idleWorkers = []
+  const waitingRuns = []
+  let closed = false
+
+  function startWorker (memoryLimitMb) {
+    const pooledWorker = {
+      memoryLimitMb,
+      worker: new Worker(workerFile, { resourceLimits: { maxOldGenerationSizeMb: memoryLimitMb } }),
+      run: null,
+      error: null
+    }
+    pooledWorker.worker.on('message', (response) => pooledWorker.run && pooledWorker.run.onMessage(response))
+    pooledWorker.worker.on('error', (err) => { pooledWorker.error = err })
+    pooledWorker.worker.on('exit', (exitCode) => removeWorker(pooledWorker, exitCode))
+    // an idle worker must not keep the handler process alive
+    pooledWorker.worker.unref()
+    workers.add(pooledWorker)
+    return pooledWorker
+  }
+
+  function removeWorker (pooledWorker, exitCode) {
+    workers.delete(pooledWorker)
+    const index = idleWorkers.indexOf(pooledWorker)
+    if (index !== -1) {
+      idleWorkers.splice(index, 1)
+    }
+    if (pooledWorker.run) {
+      pooledWorker.run.onExit(exitCode, pooledWorker.error)
+    }
+    startWaitingRuns()
+  }
+
+  function startRun (pooledWorker, { message, timeout, memoryLimitMb, resolve, reject }) {
+    const { filename } = message.script
+    const settle = (err, result) => {
+      clearTimeout(timer)
+      pooledWorker.run = null
+      err ? reject(err) : resolve(result)
+    }
+    const timer = setTimeout(() => {
+      const err = new Error(`Rule script ${filename} did not finish within ${timeout}ms and its worker was stopped`)
+      // the code vm gives a script that times out inside the worker
+      err.code = 'ERR_SCRIPT_EXECUTION_TIMEOUT'
+      settle(err)
+      pooledWorker.worker.terminate()
+    }, timeout + TERMINATE_GRACE_MS)
+    pooledWorker.run = {
+      onMessage: (response) => {
+        if (response.error) {
+          const err = new Error(response.error.message)
+          err.code = response.error.code
+          err.logs = response.error.logs
+          settle(err)
+        } else {
+          settle(null, response.result)
+        }
+        idleWorkers.push(pooledWorker)
+        startWaitingRuns()
+      },
+      onExit: (exitCode, error) => {
+        if (error && error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+          settle(new Error(`Rule script ${filename} exceeded the memory limit of ${memoryLimitMb}MB`))
+        } else {
+          settle(new Error(`Rule script ${filename} stopped its worker with exit code ${exitCode}${error ? `: ${error.message}` : ''}`))
+        }
+      }
+    }
+    pooledWorker.worker.postMessage(message)
+  }
+
+  function startWaitingRuns () {
+    if (closed) {
+      return
+    }
+    while (waitingRuns.length > 0) {
+      const { memoryLimitMb } = waitingRuns[0]
+      const index = idleWorkers.findIndex(idleWorker => idleWorker.memoryLimitMb === memoryLimitMb)
+      let pooledWorker
+      if (index !== -1) {
+        pooledWorker = idleWorkers.splice(index, 1)[0]
+      } else if (workers.size < size) {
+        pooledWorker = startWorker(memoryLimitMb)
+      } else {
+        // make room by stopping an idle worker with another memory limit, the run starts when it has exited
+        const idleWorker = idleWorkers.shift()
+        idleWorker && idleWorker.worker.terminate()
+        return
+      }
+      startRun(pooledWorker, waitingRuns.shift())
+    }
+  }
+
+  function run (message, { timeout, memoryLimitMb }) {
+    return new Promise((resolve, reject) => {
+      if (closed) {
+        return reject(new Error('Rule script worker pool is closed'))
+      }
+      waitingRuns.push({ message, timeout, memoryLimitMb, resolve, reject })
+      startWaitingRuns()
+    })
+  }
+
+  async function close () {
+    closed = true
+    waitingRuns.splice(0).forEach(({ reject }) => reject(new Error('Rule script worker pool is closed')))
+    await Promise.all([...workers].map(pooledWorker => pooledWorker.worker.terminate()))
+  }
+
+  return {
+    run,
+    close
+  }
+}
+
+module.exports = {
+  createWorkerPool
+}
@@ -31,65 +31,243 @@
 
 'use strict'
 const _ = require('lodash')
+const crypto = require('crypto')
 const fs = require('fs')
 const vm = require('vm')
 const path = require('path')
 const Logger = require('@mojaloop/central-services-logger')
 const ErrorHandler = require('@mojaloop/central-services-error-handling')
 const scriptEngine = require('./scriptEngine')
+const FeeSchedule = require('./feeSchedule')
+const RuleEvents = require('./ruleEvents')
 const Enum = require('@mojaloop/central-services-shared').Enum
 
-function loadScripts (scriptDirectory) {
+const SKIP_REASON = {
+  NOT_IN_EFFECT: 'notInEffect',
+  EXCLUDED: 'excluded'
+}
+
+const OPTIONAL_HEADERS = {
+  Priority: 'priority',
+  Exclusive: 'exclusive',
+  Timeout: 'timeout',
+  MemoryLimit: 'memoryLimit'
+}
+
+function readScriptFiles (scriptDirectoryPath) {
+  return fs.readdirSync(scriptDirectoryPath).filter(fileName => {
+    return fs.statSync(path.join(scriptDirectoryPath, fileName)).isFile()
+  })
+}
+
+function readScriptSource (scriptDirectoryPath, scriptFile) {
+  return fs.readFileSync(fs.realpathSync(scriptDirectoryPath + '/' + scriptFile), 'utf8')
+}
+
+function buildScriptsMap (scriptDirectoryPath, scriptFiles, databaseScripts = []) {
   const scriptsMap = {}
+  const databaseScriptNames = databaseScripts.map(databaseScript => databaseScript.name)
+  for (const scriptFile of scriptFiles) {
+    if (databaseScriptNames.includes(scriptFile)) {
+      Logger.isInfoEnabled && Logger.info(`Rules file: ${scriptFile}: is overridden by the database script with the same name`)
+      continue
+    }
+    retrieveConfiguration(scriptsMap, scriptFile, readScriptSource(scriptDirectoryPath, scriptFile))
+  }
+  for (const databaseScript of databaseScripts) {
+    if (databaseScript.isActive) {
+      retrieveConfiguration(scriptsMap, databaseScript.name, databaseScript.source)
+    }
+  }
+  return scriptsMap
+}
+
+/**
+ * [loadScripts Loads all scripts from the scriptDirectory and the given database scripts into a scripts map]
+ * @param  {[String]} scriptDirectory [The directory containing the scripts, relative to the working directory]
+ * @param  {[Array]}  databaseScripts [The settlementRuleScript records. A record replaces the file with the same name and is only loaded if it is active]
+ * @return {[Object]}                 [The scripts map, the database scripts only if the directory can not be read]
+ */
+function loadScripts (scriptDirectory, databaseScripts = []) {
   const scriptDirectoryPath = path.join(process.cwd(), scriptDirectory)
   let scriptFiles
   try {
-    scriptFiles = fs.readdirSync(scriptDirectoryPath)
-    scriptFiles = scriptFiles.filter(fileName => {
-      return fs.statSync(path.join(scriptDirectoryPath, fileName)).isFile()
-    })
+    scriptFiles = readScriptFiles(scriptDirectoryPath)
   } catch (err) {
     Logger.isErrorEnabled && Logger.error(`Error loading scripts from : ${scriptDirectoryPath}, ${err}`)
-    return scriptsMap
+    scriptFiles = []
   }
-  for (const scriptFile of scriptFiles) {
-    const scriptSource = fs.readFileSync(fs.realpathSync(scriptDirectoryPath + '/' + scriptFile), 'utf8')
-    const scriptLines = scriptSource.split(/\r?\n/)
-    retrieveScriptConfiguration(scriptLines, scriptsMap, scriptFile, scriptSource)
+  return buildScriptsMap(scriptDirectoryPath, scriptFiles, databaseScripts)
+}
+
+/**
+ * [reloadScripts Loads all scripts from the scriptDirectory and the given database scripts into a new scripts map. Unlike loadScripts an unreadable directory is an error, so that a reload never replaces the active scripts with an empty map]
+ * @param  {[String]} scriptDirectory [The directory containing the scripts, relative to the working directory]
+ * @param  {[Array]}  databaseScripts [The settlementRuleScript records, see loadScripts]
+ * @return {[Object]}                 [The new scripts map. Throws if the directory can not be read or any script is invalid]
+ */
+function reloadScripts (scriptDirectory, databaseScripts = []) {
+  const scriptDirectoryPath = path.join(process.cwd(), scriptDirectory)
+  return buildScriptsMap(scriptDirectoryPath, readScriptFiles(scriptDirectoryPath), databaseScripts)
+}
+
+/**
+ * [readScripts Reads the name and source of every file in the scriptDirectory without validating them]
+ * @param  {[String]} scriptDirectory [The directory containing the scripts, relative to the working directory]
+ * @return {[Array]}                  [name and source of every script file, empty if the directory can not be read]
+ */
+function readScripts (scriptDirectory) {
+  const scriptDirectoryPath = path.join(process.cwd(), scriptDirectory)
+  try {
+    return readScriptFiles(scriptDirectoryPath).map(scriptFile => {
+      return { name: scriptFile, source: readScriptSource(scriptDirectoryPath, scriptFile) }
+    })
+  } catch (err) {
+    Logger.isErrorEnabled && Logger.error(`Error reading scripts from : ${scriptDirectoryPath}, ${err}`)
+    return []
   }
-  return scriptsMap
 }
 
 /**
- * [executeScripts Execute a script from the scriptsmap given a scriptType, scriptAction and scriptStatus providing the payload as argument]
+ * [compileScript Checks the headers of a script and compiles it, without adding it to a scripts map]
+ * @param  {[String]} scriptName   [The name of the script, used in the error messages]
+ * @param  {[String]} scriptSource [The script source]
+ * @return {[Object]}              [filename, type, action, status, startTime, endTime, priority, exclusive, timeout, memoryLimit, version, source and the compiled script. Throws if the script is invalid]
+ */
+function compileScript (scriptName, scriptSource) {
+  const scriptsMap = {}
+  retrieveConfiguration(scriptsMap, scriptName, scriptSource)
+  const [scriptDetails] = listScripts(scriptsMap)
+  if (!scriptDetails) {
+    const errorMessage = `Rules file: ${scriptName}: has invalid or missing header 'Type'`
+    Logger.isErrorEnabled && Logger.error(errorMessage)
+    throw new Error(errorMessage)
+  }
+  const { type, action, status } = scriptDetails
+  const { source, script } = scriptsMap[type][action][status][0]
+  return {
+    ...scriptDetails,
+    source,
+    script
+  }
+}
+
+/**
+ * [validateScript Checks the headers of a script and that it compiles, without loading it]
+ * @param  {[String]} scriptName   [The name of the script, used in the error messages]
+ * @param  {[String]} scriptSource [The script source]
+ * @return {[Object]}              [filename, type, action, status, startTime, endTime, priority, exclusive, timeout, memoryLimit and version of the script. Throws if the script is invalid]
+ */
+function validateScript (scriptName, scriptSource) {
+  const { script, source, ...scriptDetails } = compileScript(scriptName, scriptSource)
+  return scriptDetails
+}
+
+/**
+ * [watchScripts Watches the scriptDirectory and calls onChange once the directory has been quiet for delay ms]
+ * @param  {[String]}   scriptDirectory [The directory containing the scripts, relative to the working directory]
+ * @param  {Function}   onChange        [Called after the scripts have changed]
+ * @param  {[Number]}   delay           [Debounce delay in ms, editors and deployments usually touch several files at once]
+ * @return {[FSWatcher]}                [The watcher, call close() to stop watching]
+ */
+function watchScripts (scriptDirectory, onChange, delay) {
+  const scriptDirectoryPath = path.join(process.cwd(), scriptDirectory)
+  let timer = null
+  const watcher = fs.watch(scriptDirectoryPath, () => {
+    clearTimeout(timer)
+    timer = setTimeout(onChange, delay)
+  })
+  watcher.on('error', err => {
+    Logger.isErrorEnabled && Logger.error(`Error watching scripts in : ${scriptDirectoryPath}, ${err}`)
+  })
+  return watcher
+}
+
+/**
+ * [listScripts Flattens a scripts map into a list describing each loaded script]
+ * @param  {[Object]}  scriptsMap    [The object containing all loaded scripts]
+ * @param  {[Boolean]} includeSource [Whether to add the source of every script]
+ * @return {[Array]}                 [filename, type, action, status, startTime, endTime, priority, exclusive, timeout, memoryLimit and version of every script, in execution order]
+ */
+function listScripts (scriptsMap, includeSource = false) {
+  const scripts = []
+  for (const scriptType of Object.keys(scriptsMap)) {
+    for (const scriptAction of Object.keys(scriptsMap[scriptType])) {
+      for (const scriptStatus of Object.keys(scriptsMap[scriptType][scriptAction])) {
+        for (const script of scriptsMap[scriptType][scriptAction][scriptStatus]) {
+          scripts.push({
+            filename: script.filename,
+            type: scriptType,
+            action: scriptAction,
+            status: scriptStatus,
+            startTime: script.startTime,
+            endTime: script.endTime,
+            priority: script.priority,
+            exclusive: script.exclusive,
+            timeout: script.timeout,
+            memoryLimit: script.memoryLimit,
+            version: script.version,
+            ...(includeSource ? { source: script.source } : {})
+          })
+        }
+      }
+    }
+  }
+  return scripts
+}
+
+/**
+ * [executeScripts Execute the scripts from the scriptsmap given a scriptType, scriptAction and scriptStatus providing the payload as argument, in priority order. Once an exclusive script has run the remaining scripts are skipped]
  * @param  {[type]}  scriptsMap   [The object containing all loaded scripts]
  * @param  {[String]}  scriptType [The topic type of the script to run]
  * @param  {[type]}  scriptAction [The topic action of the script to run]
  * @param  {[type]}  scriptStatus [The Topic status of the script to run]
  * @param  {[type]}  payload      [description]
- * @return {Promise}              [description]
+ * @return {Promise}              [The merged script results and, in executions, the scriptName, scriptVersion and ledgerEntries of every script that ran. skipped lists the scriptName, scriptVersion and reason of the scripts that did not run, and excludedBy for the ones skipped after an exclusive script. If a script fails the error has the script as scriptName extension and the script error as cause]
  */
 async function executeScripts (scriptsMap, scriptType, scriptAction, scriptStatus, payload) {
+  let runningScript = null
   try {
     const scriptResults = {}
+    const executions = []
+    const skipped = []
     if (scriptsMap[scriptType] && scriptsMap[scriptType][scriptAction] && scriptsMap[scriptType][scriptAction][scriptStatus]) {
       const now = new Date()
+      let exclusiveScript = null
       for (const script of scriptsMap[scriptType][scriptAction][scriptStatus]) {
-        if (now.getTime() >= script.startTime.getTime() && now.getTime() <= script.endTime.getTime()) {
-          Logger.isDebugEnabled && Logger.debug(`Running script: ${JSON.stringify(script)}`)
-          const scriptResult = await executeScript(script.script, payload)
+        if (exclusiveScript) {
+          Logger.isDebugEnabled && Logger.debug(`Skipping script: ${script.filename}, excluded by ${exclusiveScript.filename}`)
+          skipped.push({ scriptName: script.filename, scriptVersion: script.version, reason: SKIP_REASON.EXCLUDED, excludedBy: exclusiveScript.filename })
+        } else if (now.getTime() >= script.startTime.getTime() && now.getTime() <= script.endTime.getTime()) {
+          Logger.isDebugEnabled && Logger.debug(`Running script: ${JSON.stringify(_.omit(script, ['source']))}`)
+          runningScript = script
+          const scriptResult = await executeScript(script, payload)
+          runningScript = null
           Logger.isDebugEnabled && Logger.debug(`Merging script result: ${scriptResult}`)
           _.mergeWith(scriptResults, scriptResult, (objValue, srcValue) => {
             if (_.isArray(objValue)) {
               return objValue.concat(srcValue)
             }
           })
+          executions.push({
+            scriptName: script.filename,
+            scriptVersion: script.version,
+            ledgerEntries: (scriptResult && scriptResult.ledgerEntries) || []
+          })
+          if (script.exclusive) {
+            exclusiveScript = script
+          }
+        } else {
+          skipped.push({ scriptName: script.filename, scriptVersion: script.version, reason: SKIP_REASON.NOT_IN_EFFECT })
         }
       }
     }
+    scriptResults.executions = executions
+    scriptResults.skipped = skipped
     return scriptResults
   } catch (err) {
-    const error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, 'Script execution was unsuccessful')
+    const extensions = runningScript ? [{ key: 'scriptName', value: runningScript.filename }] : undefined
+    const error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, 'Script execution was unsuccessful', err, null, extensions)
     Logger.isErrorEnabled && Logger.error(error)
     throw error
   }
@@ -97,71 +275,45 @@ async function executeScripts (scriptsMap, scriptType, scriptAction, scriptStatu
 
 async function executeScript (script, payload) {
   try {
-    return await scriptEngine.execute(script, payload)
+    const { filename, source, version, timeout, memoryLimit } = script
+    return await scriptEngine.execute(script.script, payload, { filename, source, version, timeout, memoryLimit })
   } catch (err) {
     throw ErrorHandler.Factory.reformatFSPIOPError(err)
   }
 }
 
+function retrieveConfiguration (scriptsMap, scriptFile, scriptSource) {
+  if (FeeSchedule.isFeeSchedule(scriptFile)) {
+    retrieveFeeScheduleConfiguration(scriptsMap, scriptFile, scriptSource)
+  } else {
+    retrieveScriptConfiguration(String(scriptSource).split(/\r?\n/), scriptsMap, scriptFile, scriptSource)
+  }
+}
+
 function retrieveScriptConfiguration (scriptLines, scriptsMap, scriptFile, scriptSource) {
   for (let i = 0; i < scriptLines.length; i++) {
     if (scriptLines[i].startsWith('// Type:')) {
-      const scriptType = scriptLines[i].split(':').pop().trim()
-      const scriptAction = scriptLines[i + 1].split(':').pop().trim()
-      const scriptStatus = scriptLines[i + 2].split(':').pop().trim()
-      const scriptStart = scriptLines[i + 3].substring(scriptLines[i + 3].indexOf(':') + 1).trim()
-      const scriptEnd = scriptLines[i + 4].substring(scriptLines[i + 4].indexOf(':') + 1).trim()
-      Logger.isInfoEnabled && Logger.info(`Rules file: ${scriptFile}: Type: ${scriptType}, Action: ${scriptAction}, Status: ${scriptStatus}, Start: ${scriptStart}, End: ${scriptEnd}`)
-
-      if (Object.values(Enum.Events.Event.Type).indexOf(scriptType) === -1) {
-        const errorMessage = `Rules file: ${scriptFile}: has invalid or missing header 'Type'`
-        Logger.isErrorEnabled && Logger.error(errorMessage)
-        throw new Error(errorMessage)
-      }
-      if (Object.values(Enum.Events.Event.Action).indexOf(scriptAction) === -1) {
-        const errorMessage = `Rules file: ${scriptFile}: has invalid or missing header 'Action'`
-        Logger.isErrorEnabled && Logger.error(errorMessage)
-        throw new Error(errorMessage)
-      }
-      if (Object.values(Enum.Events.EventState).indexOf(scriptStatus) === -1) {
-        const errorMessage = `Rules file: ${scriptFile}: has invalid or missing header 'Status'`
-        Logger.isErrorEnabled && Logger.error(errorMessage)
-        throw new Error(errorMessage)
-      }
-      if (new Date(scriptStart).toString() === 'Invalid Date') {
-        const errorMessage = `Rules file: ${scriptFile}: has invalid or missing header 'Start'`
-        Logger.isErrorEnabled && Logger.error(errorMessage)
-        throw new Error(errorMessage)
+      const scriptHeaders = {
+        type: scriptLines[i].split(':').pop().trim(),
+        action: scriptLines[i + 1].split(':').pop().trim(),
+        status: scriptLines[i + 2].split(':').pop().trim(),
+        start: scriptLines[i + 3].substring(scriptLines[i + 3].indexOf(':') + 1).trim(),
+        end: scriptLines[i + 4].substring(scriptLines[i + 4].indexOf(':') + 1).trim()
       }
-      if (new Date(scriptEnd).toString() === 'Invalid Date') {
-        const errorMessage = `Rules file: ${scriptFile}: has invalid or missing header 'End'`
-        Logger.isErrorEnabled && Logger.error(errorMessage)
-        throw new Error(errorMessage)
-      }
-
-      let compiledScript
-      try {
-        compiledScript = new vm.Script(scriptSource)
-      } catch (error) {
-        const errorMessage = `Rules file: ${scriptFile}: is not a valid JavaScript file`
-        Logger.isErrorEnabled && Logger.error(errorMessage)
-        throw new Error(errorMessage)
-      }
-
-      const script = {
-        filename: scriptFile,
-        startTime: new Date(scriptStart),
-        endTime: new Date(scriptEnd),
-        script: compiledScript
+      // the optional headers may follow anywhere in the rest of the header comment block
+      for (let j = i + 5; j < scriptLines.length && scriptLines[j].startsWith('//'); j++) {
+        const optionalHeader = scriptLines[j].match(/^\/\/\s*(Priority|Exclusive|Timeout|MemoryLimit):(.*)$/)
+        if (optionalHeader) {
+          scriptHeaders[OPTIONAL_HEADERS[optionalHeader[1]]] = optionalHeader[2].trim()
+        }
       }
-      const scriptMap = {}
-      scriptMap[scriptType] = {}
-      scriptMap[scriptType][scriptAction] = {}
-      scriptMap[scriptType][scriptAction][scriptStatus] = [script]
-      Logger.isInfoEnabled && Logger.info(`Loading script: ${scriptFile}: ${JSON.stringify(script)}`)
-      _.mergeWith(scriptsMap, scriptMap, (objValue, srcValue) => {
-        if (_.isArray(objValue)) {
-          return objValue.concat(srcValue)
+      addScript(scriptsMap, scriptFile, scriptSource, scriptHeaders, () => {
+        try {
+          return new vm.Script(scriptSource)
+        } catch (error) {
+          const errorMessage = `Rules file: ${scriptFile}: is not a valid JavaScript file`
+          Logger.isErrorEnabled && Logger.error(errorMessage)
+          throw new Error(errorMessage)
         }
       })
       break
@@ -169,7 +321,121 @@ function retrieveScriptConfiguration (scriptLines, scriptsMap, scriptFile, scrip
   }
 }
 
+function retrieveFeeScheduleConfiguration (scriptsMap, scriptFile, scriptSource) {
+  let feeSchedule
+  try {
+    feeSchedule = FeeSchedule.parse(scriptFile, scriptSource)
+  } catch (err) {
+    Logger.isErrorEnabled && Logger.error(err.message)
+    throw err
+  }
+  // like a script without a '// Type:' header, a file without a type is not a rule
+  if (!feeSchedule || typeof feeSchedule !== 'object' || feeSchedule.type === undefined) {
+    return
+  }
+  addScript(scriptsMap, scriptFile, scriptSource, feeSchedule, () => {
+    // the settlement window, settlement and fee reversal events have no transfer to calculate the fee for
+    if (!RuleEvents.isTransferEvent(feeSchedule)) {
+      const errorMessage = `Rules file: ${scriptFile}: is a fee schedule for the ${feeSchedule.type} ${feeSchedule.action} event, fee schedules only run for transfer events`
+      Logger.isErrorEnabled && Logger.error(errorMessage)
+      throw new Error(errorMessage)
+    }
+    try {
+      return FeeSchedule.compile(scriptFile, feeSchedule)
+    } catch (err) {
+      Logger.isErrorEnabled && Logger.error(err.message)
+      throw err
+    }
+  })
+}
+
+function addScript (scriptsMap, scriptFile, scriptSource, { type: scriptType, action: scriptAction, status: scriptStatus, start: scriptStart, end: scriptEnd, priority: scriptPriority = 0, exclusive: scriptExclusive = false, timeout: scriptTimeout = null, memoryLimit: scriptMemoryLimit = null }, compile) {
+  Logger.isInfoEnabled && Logger.info(`Rules file: ${scriptFile}: Type: ${scriptType}, Action: ${scriptAction}, Status: ${scriptStatus}, Start: ${scriptStart}, End: ${scriptEnd}, Priority: ${scriptPriority}, Exclusive: ${scriptExclusive}, Timeout: ${scriptTimeout}, MemoryLimit: ${scriptMemoryLimit}`)
+
+  if (Object.values(Enum.Events.Event.Type).indexOf(scriptType) === -1) {
+    const errorMessage = `Rules file: ${scriptFile}: has invalid or missing header 'Type'`
+    Logger.isErrorEnabled && Logger.error(errorMessage)
+    throw new Error(errorMessage)
+  }
+  if (!RuleEvents.isValidAction(scriptAction)) {
+    const errorMessage = `Rules file: ${scriptFile}: has invalid or missing header 'Action'`
+    Logger.isErrorEnabled && Logger.error(errorMessage)
+    throw new Error(errorMessage)
+  }
+  if (Object.values(Enum.Events.EventState).indexOf(scriptStatus) === -1) {
+    const errorMessage = `Rules file: ${scriptFile}: has invalid or missing header 'Status'`
+    Logger.isErrorEnabled && Logger.error(errorMessage)
+    throw new Error(errorMessage)
+  }
+  if (scriptStart === undefined || new Date(scriptStart).toString() === 'Invalid Date') {
+    const errorMessage = `Rules file: ${scriptFile}: has invalid or missing header 'Start'`
+    Logger.isErrorEnabled && Logger.error(errorMessage)
+    throw new Error(errorMessage)
+  }
+  if (scriptEnd === undefined || new Date(scriptEnd).toString() === 'Invalid Date') {
+    const errorMessage = `Rules file: ${scriptFile}: has invalid or missing header 'End'`
+    Logger.isErrorEnabled && Logger.error(errorMessage)
+    throw new Error(errorMessage)
+  }
+  if (!/^[-+]?\d+$/.test(String(scriptPriority))) {
+    const errorMessage = `Rules file: ${scriptFile}: has invalid header 'Priority'`
+    Logger.isErrorEnabled && Logger.error(errorMessage)
+    throw new Error(errorMessage)
+  }
+  if (!['true', 'false'].includes(String(scriptExclusive).toLowerCase())) {
+    const errorMessage = `Rules file: ${scriptFile}: has invalid header 'Exclusive'`
+    Logger.isErrorEnabled && Logger.error(errorMessage)
+    throw new Error(errorMessage)
+  }
+  if (scriptTimeout !== null && !/^[1-9]\d*$/.test(String(scriptTimeout))) {
+    const errorMessage = `Rules file: ${scriptFile}: has invalid header 'Timeout'`
+    Logger.isErrorEnabled && Logger.error(errorMessage)
+    throw new Error(errorMessage)
+  }
+  if (scriptMemoryLimit !== null && !/^[1-9]\d*$/.test(String(scriptMemoryLimit))) {
+    const errorMessage = `Rules file: ${scriptFile}: has invalid header 'MemoryLimit'`
+    Logger.isErrorEnabled && Logger.error(errorMessage)
+    throw new Error(errorMessage)
+  }
+
+  const script = {
+    filename: scriptFile,
+    startTime: new Date(scriptStart),
+    endTime: new Date(scriptEnd),
+    priority: parseInt(scriptPriority, 10),
+    exclusive: String(scriptExclusive).toLowerCase() === 'true',
+    // null uses the SCRIPT_TIMEOUT and WORKERS.MEMORY_LIMIT_MB of the configuration
+    timeout: scriptTimeout === null ? null : parseInt(scriptTimeout, 10),
+    memoryLimit: scriptMemoryLimit === null ? null : parseInt(scriptMemoryLimit, 10),
+    script: compile(),
+    version: crypto.createHash('sha256').update(scriptSource).digest('hex'),
+    source: String(scriptSource)
+  }
+  const scriptMap = {}
+  scriptMap[scriptType] = {}
+  scriptMap[scriptType][scriptAction] = {}
+  scriptMap[scriptType][scriptAction][scriptStatus] = [script]
+  Logger.isInfoEnabled && Logger.info(`Loading script: ${scriptFile}: ${JSON.stringify(_.omit(script, ['source']))}`)
+  _.mergeWith(scriptsMap, scriptMap, (objValue, srcValue) => {
+    if (_.isArray(objValue)) {
+      return objValue.concat(srcValue).sort(compareScripts)
+    }
+  })
+}
+
+// highest priority first, scripts with the same priority by name so that the order does not depend on the file system
+function compareScripts (script1, script2) {
+  return (script2.priority - script1.priority) || (script1.filename < script2.filename ? -1 : script1.filename > script2.filename ? 1 : 0)
+}
+
 module.exports = {
+  SKIP_REASON,
+  compileScript,
   executeScripts,
-  loadScripts
+  listScripts,
+  loadScripts,
+  readScripts,
+  reloadScripts,
+  validateScript,
+  watchScripts
 }
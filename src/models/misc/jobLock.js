@@ -0,0 +1,58 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Db = require('../../lib/db')
+
+/**
+ * @function acquire
+ *
+ * @async
+ * @description Takes the named lock of a scheduled job for lockSeconds, unless another replica holds it. The lock is not released
+ * when the job is done, so that a replica whose schedule fires a little later does not run the job a second time.
+ * @param {string} lockName - Name of the job
+ * @param {string} lockedBy - Identifies the replica taking the lock
+ * @param {number} lockSeconds - How long the lock is held
+ * @returns {Promise<boolean>} - true if the lock was taken, false if another replica holds it
+ */
+const acquire = async (lockName, lockedBy, lockSeconds) => {
+  const knex = await Db.getKnex()
+  const now = new Date()
+  await knex('settlementJobLock')
+    .insert({ lockName, lockedBy: null, lockedUntil: now })
+    .onConflict('lockName')
+    .ignore()
+  // the row lock of the update lets only one replica move lockedUntil forward
+  const updatedRows = await knex('settlementJobLock')
+    .where({ lockName })
+    .andWhere('lockedUntil', '<=', now)
+    .update({ lockedBy, lockedUntil: new Date(now.getTime() + lockSeconds * 1000) })
+  return updatedRows === 1
+}
+
+module.exports = {
+  acquire
+}
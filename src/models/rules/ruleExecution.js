@@ -0,0 +1,64 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Db = require('../../lib/db')
+
+const DUPLICATE_ENTRY_ERROR_CODE = 'ER_DUP_ENTRY'
+
+const getByKey = async ({ transferId, scriptName, eventAction }, trx) => {
+  const knex = await Db.getKnex()
+  return knex('settlementRuleExecution')
+    .where({ transferId, scriptName, eventAction })
+    .select('*')
+    .first()
+    .transacting(trx)
+}
+
+// an execution another handler recorded meanwhile fails on the unique key, null is returned for it instead of the inserted ids
+const create = async (ruleExecution, trx) => {
+  const knex = await Db.getKnex()
+  try {
+    return await knex('settlementRuleExecution')
+      .insert(ruleExecution)
+      .transacting(trx)
+  } catch (err) {
+    if (err.code === DUPLICATE_ENTRY_ERROR_CODE) {
+      return null
+    }
+    throw err
+  }
+}
+
+const getByTransferId = async (transferId) => {
+  return Db.from('settlementRuleExecution').find({ transferId }, { order: 'settlementRuleExecutionId asc' })
+}
+
+module.exports = {
+  create,
+  getByKey,
+  getByTransferId
+}
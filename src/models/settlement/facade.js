@@ -767,6 +767,61 @@ const getTransferCommitedAccount = async (settlementId, enums) => {
     .first()
 }
 
+// the content of the windows settled by the settlement model, shared by the settlement creation and its preview so that both
+// net the same records
+const getSettlementWindowContent = async (knex, { idList, settlementModel }, enums, trx = null) => {
+  let swcList = await knex('settlementWindow AS sw').transacting(trx)
+    .join('settlementWindowStateChange AS swsc', 'swsc.settlementWindowStateChangeId', 'sw.currentStateChangeId')
+    .join('settlementWindowContent AS swc', 'swc.settlementWindowId', 'sw.settlementWindowId')
+    .join('settlementWindowContentStateChange AS swcsc', 'swcsc.settlementWindowContentStateChangeId', 'swc.currentStateChangeId')
+    .whereRaw(`sw.settlementWindowId IN (${idList})`)
+    .where('swc.ledgerAccountTypeId', settlementModel.ledgerAccountTypeId)
+    .where('swc.currencyId', knex.raw('COALESCE(?, swc.currencyId)', settlementModel.currencyId))
+    .whereIn('swsc.settlementWindowStateId', [enums.settlementWindowStates.CLOSED, enums.settlementWindowStates.ABORTED, enums.settlementWindowStates.PENDING_SETTLEMENT])
+    .whereIn('swcsc.settlementWindowStateId', [enums.settlementWindowStates.CLOSED, enums.settlementWindowStates.ABORTED])
+    // ABORTED windows of an aborted settlement are settled again, the windows aborted by an operator are not
+    .whereNotExists(function () {
+      this.from('settlementWindowAbort AS swa').whereRaw('swa.settlementWindowId = sw.settlementWindowId')
+    })
+
+  if (settlementModel.currencyId === null) { // Default settlement model
+    const allSettlementModels = await SettlementModelModel.getAll()
+    const settlementModelCurrenciesList = allSettlementModels.filter(record => record.currencyId !== null).map(record => record.currencyId)
+    swcList = swcList.filter(swc => !settlementModelCurrenciesList.includes(swc.currencyId))
+  }
+  return swcList
+}
+
+// the window filters match the settlements with a window matching all of them, the account filters the settlements with an
+// account matching all of them
+const filterByParams = (builder, { state, fromDateTime, toDateTime, currency, settlementWindowId, fromSettlementWindowDateTime, toSettlementWindowDateTime, participantId, accountId }) => {
+  builder.innerJoin('settlementStateChange AS ssc', 'ssc.settlementStateChangeId', 'settlement.currentStateChangeId')
+  if (state) { builder.where('ssc.settlementStateId', state) }
+  if (fromDateTime) { builder.where('settlement.createdDate', '>=', fromDateTime) }
+  if (toDateTime) { builder.where('settlement.createdDate', '<=', toDateTime) }
+  if (settlementWindowId || fromSettlementWindowDateTime || toSettlementWindowDateTime) {
+    builder.whereExists(function () {
+      this.from('settlementSettlementWindow AS ssw')
+        .join('settlementWindow AS sw', 'sw.settlementWindowId', 'ssw.settlementWindowId')
+        .whereColumn('ssw.settlementId', 'settlement.settlementId')
+        .select('ssw.settlementWindowId')
+      if (settlementWindowId) { this.where('ssw.settlementWindowId', settlementWindowId) }
+      if (fromSettlementWindowDateTime) { this.where('sw.createdDate', '>=', fromSettlementWindowDateTime) }
+      if (toSettlementWindowDateTime) { this.where('sw.createdDate', '<=', toSettlementWindowDateTime) }
+    })
+  }
+  builder.whereExists(function () {
+    this.from('settlementParticipantCurrency AS spc')
+      .join('participantCurrency AS pc', 'pc.participantCurrencyId', 'spc.participantCurrencyId')
+      .whereColumn('spc.settlementId', 'settlement.settlementId')
+      .select('spc.settlementParticipantCurrencyId')
+    if (currency) { this.where('pc.currencyId', currency) }
+    if (participantId) { this.where('pc.participantId', participantId) }
+    if (accountId) { this.where('spc.participantCurrencyId', accountId) }
+  })
+  return builder
+}
+
 const Facade = {
 
   abortByIdStateAborted,
@@ -1345,36 +1400,36 @@ const Facade = {
     })
   },
 
-  getByParams: async function ({ state, fromDateTime, toDateTime, currency, settlementWindowId, fromSettlementWindowDateTime, toSettlementWindowDateTime, participantId, accountId }) {
+  getByParams: async function ({ query }, { after = null, limit = null } = {}) {
     return Db.from('settlement').query(builder => {
-      const b = builder
-        .innerJoin('settlementStateChange AS ssc', 'ssc.settlementStateChangeId', 'settlement.currentStateChangeId')
-        .innerJoin('settlementSettlementWindow AS ssw', 'ssw.settlementId', 'settlement.settlementId')
-        .innerJoin('settlementWindow AS sw', 'sw.settlementWindowId', 'ssw.settlementWindowId')
-        .innerJoin('settlementWindowStateChange AS swsc', 'swsc.settlementWindowStateChangeId', 'sw.currentStateChangeId')
-        .innerJoin('settlementContentAggregation AS sca', 'sca.settlementId', 'settlement.settlementId')
-        .innerJoin('settlementParticipantCurrency AS spc', 'spc.settlementId', 'sca.settlementId')
-        .innerJoin('settlementParticipantCurrencyStateChange AS spcsc', 'spcsc.settlementParticipantCurrencyStateChangeId', 'spc.currentStateChangeId')
-        .innerJoin('participantCurrency AS pc', 'pc.participantCurrencyId', 'spc.participantCurrencyId')
-        .distinct('settlement.settlementId', 'ssc.settlementStateId', 'ssw.settlementWindowId',
-          'swsc.settlementWindowStateId', 'swsc.reason AS settlementWindowReason', 'sw.createdDate',
-          'swsc.createdDate AS changedDate', 'pc.participantId', 'spc.participantCurrencyId',
-          'spcsc.reason AS accountReason', 'spcsc.settlementStateId AS accountState',
-          'spc.netAmount AS accountAmount', 'pc.currencyId AS accountCurrency')
-        .select()
-      if (state) { b.where('ssc.settlementStateId', state) }
-      if (fromDateTime) { b.where('settlement.createdDate', '>=', fromDateTime) }
-      if (toDateTime) { b.where('settlement.createdDate', '<=', toDateTime) }
-      if (currency) { b.where('pc.currencyId', currency) }
-      if (settlementWindowId) { b.where('ssw.settlementWindowId', settlementWindowId) }
-      if (fromSettlementWindowDateTime) { b.where('sw.createdDate', '>=', fromSettlementWindowDateTime) }
-      if (toSettlementWindowDateTime) { b.where('sw.createdDate', '<=', toSettlementWindowDateTime) }
-      if (participantId) { b.where('pc.participantId', participantId) }
-      if (accountId) { b.where('spc.participantCurrencyId', accountId) }
+      const b = filterByParams(builder, query)
+        .select(
+          'settlement.settlementId',
+          'ssc.settlementStateId AS state',
+          'ssc.reason',
+          'settlement.createdDate',
+          'ssc.createdDate AS changedDate'
+        )
+        .orderBy('settlement.settlementId')
+      // keyset pagination, the page starts after the last settlement of the previous page
+      if (after) {
+        b.where('settlement.settlementId', '>', after.settlementId)
+      }
+      if (limit) {
+        b.limit(limit)
+      }
       return b
     })
   },
 
+  countByParams: async function ({ query }) {
+    return Db.from('settlement').query(builder => {
+      return filterByParams(builder, query)
+        .count('* as total')
+        .first()
+    })
+  },
+
   triggerSettlementEvent: async function ({ idList, reason }, settlementModel, enums = {}) {
     const knex = await Db.getKnex()
     // begin transaction
@@ -1400,22 +1455,7 @@ const Facade = {
         await knex.batchInsert('settlementSettlementWindow', settlementSettlementWindowList).transacting(trx)
 
         // retrieve affected settlementWindowContent
-        let swcList = await knex('settlementWindow AS sw').transacting(trx)
-          .join('settlementWindowStateChange AS swsc', 'swsc.settlementWindowStateChangeId', 'sw.currentStateChangeId')
-          .join('settlementWindowContent AS swc', 'swc.settlementWindowId', 'sw.settlementWindowId')
-          .join('settlementWindowContentStateChange AS swcsc', 'swcsc.settlementWindowContentStateChangeId', 'swc.currentStateChangeId')
-          .whereRaw(`sw.settlementWindowId IN (${idList})`)
-          .where('swc.ledgerAccountTypeId', settlementModel.ledgerAccountTypeId)
-          .where('swc.currencyId', knex.raw('COALESCE(?, swc.currencyId)', settlementModel.currencyId))
-          .whereIn('swsc.settlementWindowStateId', [enums.settlementWindowStates.CLOSED, enums.settlementWindowStates.ABORTED, enums.settlementWindowStates.PENDING_SETTLEMENT])
-          .whereIn('swcsc.settlementWindowStateId', [enums.settlementWindowStates.CLOSED, enums.settlementWindowStates.ABORTED])
-
-        if (settlementModel.currencyId === null) { // Default settlement model
-          const allSettlementModels = await SettlementModelModel.getAll()
-          const settlementModelCurrenciesList = allSettlementModels.filter(record => record.currencyId !== null).map(record => record.currencyId)
-          swcList = swcList.filter(swc => !settlementModelCurrenciesList.includes(swc.currencyId))
-        }
-
+        const swcList = await getSettlementWindowContent(knex, { idList, settlementModel }, enums, trx)
         const swcIdArray = swcList.map(record => record.settlementWindowContentId)
 
         // bind requested settlementWindowContent and settlementContentAggregation records
@@ -1497,6 +1537,9 @@ const Facade = {
           .join('settlementWindowStateChange AS swsc', 'swsc.settlementWindowStateChangeId', 'sw.currentStateChangeId')
           .whereIn('sw.settlementWindowId', idList)
           .whereIn('swsc.settlementWindowStateId', [enums.settlementWindowStates.CLOSED, enums.settlementWindowStates.ABORTED])
+          .whereNotExists(function () {
+            this.from('settlementWindowAbort AS swa').whereRaw('swa.settlementWindowId = sw.settlementWindowId')
+          })
           .select('sw.settlementWindowId')
         const settlementWindowStateChangeList = windowsStateToBeUpdatedIdList.map(record => {
           return {
@@ -1543,6 +1586,31 @@ const Facade = {
     })
   },
 
+  previewSettlementEvent: async function ({ idList }, settlementModel, enums = {}) {
+    const knex = await Db.getKnex()
+    const swcList = await getSettlementWindowContent(knex, { idList, settlementModel }, enums)
+    const swcIdArray = swcList.map(record => record.settlementWindowContentId)
+
+    // aggregate the net amounts the settlement would insert into settlementParticipantCurrency
+    const participantCurrencies = await knex('settlementContentAggregation AS sca')
+      .join('participantCurrency AS pc', 'pc.participantCurrencyId', 'sca.participantCurrencyId')
+      .whereIn('sca.settlementWindowContentId', swcIdArray)
+      .groupBy('sca.participantCurrencyId', 'pc.participantId', 'pc.currencyId')
+      .orderBy('sca.participantCurrencyId')
+      .select('pc.participantId AS id', 'sca.participantCurrencyId', 'pc.currencyId AS currency')
+      .sum('sca.amount AS netAmount')
+    return {
+      settlementWindowContent: swcList.map(record => {
+        return {
+          id: record.settlementWindowContentId,
+          settlementWindowId: record.settlementWindowId,
+          currencyId: record.currencyId
+        }
+      }),
+      participantCurrencies
+    }
+  },
+
   settlementParticipantCurrency: {
     getByListOfIds: async function (listOfIds) {
       return Db.from('settlementParticipantCurrency').query(builder => {
@@ -1586,6 +1654,29 @@ const Facade = {
       })
     },
 
+    getParticipantCurrencyBySettlementIds: async function (settlementIdList, { currency, participantId, accountId } = {}) {
+      return Db.from('settlementParticipantCurrency').query(builder => {
+        const b = builder
+          .leftJoin('settlementParticipantCurrencyStateChange AS spcsc', 'spcsc.settlementParticipantCurrencyStateChangeId', 'settlementParticipantCurrency.currentStateChangeId')
+          .join('participantCurrency AS pc', 'pc.participantCurrencyId', 'settlementParticipantCurrency.participantCurrencyId')
+          .select(
+            'settlementParticipantCurrency.settlementId',
+            'pc.participantId AS id',
+            'settlementParticipantCurrency.participantCurrencyId AS participantCurrencyId',
+            'spcsc.settlementStateId AS state',
+            'spcsc.reason AS reason',
+            'settlementParticipantCurrency.netAmount AS netAmount',
+            'pc.currencyId AS currency',
+            'settlementParticipantCurrency.settlementParticipantCurrencyId AS key'
+          )
+          .whereIn('settlementParticipantCurrency.settlementId', settlementIdList)
+        if (currency) { b.where('pc.currencyId', currency) }
+        if (participantId) { b.where('pc.participantId', participantId) }
+        if (accountId) { b.where('settlementParticipantCurrency.participantCurrencyId', accountId) }
+        return b
+      })
+    },
+
     getSettlementAccountById: async function (settlementParticipantCurrencyId) {
       return Db.from('settlementParticipantCurrency').query(builder => {
         return builder
@@ -41,7 +41,9 @@ const settlementParticipantCurrencyModel = require('./settlementParticipantCurre
 module.exports = {
   create: settlementModel.create,
   triggerSettlementEvent: settlementFacade.triggerSettlementEvent,
+  previewSettlementEvent: settlementFacade.previewSettlementEvent,
   getByParams: settlementFacade.getByParams,
+  countByParams: settlementFacade.countByParams,
   getById: settlementFacade.getById,
   putById: settlementFacade.putById,
   abortById: settlementFacade.abortById,
@@ -39,6 +39,26 @@ const checkParticipantAccountExists = async ({ participantId, accountId }, enums
   })
 }
 
+const getByParticipantNames = async (names) => {
+  const knex = await Db.getKnex()
+  return knex('participant AS p')
+    .leftJoin('participantCurrency AS pc', 'pc.participantId', 'p.participantId')
+    .leftJoin('ledgerAccountType AS lat', 'lat.ledgerAccountTypeId', 'pc.ledgerAccountTypeId')
+    .whereIn('p.name', names)
+    .select('p.name', 'p.isActive', 'pc.currencyId', 'lat.name AS ledgerAccountType', 'pc.isActive AS accountIsActive')
+}
+
+const getByParticipantCurrencyIds = async (participantCurrencyIds) => {
+  const knex = await Db.getKnex()
+  return knex('participantCurrency AS pc')
+    .join('participant AS p', 'p.participantId', 'pc.participantId')
+    .join('ledgerAccountType AS lat', 'lat.ledgerAccountTypeId', 'pc.ledgerAccountTypeId')
+    .whereIn('pc.participantCurrencyId', participantCurrencyIds)
+    .select('pc.participantCurrencyId', 'p.name', 'pc.currencyId', 'lat.name AS ledgerAccountType')
+}
+
 module.exports = {
-  checkParticipantAccountExists
+  checkParticipantAccountExists,
+  getByParticipantCurrencyIds,
+  getByParticipantNames
 }
@@ -34,7 +34,24 @@ const getAll = async () => {
   return await Db.from('settlementModel').find({ isActive: 1 })
 }
 
+const getByCurrency = async (currencyId) => {
+  const knex = await Db.getKnex()
+  return knex('settlementModel AS sm')
+    .join('settlementGranularity AS g', 'g.settlementGranularityId', 'sm.settlementGranularityId')
+    .join('settlementInterchange AS i', 'i.settlementInterchangeId', 'sm.settlementInterchangeId')
+    .join('settlementDelay AS d', 'd.settlementDelayId', 'sm.settlementDelayId')
+    .join('ledgerAccountType AS lat', 'lat.ledgerAccountTypeId', 'sm.ledgerAccountTypeId')
+    .where('sm.isActive', 1)
+    .where(function () {
+      this.where('sm.currencyId', currencyId)
+        .orWhereNull('sm.currencyId')
+    })
+    .select('sm.name', 'g.name AS settlementGranularity', 'i.name AS settlementInterchange', 'd.name AS settlementDelay',
+      'sm.currencyId', 'lat.name AS ledgerAccountType', 'sm.requireLiquidityCheck', 'sm.autoPositionReset')
+}
+
 module.exports = {
   getByName,
-  getAll
+  getAll,
+  getByCurrency
 }
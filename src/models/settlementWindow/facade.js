@@ -30,8 +30,101 @@ const Db = require('../../lib/db')
 const ErrorHandler = require('@mojaloop/central-services-error-handling')
 const Enum = require('@mojaloop/central-services-shared').Enum
 const Logger = require('@mojaloop/central-services-logger')
+const MLNumber = require('@mojaloop/ml-number')
 const SettlementModelModel = require('../settlement/settlementModel')
 
+// the transfers of a window scope are those with an entry on an account of its currency, or on an account its settlement model
+// settles, matched to the settlement models the way close matches the accounts
+const scopeTransferIds = ({ currencyId, settlementModelId }, settlementModels) => {
+  return function () {
+    this.from('transferParticipant AS stp')
+      .join('participantCurrency AS spc', 'spc.participantCurrencyId', 'stp.participantCurrencyId')
+      .select('stp.transferId')
+    if (currencyId) {
+      this.where('spc.currencyId', currencyId)
+    } else {
+      const settlementModel = settlementModels.find(model => model.settlementModelId === settlementModelId)
+      this.where('spc.ledgerAccountTypeId', settlementModel.ledgerAccountTypeId)
+      if (settlementModel.currencyId) {
+        this.where('spc.currencyId', settlementModel.currencyId)
+      } else {
+        this.whereNotIn('spc.currencyId', settlementModels.filter(model => model.currencyId !== null).map(model => model.currencyId))
+      }
+    }
+  }
+}
+
+// central-ledger records a transfer in the window that was open when it was fulfilled and its transferFulfilment is left as it
+// is. The transfers settlement moves on to another window are recorded in settlementWindowTransfer, they are in that window
+const transferSettlementWindowId = (transferFulfilment = 'tf') => `COALESCE(swt.settlementWindowId, ${transferFulfilment}.settlementWindowId)`
+
+// the transfers of a window that are not settled with it are moved to the open window, all of them or only those of other scopes
+const moveTransfersToOpenWindow = async (knex, trx, settlementWindowId, transferIdsToKeep = null) => {
+  const openWindow = await knex('settlementWindow AS sw')
+    .join('settlementWindowStateChange AS swsc', 'swsc.settlementWindowStateChangeId', 'sw.currentStateChangeId')
+    .where('swsc.settlementWindowStateId', Enum.Settlements.SettlementWindowState.OPEN)
+    .select('sw.settlementWindowId')
+    .orderBy('sw.settlementWindowId', 'desc')
+    .first()
+    .transacting(trx)
+    .forUpdate()
+  if (!openWindow) {
+    throw ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, 'No open window to move the transfers to')
+  }
+  const createdDate = new Date()
+  // the transfers moved to the window before are moved on
+  const movedBuilder = knex('settlementWindowTransfer').transacting(trx)
+    .where({ settlementWindowId })
+  if (transferIdsToKeep) {
+    movedBuilder.whereNotIn('transferId', transferIdsToKeep)
+  }
+  await movedBuilder.update({ settlementWindowId: openWindow.settlementWindowId, createdDate })
+  // the transfers fulfilled in the window are recorded as moved
+  await knex
+    .from(knex.raw('settlementWindowTransfer (transferId, settlementWindowId, createdDate)'))
+    .insert(function () {
+      this.from('transferFulfilment AS tf')
+        .leftJoin('settlementWindowTransfer AS swt', 'swt.transferId', 'tf.transferId')
+        .where('tf.settlementWindowId', settlementWindowId)
+        .whereNull('swt.transferId')
+        .select('tf.transferId',
+          knex.raw('? AS ??', [openWindow.settlementWindowId, 'settlementWindowId']),
+          knex.raw('? AS ??', [createdDate, 'createdDate']))
+      if (transferIdsToKeep) {
+        this.whereNotIn('tf.transferId', transferIdsToKeep)
+      }
+    })
+    .transacting(trx)
+  return openWindow.settlementWindowId
+}
+
+const SORT_COLUMNS = {
+  settlementWindowId: 'settlementWindow.settlementWindowId',
+  createdDate: 'settlementWindow.createdDate',
+  changedDate: 'swsc.createdDate'
+}
+
+// the participant and currency filters match the windows with a transfer on an account of the participant and/or currency
+const filterByParams = (builder, { participantId, state, fromDateTime, toDateTime, currency }) => {
+  builder.leftJoin('settlementWindowStateChange AS swsc', 'swsc.settlementWindowStateChangeId', 'settlementWindow.currentStateChangeId')
+  if (state) { builder.where('swsc.settlementWindowStateId', state) }
+  if (fromDateTime) { builder.where('settlementWindow.createdDate', '>=', fromDateTime) }
+  if (toDateTime) { builder.where('settlementWindow.createdDate', '<=', toDateTime) }
+  if (participantId || currency) {
+    builder.whereExists(function () {
+      this.from('transferFulfilment AS tf')
+        .join('transferParticipant AS tp', 'tp.transferId', 'tf.transferId')
+        .join('participantCurrency AS pc', 'pc.participantCurrencyId', 'tp.participantCurrencyId')
+        .leftJoin('settlementWindowTransfer AS swt', 'swt.transferId', 'tf.transferId')
+        .whereRaw(`${transferSettlementWindowId()} = settlementWindow.settlementWindowId`)
+        .select('tf.transferId')
+      if (participantId) { this.where('pc.participantId', participantId) }
+      if (currency) { this.where('pc.currencyId', currency) }
+    })
+  }
+  return builder
+}
+
 const Facade = {
   getById: async function ({ settlementWindowId }) {
     return Db.from('settlementWindow').query(builder => {
@@ -49,15 +142,154 @@ const Facade = {
     })
   },
 
-  getTransfersCount: async function ({ settlementWindowId }) {
-    return Db.from('transferFulfilment').query(builder => {
+  getOpen: async function () {
+    return Db.from('settlementWindow').query(builder => {
+      return builder
+        .join('settlementWindowStateChange AS swsc', 'swsc.settlementWindowStateChangeId', 'settlementWindow.currentStateChangeId')
+        .select(
+          'settlementWindow.settlementWindowId',
+          'swsc.settlementWindowStateId as state',
+          'swsc.reason as reason',
+          'settlementWindow.createdDate as createdDate',
+          'swsc.createdDate as changedDate'
+        )
+        .first()
+        .where('swsc.settlementWindowStateId', Enum.Settlements.SettlementWindowState.OPEN)
+        .orderBy('settlementWindow.settlementWindowId', 'desc')
+    })
+  },
+
+  getProcessing: async function ({ changedBefore }) {
+    return Db.from('settlementWindow').query(builder => {
       return builder
+        .join('settlementWindowStateChange AS swsc', 'swsc.settlementWindowStateChangeId', 'settlementWindow.currentStateChangeId')
+        .select(
+          'settlementWindow.settlementWindowId',
+          'swsc.settlementWindowStateId as state',
+          'swsc.reason as reason',
+          'settlementWindow.createdDate as createdDate',
+          'swsc.createdDate as changedDate'
+        )
+        .where('swsc.settlementWindowStateId', Enum.Settlements.SettlementWindowState.PROCESSING)
+        .andWhere('swsc.createdDate', '<=', changedBefore)
+        .orderBy('settlementWindow.settlementWindowId')
+    })
+  },
+
+  getTransfersCount: async function ({ settlementWindowId, scope = null }) {
+    const settlementModels = scope && scope.settlementModelId ? await SettlementModelModel.getAll() : []
+    return Db.from('transferFulfilment').query(builder => {
+      const b = builder
         .count('* as cnt')
         .first()
-        .where('transferFulfilment.settlementWindowId', settlementWindowId)
+        .leftJoin('settlementWindowTransfer AS swt', 'swt.transferId', 'transferFulfilment.transferId')
+        .whereRaw(`${transferSettlementWindowId('transferFulfilment')} = ?`, [settlementWindowId])
+      if (scope) {
+        b.whereIn('transferFulfilment.transferId', scopeTransferIds(scope, settlementModels))
+      }
+      return b
     })
   },
 
+  getScopes: async function (settlementWindowIdList, trx = null) {
+    const knex = await Db.getKnex()
+    const builder = knex('settlementWindowScope')
+      .whereIn('settlementWindowId', settlementWindowIdList)
+      .select('settlementWindowId', 'currencyId', 'settlementModelId')
+    return trx ? builder.transacting(trx) : builder
+  },
+
+  moveOutOfScopeTransfers: async function (settlementWindowId, settlementModels, trx) {
+    const knex = await Db.getKnex()
+    const [scope] = await Facade.getScopes([settlementWindowId], trx)
+    if (!scope) {
+      return null
+    }
+    return moveTransfersToOpenWindow(knex, trx, settlementWindowId, scopeTransferIds(scope, settlementModels))
+  },
+
+  getParticipantPositions: async function ({ settlementWindowId }) {
+    const knex = await Db.getKnex()
+    return knex('transferFulfilment AS tf')
+      .join('transferParticipant AS tp', 'tp.transferId', 'tf.transferId')
+      .join('participantCurrency AS pc', 'pc.participantCurrencyId', 'tp.participantCurrencyId')
+      .join('participant AS p', 'p.participantId', 'pc.participantId')
+      .leftJoin('settlementWindowTransfer AS swt', 'swt.transferId', 'tf.transferId')
+      .whereRaw(`${transferSettlementWindowId()} = ?`, [settlementWindowId])
+      .andWhere('pc.ledgerAccountTypeId', Enum.Accounts.LedgerAccountType.POSITION)
+      .groupBy('p.name', 'pc.participantCurrencyId', 'pc.currencyId')
+      .select('p.name AS fspId', 'pc.participantCurrencyId', 'pc.currencyId AS currency',
+        knex.raw('SUM(CASE WHEN tp.amount > 0 THEN tp.amount ELSE 0 END) AS ??', ['sentAmount']))
+      .sum('tp.amount AS netAmount')
+  },
+
+  getLedgerEntryAmounts: async function ({ settlementWindowId }) {
+    const knex = await Db.getKnex()
+    return knex('transferFulfilment AS tf')
+      .join('transferParticipant AS tp', 'tp.transferId', 'tf.transferId')
+      .join('participantCurrency AS pc', 'pc.participantCurrencyId', 'tp.participantCurrencyId')
+      .join('participant AS p', 'p.participantId', 'pc.participantId')
+      .join('ledgerAccountType AS lat', 'lat.ledgerAccountTypeId', 'pc.ledgerAccountTypeId')
+      .join('ledgerEntryType AS let', 'let.ledgerEntryTypeId', 'tp.ledgerEntryTypeId')
+      .leftJoin('settlementWindowTransfer AS swt', 'swt.transferId', 'tf.transferId')
+      .whereRaw(`${transferSettlementWindowId()} = ?`, [settlementWindowId])
+      .groupBy('p.name', 'pc.participantCurrencyId', 'pc.currencyId', 'pc.ledgerAccountTypeId', 'lat.name', 'let.name')
+      .select('p.name AS fspId', 'pc.participantCurrencyId', 'pc.currencyId AS currency', 'pc.ledgerAccountTypeId',
+        'lat.name AS ledgerAccountType', 'let.name AS ledgerEntryType')
+      .sum('tp.amount AS amount')
+      .orderBy(['p.name', 'pc.participantCurrencyId', 'let.name'])
+  },
+
+  getTransfers: async function ({ settlementWindowId, settlementId, ledgerAccountTypeId, currencyId, participantCurrencyId }, { page, limit }) {
+    const knex = await Db.getKnex()
+    const builder = knex('transferFulfilment AS tf')
+      .join('transferParticipant AS tp', 'tp.transferId', 'tf.transferId')
+      .join('participantCurrency AS pc', 'pc.participantCurrencyId', 'tp.participantCurrencyId')
+      .join('participant AS p', 'p.participantId', 'pc.participantId')
+      .join('ledgerEntryType AS let', 'let.ledgerEntryTypeId', 'tp.ledgerEntryTypeId')
+      .leftJoin('settlementWindowTransfer AS swt', 'swt.transferId', 'tf.transferId')
+    if (settlementWindowId) {
+      builder.whereRaw(`${transferSettlementWindowId()} = ?`, [settlementWindowId])
+    }
+    if (settlementId) {
+      builder
+        .join('settlementWindowContent AS swc', function () {
+          this.on('swc.settlementWindowId', knex.raw(transferSettlementWindowId()))
+            .on('swc.ledgerAccountTypeId', 'pc.ledgerAccountTypeId')
+            .on('swc.currencyId', 'pc.currencyId')
+        })
+        .where('swc.settlementId', settlementId)
+    }
+    if (ledgerAccountTypeId) {
+      builder.where('pc.ledgerAccountTypeId', ledgerAccountTypeId)
+    }
+    if (currencyId) {
+      builder.where('pc.currencyId', currencyId)
+    }
+    if (participantCurrencyId) {
+      builder.whereIn('tf.transferId', function () {
+        this.from('transferParticipant').where({ participantCurrencyId }).select('transferId')
+      })
+    }
+    // one row per transfer and ledger entry type, the payer is the participant whose position the entry increases
+    const transfers = await builder
+      .groupBy('tf.transferId', 'tf.completedDate', 'pc.currencyId', 'let.name')
+      .select('tf.transferId',
+        knex.raw('MAX(CASE WHEN tp.amount > 0 THEN p.name END) AS ??', ['payerFsp']),
+        knex.raw('MAX(CASE WHEN tp.amount < 0 THEN p.name END) AS ??', ['payeeFsp']),
+        knex.raw('SUM(CASE WHEN tp.amount > 0 THEN tp.amount ELSE 0 END) AS ??', ['amount']),
+        'pc.currencyId AS currency', 'tf.completedDate AS fulfilmentDate', 'let.name AS ledgerEntryType')
+      .orderBy(['tf.completedDate', 'tf.transferId', 'let.name'])
+      .offset((page - 1) * limit)
+      .limit(limit + 1)
+    return {
+      page,
+      limit,
+      hasMore: transfers.length > limit,
+      transfers: transfers.slice(0, limit).map(transfer => ({ ...transfer, amount: new MLNumber(transfer.amount).toString() }))
+    }
+  },
+
   getByListOfIds: async function (listOfIds, settlementModel, winStateEnum) {
     const knex = await Db.getKnex()
     return Db.from('settlementWindow').query(builder => {
@@ -70,6 +302,10 @@ const Facade = {
         .where('swc.currencyId', knex.raw('COALESCE(?, swc.currencyId)', settlementModel.currencyId))
         .whereIn('swsc.settlementWindowStateId', [winStateEnum.CLOSED, winStateEnum.ABORTED, winStateEnum.PENDING_SETTLEMENT])
         .whereIn('swcsc.settlementWindowStateId', [winStateEnum.CLOSED, winStateEnum.ABORTED])
+        // ABORTED windows of an aborted settlement are settled again, the windows aborted by an operator are not
+        .whereNotExists(function () {
+          this.from('settlementWindowAbort AS swa').whereRaw('swa.settlementWindowId = settlementWindow.settlementWindowId')
+        })
         .distinct(
           'settlementWindow.settlementWindowId',
           'swsc.settlementWindowStateId as state'
@@ -78,58 +314,49 @@ const Facade = {
     })
   },
 
-  getByParams: async function ({ query }) {
-    const { participantId, state, fromDateTime, toDateTime, currency } = query
+  getByParams: async function ({ query }, { sortBy = 'changedDate', sortOrder = 'desc', after = null, limit = null } = {}) {
+    const sortColumn = SORT_COLUMNS[sortBy]
     return Db.from('settlementWindow').query(builder => {
-      if (!participantId) {
-        const b = builder
-          .leftJoin('settlementWindowStateChange AS swsc', 'swsc.settlementWindowStateChangeId', 'settlementWindow.currentStateChangeId')
-          .leftJoin('transferFulfilment AS tf', 'tf.settlementWindowId', 'settlementWindow.settlementWindowId')
-          .leftJoin('transferParticipant AS tp', 'tp.transferId', 'tf.transferId')
-          .leftJoin('participantCurrency AS pc', 'pc.participantCurrencyId', 'tp.participantCurrencyId')
-          .select(
-            'settlementWindow.settlementWindowId',
-            'swsc.settlementWindowStateId as state',
-            'swsc.reason as reason',
-            'settlementWindow.createdDate as createdDate',
-            'swsc.createdDate as changedDate'
-          )
-          .orderBy('changedDate', 'desc').distinct()
-        if (state) { b.where('swsc.settlementWindowStateId', state) }
-        if (fromDateTime) { b.where('settlementWindow.createdDate', '>=', fromDateTime) }
-        if (toDateTime) { b.where('settlementWindow.createdDate', '<=', toDateTime) }
-        if (currency) { b.where('pc.currencyId', currency) }
-        return b
-      } else {
-        const b = builder
-          .leftJoin('settlementWindowStateChange AS swsc', 'swsc.settlementWindowStateChangeId', 'settlementWindow.currentStateChangeId')
-          .leftJoin('transferFulfilment AS tf', 'tf.settlementWindowId', 'settlementWindow.settlementWindowId')
-          .leftJoin('transferParticipant AS tp', 'tp.transferId', 'tf.transferId')
-          .leftJoin('participantCurrency AS pc', 'pc.participantCurrencyId', 'tp.participantCurrencyId')
-          .select(
-            'settlementWindow.settlementWindowId',
-            'swsc.settlementWindowStateId as state',
-            'swsc.reason as reason',
-            'settlementWindow.createdDate as createdDate',
-            'swsc.createdDate as changedDate'
-          )
-          .orderBy('changedDate', 'desc').distinct()
-          .where('pc.participantId', participantId)
-        if (state) { b.where('swsc.settlementWindowStateId', state) }
-        if (fromDateTime) { b.where('settlementWindow.createdDate', '>=', fromDateTime) }
-        if (toDateTime) { b.where('settlementWindow.createdDate', '<=', toDateTime) }
-        if (currency) { b.where('pc.currencyId', currency) }
-        return b
+      const b = filterByParams(builder, query)
+        .select(
+          'settlementWindow.settlementWindowId',
+          'swsc.settlementWindowStateId as state',
+          'swsc.reason as reason',
+          'settlementWindow.createdDate as createdDate',
+          'swsc.createdDate as changedDate'
+        )
+        .orderBy([{ column: sortColumn, order: sortOrder }, { column: 'settlementWindow.settlementWindowId', order: sortOrder }])
+      // keyset pagination, the page starts after the last window of the previous page in the sort order
+      if (after) {
+        const operator = sortOrder === 'asc' ? '>' : '<'
+        b.where(function () {
+          this.where(sortColumn, operator, after.value)
+            .orWhere(function () {
+              this.where(sortColumn, after.value).where('settlementWindow.settlementWindowId', operator, after.settlementWindowId)
+            })
+        })
+      }
+      if (limit) {
+        b.limit(limit)
       }
+      return b
     })
   },
 
-  process: async function ({ settlementWindowId, reason }, enums = {}) {
+  countByParams: async function ({ query }) {
+    return Db.from('settlementWindow').query(builder => {
+      return filterByParams(builder, query)
+        .count('* as total')
+        .first()
+    })
+  },
+
+  process: async function ({ settlementWindowId, reason, scope = null }, enums = {}) {
     const knex = await Db.getKnex()
     const settlementWindowCurrentState = await Facade.getById({ settlementWindowId })
-    const transfersCount = (await Facade.getTransfersCount({ settlementWindowId })).cnt
+    const transfersCount = (await Facade.getTransfersCount({ settlementWindowId, scope })).cnt
     if (!settlementWindowCurrentState) {
-      throw ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, `Window ${settlementWindowId} does not exist`)
+      throw ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.UNKNOWN_URI, `Window ${settlementWindowId} does not exist`)
     } if (settlementWindowCurrentState && settlementWindowCurrentState.state !== enums.OPEN) {
       throw ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, `Window ${settlementWindowId} is not open`)
     } if (transfersCount === 0) {
@@ -148,6 +375,18 @@ const Facade = {
           await knex('settlementWindow').transacting(trx)
             .where({ settlementWindowId })
             .update({ currentStateChangeId: settlementWindowStateChangeId })
+          // all scopes share the open window, central-ledger records every fulfilled transfer in it. A scoped closure closes that
+          // window for its scope, the transfers of the other scopes are moved on to the next open window when it is closed, in
+          // settlementWindowTransfer
+          if (scope) {
+            await knex('settlementWindowScope').transacting(trx)
+              .insert({
+                settlementWindowId,
+                currencyId: scope.currencyId || null,
+                settlementModelId: scope.settlementModelId || null,
+                createdDate: transactionTimestamp
+              })
+          }
           const newSettlementWindowId = await knex('settlementWindow').transacting(trx)
             .insert({ reason, createdDate: transactionTimestamp })
           const newSettlementWindowStateChangeId = await knex('settlementWindowStateChange').transacting(trx)
@@ -179,12 +418,23 @@ const Facade = {
     const knex = await Db.getKnex()
     const settlementWindowCurrentState = await Facade.getById({ settlementWindowId })
     if (!settlementWindowCurrentState) {
-      throw ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, `Window ${settlementWindowId} does not exist`)
+      throw ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.UNKNOWN_URI, `Window ${settlementWindowId} does not exist`)
     } if (settlementWindowCurrentState && settlementWindowCurrentState.state !== Enum.Settlements.SettlementWindowState.PROCESSING) {
       throw ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, `Window ${settlementWindowId} is not in processing state`)
     } else {
       return knex.transaction(async (trx) => {
         try {
+          // the window is locked and its state read again, so that of concurrent closers only the first aggregates it
+          const lockedSettlementWindow = await knex('settlementWindow AS sw').transacting(trx)
+            .join('settlementWindowStateChange AS swsc', 'swsc.settlementWindowStateChangeId', 'sw.currentStateChangeId')
+            .where('sw.settlementWindowId', settlementWindowId)
+            .select('swsc.settlementWindowStateId AS state')
+            .forUpdate()
+            .first()
+          if (!lockedSettlementWindow || lockedSettlementWindow.state !== Enum.Settlements.SettlementWindowState.PROCESSING) {
+            Logger.isInfoEnabled && Logger.info(`Window ${settlementWindowId} is no longer in processing state, it was closed meanwhile`)
+            return false
+          }
           const transactionTimestamp = new Date()
           // Insert settlementWindowContent
           const allSettlementModels = await SettlementModelModel.getAll()
@@ -193,14 +443,17 @@ const Facade = {
           for (const sm of allSettlementModels) {
             smMap[sm.settlementModelId] = sm
           }
+          // the transfers of other scopes, also those fulfilled into the window while it was processed, are closed with their scope
+          await Facade.moveOutOfScopeTransfers(settlementWindowId, allSettlementModels, trx)
           const settlementModelCurrenciesList = allSettlementModels.filter(record => record.currencyId !== null).map(record => record.currencyId)
           const swcList = await knex.from('transferFulfilment AS tf')
             .join('transferParticipant AS tp', 'tp.transferId', 'tf.transferId')
             .join('participantCurrency AS pc', 'pc.participantCurrencyId', 'tp.participantCurrencyId')
             .join('settlementModel AS m', 'm.ledgerAccountTypeId', 'pc.ledgerAccountTypeId')
-            .where('tf.settlementWindowId', settlementWindowId)
+            .leftJoin('settlementWindowTransfer AS swt', 'swt.transferId', 'tf.transferId')
+            .whereRaw(`${transferSettlementWindowId()} = ?`, [settlementWindowId])
             .andWhere('m.settlementGranularityId', Enum.Settlements.SettlementGranularity.NET)
-            .distinct('tf.settlementWindowId', 'pc.ledgerAccountTypeId', 'pc.currencyId', 'm.settlementModelId')
+            .distinct(knex.raw('? AS ??', [settlementWindowId, 'settlementWindowId']), 'pc.ledgerAccountTypeId', 'pc.currencyId', 'm.settlementModelId')
             .transacting(trx)
           const promiseArray = []
           swcList.forEach(swc => {
@@ -222,13 +475,14 @@ const Facade = {
               this.from('transferFulfilment AS tf')
                 .join('transferParticipant AS tp', 'tp.transferId', 'tf.transferId')
                 .join('participantCurrency AS pc', 'pc.participantCurrencyId', 'tp.participantCurrencyId')
+                .leftJoin('settlementWindowTransfer AS swt', 'swt.transferId', 'tf.transferId')
                 .join('settlementWindowContent AS swc', function () {
-                  this.on('swc.settlementWindowId', 'tf.settlementWindowId')
+                  this.on('swc.settlementWindowId', knex.raw(transferSettlementWindowId()))
                     .on('swc.ledgerAccountTypeId', 'pc.ledgerAccountTypeId')
                     .on('swc.currencyId', 'pc.currencyId')
                 })
                 .join('settlementModel AS m', 'm.settlementModelId', 'swc.settlementModelId')
-                .where('tf.settlementWindowId', settlementWindowId)
+                .whereRaw(`${transferSettlementWindowId()} = ?`, [settlementWindowId])
                 .andWhere('m.settlementGranularityId', Enum.Settlements.SettlementGranularity.NET)
                 .groupBy('swc.settlementWindowContentId', 'pc.participantCurrencyId', 'tp.transferParticipantRoleTypeId', 'tp.ledgerEntryTypeId')
                 .select('swc.settlementWindowContentId', 'pc.participantCurrencyId', 'tp.transferParticipantRoleTypeId', 'tp.ledgerEntryTypeId',
@@ -297,6 +551,77 @@ const Facade = {
     }
   },
 
+  abort: async function ({ settlementWindowId, reason, reaggregate = false }, enums = {}) {
+    const knex = await Db.getKnex()
+    return knex.transaction(async (trx) => {
+      try {
+        // the window is locked before its state is checked, so that it can not be closed, aborted or settled meanwhile
+        const settlementWindow = await knex('settlementWindow AS sw').transacting(trx)
+          .join('settlementWindowStateChange AS swsc', 'swsc.settlementWindowStateChangeId', 'sw.currentStateChangeId')
+          .where('sw.settlementWindowId', settlementWindowId)
+          .select('swsc.settlementWindowStateId AS state')
+          .forUpdate()
+          .first()
+        if (!settlementWindow) {
+          throw ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.UNKNOWN_URI, `Window ${settlementWindowId} does not exist`)
+        } if (settlementWindow.state !== enums.CLOSED) {
+          throw ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, `Window ${settlementWindowId} is not closed`)
+        } if (await knex('settlementSettlementWindow').transacting(trx).where({ settlementWindowId }).first()) {
+          throw ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, `Window ${settlementWindowId} is included in a settlement`)
+        }
+        const transactionTimestamp = new Date()
+        const settlementWindowContentIdList = (await knex('settlementWindowContent')
+          .where({ settlementWindowId })
+          .select('settlementWindowContentId')
+          .transacting(trx)
+          .forUpdate()).map(record => record.settlementWindowContentId)
+        // settlementWindowContent points to its current state change, which points back to it
+        await knex('settlementWindowContent').transacting(trx)
+          .whereIn('settlementWindowContentId', settlementWindowContentIdList)
+          .update({ currentStateChangeId: null })
+        await knex('settlementContentAggregation').transacting(trx)
+          .whereIn('settlementWindowContentId', settlementWindowContentIdList)
+          .del()
+        await knex('settlementWindowContentStateChange').transacting(trx)
+          .whereIn('settlementWindowContentId', settlementWindowContentIdList)
+          .del()
+        await knex('settlementWindowContent').transacting(trx)
+          .whereIn('settlementWindowContentId', settlementWindowContentIdList)
+          .del()
+
+        // an aborted window hands its transfers over to the open window, a re-aggregated window is closed again from PROCESSING
+        let openSettlementWindowId = null
+        if (!reaggregate) {
+          openSettlementWindowId = await moveTransfersToOpenWindow(knex, trx, settlementWindowId)
+          // ABORTED is also the state of the windows of an aborted settlement, which can be settled again. The windows aborted by
+          // an operator are recorded, so that the settlements leave them out
+          await knex('settlementWindowAbort').transacting(trx)
+            .insert({ settlementWindowId, reason, createdDate: transactionTimestamp })
+        }
+        const settlementWindowStateChangeId = await knex('settlementWindowStateChange').transacting(trx)
+          .insert({
+            settlementWindowStateId: reaggregate ? enums.PROCESSING : enums.ABORTED,
+            reason,
+            settlementWindowId,
+            createdDate: transactionTimestamp
+          })
+        await knex('settlementWindow').transacting(trx)
+          .where({ settlementWindowId })
+          .update({ currentStateChangeId: settlementWindowStateChangeId })
+        await trx.commit
+        return openSettlementWindowId
+      } catch (err) {
+        Logger.isErrorEnabled && Logger.error(err)
+        await trx.rollback
+        throw ErrorHandler.Factory.reformatFSPIOPError(err)
+      }
+    })
+      .catch((err) => {
+        Logger.isErrorEnabled && Logger.error(err)
+        throw ErrorHandler.Factory.reformatFSPIOPError(err)
+      })
+  },
+
   getBySettlementId: async function ({ settlementId }) {
     return Db.from('settlementSettlementWindow').query(builder => {
       return builder
@@ -311,6 +636,23 @@ const Facade = {
         )
         .where('settlementSettlementWindow.settlementId', settlementId)
     })
+  },
+
+  getBySettlementIds: async function (settlementIdList) {
+    return Db.from('settlementSettlementWindow').query(builder => {
+      return builder
+        .join('settlementWindow AS sw', 'sw.settlementWindowId', 'settlementSettlementWindow.settlementWindowId')
+        .join('settlementWindowStateChange AS swsc', 'swsc.settlementWindowStateChangeId', 'sw.currentStateChangeId')
+        .select(
+          'settlementSettlementWindow.settlementId',
+          'sw.settlementWindowId AS id',
+          'swsc.settlementWindowStateId as state',
+          'swsc.reason as reason',
+          'sw.createdDate as createdDate',
+          'swsc.createdDate as changedDate'
+        )
+        .whereIn('settlementSettlementWindow.settlementId', settlementIdList)
+    })
   }
 }
 
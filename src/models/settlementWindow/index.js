@@ -34,10 +34,20 @@ const settlementWindowStateChange = require('./settlementWindowStateChange')
 module.exports = {
   getById: Facade.getById,
   getByParams: Facade.getByParams,
+  countByParams: Facade.countByParams,
+  getOpen: Facade.getOpen,
+  getProcessing: Facade.getProcessing,
+  getLedgerEntryAmounts: Facade.getLedgerEntryAmounts,
+  getTransfers: Facade.getTransfers,
+  getParticipantPositions: Facade.getParticipantPositions,
+  getTransfersCount: Facade.getTransfersCount,
+  getScopes: Facade.getScopes,
   process: Facade.process,
   close: Facade.close,
+  abort: Facade.abort,
   getByListOfIds: Facade.getByListOfIds,
   getBySettlementId: Facade.getBySettlementId,
+  getBySettlementIds: Facade.getBySettlementIds,
   getUnprocessedTransferParticipantEntryCount: Facade.getUnprocessedTransferParticipantEntryCount,
   createSettlementWindowState: settlementWindowStateChange.create
 }
@@ -39,10 +39,21 @@ const Facade = {
         .where('swc.currencyId', knex.raw('COALESCE(?, swc.currencyId)', settlementModel.currencyId))
         .whereIn('swsc.settlementWindowStateId', [winStateEnum.CLOSED, winStateEnum.ABORTED, winStateEnum.PENDING_SETTLEMENT])
         .whereIn('swcsc.settlementWindowStateId', [winStateEnum.CLOSED, winStateEnum.ABORTED])
+        // ABORTED windows of an aborted settlement are settled again, the windows aborted by an operator are not
+        .whereNotExists(function () {
+          this.from('settlementWindowAbort AS swa').whereRaw('swa.settlementWindowId = settlementWindow.settlementWindowId')
+        })
         .distinct('swc.settlementWindowContentId')
       return b
     })
   },
+  getById: async (id) => {
+    const knex = await Db.getKnex()
+    return knex('settlementWindowContent AS swc')
+      .where('swc.settlementWindowContentId', id)
+      .select('swc.settlementWindowContentId', 'swc.settlementWindowId', 'swc.ledgerAccountTypeId', 'swc.currencyId', 'swc.settlementId')
+      .first()
+  },
   getBySettlementId: async (id) => {
     const knex = await Db.getKnex()
     return knex('settlementWindowContent AS swc')
@@ -52,6 +63,15 @@ const Facade = {
       .select('swc.settlementWindowContentId AS id', 'swc.settlementWindowId', 'swcsc.settlementWindowStateId AS state',
         'lat.name AS ledgerAccountType', 'swc.currencyId', 'swc.createdDate', 'swcsc.createdDate AS changedDate')
   },
+  getBySettlementIds: async (idList) => {
+    const knex = await Db.getKnex()
+    return knex('settlementWindowContent AS swc')
+      .join('settlementWindowContentStateChange AS swcsc', 'swcsc.settlementWindowContentStateChangeId', 'swc.currentStateChangeId')
+      .join('ledgerAccountType AS lat', 'lat.ledgerAccountTypeId', 'swc.ledgerAccountTypeId')
+      .whereIn('swc.settlementId', idList)
+      .select('swc.settlementWindowContentId AS id', 'swc.settlementId', 'swc.settlementWindowId', 'swcsc.settlementWindowStateId AS state',
+        'lat.name AS ledgerAccountType', 'swc.currencyId', 'swc.createdDate', 'swcsc.createdDate AS changedDate')
+  },
   getBySettlementWindowId: async (id) => {
     const knex = await Db.getKnex()
     return knex('settlementWindowContent AS swc')
@@ -61,6 +81,27 @@ const Facade = {
       .select('swc.settlementWindowContentId AS id', 'swcsc.settlementWindowStateId AS state',
         'lat.name AS ledgerAccountType', 'swc.currencyId', 'swc.createdDate', 'swcsc.createdDate AS changedDate', 'swc.settlementId')
   },
+  getBySettlementWindowIds: async (idList) => {
+    const knex = await Db.getKnex()
+    return knex('settlementWindowContent AS swc')
+      .join('settlementWindowContentStateChange AS swcsc', 'swcsc.settlementWindowContentStateChangeId', 'swc.currentStateChangeId')
+      .join('ledgerAccountType AS lat', 'lat.ledgerAccountTypeId', 'swc.ledgerAccountTypeId')
+      .whereIn('swc.settlementWindowId', idList)
+      .select('swc.settlementWindowContentId AS id', 'swc.settlementWindowId', 'swcsc.settlementWindowStateId AS state',
+        'lat.name AS ledgerAccountType', 'swc.currencyId', 'swc.createdDate', 'swcsc.createdDate AS changedDate', 'swc.settlementId')
+  },
+  getParticipantAmountsBySettlementWindowId: async (id) => {
+    const knex = await Db.getKnex()
+    return knex('settlementContentAggregation AS sca')
+      .join('settlementWindowContent AS swc', 'swc.settlementWindowContentId', 'sca.settlementWindowContentId')
+      .join('participantCurrency AS pc', 'pc.participantCurrencyId', 'sca.participantCurrencyId')
+      .join('participant AS p', 'p.participantId', 'pc.participantId')
+      .join('ledgerAccountType AS lat', 'lat.ledgerAccountTypeId', 'pc.ledgerAccountTypeId')
+      .where('swc.settlementWindowId', id)
+      .groupBy('p.name', 'pc.participantCurrencyId', 'pc.currencyId', 'lat.name')
+      .select('p.name AS fspId', 'pc.participantCurrencyId', 'pc.currencyId AS currency', 'lat.name AS ledgerAccountType')
+      .sum('sca.amount AS netAmount')
+  },
   getBySettlementAndWindowId: async (settlementId, settlementWindowId) => {
     const knex = await Db.getKnex()
     return knex('settlementWindowContent AS swc')
@@ -30,7 +30,10 @@ const SettlementWindowContentStateChangeModel = require('./settlementWindowConte
 module.exports = {
   createSettlementWindowContentState: SettlementWindowContentStateChangeModel.create,
   getApplicableByWindowIdList: Facade.getApplicableByWindowIdList,
+  getById: Facade.getById,
   getBySettlementId: Facade.getBySettlementId,
+  getBySettlementIds: Facade.getBySettlementIds,
   getBySettlementWindowId: Facade.getBySettlementWindowId,
+  getBySettlementWindowIds: Facade.getBySettlementWindowIds,
   getBySettlementAndWindowId: Facade.getBySettlementAndWindowId
 }
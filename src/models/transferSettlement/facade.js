@@ -28,7 +28,10 @@ License
 
 'use strict'
 
+const crypto = require('crypto')
 const Db = require('../../lib/db')
+const MLNumber = require('@mojaloop/ml-number')
+const Uuid = require('uuid4')
 const ErrorHandler = require('@mojaloop/central-services-error-handling')
 const Logger = require('@mojaloop/central-services-logger')
 const Utility = require('@mojaloop/central-services-shared').Util
@@ -62,9 +65,14 @@ async function insertLedgerEntry (ledgerEntry, transferId, trx = null) {
           throw error
         }
 
-        await knex('transferParticipant')
-          .insert(recordsToInsert)
-          .transacting(trx)
+        // one row at a time, so that the ids of the transferParticipant records can be returned
+        const transferParticipantIds = []
+        for (const record of recordsToInsert) {
+          const [transferParticipantId] = await knex('transferParticipant')
+            .insert(record)
+            .transacting(trx)
+          transferParticipantIds.push(transferParticipantId)
+        }
 
         await Promise.all(recordsToInsert.map(async record => {
           const queryResult = await knex('participantPosition')
@@ -78,13 +86,15 @@ async function insertLedgerEntry (ledgerEntry, transferId, trx = null) {
           }
         }))
 
+        // rules also run for aborted transfers and for settlement events, so the position changes are linked to the latest state of the transfer
         const transferStateChangeId = await knex('transferStateChange')
           .select('transferStateChangeId')
           .where('transferId', transferId)
-          .andWhere('transferStateId', TransferStateEnum.COMMITTED)
+          .orderBy('transferStateChangeId', 'desc')
+          .limit(1)
           .transacting(trx)
-        if (transferStateChangeId.length === 0 || !transferStateChangeId[0].transferStateChangeId || transferStateChangeId.length > 1) {
-          const error = ErrorHandler.Factory.createInternalServerFSPIOPError(`Unable to find transfer with COMMITTED state for transferId : ${transferId}`)
+        if (transferStateChangeId.length === 0 || !transferStateChangeId[0].transferStateChangeId) {
+          const error = ErrorHandler.Factory.createInternalServerFSPIOPError(`Unable to find a transfer state for transferId : ${transferId}`)
           Logger.isErrorEnabled && Logger.error(error)
           throw error
         }
@@ -112,6 +122,7 @@ async function insertLedgerEntry (ledgerEntry, transferId, trx = null) {
         if (doCommit) {
           await trx.commit
         }
+        return transferParticipantIds
       } catch (err) {
         Logger.isErrorEnabled && Logger.error(err)
         if (doCommit) {
@@ -137,13 +148,184 @@ async function insertLedgerEntries (ledgerEntries, transferId, trx = null) {
     const knex = await Db.getKnex()
     const trxFunction = async (trx, doCommit = true) => {
       try {
+        const transferParticipantIds = []
         for (const ledgerEntry of ledgerEntries) {
           Logger.isInfoEnabled && Logger.info(`Inserting ledger entry: ${JSON.stringify(ledgerEntry)}`)
-          await insertLedgerEntry(ledgerEntry, transferId, trx)
+          transferParticipantIds.push(await insertLedgerEntry(ledgerEntry, transferId, trx))
+        }
+        if (doCommit) {
+          await trx.commit
+        }
+        return transferParticipantIds
+      } catch (err) {
+        Logger.isErrorEnabled && Logger.error(err)
+        if (doCommit) {
+          await trx.rollback
+        }
+        throw err
+      }
+    }
+    if (trx) {
+      return await trxFunction(trx, false)
+    } else {
+      return await knex.transaction(trxFunction)
+    }
+  } catch (err) {
+    Logger.isErrorEnabled && Logger.error(err)
+    throw ErrorHandler.Factory.reformatFSPIOPError(err)
+  }
+}
+
+/**
+ * [insertFeeTransfer Records a committed transfer to carry the ledger entries of the rules of a settlement window or settlement event,
+ * of a transfer that did not complete, or of a fee reversal. It is fulfilled in the open settlement window, so that the fees are settled
+ * with the next window.
+ * Nothing is inserted if the transfer already exists, e.g. when a second script adds ledger entries for the same event]
+ * @param  {[String]}  transferId [Id of the fee transfer, see createFeeTransferId]
+ * @param  {[String]}  currency   [Currency of the transfer and of the ledger entries it carries]
+ * @param  {[String]}  reason     [Reason of the COMMITTED state change]
+ * @param  {[Object]}  trx        [The transaction the ledger entries are inserted in]
+ * @return {Promise}              [true if the transfer was inserted, false if it already existed]
+ */
+async function insertFeeTransfer ({ transferId, currency, reason }, trx) {
+  Logger.isInfoEnabled && Logger.info(Utility.breadcrumb(location, { method: 'insertFeeTransfer' }))
+  try {
+    const knex = await Db.getKnex()
+    const existingTransfer = await knex('transfer')
+      .select('transferId')
+      .where('transferId', transferId)
+      .transacting(trx)
+    if (existingTransfer.length > 0) {
+      return false
+    }
+    const openSettlementWindow = await knex('settlementWindow AS sw')
+      .join('settlementWindowStateChange AS swsc', 'swsc.settlementWindowStateChangeId', 'sw.currentStateChangeId')
+      .select('sw.settlementWindowId')
+      .where('swsc.settlementWindowStateId', SettlementEnum.SettlementWindowState.OPEN)
+      .orderBy('sw.settlementWindowId', 'desc')
+      .limit(1)
+      .transacting(trx)
+    const transactionTimestamp = new Date()
+    const hash = crypto.createHash('sha256').update(JSON.stringify({ transferId, currency, reason })).digest('base64')
+    await knex('transferDuplicateCheck')
+      .insert({ transferId, hash, createdDate: transactionTimestamp })
+      .transacting(trx)
+    // the ledger entries carry the amounts, the transfer itself does not move any funds and is not fulfilled over ILP
+    await knex('transfer')
+      .insert({ transferId, amount: 0, currencyId: currency, ilpCondition: '', expirationDate: transactionTimestamp, createdDate: transactionTimestamp })
+      .transacting(trx)
+    await knex('transferFulfilmentDuplicateCheck')
+      .insert({ transferFulfilmentId: transferId, transferId, hash: null, createdDate: transactionTimestamp })
+      .transacting(trx)
+    await knex('transferFulfilment')
+      .insert({
+        transferFulfilmentId: transferId,
+        transferId,
+        ilpFulfilment: null,
+        completedDate: transactionTimestamp,
+        isValid: true,
+        settlementWindowId: openSettlementWindow.length > 0 ? openSettlementWindow[0].settlementWindowId : null,
+        createdDate: transactionTimestamp
+      })
+      .transacting(trx)
+    await knex('transferStateChange')
+      .insert({ transferId, transferStateId: TransferStateEnum.COMMITTED, reason, createdDate: transactionTimestamp })
+      .transacting(trx)
+    return true
+  } catch (err) {
+    Logger.isErrorEnabled && Logger.error(err)
+    throw ErrorHandler.Factory.reformatFSPIOPError(err)
+  }
+}
+
+/**
+ * [reverseRuleLedgerEntries Offsets the ledger entries the rule scripts added for a transfer, e.g. when the transfer is reversed or disputed.
+ * Every rule-generated transferParticipant record that was not reversed yet gets a record with the opposite amount on a reversal transfer
+ * per currency, fulfilled in the open settlement window like a fee transfer, so that the reversal is settled with the next window even when
+ * the fee was booked on a fee transfer or its window is already closed. The positions are moved back and the reversal is linked to the
+ * original record and the reversal transfer in settlementRuleReversal, so reversing a transfer twice does not move positions twice]
+ * @param  {[String]}  transferId [Id of the transfer the rules ran for]
+ * @param  {[String]}  reason     [Why the fees are reversed]
+ * @param  {[Object]}  trx        [Optional transaction]
+ * @return {Promise}              [The reversals that were added, transferParticipantId of the offsetting record, reversedTransferParticipantId and reversalTransferId]
+ */
+async function reverseRuleLedgerEntries (transferId, reason, trx = null) {
+  Logger.isInfoEnabled && Logger.info(Utility.breadcrumb(location, { method: 'reverseRuleLedgerEntries' }))
+  try {
+    const knex = await Db.getKnex()
+    const trxFunction = async (trx, doCommit = true) => {
+      try {
+        const recordsToReverse = await knex('settlementRuleLedgerEntry AS RLE')
+          .join('transferParticipant AS TP', 'TP.transferParticipantId', 'RLE.transferParticipantId')
+          .join('participantCurrency AS PC', 'PC.participantCurrencyId', 'TP.participantCurrencyId')
+          .leftJoin('settlementRuleReversal AS RR', 'RR.reversedTransferParticipantId', 'RLE.transferParticipantId')
+          .select('TP.transferParticipantId', 'TP.participantCurrencyId', 'TP.transferParticipantRoleTypeId', 'TP.ledgerEntryTypeId', 'TP.amount', 'PC.currencyId')
+          .where('RLE.transferId', transferId)
+          .whereNull('RR.transferParticipantId')
+          .orderBy('TP.transferParticipantId')
+          .forUpdate()
+          .transacting(trx)
+
+        const ruleReversals = []
+        for (const currency of [...new Set(recordsToReverse.map(record => record.currencyId))]) {
+          const reversalTransferId = Uuid()
+          await Facade.insertFeeTransfer({ transferId: reversalTransferId, currency, reason: `Reversal of the rule ledger entries of ${transferId}` }, trx)
+          const currencyRecords = recordsToReverse.filter(record => record.currencyId === currency)
+          for (const record of currencyRecords) {
+            const [transferParticipantId] = await knex('transferParticipant')
+              .insert({
+                transferId: reversalTransferId,
+                participantCurrencyId: record.participantCurrencyId,
+                transferParticipantRoleTypeId: record.transferParticipantRoleTypeId,
+                ledgerEntryTypeId: record.ledgerEntryTypeId,
+                amount: new MLNumber(record.amount).multiply(-1).toString()
+              })
+              .transacting(trx)
+            const queryResult = await knex('participantPosition')
+              .where('participantCurrencyId', '=', record.participantCurrencyId)
+              .decrement('value', record.amount)
+              .transacting(trx)
+            if (queryResult === 0) {
+              const error = ErrorHandler.Factory.createInternalServerFSPIOPError(`Unable to update participantPosition record for participantCurrencyId: ${record.participantCurrencyId}`)
+              Logger.isErrorEnabled && Logger.error(error)
+              throw error
+            }
+            ruleReversals.push({ transferParticipantId, reversedTransferParticipantId: record.transferParticipantId, transferId, reversalTransferId, reason })
+          }
+
+          const transferStateChangeId = await knex('transferStateChange')
+            .select('transferStateChangeId')
+            .where('transferId', reversalTransferId)
+            .orderBy('transferStateChangeId', 'desc')
+            .limit(1)
+            .transacting(trx)
+          if (transferStateChangeId.length === 0 || !transferStateChangeId[0].transferStateChangeId) {
+            const error = ErrorHandler.Factory.createInternalServerFSPIOPError(`Unable to find a transfer state for transferId : ${reversalTransferId}`)
+            Logger.isErrorEnabled && Logger.error(error)
+            throw error
+          }
+          const participantPositionRecords = await knex('participantPosition')
+            .select('participantPositionId', 'value', 'reservedValue')
+            .whereIn('participantCurrencyId', [...new Set(currencyRecords.map(record => record.participantCurrencyId))])
+            .transacting(trx)
+          await knex('participantPositionChange')
+            .insert(participantPositionRecords.map(participantPositionRecord => {
+              return { ...participantPositionRecord, transferStateChangeId: transferStateChangeId[0].transferStateChangeId }
+            }))
+            .transacting(trx)
+        }
+        if (ruleReversals.length === 0) {
+          return ruleReversals
         }
+
+        await knex('settlementRuleReversal')
+          .insert(ruleReversals)
+          .transacting(trx)
+
         if (doCommit) {
           await trx.commit
         }
+        return ruleReversals
       } catch (err) {
         Logger.isErrorEnabled && Logger.error(err)
         if (doCommit) {
@@ -364,6 +546,8 @@ async function getSettlementModelByTransferId (transferId, settlementGranularity
 const Facade = {
   insertLedgerEntry,
   insertLedgerEntries,
+  insertFeeTransfer,
+  reverseRuleLedgerEntries,
   updateTransferSettlement,
   getSettlementModelByTransferId
 }
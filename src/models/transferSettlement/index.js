@@ -34,5 +34,7 @@ module.exports = {
   updateStateChange: Facade.updateTransferSettlement,
   getTransactionObject: Facade.getTransactionRequest,
   insertLedgerEntries: Facade.insertLedgerEntries,
+  insertFeeTransfer: Facade.insertFeeTransfer,
+  reverseRuleLedgerEntries: Facade.reverseRuleLedgerEntries,
   getSettlementModelByTransferId: Facade.getSettlementModelByTransferId
 }
@@ -0,0 +1,89 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+/**
+ * @module src/shared/rulesDeadLetters
+ */
+
+const Config = require('../lib/config')
+const Db = require('../lib/db')
+const Logger = require('@mojaloop/central-services-logger')
+const RulesService = require('../domain/rules')
+const RulesHandler = require('../handlers/rules/handler')
+
+const ACTIONS = {
+  LIST: 'list',
+  REPLAY: 'replay'
+}
+
+/**
+ * @function run
+ *
+ * @async
+ * @description Lists the rule dead letters or replays one of them with the rule scripts currently in the scripts folder and the
+ * database, and writes the result as JSON to stdout. Sets process.exitCode to 1 on failure.
+ *
+ * @param {string} action Either list or replay
+ * @param {string} [id] Id of the dead letter to replay
+ * @param {object} options Command options
+ * @param {string} [options.status] Only list dead letters with this status
+ * @param {string} [options.transferId] Only list dead letters of this transfer
+ * @returns {Promise<object|undefined>} Returns the dead letters or the replayed dead letter, undefined on failure
+ */
+const run = async (action, id, options = {}) => {
+  let connected = false
+  try {
+    if (action !== ACTIONS.LIST && action !== ACTIONS.REPLAY) {
+      throw new Error(`Unknown dead letter action '${action}', expected ${ACTIONS.LIST} or ${ACTIONS.REPLAY}`)
+    }
+    if (action === ACTIONS.REPLAY && !id) {
+      throw new Error('The id of the dead letter to replay is required')
+    }
+    await Db.connect(Config.DATABASE)
+    connected = true
+    let result
+    if (action === ACTIONS.LIST) {
+      result = await RulesService.getRuleDeadLetters({ status: options.status, transferId: options.transferId })
+    } else {
+      await RulesHandler.reloadRules('cli')
+      result = await RulesHandler.replayDeadLetter(id)
+    }
+    console.log(JSON.stringify(result, null, 2))
+    return result
+  } catch (err) {
+    Logger.isErrorEnabled && Logger.error(`Rule dead letter ${action} failed: ${err.message}`)
+    process.exitCode = 1
+  } finally {
+    if (connected) {
+      await Db.disconnect()
+    }
+  }
+}
+
+module.exports = {
+  run
+}
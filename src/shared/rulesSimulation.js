@@ -0,0 +1,84 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+/**
+ * @module src/shared/rulesSimulation
+ */
+
+const Fs = require('fs')
+const Path = require('path')
+const Config = require('../lib/config')
+const Db = require('../lib/db')
+const Logger = require('@mojaloop/central-services-logger')
+const RulesService = require('../domain/rules')
+
+const readJsonFile = (file) => JSON.parse(Fs.readFileSync(file, 'utf8'))
+
+/**
+ * @function run
+ *
+ * @async
+ * @description Runs the rule script in scriptFile through RulesService.simulateRuleScript and writes the result as JSON to stdout.
+ * The database is only connected if the transfer has to be loaded from the central ledger. Sets process.exitCode to 1 on failure.
+ *
+ * @param {string} scriptFile Path of the rule script
+ * @param {object} options Command options
+ * @param {string} [options.transferId] Id of the transfer to run the script against
+ * @param {string} [options.transfer] Path of a JSON file with the transfer object, used instead of loading the transfer
+ * @param {string} [options.payload] Path of a JSON file with the message the script receives as payload
+ * @returns {Promise<object|undefined>} Returns the simulation result, undefined on failure
+ */
+const run = async (scriptFile, options = {}) => {
+  let connected = false
+  try {
+    const simulation = {
+      name: Path.basename(scriptFile),
+      source: Fs.readFileSync(scriptFile, 'utf8'),
+      transferId: options.transferId,
+      transfer: options.transfer ? readJsonFile(options.transfer) : undefined,
+      payload: options.payload ? readJsonFile(options.payload) : undefined
+    }
+    if (!simulation.transfer) {
+      await Db.connect(Config.DATABASE)
+      connected = true
+    }
+    const result = await RulesService.simulateRuleScript(simulation)
+    console.log(JSON.stringify(result, null, 2))
+    return result
+  } catch (err) {
+    Logger.isErrorEnabled && Logger.error(`Rule script simulation failed: ${err.message}`)
+    process.exitCode = 1
+  } finally {
+    if (connected) {
+      await Db.disconnect()
+    }
+  }
+}
+
+module.exports = {
+  run
+}
@@ -0,0 +1,221 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+/**
+ * @module src/shared/rulesTestHarness
+ */
+
+const Fs = require('fs')
+const Path = require('path')
+const _ = require('lodash')
+const base64url = require('base64url')
+const ilpPacket = require('ilp-packet')
+const Config = require('../lib/config')
+const Logger = require('@mojaloop/central-services-logger')
+const scriptsLoader = require('../lib/scriptsLoader')
+const RulesService = require('../domain/rules')
+const Transaction = require('../domain/transactions/index')
+const ParticipantCurrencyModel = require('../models/settlement/participantCurrency')
+const SettlementModelModel = require('../models/settlement/settlementModel')
+const PricingRateModel = require('../models/rules/pricingRate')
+
+const { SCRIPTS_FOLDER } = Config.HANDLERS.SETTINGS.RULES
+
+const CASES_FOLDER = 'tests'
+const DEFAULT_TRANSFER_ID = '00000000-0000-0000-0000-000000000000'
+
+/**
+ * [readTestFiles Reads the test case files in casesFolder]
+ * @param  {[String]} casesFolder [The directory with the JSON test case files]
+ * @return {[Array]}              [file, script and cases of every test case file, in file name order]
+ */
+const readTestFiles = (casesFolder) => {
+  return Fs.readdirSync(casesFolder)
+    .filter(fileName => Path.extname(fileName) === '.json')
+    .sort()
+    .map(fileName => {
+      const testFile = JSON.parse(Fs.readFileSync(Path.join(casesFolder, fileName), 'utf8'))
+      return { file: fileName, script: testFile.script, cases: testFile.cases || [] }
+    })
+}
+
+/**
+ * [selectScript Reduces a scripts map to the given script, so that a test case only runs the script under test]
+ * @param  {[Object]} scriptsMap [The object containing all loaded scripts]
+ * @param  {[String]} scriptName [The file name of the script]
+ * @return {[Object]}            [The scripts map with only the script, undefined if the script is not loaded]
+ */
+const selectScript = (scriptsMap, scriptName) => {
+  const scriptDetails = scriptsLoader.listScripts(scriptsMap).find(script => script.filename === scriptName)
+  if (!scriptDetails) {
+    return undefined
+  }
+  const { type, action, status } = scriptDetails
+  return {
+    details: scriptDetails,
+    scriptsMap: { [type]: { [action]: { [status]: scriptsMap[type][action][status].filter(script => script.filename === scriptName) } } }
+  }
+}
+
+/**
+ * [encodeTransfer Wraps a transfer object in an ILP packet, the way it is stored in the central ledger]
+ * @param  {[Object]} transfer [The transfer object]
+ * @return {[String]}          [The base64 encoded ILP packet]
+ */
+const encodeTransfer = (transfer) => {
+  return ilpPacket.serializeIlpPayment({
+    amount: '0',
+    account: 'g.rules.test',
+    data: Buffer.from(base64url.encode(JSON.stringify(transfer)))
+  }).toString('base64')
+}
+
+/**
+ * [stubLedger Replaces the central ledger lookups of the script engine with the data of a test case]
+ * @param  {[Object]} testCase [The test case with the transfer, or the ilpPacket of the transfer, and optional participantAccounts, settlementModels and pricingRates]
+ * @return {[Function]}        [Restores the original lookups]
+ */
+const stubLedger = (testCase) => {
+  const originals = {
+    getById: Transaction.getById,
+    getByParticipantNames: ParticipantCurrencyModel.getByParticipantNames,
+    getByCurrency: SettlementModelModel.getByCurrency,
+    getByCurrencies: PricingRateModel.getByCurrencies
+  }
+  const packet = testCase.ilpPacket || encodeTransfer(testCase.transfer)
+  Transaction.getById = async () => [{ value: packet }]
+  ParticipantCurrencyModel.getByParticipantNames = async () => testCase.participantAccounts || []
+  SettlementModelModel.getByCurrency = async () => testCase.settlementModels || []
+  PricingRateModel.getByCurrencies = async () => testCase.pricingRates || []
+  return () => {
+    Transaction.getById = originals.getById
+    ParticipantCurrencyModel.getByParticipantNames = originals.getByParticipantNames
+    SettlementModelModel.getByCurrency = originals.getByCurrency
+    PricingRateModel.getByCurrencies = originals.getByCurrencies
+  }
+}
+
+/**
+ * [diffLedgerEntries Compares the ledger entries a script added with the expected ones, position by position]
+ * @param  {[Array]} expected [The expected ledger entries]
+ * @param  {[Array]} actual   [The ledger entries the script added]
+ * @return {[Array]}          [A line for every ledger entry that is missing, unexpected or different, empty if they match]
+ */
+const diffLedgerEntries = (expected, actual) => {
+  const lines = []
+  for (let i = 0; i < Math.max(expected.length, actual.length); i++) {
+    if (!_.isEqual(expected[i], actual[i])) {
+      expected[i] !== undefined && lines.push(`- ledger entry ${i + 1}: ${JSON.stringify(expected[i])}`)
+      actual[i] !== undefined && lines.push(`+ ledger entry ${i + 1}: ${JSON.stringify(actual[i])}`)
+    }
+  }
+  return lines
+}
+
+/**
+ * [runTestCase Runs a script for a test case through scriptsLoader.executeScripts with the central ledger stubbed]
+ * @param  {[Object]} script   [The reduced scripts map and the details of the script, see selectScript]
+ * @param  {[Object]} testCase [name, transfer or ilpPacket, optional transferId, payload, participantAccounts, settlementModels and pricingRates, and the expectedLedgerEntries]
+ * @return {Promise}           [name, passed and the diff lines of the test case]
+ */
+const runTestCase = async (script, testCase) => {
+  const name = testCase.name || 'unnamed case'
+  if (!testCase.transfer && !testCase.ilpPacket) {
+    return { name, passed: false, diff: ['the test case has no transfer or ilpPacket'] }
+  }
+  const payload = testCase.payload || RulesService.createSimulationPayload(testCase.transferId || DEFAULT_TRANSFER_ID, script.details)
+  const restoreLedger = stubLedger(testCase)
+  try {
+    const { type, action, status } = script.details
+    const { executions, skipped } = await scriptsLoader.executeScripts(script.scriptsMap, type, action, status, payload)
+    if (executions.length === 0) {
+      return { name, passed: false, diff: [`the script did not run: ${skipped.map(skip => skip.reason).join(', ')}`] }
+    }
+    const diff = diffLedgerEntries(testCase.expectedLedgerEntries || [], executions[0].ledgerEntries)
+    return { name, passed: diff.length === 0, diff }
+  } catch (err) {
+    const cause = err.cause instanceof Error ? `: ${err.cause.message}` : ''
+    return { name, passed: false, diff: [`the script failed: ${err.message}${cause}`] }
+  } finally {
+    restoreLedger()
+  }
+}
+
+/**
+ * @function run
+ *
+ * @async
+ * @description Runs the test cases of the rule scripts and writes a line for every case to stdout, with the differences between
+ * the expected and the actual ledger entries of a failing case. The scripts are loaded from the scripts folder with scriptsLoader
+ * and run by the script engine, with the central ledger replaced by the transfer of each case, so no database is needed.
+ * Sets process.exitCode to 1 if a script can not be loaded or a case fails.
+ *
+ * A test case file is a JSON file in the cases folder with the name of the script and its cases:
+ * { "script": "fee.js", "cases": [{ "name": "...", "transfer": {...}, "expectedLedgerEntries": [...] }] }
+ *
+ * @param {object} options Command options
+ * @param {string} [options.scripts] Folder with the rule scripts, relative to the working directory, SCRIPTS_FOLDER by default
+ * @param {string} [options.cases] Folder with the test case files, the tests folder in the scripts folder by default
+ * @returns {Promise<object|undefined>} Returns the number of passed and failed cases and the results per script, undefined if the scripts can not be loaded
+ */
+const run = async (options = {}) => {
+  const scriptsFolder = options.scripts || SCRIPTS_FOLDER
+  const casesFolder = options.cases || Path.join(scriptsFolder, CASES_FOLDER)
+  try {
+    const scriptsMap = scriptsLoader.reloadScripts(scriptsFolder)
+    const summary = { passed: 0, failed: 0, results: [] }
+    for (const testFile of readTestFiles(casesFolder)) {
+      const script = selectScript(scriptsMap, testFile.script)
+      const results = []
+      if (!script) {
+        results.push({ name: testFile.file, passed: false, diff: [`the script ${testFile.script} is not loaded from ${scriptsFolder}`] })
+      } else {
+        for (const testCase of testFile.cases) {
+          results.push(await runTestCase(script, testCase))
+        }
+      }
+      for (const result of results) {
+        result.passed ? summary.passed++ : summary.failed++
+        console.log(`${result.passed ? 'PASS' : 'FAIL'} ${testFile.script}: ${result.name}`)
+        result.diff.forEach(line => console.log(`    ${line}`))
+      }
+      summary.results.push({ script: testFile.script, file: testFile.file, results })
+    }
+    console.log(`${summary.passed} passed, ${summary.failed} failed`)
+    if (summary.failed > 0) {
+      process.exitCode = 1
+    }
+    return summary
+  } catch (err) {
+    Logger.isErrorEnabled && Logger.error(`Rule script tests failed to run: ${err.message}`)
+    process.exitCode = 1
+  }
+}
+
+module.exports = {
+  run
+}
@@ -35,8 +35,10 @@ const Enums = require('../models/lib/enums')
 const ErrorHandling = require('@mojaloop/central-services-error-handling')
 const Hapi = require('@hapi/hapi')
 const Logger = require('@mojaloop/central-services-logger')
+const Migrator = require('../lib/migrator')
 const Plugins = require('./plugins')
 const RegisterHandlers = require('../handlers/register')
+const RulesMetrics = require('../lib/rulesMetrics')
 
 const getEnums = (id) => {
   return Enums[id]()
@@ -49,7 +51,19 @@ async function connectDatabase () {
   Logger.isDebugEnabled && Logger.debug(`DB.connect loaded '${dbLoadedTables}' tables!`)
 }
 
-const createServer = async function (port, modules) {
+function initializeInstrumentation () {
+  if (!Config.INSTRUMENTATION_METRICS_DISABLED) {
+    RulesMetrics.setup(Config.INSTRUMENTATION_METRICS_CONFIG)
+  }
+}
+
+async function migrate () {
+  Logger.isInfoEnabled && Logger.info('Running central-settlement migrations')
+  const [batchNo, log] = await Migrator.migrate()
+  Logger.isInfoEnabled && Logger.info(`Migrations batch ${batchNo} applied: ${JSON.stringify(log)}`)
+}
+
+const createServer = async function (port, modules, runMigrations = false) {
   try {
     const server = new Hapi.Server({
       port,
@@ -78,6 +92,9 @@ const createServer = async function (port, modules) {
       ]
     })
     await connectDatabase()
+    if (runMigrations) {
+      await migrate()
+    }
 
     server.method({
       name: 'enums',
@@ -157,6 +174,9 @@ const createHandlers = async (handlers) => {
         case 'rules':
           await RegisterHandlers.rules.registerRulesHandler()
           break
+        case 'windowClosure':
+          await RegisterHandlers.windowClosure.registerWindowClosureHandler()
+          break
         default:
           errorMessage = `Handler Setup - ${JSON.stringify(handler)} is not a valid handler to register!`
           Logger.isErrorEnabled && Logger.error(errorMessage)
@@ -171,7 +191,7 @@ const createHandlers = async (handlers) => {
 /**
  * @function initialize
  *
- * @description Setup method for API, Admin and Handlers. Note that the Migration scripts are called before connecting to the database to ensure all new tables are loaded properly.
+ * @description Setup method for API, Admin and Handlers. Note that the Migration scripts are called before connecting to the database to ensure all new tables are loaded properly. The Prometheus metrics are set up unless INSTRUMENTATION.METRICS.DISABLED is set.
  *
  * @typedef handler
  * @type {Object}
@@ -188,12 +208,13 @@ const createHandlers = async (handlers) => {
  * @returns {object} Returns HTTP Server object
  */
 const initialize = async function (options = { modules: [], runHandlers: false, handlers: [] }) {
-  const { service, port, modules, runHandlers, handlers } = options
+  const { service, port, modules, runMigrations, runHandlers, handlers } = options
   let server
   let error
+  initializeInstrumentation()
   switch (service) {
     case 'api':
-      server = await createServer(port, modules)
+      server = await createServer(port, modules, runMigrations)
       break
     case 'handler':
       if (!Config.HANDLERS_API_DISABLED) {
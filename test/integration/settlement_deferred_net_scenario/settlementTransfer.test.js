@@ -123,7 +123,7 @@ Test('SettlementTransfer should', async settlementTransferTest => {
     try {
       let params = { query: { state: enums.settlementWindowStates.OPEN } }
       const res1 = await SettlementWindowService.getByParams(params) // method to be verified
-      settlementWindowId = res1[0].settlementWindowId
+      settlementWindowId = res1.settlementWindows[0].settlementWindowId
       test.ok(settlementWindowId > 0, '#1 retrieve the OPEN window')
 
       params = {
@@ -183,8 +183,17 @@ Test('SettlementTransfer should', async settlementTransferTest => {
           }
         ]
       }
+      const settlementPreview = await SettlementService.previewSettlementEvent(params, enums)
+      const previewedWindow = await SettlementWindowStateChangeModel.getBySettlementWindowId(settlementWindowId)
+      test.equal(previewedWindow.settlementWindowStateId, enums.settlementWindowStates.CLOSED, `preview leaves window id ${settlementWindowId} CLOSED`)
+
       settlementData = await SettlementService.settlementEventTrigger(params, enums) // method to be verified
       test.ok(settlementData, '#12 settlementEventTrigger operation success')
+      const sortParticipants = participants => participants
+        .map(participant => ({ ...participant, accounts: [...participant.accounts].sort((a, b) => a.id - b.id) }))
+        .sort((a, b) => a.id - b.id)
+      test.deepEqual(sortParticipants(settlementPreview.participants), sortParticipants(settlementData.participants), 'preview gives the participants and net amounts of the settlement')
+      test.deepEqual(settlementPreview.settlementWindows[0].content.map(content => content.id).sort(), settlementData.settlementWindows[0].content.map(content => content.id).sort(), 'preview gives the window content of the settlement')
 
       const sId = settlementData.id
       test.equal(settlementData.settlementWindows.length, 1, `#13 settlement id ${sId} holds one window`)
@@ -62,6 +62,7 @@ Test('Api index', indexTest => {
       test.ok(Setup.initialize.calledWith({
         service: 'api',
         port: Config.PORT,
+        runMigrations: !Config.MIGRATIONS_DISABLED,
         runHandlers: !Config.HANDLERS_DISABLED,
         modules: [Routes]
       }))
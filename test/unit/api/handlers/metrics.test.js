@@ -0,0 +1,76 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const RulesMetrics = require('../../../../src/lib/rulesMetrics')
+const getMetrics = require('../../../../src/api/handlers/metrics').get
+
+const {
+  createRequest,
+  unwrapResponse
+} = require('../../../util/index')
+
+Test('/metrics', async metricsTest => {
+  let sandbox
+
+  metricsTest.beforeEach(async t => {
+    sandbox = Sinon.createSandbox()
+    t.end()
+  })
+
+  metricsTest.afterEach(async t => {
+    sandbox.restore()
+    t.end()
+  })
+
+  metricsTest.test('getMetrics', getMetricsTest => {
+    getMetricsTest.test('returns the metrics in the Prometheus format', async test => {
+      const metrics = '# HELP rules_script_executions_total Number of runs of a rule script\n'
+      sandbox.stub(RulesMetrics, 'getMetricsForPrometheus').resolves(metrics)
+
+      const { responseBody, responseCode } = await unwrapResponse((reply) => getMetrics(createRequest({}), reply))
+
+      test.equal(responseBody, metrics, 'The response body matches')
+      test.equal(responseCode, 200, 'The response code matches')
+      test.end()
+    })
+
+    getMetricsTest.test('returns the error when the metrics can not be collected', async test => {
+      sandbox.stub(RulesMetrics, 'getMetricsForPrometheus').rejects(new Error('Collect failed'))
+
+      const result = await getMetrics(createRequest({}), {})
+
+      test.equal(result.message, 'Collect failed', 'The error is returned')
+      test.end()
+    })
+
+    getMetricsTest.end()
+  })
+
+  metricsTest.end()
+})
@@ -0,0 +1,105 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Base = require('../../base')
+const ErrorHandler = require('@mojaloop/central-services-error-handling')
+const PricingRates = require('../../../../src/domain/pricingRates/index')
+const Db = require('../../../../src/lib/db')
+
+/**
+ * Test for /pricingRates
+ */
+Test('/pricingRates', async pricingRatesTest => {
+  let server
+  let sandbox
+
+  const pricingRate = {
+    settlementPricingRateId: 1,
+    payerFspId: 'payerfsp',
+    payeeFspId: null,
+    currency: 'USD',
+    transactionScenario: null,
+    rate: '0.004000000',
+    effectiveDate: '2022-10-01T00:00:00.000Z',
+    endDate: null,
+    description: null
+  }
+
+  pricingRatesTest.beforeEach(async t => {
+    sandbox = Sinon.createSandbox()
+    sandbox.stub(Db, 'connect').returns(Promise.resolve({}))
+    server = await Base.setup()
+    t.end()
+  })
+
+  pricingRatesTest.afterEach(async t => {
+    await server.stop()
+    sandbox.restore()
+    t.end()
+  })
+
+  await pricingRatesTest.test('get should return the pricing rates', async test => {
+    sandbox.stub(PricingRates, 'getPricingRates').resolves([pricingRate])
+    const response = await server.inject({ method: 'get', url: '/v2/pricingRates?currency=USD' })
+    test.equal(response.statusCode, 200, 'Ok response status')
+    test.equal(PricingRates.getPricingRates.firstCall.args[0].currency, 'USD', 'getPricingRates called with the query')
+    test.deepEqual(JSON.parse(response.payload), [pricingRate], 'pricing rates returned')
+    test.end()
+  })
+
+  await pricingRatesTest.test('post should add the pricing rate', async test => {
+    sandbox.stub(PricingRates, 'createPricingRate').resolves(pricingRate)
+    const payload = { payerFspId: 'payerfsp', currency: 'USD', rate: '0.004', effectiveDate: '2022-10-01T00:00:00.000Z' }
+    const response = await server.inject({ method: 'post', url: '/v2/pricingRates', payload })
+    test.equal(response.statusCode, 201, 'Created response status')
+    const { effectiveDate, ...rate } = PricingRates.createPricingRate.firstCall.args[0]
+    test.deepEqual(rate, { payerFspId: 'payerfsp', currency: 'USD', rate: '0.004' }, 'createPricingRate called with the payload')
+    test.equal(new Date(effectiveDate).toISOString(), payload.effectiveDate, 'effectiveDate passed on')
+    test.deepEqual(JSON.parse(response.payload), pricingRate, 'pricing rate returned')
+    test.end()
+  })
+
+  await pricingRatesTest.test('post should reject a pricing rate without a currency', async test => {
+    sandbox.stub(PricingRates, 'createPricingRate')
+    const response = await server.inject({ method: 'post', url: '/v2/pricingRates', payload: { rate: '0.004' } })
+    test.equal(response.statusCode, 400, 'Bad request response status')
+    test.ok(PricingRates.createPricingRate.notCalled, 'createPricingRate not called')
+    test.end()
+  })
+
+  await pricingRatesTest.test('post should return the error of an invalid pricing rate', async test => {
+    sandbox.stub(PricingRates, 'createPricingRate').rejects(ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, 'The endDate of a pricing rate must be after its effectiveDate'))
+    const payload = { currency: 'USD', rate: '0.004', effectiveDate: '2022-10-01T00:00:00.000Z', endDate: '2022-09-01T00:00:00.000Z' }
+    const response = await server.inject({ method: 'post', url: '/v2/pricingRates', payload })
+    test.equal(response.statusCode, 400, 'Bad request response status')
+    test.end()
+  })
+
+  pricingRatesTest.end()
+})
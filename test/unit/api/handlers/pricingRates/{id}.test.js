@@ -0,0 +1,93 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Base = require('../../../base')
+const ErrorHandler = require('@mojaloop/central-services-error-handling')
+const PricingRates = require('../../../../../src/domain/pricingRates/index')
+const Db = require('../../../../../src/lib/db')
+
+/**
+ * Test for /pricingRates/{id}
+ */
+Test('/pricingRates/{id}', async pricingRateTest => {
+  let server
+  let sandbox
+
+  const pricingRate = {
+    settlementPricingRateId: 1,
+    payerFspId: 'payerfsp',
+    payeeFspId: null,
+    currency: 'USD',
+    transactionScenario: null,
+    rate: '0.004000000',
+    effectiveDate: '2022-10-01T00:00:00.000Z',
+    endDate: null,
+    description: null
+  }
+
+  pricingRateTest.beforeEach(async t => {
+    sandbox = Sinon.createSandbox()
+    sandbox.stub(Db, 'connect').returns(Promise.resolve({}))
+    server = await Base.setup()
+    t.end()
+  })
+
+  pricingRateTest.afterEach(async t => {
+    await server.stop()
+    sandbox.restore()
+    t.end()
+  })
+
+  await pricingRateTest.test('get should return the pricing rate', async test => {
+    sandbox.stub(PricingRates, 'getPricingRateById').resolves(pricingRate)
+    const response = await server.inject({ method: 'get', url: '/v2/pricingRates/1' })
+    test.equal(response.statusCode, 200, 'Ok response status')
+    test.ok(PricingRates.getPricingRateById.withArgs(1).calledOnce, 'getPricingRateById called with the id')
+    test.deepEqual(JSON.parse(response.payload), pricingRate, 'pricing rate returned')
+    test.end()
+  })
+
+  await pricingRateTest.test('get should return the error of an unknown pricing rate', async test => {
+    sandbox.stub(PricingRates, 'getPricingRateById').rejects(ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, 'Pricing rate 2 not found'))
+    const response = await server.inject({ method: 'get', url: '/v2/pricingRates/2' })
+    test.equal(response.statusCode, 400, 'Bad request response status')
+    test.end()
+  })
+
+  await pricingRateTest.test('delete should remove the pricing rate', async test => {
+    sandbox.stub(PricingRates, 'deletePricingRate').resolves(pricingRate)
+    const response = await server.inject({ method: 'delete', url: '/v2/pricingRates/1' })
+    test.equal(response.statusCode, 200, 'Ok response status')
+    test.ok(PricingRates.deletePricingRate.withArgs(1).calledOnce, 'deletePricingRate called with the id')
+    test.deepEqual(JSON.parse(response.payload), pricingRate, 'removed pricing rate returned')
+    test.end()
+  })
+
+  pricingRateTest.end()
+})
@@ -0,0 +1,105 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Base = require('../../base')
+const ErrorHandler = require('@mojaloop/central-services-error-handling')
+const Rules = require('../../../../src/domain/rules/index')
+const Db = require('../../../../src/lib/db')
+
+/**
+ * Test for /rules
+ */
+Test('/rules', async rulesTest => {
+  let server
+  let sandbox
+
+  const ruleScript = {
+    name: 'interchangeFeeCalculation.js',
+    location: 'database',
+    isActive: true,
+    inEffect: true
+  }
+
+  rulesTest.beforeEach(async t => {
+    sandbox = Sinon.createSandbox()
+    sandbox.stub(Db, 'connect').returns(Promise.resolve({}))
+    server = await Base.setup()
+    t.end()
+  })
+
+  rulesTest.afterEach(async t => {
+    await server.stop()
+    sandbox.restore()
+    t.end()
+  })
+
+  await rulesTest.test('get should return the rule scripts', async test => {
+    sandbox.stub(Rules, 'getRuleScripts').resolves([ruleScript])
+    const response = await server.inject({ method: 'get', url: '/v2/rules' })
+    test.equal(response.statusCode, 200, 'Ok response status')
+    test.deepEqual(JSON.parse(response.payload), [ruleScript], 'rule scripts returned')
+    test.end()
+  })
+
+  await rulesTest.test('get should return the error when listing fails', async test => {
+    sandbox.stub(Rules, 'getRuleScripts').rejects(new Error('Table settlementRuleScript does not exist'))
+    const response = await server.inject({ method: 'get', url: '/v2/rules' })
+    test.equal(response.statusCode, 500, 'Error response status')
+    test.end()
+  })
+
+  await rulesTest.test('post should store the rule script', async test => {
+    const payload = { name: ruleScript.name, source: '// Type: notification' }
+    sandbox.stub(Rules, 'uploadRuleScript').resolves(ruleScript)
+    const response = await server.inject({ method: 'post', url: '/v2/rules', payload })
+    test.equal(response.statusCode, 201, 'Created response status')
+    test.deepEqual(Rules.uploadRuleScript.lastCall.args[0], { ...payload, isActive: true }, 'payload with the isActive default passed to uploadRuleScript')
+    test.deepEqual(JSON.parse(response.payload), ruleScript, 'stored rule script returned')
+    test.end()
+  })
+
+  await rulesTest.test('post should reject a name that is not a plain file name', async test => {
+    sandbox.stub(Rules, 'uploadRuleScript').resolves(ruleScript)
+    const response = await server.inject({ method: 'post', url: '/v2/rules', payload: { name: '../evil.js', source: '// Type: notification' } })
+    test.equal(response.statusCode, 400, 'Bad request response status')
+    test.ok(Rules.uploadRuleScript.notCalled, 'uploadRuleScript not called')
+    test.end()
+  })
+
+  await rulesTest.test('post should return the validation error of an invalid script', async test => {
+    const error = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, "Rules file: broken.js: has invalid or missing header 'Type'")
+    sandbox.stub(Rules, 'uploadRuleScript').rejects(error)
+    const response = await server.inject({ method: 'post', url: '/v2/rules', payload: { name: 'broken.js', source: 'const a = 1' } })
+    test.equal(response.statusCode, 400, 'Bad request response status')
+    test.ok(JSON.parse(response.payload).errorInformation.errorDescription.includes('broken.js'), 'validation error returned')
+    test.end()
+  })
+
+  rulesTest.end()
+})
@@ -0,0 +1,76 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Rules = require('../../../../../src/domain/rules/index')
+const getRuleDeadLetters = require('../../../../../src/api/handlers/rules/deadLetters').get
+
+const {
+  createRequest,
+  unwrapResponse
+} = require('../../../../util/index')
+
+Test('/rules/deadLetters', async deadLettersTest => {
+  let sandbox
+
+  deadLettersTest.beforeEach(async t => {
+    sandbox = Sinon.createSandbox()
+    t.end()
+  })
+
+  deadLettersTest.afterEach(async t => {
+    sandbox.restore()
+    t.end()
+  })
+
+  deadLettersTest.test('getRuleDeadLetters', getRuleDeadLettersTest => {
+    getRuleDeadLettersTest.test('returns the dead letters matching the query', async test => {
+      const deadLetters = [{ settlementRuleDeadLetterId: 1, transferId: 'tr1', status: 'PENDING' }]
+      sandbox.stub(Rules, 'getRuleDeadLetters').resolves(deadLetters)
+
+      const { responseBody } = await unwrapResponse((reply) => getRuleDeadLetters(createRequest({ query: { status: 'PENDING' } }), reply))
+
+      test.ok(Rules.getRuleDeadLetters.withArgs({ status: 'PENDING', transferId: undefined }).calledOnce, 'getRuleDeadLetters called with the query')
+      test.deepEqual(responseBody, deadLetters, 'The response body matches')
+      test.end()
+    })
+
+    getRuleDeadLettersTest.test('returns the error when the lookup fails', async test => {
+      sandbox.stub(Rules, 'getRuleDeadLetters').rejects(new Error('Database unavailable'))
+
+      const result = await getRuleDeadLetters(createRequest({}), {})
+
+      test.ok(result.message.includes('Database unavailable'), 'The error is returned')
+      test.end()
+    })
+
+    getRuleDeadLettersTest.end()
+  })
+
+  deadLettersTest.end()
+})
@@ -0,0 +1,86 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const RulesHandler = require('../../../../../../../src/handlers/rules/handler')
+const RuleDeadLetterModel = require('../../../../../../../src/models/rules/ruleDeadLetter')
+const replayRuleDeadLetter = require('../../../../../../../src/api/handlers/rules/deadLetters/{id}/replay').post
+
+const {
+  createRequest,
+  unwrapResponse
+} = require('../../../../../../util/index')
+
+Test('/rules/deadLetters/{id}/replay', async replayTest => {
+  let sandbox
+
+  replayTest.beforeEach(async t => {
+    sandbox = Sinon.createSandbox()
+    t.end()
+  })
+
+  replayTest.afterEach(async t => {
+    sandbox.restore()
+    t.end()
+  })
+
+  replayTest.test('replayRuleDeadLetter', replayRuleDeadLetterTest => {
+    replayRuleDeadLetterTest.test('returns the replayed dead letter', async test => {
+      const deadLetter = { settlementRuleDeadLetterId: 1, transferId: 'tr1', status: 'REPLAYED', replayCount: 1 }
+      sandbox.stub(RulesHandler, 'replayDeadLetter').resolves(deadLetter)
+
+      const { responseBody } = await unwrapResponse((reply) => replayRuleDeadLetter(createRequest({ params: { id: 1 } }), reply))
+
+      test.ok(RulesHandler.replayDeadLetter.withArgs(1).calledOnce, 'replayDeadLetter called with the id')
+      test.deepEqual(responseBody, deadLetter, 'The response body matches')
+      test.end()
+    })
+
+    replayRuleDeadLetterTest.test('returns the error when the replay fails', async test => {
+      sandbox.stub(RulesHandler, 'replayDeadLetter').rejects(new Error('Rule dead letter 1 was already replayed'))
+
+      const result = await replayRuleDeadLetter(createRequest({ params: { id: 1 } }), {})
+
+      test.ok(result.message.includes('already replayed'), 'The error is returned')
+      test.end()
+    })
+
+    replayRuleDeadLetterTest.test('returns not found for an unknown dead letter', async test => {
+      sandbox.stub(RuleDeadLetterModel, 'getById').resolves(null)
+
+      const result = await replayRuleDeadLetter(createRequest({ params: { id: 1 } }), {})
+
+      test.equal(result.apiErrorCode.httpStatusCode, 404, 'The not found error is returned')
+      test.end()
+    })
+
+    replayRuleDeadLetterTest.end()
+  })
+
+  replayTest.end()
+})
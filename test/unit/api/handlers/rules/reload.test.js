@@ -0,0 +1,76 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const RulesHandler = require('../../../../../src/handlers/rules/handler')
+const reloadRules = require('../../../../../src/api/handlers/rules/reload').post
+
+const {
+  createRequest,
+  unwrapResponse
+} = require('../../../../util/index')
+
+Test('/rules/reload', async reloadTest => {
+  let sandbox
+
+  reloadTest.beforeEach(async t => {
+    sandbox = Sinon.createSandbox()
+    t.end()
+  })
+
+  reloadTest.afterEach(async t => {
+    sandbox.restore()
+    t.end()
+  })
+
+  reloadTest.test('reloadRules', reloadRulesTest => {
+    reloadRulesTest.test('returns the reloaded scripts', async test => {
+      const reloadResult = { reloadedDate: new Date(), scripts: [{ filename: 'interchangeFeeCalculation.js' }] }
+      sandbox.stub(RulesHandler, 'reloadRules').resolves(reloadResult)
+
+      const { responseBody } = await unwrapResponse((reply) => reloadRules(createRequest({}), reply))
+
+      test.ok(RulesHandler.reloadRules.withArgs('api').calledOnce, 'reloadRules called by api')
+      test.deepEqual(responseBody, reloadResult, 'The response body matches')
+      test.end()
+    })
+
+    reloadRulesTest.test('returns the error when the reload fails', async test => {
+      sandbox.stub(RulesHandler, 'reloadRules').rejects(new Error('Rules file: broken.js: is not a valid JavaScript file'))
+
+      const result = await reloadRules(createRequest({}), {})
+
+      test.ok(result.message.includes('broken.js'), 'The error is returned')
+      test.end()
+    })
+
+    reloadRulesTest.end()
+  })
+
+  reloadTest.end()
+})
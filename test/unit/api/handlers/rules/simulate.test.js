@@ -0,0 +1,74 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Base = require('../../../base')
+const ErrorHandler = require('@mojaloop/central-services-error-handling')
+const Rules = require('../../../../../src/domain/rules/index')
+const Db = require('../../../../../src/lib/db')
+
+/**
+ * Test for /rules/simulate
+ */
+Test('/rules/simulate', async simulateTest => {
+  let server
+  let sandbox
+
+  simulateTest.beforeEach(async t => {
+    sandbox = Sinon.createSandbox()
+    sandbox.stub(Db, 'connect').returns(Promise.resolve({}))
+    server = await Base.setup()
+    t.end()
+  })
+
+  simulateTest.afterEach(async t => {
+    await server.stop()
+    sandbox.restore()
+    t.end()
+  })
+
+  await simulateTest.test('post should return the simulation result', async test => {
+    const payload = { source: '// Type: notification', transferId: '154cbf04-bac7-444d-aa66-76f66126d7f5' }
+    const simulation = { transferId: payload.transferId, ledgerEntries: [], logs: ['no fee'], durationMs: 0.5 }
+    sandbox.stub(Rules, 'simulateRuleScript').resolves(simulation)
+    const response = await server.inject({ method: 'post', url: '/v2/rules/simulate', payload })
+    test.equal(response.statusCode, 200, 'Ok response status')
+    test.deepEqual(Rules.simulateRuleScript.lastCall.args[0], payload, 'payload passed to simulateRuleScript')
+    test.deepEqual(JSON.parse(response.payload), simulation, 'simulation result returned')
+    test.end()
+  })
+
+  await simulateTest.test('post should return the error when the simulation fails', async test => {
+    sandbox.stub(Rules, 'simulateRuleScript').rejects(ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, 'Rule script simulation requires a transferId or a transfer'))
+    const response = await server.inject({ method: 'post', url: '/v2/rules/simulate', payload: { source: '// Type: notification' } })
+    test.equal(response.statusCode, 400, 'Bad request response status')
+    test.end()
+  })
+
+  simulateTest.end()
+})
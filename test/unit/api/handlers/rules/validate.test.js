@@ -0,0 +1,73 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Base = require('../../../base')
+const Rules = require('../../../../../src/domain/rules/index')
+const Db = require('../../../../../src/lib/db')
+
+/**
+ * Test for /rules/validate
+ */
+Test('/rules/validate', async validateTest => {
+  let server
+  let sandbox
+
+  validateTest.beforeEach(async t => {
+    sandbox = Sinon.createSandbox()
+    sandbox.stub(Db, 'connect').returns(Promise.resolve({}))
+    server = await Base.setup()
+    t.end()
+  })
+
+  validateTest.afterEach(async t => {
+    await server.stop()
+    sandbox.restore()
+    t.end()
+  })
+
+  await validateTest.test('post should return the validation result', async test => {
+    const payload = { name: 'broken.js', source: 'const a = 1' }
+    const validation = { name: 'broken.js', isValid: false, error: "Rules file: broken.js: has invalid or missing header 'Type'" }
+    sandbox.stub(Rules, 'validateRuleScript').returns(validation)
+    const response = await server.inject({ method: 'post', url: '/v2/rules/validate', payload })
+    test.equal(response.statusCode, 200, 'Ok response status')
+    test.deepEqual(Rules.validateRuleScript.lastCall.args[0], payload, 'payload passed to validateRuleScript')
+    test.deepEqual(JSON.parse(response.payload), validation, 'validation result returned')
+    test.end()
+  })
+
+  await validateTest.test('post should return the error when the validation throws', async test => {
+    sandbox.stub(Rules, 'validateRuleScript').throws(new Error('Unexpected'))
+    const response = await server.inject({ method: 'post', url: '/v2/rules/validate', payload: { name: 'a.js', source: '' } })
+    test.equal(response.statusCode, 500, 'Error response status')
+    test.end()
+  })
+
+  validateTest.end()
+})
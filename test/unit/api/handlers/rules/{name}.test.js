@@ -0,0 +1,106 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Base = require('../../../base')
+const Rules = require('../../../../../src/domain/rules/index')
+const RuleScriptModel = require('../../../../../src/models/rules/ruleScript')
+const ScriptsLoader = require('../../../../../src/lib/scriptsLoader')
+const Db = require('../../../../../src/lib/db')
+
+/**
+ * Test for /rules/{name}
+ */
+Test('/rules/{name}', async ruleScriptTest => {
+  let server
+  let sandbox
+
+  const ruleScript = {
+    name: 'interchangeFeeCalculation.js',
+    location: 'folder',
+    isActive: true,
+    inEffect: true,
+    source: '// Type: notification'
+  }
+
+  ruleScriptTest.beforeEach(async t => {
+    sandbox = Sinon.createSandbox()
+    sandbox.stub(Db, 'connect').returns(Promise.resolve({}))
+    server = await Base.setup()
+    t.end()
+  })
+
+  ruleScriptTest.afterEach(async t => {
+    await server.stop()
+    sandbox.restore()
+    t.end()
+  })
+
+  await ruleScriptTest.test('get should return the rule script', async test => {
+    sandbox.stub(Rules, 'getRuleScriptByName').resolves(ruleScript)
+    const response = await server.inject({ method: 'get', url: `/v2/rules/${ruleScript.name}` })
+    test.equal(response.statusCode, 200, 'Ok response status')
+    test.ok(Rules.getRuleScriptByName.withArgs(ruleScript.name).calledOnce, 'getRuleScriptByName called with the name')
+    test.deepEqual(JSON.parse(response.payload), ruleScript, 'rule script returned')
+    test.end()
+  })
+
+  await ruleScriptTest.test('get should return not found for an unknown rule script', async test => {
+    sandbox.stub(ScriptsLoader, 'readScripts').returns([])
+    sandbox.stub(RuleScriptModel, 'getByName').resolves(null)
+    const response = await server.inject({ method: 'get', url: '/v2/rules/unknown.js' })
+    test.equal(response.statusCode, 404, 'Not found response status')
+    test.end()
+  })
+
+  await ruleScriptTest.test('put should return not found for an unknown rule script', async test => {
+    sandbox.stub(ScriptsLoader, 'readScripts').returns([])
+    sandbox.stub(RuleScriptModel, 'getByName').resolves(null)
+    const response = await server.inject({ method: 'put', url: '/v2/rules/unknown.js', payload: { isActive: false } })
+    test.equal(response.statusCode, 404, 'Not found response status')
+    test.end()
+  })
+
+  await ruleScriptTest.test('put should update the rule script', async test => {
+    sandbox.stub(Rules, 'updateRuleScript').resolves({ ...ruleScript, location: 'database', isActive: false })
+    const response = await server.inject({ method: 'put', url: `/v2/rules/${ruleScript.name}`, payload: { isActive: false } })
+    test.equal(response.statusCode, 200, 'Ok response status')
+    test.deepEqual(Rules.updateRuleScript.lastCall.args, [ruleScript.name, { isActive: false }], 'updateRuleScript called with the name and payload')
+    test.equal(JSON.parse(response.payload).isActive, false, 'updated rule script returned')
+    test.end()
+  })
+
+  await ruleScriptTest.test('put should return the error when the update fails', async test => {
+    sandbox.stub(Rules, 'updateRuleScript').rejects(new Error('Connection lost'))
+    const response = await server.inject({ method: 'put', url: `/v2/rules/${ruleScript.name}`, payload: { isActive: true } })
+    test.equal(response.statusCode, 500, 'Error response status')
+    test.end()
+  })
+
+  ruleScriptTest.end()
+})
@@ -59,11 +59,15 @@ Test('/settlementWindows', async (settlementWindowTest) => {
   await settlementWindowTest.test('test getSettlementWindowsByParams get operation', async (t) => {
     sandbox.stub(Enums, 'settlementWindowStates').returns({})
     sandbox.stub(settlementWindows, 'getByParams').returns({
-      settlementWindowId: 8,
-      state: 'CLOSED',
-      reason: '8th window closed',
-      createdDate: '2018-09-01T15:02:34.000Z',
-      changedDate: '2018-09-01T16:24:37.000Z'
+      settlementWindows: [{
+        settlementWindowId: 8,
+        state: 'CLOSED',
+        reason: '8th window closed',
+        createdDate: '2018-09-01T15:02:34.000Z',
+        changedDate: '2018-09-01T16:24:37.000Z'
+      }],
+      total: 1,
+      nextCursor: null
     })
     try {
       const requests = new Promise((resolve, reject) => {
@@ -109,6 +113,27 @@ Test('/settlementWindows', async (settlementWindowTest) => {
     }
   })
 
+  await settlementWindowTest.test('test getSettlementWindowsByParams get operation returns the total and next cursor', async (t) => {
+    sandbox.stub(Enums, 'settlementWindowStates').returns({})
+    const settlementWindow = { settlementWindowId: 8, state: 'CLOSED', reason: '8th window closed', createdDate: '2018-09-01T15:02:34.000Z', changedDate: '2018-09-01T16:24:37.000Z', content: [] }
+    sandbox.stub(settlementWindows, 'getByParams').resolves({ settlementWindows: [settlementWindow], total: 12, nextCursor: 'eyJpZCI6OH0' })
+    const response = await server.inject({ method: 'get', url: '/v2/settlementWindows?state=CLOSED&limit=1&sortBy=createdDate&sortOrder=asc' })
+    t.equal(response.statusCode, 200, 'Ok response status')
+    t.deepEqual(JSON.parse(response.payload), [settlementWindow], 'windows of the page returned')
+    t.equal(response.headers['x-total-count'], '12', 'total count returned')
+    t.equal(response.headers['x-next-cursor'], 'eyJpZCI6OH0', 'next cursor returned')
+    t.deepEqual({ ...settlementWindows.getByParams.firstCall.args[0].query }, { state: 'CLOSED', limit: 1, sortBy: 'createdDate', sortOrder: 'asc' }, 'pagination passed on')
+    t.end()
+  })
+
+  await settlementWindowTest.test('test getSettlementWindowsByParams get operation rejects a limit above 1000', async (t) => {
+    sandbox.stub(settlementWindows, 'getByParams')
+    const response = await server.inject({ method: 'get', url: '/v2/settlementWindows?state=CLOSED&limit=1001' })
+    t.equal(response.statusCode, 400, 'Bad request response status')
+    t.ok(settlementWindows.getByParams.notCalled, 'windows not queried')
+    t.end()
+  })
+
   await settlementWindowTest.test('test getSettlementWindowsByParams get operation throws', async (t) => {
     sandbox.stub(Enums, 'settlementWindowStates').returns({})
     sandbox.stub(settlementWindows, 'getByParams').throws()
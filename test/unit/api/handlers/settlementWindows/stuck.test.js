@@ -0,0 +1,89 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Base = require('../../../base')
+const Config = require('../../../../../src/lib/config')
+const SettlementWindowService = require('../../../../../src/domain/settlementWindow/index')
+const Db = require('../../../../../src/lib/db')
+
+/**
+ * Test for /settlementWindows/stuck
+ */
+Test('/settlementWindows/stuck', async stuckTest => {
+  let server
+  let sandbox
+
+  stuckTest.beforeEach(async t => {
+    sandbox = Sinon.createSandbox()
+    sandbox.stub(Db, 'connect').returns(Promise.resolve({}))
+    server = await Base.setup()
+    t.end()
+  })
+
+  stuckTest.afterEach(async t => {
+    await server.stop()
+    sandbox.restore()
+    t.end()
+  })
+
+  await stuckTest.test('get should return the settlement windows stuck in PROCESSING', async test => {
+    const settlementWindows = [{ settlementWindowId: 3, state: 'PROCESSING', reason: 'close', createdDate: '2022-10-03T10:00:00.000Z', changedDate: '2022-10-03T11:00:00.000Z' }]
+    sandbox.stub(SettlementWindowService, 'getStuckWindows').resolves(settlementWindows)
+    const response = await server.inject({ method: 'get', url: '/v2/settlementWindows/stuck?stuckSeconds=60' })
+    test.equal(response.statusCode, 200, 'Ok response status')
+    test.ok(SettlementWindowService.getStuckWindows.withArgs(60).calledOnce, 'getStuckWindows called with stuckSeconds')
+    test.deepEqual(JSON.parse(response.payload), settlementWindows, 'stuck windows returned')
+    test.end()
+  })
+
+  await stuckTest.test('get should default stuckSeconds to the recovery configuration', async test => {
+    sandbox.stub(SettlementWindowService, 'getStuckWindows').resolves([])
+    const response = await server.inject({ method: 'get', url: '/v2/settlementWindows/stuck' })
+    test.equal(response.statusCode, 200, 'Ok response status')
+    test.ok(SettlementWindowService.getStuckWindows.withArgs(Config.HANDLERS.SETTINGS.WINDOW_CLOSURE.RECOVERY.STUCK_SECONDS).calledOnce, 'getStuckWindows called with STUCK_SECONDS')
+    test.end()
+  })
+
+  await stuckTest.test('get should reject a negative stuckSeconds', async test => {
+    sandbox.stub(SettlementWindowService, 'getStuckWindows')
+    const response = await server.inject({ method: 'get', url: '/v2/settlementWindows/stuck?stuckSeconds=-1' })
+    test.equal(response.statusCode, 400, 'Bad request response status')
+    test.ok(SettlementWindowService.getStuckWindows.notCalled, 'getStuckWindows not called')
+    test.end()
+  })
+
+  await stuckTest.test('get should return the error when the lookup fails', async test => {
+    sandbox.stub(SettlementWindowService, 'getStuckWindows').rejects(new Error('Connection lost'))
+    const response = await server.inject({ method: 'get', url: '/v2/settlementWindows/stuck' })
+    test.equal(response.statusCode, 500, 'Error response status')
+    test.end()
+  })
+
+  stuckTest.end()
+})
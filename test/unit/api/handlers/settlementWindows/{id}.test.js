@@ -221,8 +221,9 @@ Test('/settlementWindows/{id}', async (settlementWindowTest) => {
         url: '/v2' + mock.request.path
       }
       if (mock.request.body) {
-        // Send the request body
-        options.payload = mock.request.body
+        // Send the request body, for the whole window
+        const { currency, settlementModel, ...body } = mock.request.body
+        options.payload = body
       } else if (mock.request.formData) {
         // Send the request form data
         options.payload = mock.request.formData
@@ -244,5 +245,22 @@ Test('/settlementWindows/{id}', async (settlementWindowTest) => {
     }
   })
 
+  await settlementWindowTest.test('test settlementWindows post operation for a currency', async (t) => {
+    sandbox.stub(Enums, 'settlementWindowStates').returns({})
+    sandbox.stub(settlementWindows, 'process').returns({ settlementWindowId: 4, state: 'OPEN' })
+    const response = await server.inject({ method: 'post', url: '/v2/settlementWindows/3', payload: { state: 'CLOSED', reason: 'USD cut-off', currency: 'USD' } })
+    t.equal(response.statusCode, 200, 'Ok response status')
+    t.ok(settlementWindows.process.calledWith(Sinon.match({ settlementWindowId: 3, reason: 'USD cut-off', currency: 'USD', settlementModel: undefined })), 'window processed for the currency')
+    t.end()
+  })
+
+  await settlementWindowTest.test('test settlementWindows post operation rejects an invalid currency', async (t) => {
+    sandbox.stub(settlementWindows, 'process')
+    const response = await server.inject({ method: 'post', url: '/v2/settlementWindows/3', payload: { state: 'CLOSED', reason: 'cut-off', currency: 'usd' } })
+    t.equal(response.statusCode, 400, 'Bad request response status')
+    t.ok(settlementWindows.process.notCalled, 'window not processed')
+    t.end()
+  })
+
   await settlementWindowTest.end()
 })
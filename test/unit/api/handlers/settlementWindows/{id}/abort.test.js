@@ -0,0 +1,93 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Base = require('../../../../base')
+const ErrorHandler = require('@mojaloop/central-services-error-handling')
+const SettlementWindowService = require('../../../../../../src/domain/settlementWindow/index')
+const Db = require('../../../../../../src/lib/db')
+const Enums = require('../../../../../../src/models/lib/enums')
+
+/**
+ * Test for /settlementWindows/{id}/abort
+ */
+Test('/settlementWindows/{id}/abort', async abortTest => {
+  let server
+  let sandbox
+  const settlementWindowStates = { OPEN: 'OPEN', CLOSED: 'CLOSED', ABORTED: 'ABORTED', PROCESSING: 'PROCESSING' }
+
+  abortTest.beforeEach(async t => {
+    sandbox = Sinon.createSandbox()
+    sandbox.stub(Db, 'connect').returns(Promise.resolve({}))
+    server = await Base.setup()
+    sandbox.stub(Enums, 'settlementWindowStates').returns(settlementWindowStates)
+    t.end()
+  })
+
+  abortTest.afterEach(async t => {
+    await server.stop()
+    sandbox.restore()
+    t.end()
+  })
+
+  await abortTest.test('post should abort the settlement window', async test => {
+    const settlementWindow = { settlementWindowId: 3, state: 'ABORTED', reason: 'closed by mistake', createdDate: '2022-10-03T10:00:00.000Z', changedDate: '2022-10-03T12:00:00.000Z' }
+    sandbox.stub(SettlementWindowService, 'abort').resolves(settlementWindow)
+    const response = await server.inject({ method: 'post', url: '/v2/settlementWindows/3/abort', payload: { reason: 'closed by mistake' } })
+    test.equal(response.statusCode, 200, 'Ok response status')
+    test.ok(SettlementWindowService.abort.withArgs({ settlementWindowId: 3, reason: 'closed by mistake', reaggregate: false }, settlementWindowStates).calledOnce, 'abort called')
+    test.deepEqual(JSON.parse(response.payload), settlementWindow, 'aborted window returned')
+    test.end()
+  })
+
+  await abortTest.test('post should aggregate the settlement window again', async test => {
+    sandbox.stub(SettlementWindowService, 'abort').resolves({ settlementWindowId: 3, state: 'CLOSED' })
+    const response = await server.inject({ method: 'post', url: '/v2/settlementWindows/3/abort', payload: { reason: 'wrong aggregation', reaggregate: true } })
+    test.equal(response.statusCode, 200, 'Ok response status')
+    test.ok(SettlementWindowService.abort.withArgs({ settlementWindowId: 3, reason: 'wrong aggregation', reaggregate: true }, settlementWindowStates).calledOnce, 'abort called with reaggregate')
+    test.end()
+  })
+
+  await abortTest.test('post should reject a payload without reason', async test => {
+    sandbox.stub(SettlementWindowService, 'abort')
+    const response = await server.inject({ method: 'post', url: '/v2/settlementWindows/3/abort', payload: { reaggregate: true } })
+    test.equal(response.statusCode, 400, 'Bad request response status')
+    test.ok(SettlementWindowService.abort.notCalled, 'abort not called')
+    test.end()
+  })
+
+  await abortTest.test('post should return the error when the window can not be aborted', async test => {
+    sandbox.stub(SettlementWindowService, 'abort').rejects(ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, 'Window 3 is included in a settlement'))
+    const response = await server.inject({ method: 'post', url: '/v2/settlementWindows/3/abort', payload: { reason: 'closed by mistake' } })
+    test.equal(response.statusCode, 400, 'Bad request response status')
+    test.equal(JSON.parse(response.payload).errorInformation.errorDescription, 'Generic validation error - Window 3 is included in a settlement', 'error returned')
+    test.end()
+  })
+
+  abortTest.end()
+})
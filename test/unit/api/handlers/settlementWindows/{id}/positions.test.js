@@ -0,0 +1,105 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Base = require('../../../../base')
+const SettlementWindowService = require('../../../../../../src/domain/settlementWindow/index')
+const SettlementWindowModel = require('../../../../../../src/models/settlementWindow')
+const Db = require('../../../../../../src/lib/db')
+
+/**
+ * Test for /settlementWindows/{id}/positions
+ */
+Test('/settlementWindows/{id}/positions', async positionsTest => {
+  let server
+  let sandbox
+
+  positionsTest.beforeEach(async t => {
+    sandbox = Sinon.createSandbox()
+    sandbox.stub(Db, 'connect').returns(Promise.resolve({}))
+    server = await Base.setup()
+    t.end()
+  })
+
+  positionsTest.afterEach(async t => {
+    await server.stop()
+    sandbox.restore()
+    t.end()
+  })
+
+  await positionsTest.test('get should return the net amounts of the settlement window', async test => {
+    const settlementWindowPositions = {
+      settlementWindowId: 3,
+      state: 'OPEN',
+      positions: [{ fspId: 'dfsp1', participantCurrencyId: 5, currency: 'USD', ledgerAccountType: 'POSITION', netAmount: '100' }]
+    }
+    sandbox.stub(SettlementWindowService, 'getPositions').resolves(settlementWindowPositions)
+    const response = await server.inject({ method: 'get', url: '/v2/settlementWindows/3/positions' })
+    test.equal(response.statusCode, 200, 'Ok response status')
+    test.ok(SettlementWindowService.getPositions.withArgs({ settlementWindowId: 3, byLedgerEntryType: false }).calledOnce, 'getPositions called without breakdown')
+    test.deepEqual(JSON.parse(response.payload), settlementWindowPositions, 'net amounts returned')
+    test.end()
+  })
+
+  await positionsTest.test('get should break the net amounts down by ledger entry type', async test => {
+    sandbox.stub(SettlementWindowService, 'getPositions').resolves({ settlementWindowId: 3, state: 'CLOSED', positions: [] })
+    const response = await server.inject({ method: 'get', url: '/v2/settlementWindows/3/positions?breakdown=ledgerEntryType' })
+    test.equal(response.statusCode, 200, 'Ok response status')
+    test.ok(SettlementWindowService.getPositions.withArgs({ settlementWindowId: 3, byLedgerEntryType: true }).calledOnce, 'getPositions called with breakdown')
+    test.end()
+  })
+
+  await positionsTest.test('get should reject an unknown breakdown', async test => {
+    sandbox.stub(SettlementWindowService, 'getPositions')
+    const response = await server.inject({ method: 'get', url: '/v2/settlementWindows/3/positions?breakdown=transfer' })
+    test.equal(response.statusCode, 400, 'Bad request response status')
+    test.ok(SettlementWindowService.getPositions.notCalled, 'getPositions not called')
+    test.end()
+  })
+
+  await positionsTest.test('get should return not found for an unknown settlement window', async test => {
+    const getById = SettlementWindowModel.getById
+    SettlementWindowModel.getById = sandbox.stub().resolves(undefined)
+    try {
+      const response = await server.inject({ method: 'get', url: '/v2/settlementWindows/3/positions' })
+      test.equal(response.statusCode, 404, 'Not found response status')
+      test.end()
+    } finally {
+      SettlementWindowModel.getById = getById
+    }
+  })
+
+  await positionsTest.test('get should return the error when the lookup fails', async test => {
+    sandbox.stub(SettlementWindowService, 'getPositions').rejects(new Error('Connection lost'))
+    const response = await server.inject({ method: 'get', url: '/v2/settlementWindows/3/positions' })
+    test.equal(response.statusCode, 500, 'Error response status')
+    test.end()
+  })
+
+  positionsTest.end()
+})
@@ -0,0 +1,87 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Base = require('../../../../base')
+const ErrorHandler = require('@mojaloop/central-services-error-handling')
+const SettlementWindowService = require('../../../../../../src/domain/settlementWindow/index')
+const SettlementWindowModel = require('../../../../../../src/models/settlementWindow')
+const Db = require('../../../../../../src/lib/db')
+
+/**
+ * Test for /settlementWindows/{id}/retryClose
+ */
+Test('/settlementWindows/{id}/retryClose', async retryCloseTest => {
+  let server
+  let sandbox
+
+  retryCloseTest.beforeEach(async t => {
+    sandbox = Sinon.createSandbox()
+    sandbox.stub(Db, 'connect').returns(Promise.resolve({}))
+    server = await Base.setup()
+    t.end()
+  })
+
+  retryCloseTest.afterEach(async t => {
+    await server.stop()
+    sandbox.restore()
+    t.end()
+  })
+
+  await retryCloseTest.test('post should close the settlement window', async test => {
+    const settlementWindow = { settlementWindowId: 3, state: 'CLOSED', reason: 'close', createdDate: '2022-10-03T10:00:00.000Z', changedDate: '2022-10-03T12:00:00.000Z' }
+    sandbox.stub(SettlementWindowService, 'retryClose').resolves(settlementWindow)
+    const response = await server.inject({ method: 'post', url: '/v2/settlementWindows/3/retryClose' })
+    test.equal(response.statusCode, 200, 'Ok response status')
+    test.ok(SettlementWindowService.retryClose.withArgs(3).calledOnce, 'retryClose called')
+    test.deepEqual(JSON.parse(response.payload), settlementWindow, 'closed window returned')
+    test.end()
+  })
+
+  await retryCloseTest.test('post should return the error when the window is not in PROCESSING', async test => {
+    sandbox.stub(SettlementWindowService, 'retryClose').rejects(ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, 'Window 3 is not in processing state'))
+    const response = await server.inject({ method: 'post', url: '/v2/settlementWindows/3/retryClose' })
+    test.equal(response.statusCode, 400, 'Bad request response status')
+    test.equal(JSON.parse(response.payload).errorInformation.errorDescription, 'Generic validation error - Window 3 is not in processing state', 'error returned')
+    test.end()
+  })
+
+  await retryCloseTest.test('post should return not found for an unknown settlement window', async test => {
+    const getById = SettlementWindowModel.getById
+    SettlementWindowModel.getById = sandbox.stub().resolves(undefined)
+    try {
+      const response = await server.inject({ method: 'post', url: '/v2/settlementWindows/3/retryClose' })
+      test.equal(response.statusCode, 404, 'Not found response status')
+      test.end()
+    } finally {
+      SettlementWindowModel.getById = getById
+    }
+  })
+
+  retryCloseTest.end()
+})
@@ -0,0 +1,124 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Base = require('../../../../base')
+const SettlementWindowService = require('../../../../../../src/domain/settlementWindow/index')
+const SettlementWindowModel = require('../../../../../../src/models/settlementWindow')
+const Db = require('../../../../../../src/lib/db')
+
+/**
+ * Test for /settlementWindows/{id}/transfers
+ */
+Test('/settlementWindows/{id}/transfers', async transfersTest => {
+  let server
+  let sandbox
+  const settlementTransfers = {
+    page: 2,
+    limit: 1,
+    hasMore: true,
+    transfers: [{
+      transferId: 'b51ec534-ee48-4575-b6a9-ead2955b8999',
+      payerFsp: 'dfsp1',
+      payeeFsp: 'dfsp2',
+      amount: '100',
+      currency: 'USD',
+      fulfilmentDate: '2022-10-03T10:00:00.000Z',
+      ledgerEntryType: 'PRINCIPLE_VALUE'
+    }]
+  }
+
+  transfersTest.beforeEach(async t => {
+    sandbox = Sinon.createSandbox()
+    sandbox.stub(Db, 'connect').returns(Promise.resolve({}))
+    server = await Base.setup()
+    t.end()
+  })
+
+  transfersTest.afterEach(async t => {
+    await server.stop()
+    sandbox.restore()
+    t.end()
+  })
+
+  await transfersTest.test('get should return a page of the transfers', async test => {
+    sandbox.stub(SettlementWindowService, 'getTransfers').resolves(settlementTransfers)
+    const response = await server.inject({ method: 'get', url: '/v2/settlementWindows/3/transfers?page=2&limit=1' })
+    test.equal(response.statusCode, 200, 'Ok response status')
+    test.ok(SettlementWindowService.getTransfers.withArgs({ settlementWindowId: 3 }, { page: 2, limit: 1 }).calledOnce, 'getTransfers called with the page')
+    test.deepEqual(JSON.parse(response.payload), settlementTransfers, 'transfers returned')
+    test.end()
+  })
+
+  await transfersTest.test('get should return the first page by default', async test => {
+    sandbox.stub(SettlementWindowService, 'getTransfers').resolves({ page: 1, limit: 100, hasMore: false, transfers: [] })
+    const response = await server.inject({ method: 'get', url: '/v2/settlementWindows/3/transfers' })
+    test.equal(response.statusCode, 200, 'Ok response status')
+    test.ok(SettlementWindowService.getTransfers.withArgs({ settlementWindowId: 3 }, { page: 1, limit: 100 }).calledOnce, 'getTransfers called with the first page')
+    test.end()
+  })
+
+  await transfersTest.test('get should return the transfers as CSV', async test => {
+    sandbox.stub(SettlementWindowService, 'getTransfers').resolves(settlementTransfers)
+    const response = await server.inject({ method: 'get', url: '/v2/settlementWindows/3/transfers?page=2&limit=1&format=csv' })
+    test.equal(response.statusCode, 200, 'Ok response status')
+    test.ok(response.headers['content-type'].startsWith('text/csv'), 'CSV content type')
+    test.equal(response.payload, 'transferId,payerFsp,payeeFsp,amount,currency,fulfilmentDate,ledgerEntryType\r\n' +
+      'b51ec534-ee48-4575-b6a9-ead2955b8999,dfsp1,dfsp2,100,USD,2022-10-03T10:00:00.000Z,PRINCIPLE_VALUE\r\n', 'transfers returned as CSV')
+    test.end()
+  })
+
+  await transfersTest.test('get should reject a limit above 1000', async test => {
+    sandbox.stub(SettlementWindowService, 'getTransfers')
+    const response = await server.inject({ method: 'get', url: '/v2/settlementWindows/3/transfers?limit=1001' })
+    test.equal(response.statusCode, 400, 'Bad request response status')
+    test.ok(SettlementWindowService.getTransfers.notCalled, 'getTransfers not called')
+    test.end()
+  })
+
+  await transfersTest.test('get should return not found for an unknown settlement window', async test => {
+    const getById = SettlementWindowModel.getById
+    SettlementWindowModel.getById = sandbox.stub().resolves(undefined)
+    try {
+      const response = await server.inject({ method: 'get', url: '/v2/settlementWindows/3/transfers' })
+      test.equal(response.statusCode, 404, 'Not found response status')
+      test.end()
+    } finally {
+      SettlementWindowModel.getById = getById
+    }
+  })
+
+  await transfersTest.test('get should return the error when the lookup fails', async test => {
+    sandbox.stub(SettlementWindowService, 'getTransfers').rejects(new Error('Connection lost'))
+    const response = await server.inject({ method: 'get', url: '/v2/settlementWindows/3/transfers' })
+    test.equal(response.statusCode, 500, 'Error response status')
+    test.end()
+  })
+
+  transfersTest.end()
+})
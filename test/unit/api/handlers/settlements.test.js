@@ -58,7 +58,7 @@ Test('/settlements', async (settlementTest) => {
   })
   await settlementTest.test('test settlements get operation', async (t) => {
     sandbox.stub(Enums, 'settlementStates').returns({})
-    sandbox.stub(settlement, 'getSettlementsByParams').returns({})
+    sandbox.stub(settlement, 'getSettlementsByParams').returns({ settlements: [], total: 0, nextCursor: null })
     try {
       const requests = new Promise((resolve, reject) => {
         Mockgen().requests({
@@ -103,6 +103,27 @@ Test('/settlements', async (settlementTest) => {
     }
   })
 
+  await settlementTest.test('test settlements get operation returns the total and next cursor', async (t) => {
+    sandbox.stub(Enums, 'settlementStates').returns({})
+    const settlementResult = { id: 5, state: 'PENDING_SETTLEMENT', reason: 'reason', createdDate: '2018-09-01T15:02:34.000Z', changedDate: '2018-09-01T16:24:37.000Z', settlementWindows: [], participants: [] }
+    sandbox.stub(settlement, 'getSettlementsByParams').resolves({ settlements: [settlementResult], total: 7, nextCursor: 'eyJzZXR0bGVtZW50SWQiOjV9' })
+    const response = await server.inject({ method: 'get', url: '/v2/settlements?state=PENDING_SETTLEMENT&limit=1' })
+    t.equal(response.statusCode, 200, 'Ok response status')
+    t.deepEqual(JSON.parse(response.payload), [settlementResult], 'settlements of the page returned')
+    t.equal(response.headers['x-total-count'], '7', 'total count returned')
+    t.equal(response.headers['x-next-cursor'], 'eyJzZXR0bGVtZW50SWQiOjV9', 'next cursor returned')
+    t.deepEqual({ ...settlement.getSettlementsByParams.firstCall.args[0].query }, { state: 'PENDING_SETTLEMENT', limit: 1 }, 'pagination passed on')
+    t.end()
+  })
+
+  await settlementTest.test('test settlements get operation rejects a limit above 1000', async (t) => {
+    sandbox.stub(settlement, 'getSettlementsByParams')
+    const response = await server.inject({ method: 'get', url: '/v2/settlements?state=PENDING_SETTLEMENT&limit=1001' })
+    t.equal(response.statusCode, 400, 'Bad request response status')
+    t.ok(settlement.getSettlementsByParams.notCalled, 'settlements not queried')
+    t.end()
+  })
+
   await settlementTest.test('test settlements get by params throws', async (t) => {
     sandbox.stub(Enums, 'settlementStates').returns({})
     sandbox.stub(settlement, 'getSettlementsByParams').throws()
@@ -203,6 +224,27 @@ Test('/settlements', async (settlementTest) => {
     }
   })
 
+  await settlementTest.test('test settlements get operation returns the total and next cursor', async (t) => {
+    sandbox.stub(Enums, 'settlementStates').returns({})
+    const settlementResult = { id: 5, state: 'PENDING_SETTLEMENT', reason: 'reason', createdDate: '2018-09-01T15:02:34.000Z', changedDate: '2018-09-01T16:24:37.000Z', settlementWindows: [], participants: [] }
+    sandbox.stub(settlement, 'getSettlementsByParams').resolves({ settlements: [settlementResult], total: 7, nextCursor: 'eyJzZXR0bGVtZW50SWQiOjV9' })
+    const response = await server.inject({ method: 'get', url: '/v2/settlements?state=PENDING_SETTLEMENT&limit=1' })
+    t.equal(response.statusCode, 200, 'Ok response status')
+    t.deepEqual(JSON.parse(response.payload), [settlementResult], 'settlements of the page returned')
+    t.equal(response.headers['x-total-count'], '7', 'total count returned')
+    t.equal(response.headers['x-next-cursor'], 'eyJzZXR0bGVtZW50SWQiOjV9', 'next cursor returned')
+    t.deepEqual({ ...settlement.getSettlementsByParams.firstCall.args[0].query }, { state: 'PENDING_SETTLEMENT', limit: 1 }, 'pagination passed on')
+    t.end()
+  })
+
+  await settlementTest.test('test settlements get operation rejects a limit above 1000', async (t) => {
+    sandbox.stub(settlement, 'getSettlementsByParams')
+    const response = await server.inject({ method: 'get', url: '/v2/settlements?state=PENDING_SETTLEMENT&limit=1001' })
+    t.equal(response.statusCode, 400, 'Bad request response status')
+    t.ok(settlement.getSettlementsByParams.notCalled, 'settlements not queried')
+    t.end()
+  })
+
   await settlementTest.test('test settlements get by params throws', async (t) => {
     sandbox.stub(Enums, 'settlementStates').returns({})
     sandbox.stub(Enums, 'settlementWindowStates').returns({})
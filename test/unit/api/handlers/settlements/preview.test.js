@@ -0,0 +1,98 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Base = require('../../../base')
+const ErrorHandler = require('@mojaloop/central-services-error-handling')
+const Enums = require('../../../../../src/models/lib/enums')
+const Settlements = require('../../../../../src/domain/settlement/index')
+const Db = require('../../../../../src/lib/db')
+
+/**
+ * Test for /settlements/preview
+ */
+Test('/settlements/preview', async previewTest => {
+  let server
+  let sandbox
+  const payload = { settlementModel: 'DEFERREDNET', reason: 'reason', settlementWindows: [{ id: 1 }, { id: 2 }] }
+
+  previewTest.beforeEach(async t => {
+    sandbox = Sinon.createSandbox()
+    sandbox.stub(Db, 'connect').returns(Promise.resolve({}))
+    sandbox.stub(Enums, 'settlementDelay').returns({ IMMEDIATE: 1 })
+    sandbox.stub(Enums, 'settlementGranularity').returns({ GROSS: 1 })
+    sandbox.stub(Enums, 'settlementStates').returns({ PENDING_SETTLEMENT: 'PENDING_SETTLEMENT' })
+    sandbox.stub(Enums, 'settlementWindowStates').returns({ CLOSED: 'CLOSED' })
+    server = await Base.setup()
+    t.end()
+  })
+
+  previewTest.afterEach(async t => {
+    await server.stop()
+    sandbox.restore()
+    t.end()
+  })
+
+  await previewTest.test('post should return the net settlement report of the would-be settlement', async test => {
+    const settlementPreview = {
+      settlementModel: 'DEFERREDNET',
+      reason: 'reason',
+      settlementWindows: [{ id: 1, content: [{ id: 3, currencyId: 'USD' }] }, { id: 2, content: [] }],
+      participants: [{ id: 1, accounts: [{ id: 4, state: 'PENDING_SETTLEMENT', reason: 'reason', netSettlementAmount: { amount: '100.0000', currency: 'USD' } }] }]
+    }
+    sandbox.stub(Settlements, 'previewSettlementEvent').resolves(settlementPreview)
+    const response = await server.inject({ method: 'post', url: '/v2/settlements/preview', payload })
+    test.equal(response.statusCode, 200, 'Ok response status')
+    test.deepEqual(Settlements.previewSettlementEvent.lastCall.args[0], payload, 'payload passed to previewSettlementEvent')
+    test.deepEqual(Settlements.previewSettlementEvent.lastCall.args[1], {
+      settlementDelay: { IMMEDIATE: 1 },
+      settlementGranularity: { GROSS: 1 },
+      settlementStates: { PENDING_SETTLEMENT: 'PENDING_SETTLEMENT' },
+      settlementWindowStates: { CLOSED: 'CLOSED' }
+    }, 'enums passed to previewSettlementEvent')
+    test.deepEqual(JSON.parse(response.payload), settlementPreview, 'net settlement report returned')
+    test.end()
+  })
+
+  await previewTest.test('post should return the error when the windows can not be settled', async test => {
+    sandbox.stub(Settlements, 'previewSettlementEvent').rejects(ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, 'Inapplicable windows 2'))
+    const response = await server.inject({ method: 'post', url: '/v2/settlements/preview', payload })
+    test.equal(response.statusCode, 400, 'Bad request response status')
+    test.end()
+  })
+
+  await previewTest.test('post should reject a payload without windows', async test => {
+    sandbox.stub(Settlements, 'previewSettlementEvent')
+    const response = await server.inject({ method: 'post', url: '/v2/settlements/preview', payload: { ...payload, settlementWindows: [] } })
+    test.equal(response.statusCode, 400, 'Bad request response status')
+    test.ok(Settlements.previewSettlementEvent.notCalled, 'preview not run')
+    test.end()
+  })
+
+  previewTest.end()
+})
@@ -0,0 +1,79 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Base = require('../../../../base')
+const Rules = require('../../../../../../src/domain/rules/index')
+const RuleLedgerEntryModel = require('../../../../../../src/models/rules/ruleLedgerEntry')
+const Db = require('../../../../../../src/lib/db')
+
+/**
+ * Test for /transferParticipants/{id}/ruleScript
+ */
+Test('/transferParticipants/{id}/ruleScript', async ruleScriptTest => {
+  let server
+  let sandbox
+
+  ruleScriptTest.beforeEach(async t => {
+    sandbox = Sinon.createSandbox()
+    sandbox.stub(Db, 'connect').returns(Promise.resolve({}))
+    server = await Base.setup()
+    t.end()
+  })
+
+  ruleScriptTest.afterEach(async t => {
+    await server.stop()
+    sandbox.restore()
+    t.end()
+  })
+
+  await ruleScriptTest.test('get should return the rule script version that added the record', async test => {
+    const ruleScript = {
+      transferParticipantId: 101,
+      transferId: '154cbf04-bac7-444d-aa66-76f66126d7f5',
+      scriptName: 'interchangeFeeCalculation.js',
+      scriptVersion: 'a1b2',
+      source: '// Type: notification'
+    }
+    sandbox.stub(Rules, 'getRuleScriptByTransferParticipantId').resolves(ruleScript)
+    const response = await server.inject({ method: 'get', url: '/v2/transferParticipants/101/ruleScript' })
+    test.equal(response.statusCode, 200, 'Ok response status')
+    test.ok(Rules.getRuleScriptByTransferParticipantId.withArgs(101).calledOnce, 'getRuleScriptByTransferParticipantId called with the id')
+    test.deepEqual(JSON.parse(response.payload), ruleScript, 'rule script returned')
+    test.end()
+  })
+
+  await ruleScriptTest.test('get should return not found when no rule script added the record', async test => {
+    sandbox.stub(RuleLedgerEntryModel, 'getWithScriptByTransferParticipantId').resolves(undefined)
+    const response = await server.inject({ method: 'get', url: '/v2/transferParticipants/101/ruleScript' })
+    test.equal(response.statusCode, 404, 'Not found response status')
+    test.end()
+  })
+
+  ruleScriptTest.end()
+})
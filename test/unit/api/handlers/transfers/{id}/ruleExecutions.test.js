@@ -0,0 +1,74 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Base = require('../../../../base')
+const Rules = require('../../../../../../src/domain/rules/index')
+const Db = require('../../../../../../src/lib/db')
+
+/**
+ * Test for /transfers/{id}/ruleExecutions
+ */
+Test('/transfers/{id}/ruleExecutions', async ruleExecutionsTest => {
+  let server
+  let sandbox
+
+  const transferId = '154cbf04-bac7-444d-aa66-76f66126d7f5'
+
+  ruleExecutionsTest.beforeEach(async t => {
+    sandbox = Sinon.createSandbox()
+    sandbox.stub(Db, 'connect').returns(Promise.resolve({}))
+    server = await Base.setup()
+    t.end()
+  })
+
+  ruleExecutionsTest.afterEach(async t => {
+    await server.stop()
+    sandbox.restore()
+    t.end()
+  })
+
+  await ruleExecutionsTest.test('get should return the rule executions of the transfer', async test => {
+    const ruleExecutions = [{ transferId, scriptName: 'interchangeFeeCalculation.js', scriptVersion: 'a1b2', ledgerEntryCount: 0, ledgerEntries: [] }]
+    sandbox.stub(Rules, 'getRuleExecutionsByTransferId').resolves(ruleExecutions)
+    const response = await server.inject({ method: 'get', url: `/v2/transfers/${transferId}/ruleExecutions` })
+    test.equal(response.statusCode, 200, 'Ok response status')
+    test.ok(Rules.getRuleExecutionsByTransferId.withArgs(transferId).calledOnce, 'getRuleExecutionsByTransferId called with the transfer id')
+    test.deepEqual(JSON.parse(response.payload), ruleExecutions, 'rule executions returned')
+    test.end()
+  })
+
+  await ruleExecutionsTest.test('get should return the error when the lookup fails', async test => {
+    sandbox.stub(Rules, 'getRuleExecutionsByTransferId').rejects(new Error('Connection lost'))
+    const response = await server.inject({ method: 'get', url: `/v2/transfers/${transferId}/ruleExecutions` })
+    test.equal(response.statusCode, 500, 'Error response status')
+    test.end()
+  })
+
+  ruleExecutionsTest.end()
+})
@@ -0,0 +1,86 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Base = require('../../../../base')
+const Rules = require('../../../../../../src/domain/rules/index')
+const Db = require('../../../../../../src/lib/db')
+
+/**
+ * Test for /transfers/{id}/ruleReversal
+ */
+Test('/transfers/{id}/ruleReversal', async ruleReversalTest => {
+  let server
+  let sandbox
+
+  const transferId = '154cbf04-bac7-444d-aa66-76f66126d7f5'
+
+  ruleReversalTest.beforeEach(async t => {
+    sandbox = Sinon.createSandbox()
+    sandbox.stub(Db, 'connect').returns(Promise.resolve({}))
+    server = await Base.setup()
+    t.end()
+  })
+
+  ruleReversalTest.afterEach(async t => {
+    await server.stop()
+    sandbox.restore()
+    t.end()
+  })
+
+  await ruleReversalTest.test('post should reverse the rule ledger entries of the transfer', async test => {
+    const ruleReversal = {
+      transferId,
+      reversedCount: 1,
+      reversals: [{ transferParticipantId: 103, reversedTransferParticipantId: 101, transferId, reason: 'Chargeback', participantCurrencyId: 3, amount: -0.06, scriptName: 'interchangeFeeCalculation.js', scriptVersion: 'a1b2' }]
+    }
+    sandbox.stub(Rules, 'reverseRuleLedgerEntries').resolves(ruleReversal)
+    const response = await server.inject({ method: 'post', url: `/v2/transfers/${transferId}/ruleReversal`, payload: { reason: 'Chargeback' } })
+    test.equal(response.statusCode, 200, 'Ok response status')
+    test.ok(Rules.reverseRuleLedgerEntries.withArgs({ transferId, reason: 'Chargeback' }).calledOnce, 'reverseRuleLedgerEntries called with the transfer id and reason')
+    test.deepEqual(JSON.parse(response.payload), ruleReversal, 'reversals returned')
+    test.end()
+  })
+
+  await ruleReversalTest.test('post should not require a reason', async test => {
+    sandbox.stub(Rules, 'reverseRuleLedgerEntries').resolves({ transferId, reversedCount: 0, reversals: [] })
+    const response = await server.inject({ method: 'post', url: `/v2/transfers/${transferId}/ruleReversal`, payload: {} })
+    test.equal(response.statusCode, 200, 'Ok response status')
+    test.ok(Rules.reverseRuleLedgerEntries.withArgs({ transferId, reason: undefined }).calledOnce, 'reverseRuleLedgerEntries called without a reason')
+    test.end()
+  })
+
+  await ruleReversalTest.test('post should return the error when the reversal fails', async test => {
+    sandbox.stub(Rules, 'reverseRuleLedgerEntries').rejects(new Error('Connection lost'))
+    const response = await server.inject({ method: 'post', url: `/v2/transfers/${transferId}/ruleReversal`, payload: { reason: 'Chargeback' } })
+    test.equal(response.statusCode, 500, 'Error response status')
+    test.end()
+  })
+
+  ruleReversalTest.end()
+})
@@ -0,0 +1,12 @@
+/* eslint-disable no-undef */
+// ********************************************************
+// Name: Admin fee
+// Type: notification
+// Action: commit
+// Status: success
+// Start: 2020-06-01T00:00:00.000Z
+// End: 2100-12-31T23:59:59.999Z
+// Description: Runs with the default priority 0
+// ********************************************************
+
+log('Admin fee')
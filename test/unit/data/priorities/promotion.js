@@ -0,0 +1,14 @@
+/* eslint-disable no-undef */
+// ********************************************************
+// Name: Zero fee promotion
+// Type: notification
+// Action: commit
+// Status: success
+// Start: 2020-06-01T00:00:00.000Z
+// End: 2100-12-31T23:59:59.999Z
+// Priority: 10
+// Exclusive: true
+// Description: Suppresses the other fees while the promotion runs
+// ********************************************************
+
+log('Zero fee promotion')
@@ -0,0 +1,14 @@
+/* eslint-disable no-undef */
+// ********************************************************
+// Name: Standard fee
+// Type: notification
+// Action: commit
+// Status: success
+// Start: 2020-06-01T00:00:00.000Z
+// End: 2100-12-31T23:59:59.999Z
+// Priority: 0
+// Exclusive: false
+// Description: Runs after adminFee.js, which has the same priority
+// ********************************************************
+
+log('Standard fee')
@@ -0,0 +1,5 @@
+'use strict'
+
+require('worker_threads').parentPort.on('message', () => {
+  throw new Error('Worker crashed')
+})
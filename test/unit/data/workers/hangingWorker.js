@@ -0,0 +1,4 @@
+'use strict'
+
+// never answers, like a worker stuck outside of the script timeout
+require('worker_threads').parentPort.on('message', () => {})
@@ -0,0 +1,150 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Logger = require('@mojaloop/central-services-logger')
+const PricingRatesService = require('../../../../src/domain/pricingRates')
+const PricingRateModel = require('../../../../src/models/rules/pricingRate')
+
+Test('PricingRatesService', async (pricingRatesServiceTest) => {
+  let sandbox
+
+  const pricingRate = {
+    settlementPricingRateId: 1,
+    payerFspId: 'payerfsp',
+    payeeFspId: null,
+    currency: 'USD',
+    transactionScenario: null,
+    rate: '0.004000000',
+    effectiveDate: '2022-10-01T00:00:00.000Z',
+    endDate: null,
+    description: 'Negotiated interchange rate'
+  }
+
+  pricingRatesServiceTest.beforeEach(test => {
+    sandbox = Sinon.createSandbox()
+    sandbox.stub(Logger, 'isErrorEnabled').value(true)
+    sandbox.stub(Logger, 'error')
+    test.end()
+  })
+
+  pricingRatesServiceTest.afterEach(test => {
+    sandbox.restore()
+    test.end()
+  })
+
+  await pricingRatesServiceTest.test('getPricingRates should filter on the known query parameters', async test => {
+    sandbox.stub(PricingRateModel, 'getAll').resolves([pricingRate])
+    const result = await PricingRatesService.getPricingRates({ currency: 'USD', payerFspId: 'payerfsp', rate: '1' })
+    test.deepEqual(result, [pricingRate], 'pricing rates returned')
+    test.ok(PricingRateModel.getAll.withArgs({ payerFspId: 'payerfsp', currency: 'USD' }).calledOnce, 'getAll called with the criteria')
+    test.end()
+  })
+
+  await pricingRatesServiceTest.test('getPricingRates should rethrow the model error', async test => {
+    sandbox.stub(PricingRateModel, 'getAll').rejects(new Error('Database unavailable'))
+    try {
+      await PricingRatesService.getPricingRates()
+      test.fail('Error not thrown')
+    } catch (err) {
+      test.equal(err.message, 'Database unavailable', 'error rethrown')
+    }
+    test.end()
+  })
+
+  await pricingRatesServiceTest.test('getPricingRateById should throw for an unknown pricing rate', async test => {
+    sandbox.stub(PricingRateModel, 'getById').resolves(undefined)
+    try {
+      await PricingRatesService.getPricingRateById(2)
+      test.fail('Error not thrown')
+    } catch (err) {
+      test.equal(err.message, 'Pricing rate 2 not found', 'not found error thrown')
+    }
+    test.end()
+  })
+
+  await pricingRatesServiceTest.test('createPricingRate should store the rate with the defaults', async test => {
+    const clock = Sinon.useFakeTimers(new Date('2022-10-01T00:00:00.000Z').getTime())
+    sandbox.stub(PricingRateModel, 'create').resolves([1])
+    sandbox.stub(PricingRateModel, 'getById').resolves(pricingRate)
+    try {
+      const result = await PricingRatesService.createPricingRate({ payerFspId: 'payerfsp', currency: 'USD', rate: '0.004', description: 'Negotiated interchange rate' })
+      test.deepEqual(result, pricingRate, 'stored pricing rate returned')
+      test.deepEqual(PricingRateModel.create.firstCall.args[0], {
+        payerFspId: 'payerfsp',
+        payeeFspId: null,
+        currency: 'USD',
+        transactionScenario: null,
+        rate: '0.004',
+        effectiveDate: new Date('2022-10-01T00:00:00.000Z'),
+        endDate: null,
+        description: 'Negotiated interchange rate'
+      }, 'rate in effect from now for any payee and scenario')
+      test.ok(PricingRateModel.getById.withArgs(1).calledOnce, 'stored pricing rate read back')
+    } finally {
+      clock.restore()
+    }
+    test.end()
+  })
+
+  await pricingRatesServiceTest.test('createPricingRate should reject an endDate before the effectiveDate', async test => {
+    sandbox.stub(PricingRateModel, 'create')
+    try {
+      await PricingRatesService.createPricingRate({ currency: 'USD', rate: '0.004', effectiveDate: '2022-10-01T00:00:00.000Z', endDate: '2022-10-01T00:00:00.000Z' })
+      test.fail('Error not thrown')
+    } catch (err) {
+      test.equal(err.message, 'The endDate of a pricing rate must be after its effectiveDate', 'validation error thrown')
+      test.ok(PricingRateModel.create.notCalled, 'nothing stored')
+    }
+    test.end()
+  })
+
+  await pricingRatesServiceTest.test('deletePricingRate should remove and return the pricing rate', async test => {
+    sandbox.stub(PricingRateModel, 'getById').resolves(pricingRate)
+    sandbox.stub(PricingRateModel, 'remove').resolves(1)
+    const result = await PricingRatesService.deletePricingRate(1)
+    test.deepEqual(result, pricingRate, 'removed pricing rate returned')
+    test.ok(PricingRateModel.remove.withArgs(1).calledOnce, 'remove called with the id')
+    test.end()
+  })
+
+  await pricingRatesServiceTest.test('deletePricingRate should not remove an unknown pricing rate', async test => {
+    sandbox.stub(PricingRateModel, 'getById').resolves(undefined)
+    sandbox.stub(PricingRateModel, 'remove')
+    try {
+      await PricingRatesService.deletePricingRate(2)
+      test.fail('Error not thrown')
+    } catch (err) {
+      test.equal(err.message, 'Pricing rate 2 not found', 'not found error thrown')
+      test.ok(PricingRateModel.remove.notCalled, 'nothing removed')
+    }
+    test.end()
+  })
+
+  pricingRatesServiceTest.end()
+})
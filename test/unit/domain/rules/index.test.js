@@ -29,6 +29,16 @@ const Sinon = require('sinon')
 const Logger = require('@mojaloop/central-services-logger')
 const RulesService = require('../../../../src/domain/rules')
 const TransferSettlementModel = require('../../../../src/models/transferSettlement')
+const RuleScriptModel = require('../../../../src/models/rules/ruleScript')
+const RuleExecutionModel = require('../../../../src/models/rules/ruleExecution')
+const RuleDeadLetterModel = require('../../../../src/models/rules/ruleDeadLetter')
+const RuleLedgerEntryModel = require('../../../../src/models/rules/ruleLedgerEntry')
+const RuleReversalModel = require('../../../../src/models/rules/ruleReversal')
+const RuleScriptVersionModel = require('../../../../src/models/rules/ruleScriptVersion')
+const RuleEvents = require('../../../../src/lib/ruleEvents')
+const Utility = require('../../../../src/lib/utility')
+const ScriptsLoader = require('../../../../src/lib/scriptsLoader')
+const ScriptEngine = require('../../../../src/lib/scriptEngine')
 
 Test('RulesService', async (rulesServiceTest) => {
   let sandbox
@@ -80,5 +90,662 @@ Test('RulesService', async (rulesServiceTest) => {
     })
     await ledgerEntriesTest.end()
   })
+
+  await rulesServiceTest.test('applyRuleExecutions should', async applyRuleExecutionsTest => {
+    const event = { type: 'notification', action: 'commit', state: { status: 'success' } }
+    const ledgerEntries = [{ transferId: transferEventId, ledgerAccountTypeId: 'INTERCHANGE_FEE', amount: '1.00' }]
+    const trx = {}
+
+    await applyRuleExecutionsTest.test('insert the ledger entries and record every execution', async test => {
+      const executions = [
+        { scriptName: 'interchangeFeeCalculation.js', scriptVersion: 'a1b2', ledgerEntries },
+        { scriptName: 'noFee.js', scriptVersion: 'c3d4', ledgerEntries: [] }
+      ]
+      sandbox.stub(RuleExecutionModel, 'getByKey').resolves(undefined)
+      sandbox.stub(RuleExecutionModel, 'create').resolves([1])
+      sandbox.stub(RuleLedgerEntryModel, 'create').resolves()
+      TransferSettlementModel.insertLedgerEntries = sandbox.stub().resolves([[101, 102]])
+      const result = await RulesService.applyRuleExecutions(executions, transferEventId, event, trx)
+      test.deepEqual(result, executions, 'all executions applied')
+      test.ok(TransferSettlementModel.insertLedgerEntries.withArgs(ledgerEntries, transferEventId, trx).calledOnce, 'ledger entries inserted only for the execution that produced them')
+      test.deepEqual(RuleLedgerEntryModel.create.lastCall.args, [[
+        { transferParticipantId: 101, transferId: transferEventId, scriptName: 'interchangeFeeCalculation.js', scriptVersion: 'a1b2' },
+        { transferParticipantId: 102, transferId: transferEventId, scriptName: 'interchangeFeeCalculation.js', scriptVersion: 'a1b2' }
+      ], trx], 'transferParticipant records stamped with the script version')
+      test.ok(RuleLedgerEntryModel.create.calledOnce, 'only the ledger entries of the script are stamped')
+      test.ok(RuleExecutionModel.create.calledBefore(TransferSettlementModel.insertLedgerEntries), 'execution recorded before its ledger entries')
+      test.equal(RuleExecutionModel.create.callCount, 2, 'every execution recorded')
+      test.deepEqual(RuleExecutionModel.create.firstCall.args, [{
+        transferId: transferEventId,
+        scriptName: 'interchangeFeeCalculation.js',
+        scriptVersion: 'a1b2',
+        eventType: 'notification',
+        eventAction: 'commit',
+        eventStatus: 'success',
+        ledgerEntryCount: 1,
+        ledgerEntries: JSON.stringify(ledgerEntries)
+      }, trx], 'execution recorded with the event and ledger entries')
+      test.end()
+    })
+
+    await applyRuleExecutionsTest.test('record the ledger entries of a settlement event against a fee transfer', async test => {
+      const executions = [{ scriptName: 'settlementFee.js', scriptVersion: 'e5f6', ledgerEntries: [{ ...ledgerEntries[0], currency: 'USD' }] }]
+      const settledEvent = { type: 'settlement', action: 'settled', state: { status: 'success' } }
+      sandbox.stub(RuleExecutionModel, 'getByKey').resolves(undefined)
+      sandbox.stub(RuleExecutionModel, 'create').resolves([1])
+      sandbox.stub(RuleLedgerEntryModel, 'create').resolves()
+      TransferSettlementModel.insertFeeTransfer = sandbox.stub().resolves(true)
+      TransferSettlementModel.insertLedgerEntries = sandbox.stub().resolves([[101, 102]])
+      await RulesService.applyRuleExecutions(executions, transferEventId, settledEvent, trx)
+      const feeTransferId = RuleEvents.createFeeTransferId(transferEventId, settledEvent, 'USD')
+      test.ok(TransferSettlementModel.insertFeeTransfer.withArgs({ transferId: feeTransferId, currency: 'USD', reason: `Rules for settlement settled of ${transferEventId}` }, trx).calledOnce, 'fee transfer inserted')
+      test.ok(TransferSettlementModel.insertLedgerEntries.withArgs(executions[0].ledgerEntries, feeTransferId, trx).calledOnce, 'ledger entries recorded against the fee transfer')
+      test.ok(TransferSettlementModel.insertFeeTransfer.calledBefore(TransferSettlementModel.insertLedgerEntries), 'before its ledger entries')
+      test.end()
+    })
+
+    await applyRuleExecutionsTest.test('not insert a fee transfer for fulfilled transfers', async test => {
+      const executions = [{ scriptName: 'interchangeFeeCalculation.js', scriptVersion: 'a1b2', ledgerEntries }]
+      sandbox.stub(RuleExecutionModel, 'getByKey').resolves(undefined)
+      sandbox.stub(RuleExecutionModel, 'create').resolves([1])
+      sandbox.stub(RuleLedgerEntryModel, 'create').resolves()
+      TransferSettlementModel.insertFeeTransfer = sandbox.stub().resolves(true)
+      TransferSettlementModel.insertLedgerEntries = sandbox.stub().resolves([[101, 102]])
+      await RulesService.applyRuleExecutions(executions, transferEventId, { type: 'transfer', action: 'commit', state: { status: 'success' } }, trx)
+      test.ok(TransferSettlementModel.insertFeeTransfer.notCalled, 'no fee transfer')
+      test.ok(TransferSettlementModel.insertLedgerEntries.withArgs(ledgerEntries, transferEventId, trx).calledOnce, 'ledger entries recorded against the transfer')
+      test.end()
+    })
+
+    await applyRuleExecutionsTest.test('record the penalty fees of an aborted transfer against a fee transfer per currency', async test => {
+      const penaltyEntries = [
+        { ...ledgerEntries[0], currency: 'USD' },
+        { ...ledgerEntries[0], currency: 'XOF' },
+        { ...ledgerEntries[0], currency: 'USD' }
+      ]
+      const executions = [{ scriptName: 'abortPenalty.js', scriptVersion: 'f7a8', ledgerEntries: penaltyEntries }]
+      const abortEvent = { ...event, action: 'abort' }
+      sandbox.stub(RuleExecutionModel, 'getByKey').resolves(undefined)
+      sandbox.stub(RuleExecutionModel, 'create').resolves([1])
+      sandbox.stub(RuleLedgerEntryModel, 'create').resolves()
+      TransferSettlementModel.insertFeeTransfer = sandbox.stub().resolves(true)
+      TransferSettlementModel.insertLedgerEntries = sandbox.stub()
+      TransferSettlementModel.insertLedgerEntries.onFirstCall().resolves([[101, 102], [103, 104]])
+      TransferSettlementModel.insertLedgerEntries.onSecondCall().resolves([[105, 106]])
+      await RulesService.applyRuleExecutions(executions, transferEventId, abortEvent, trx)
+      const usdFeeTransferId = RuleEvents.createFeeTransferId(transferEventId, abortEvent, 'USD')
+      const xofFeeTransferId = RuleEvents.createFeeTransferId(transferEventId, abortEvent, 'XOF')
+      test.notEqual(usdFeeTransferId, xofFeeTransferId, 'a fee transfer per currency')
+      test.equal(TransferSettlementModel.insertFeeTransfer.callCount, 2, 'two fee transfers inserted')
+      test.ok(TransferSettlementModel.insertFeeTransfer.withArgs({ transferId: usdFeeTransferId, currency: 'USD', reason: `Rules for notification abort of ${transferEventId}` }, trx).calledOnce, 'USD fee transfer inserted')
+      test.ok(TransferSettlementModel.insertFeeTransfer.withArgs(Sinon.match({ transferId: xofFeeTransferId, currency: 'XOF' }), trx).calledOnce, 'XOF fee transfer inserted')
+      test.ok(TransferSettlementModel.insertLedgerEntries.withArgs([penaltyEntries[0], penaltyEntries[2]], usdFeeTransferId, trx).calledOnce, 'USD ledger entries recorded against the USD fee transfer')
+      test.ok(TransferSettlementModel.insertLedgerEntries.withArgs([penaltyEntries[1]], xofFeeTransferId, trx).calledOnce, 'XOF ledger entries recorded against the XOF fee transfer')
+      test.deepEqual(RuleLedgerEntryModel.create.lastCall.args[0].map(ruleLedgerEntry => ruleLedgerEntry.transferParticipantId), [101, 102, 103, 104, 105, 106], 'every record stamped')
+      test.ok(RuleLedgerEntryModel.create.lastCall.args[0].every(ruleLedgerEntry => ruleLedgerEntry.transferId === transferEventId), 'stamped with the aborted transfer')
+      test.end()
+    })
+
+    await applyRuleExecutionsTest.test('skip executions that were already recorded', async test => {
+      const executions = [{ scriptName: 'interchangeFeeCalculation.js', scriptVersion: 'a1b2', ledgerEntries }]
+      sandbox.stub(Logger, 'isInfoEnabled').value(true)
+      sandbox.stub(Logger, 'info')
+      // recorded with an earlier version of the script
+      sandbox.stub(RuleExecutionModel, 'getByKey').resolves({ settlementRuleExecutionId: 1, scriptVersion: '9f8e', createdDate: '2022-10-01T00:00:00.000Z' })
+      sandbox.stub(RuleExecutionModel, 'create').resolves([1])
+      TransferSettlementModel.insertLedgerEntries = sandbox.stub().resolves()
+      const result = await RulesService.applyRuleExecutions(executions, transferEventId, event, trx)
+      test.deepEqual(result, [], 'no executions applied')
+      test.ok(RuleExecutionModel.getByKey.withArgs({ transferId: transferEventId, scriptName: 'interchangeFeeCalculation.js', eventAction: 'commit' }, trx).calledOnce, 'execution looked up by its key')
+      test.ok(TransferSettlementModel.insertLedgerEntries.notCalled, 'ledger entries not inserted again')
+      test.ok(RuleExecutionModel.create.notCalled, 'execution not recorded again')
+      test.end()
+    })
+
+    await applyRuleExecutionsTest.test('skip executions another handler recorded meanwhile', async test => {
+      const executions = [{ scriptName: 'interchangeFeeCalculation.js', scriptVersion: 'a1b2', ledgerEntries }]
+      sandbox.stub(RuleExecutionModel, 'getByKey').resolves(undefined)
+      // the insert waited for the other handler and hit the unique key once it committed
+      sandbox.stub(RuleExecutionModel, 'create').resolves(null)
+      sandbox.stub(RuleLedgerEntryModel, 'create').resolves()
+      TransferSettlementModel.insertLedgerEntries = sandbox.stub().resolves([[101, 102]])
+      const result = await RulesService.applyRuleExecutions(executions, transferEventId, event, trx)
+      test.deepEqual(result, [], 'no executions applied')
+      test.ok(TransferSettlementModel.insertLedgerEntries.notCalled, 'ledger entries not inserted twice')
+      test.ok(RuleLedgerEntryModel.create.notCalled, 'nothing stamped')
+      test.end()
+    })
+
+    await applyRuleExecutionsTest.test('throw when an execution can not be recorded', async test => {
+      const executions = [{ scriptName: 'interchangeFeeCalculation.js', scriptVersion: 'a1b2', ledgerEntries }]
+      sandbox.stub(RuleExecutionModel, 'getByKey').resolves(undefined)
+      sandbox.stub(RuleExecutionModel, 'create').rejects(new Error('Database unavailable'))
+      TransferSettlementModel.insertLedgerEntries = sandbox.stub().resolves()
+      try {
+        await RulesService.applyRuleExecutions(executions, transferEventId, event, trx)
+        test.fail('Error not thrown')
+      } catch (err) {
+        test.equal(err.message, 'Database unavailable', 'error rethrown')
+      }
+      test.end()
+    })
+
+    await applyRuleExecutionsTest.end()
+  })
+
+  await rulesServiceTest.test('rule script versions should', async scriptVersionsTest => {
+    const scripts = [{
+      filename: 'interchangeFeeCalculation.js',
+      type: 'notification',
+      action: 'commit',
+      status: 'success',
+      startTime: new Date('2020-06-01T00:00:00.000Z'),
+      endTime: new Date('2100-12-31T23:59:59.999Z'),
+      priority: 0,
+      version: 'a1b2',
+      source: '// Type: notification'
+    }]
+
+    await scriptVersionsTest.test('record a new version and supersede the other versions of the script', async test => {
+      sandbox.stub(RuleScriptVersionModel, 'getByKey').resolves(undefined)
+      sandbox.stub(RuleScriptVersionModel, 'create').resolves([1])
+      sandbox.stub(RuleScriptVersionModel, 'markLoaded').resolves(1)
+      sandbox.stub(RuleScriptVersionModel, 'supersedeOtherVersions').resolves(1)
+      const result = await RulesService.recordRuleScriptVersions(scripts)
+      test.equal(result, 1, 'new versions counted')
+      test.deepEqual(RuleScriptVersionModel.create.lastCall.args[0], {
+        scriptName: 'interchangeFeeCalculation.js',
+        scriptVersion: 'a1b2',
+        source: '// Type: notification',
+        type: 'notification',
+        action: 'commit',
+        status: 'success',
+        startTime: scripts[0].startTime,
+        endTime: scripts[0].endTime
+      }, 'version recorded with its source and headers')
+      test.ok(RuleScriptVersionModel.supersedeOtherVersions.withArgs({ scriptName: 'interchangeFeeCalculation.js', scriptVersion: 'a1b2' }).calledOnce, 'other versions superseded')
+      test.ok(RuleScriptVersionModel.markLoaded.notCalled)
+      test.end()
+    })
+
+    await scriptVersionsTest.test('mark a known version as loaded again', async test => {
+      sandbox.stub(RuleScriptVersionModel, 'getByKey').resolves({ settlementRuleScriptVersionId: 1 })
+      sandbox.stub(RuleScriptVersionModel, 'create').resolves([1])
+      sandbox.stub(RuleScriptVersionModel, 'markLoaded').resolves(1)
+      sandbox.stub(RuleScriptVersionModel, 'supersedeOtherVersions').resolves(0)
+      const result = await RulesService.recordRuleScriptVersions(scripts)
+      test.equal(result, 0, 'no new versions')
+      test.ok(RuleScriptVersionModel.create.notCalled, 'version not recorded twice')
+      test.ok(RuleScriptVersionModel.markLoaded.withArgs({ scriptName: 'interchangeFeeCalculation.js', scriptVersion: 'a1b2' }).calledOnce, 'version marked as loaded')
+      test.end()
+    })
+
+    await scriptVersionsTest.test('throw when a version can not be recorded', async test => {
+      sandbox.stub(RuleScriptVersionModel, 'getByKey').rejects(new Error('connection lost'))
+      try {
+        await RulesService.recordRuleScriptVersions(scripts)
+        test.fail('Error not thrown')
+      } catch (err) {
+        test.equal(err.message, 'connection lost', 'error rethrown')
+      }
+      test.end()
+    })
+
+    await scriptVersionsTest.test('list the versions of a script', async test => {
+      const versions = [{ settlementRuleScriptVersionId: 2, scriptName: 'interchangeFeeCalculation.js', scriptVersion: 'c3d4', supersededDate: null }]
+      sandbox.stub(RuleScriptVersionModel, 'getByScriptName').resolves(versions)
+      const result = await RulesService.getRuleScriptVersions('interchangeFeeCalculation.js')
+      test.deepEqual(result, versions)
+      test.ok(RuleScriptVersionModel.getByScriptName.withArgs('interchangeFeeCalculation.js').calledOnce)
+      test.end()
+    })
+
+    await scriptVersionsTest.test('return the script source that added a transferParticipant record', async test => {
+      const ruleLedgerEntry = { transferParticipantId: 101, transferId: transferEventId, scriptName: 'interchangeFeeCalculation.js', scriptVersion: 'a1b2', source: '// Type: notification' }
+      sandbox.stub(RuleLedgerEntryModel, 'getWithScriptByTransferParticipantId').resolves(ruleLedgerEntry)
+      const result = await RulesService.getRuleScriptByTransferParticipantId(101)
+      test.deepEqual(result, ruleLedgerEntry)
+      test.end()
+    })
+
+    await scriptVersionsTest.test('throw when no rule script added the transferParticipant record', async test => {
+      sandbox.stub(RuleLedgerEntryModel, 'getWithScriptByTransferParticipantId').resolves(undefined)
+      try {
+        await RulesService.getRuleScriptByTransferParticipantId(101)
+        test.fail('Error not thrown')
+      } catch (err) {
+        test.equal(err.message, 'No rule script added transferParticipant 101')
+        test.equal(err.apiErrorCode.code, '3002', 'not found error thrown')
+      }
+      test.end()
+    })
+
+    await scriptVersionsTest.end()
+  })
+
+  await rulesServiceTest.test('reverseRuleLedgerEntries should', async reverseTest => {
+    await reverseTest.test('reverse the rule ledger entries and return every reversal of the transfer', async test => {
+      const reversals = [
+        { transferParticipantId: 103, reversedTransferParticipantId: 101, transferId: transferEventId, reason: 'Chargeback' },
+        { transferParticipantId: 104, reversedTransferParticipantId: 102, transferId: transferEventId, reason: 'Chargeback' }
+      ]
+      TransferSettlementModel.reverseRuleLedgerEntries = sandbox.stub().resolves([reversals[1]])
+      sandbox.stub(RuleReversalModel, 'getByTransferId').resolves(reversals)
+      const result = await RulesService.reverseRuleLedgerEntries({ transferId: transferEventId, reason: 'Chargeback' })
+      test.ok(TransferSettlementModel.reverseRuleLedgerEntries.withArgs(transferEventId, 'Chargeback').calledOnce, 'ledger entries reversed')
+      test.deepEqual(result, { transferId: transferEventId, reversedCount: 1, reversals }, 'reversals returned')
+      test.end()
+    })
+
+    await reverseTest.test('throw when the reversal fails', async test => {
+      TransferSettlementModel.reverseRuleLedgerEntries = sandbox.stub().rejects(new Error('Lock wait timeout exceeded'))
+      sandbox.stub(RuleReversalModel, 'getByTransferId').resolves([])
+      try {
+        await RulesService.reverseRuleLedgerEntries({ transferId: transferEventId })
+        test.fail('Error not thrown')
+      } catch (err) {
+        test.equal(err.message, 'Lock wait timeout exceeded', 'error rethrown')
+        test.ok(TransferSettlementModel.reverseRuleLedgerEntries.withArgs(transferEventId, null).calledOnce, 'no reason')
+        test.ok(RuleReversalModel.getByTransferId.notCalled, 'reversals not listed')
+      }
+      test.end()
+    })
+
+    await reverseTest.end()
+  })
+
+  await rulesServiceTest.test('rule dead letters should', async deadLettersTest => {
+    const message = {
+      topic: 'topic-notification-event',
+      partition: 0,
+      offset: 12,
+      value: { id: transferEventId, content: { payload: {} }, metadata: { event: { type: 'notification', action: 'commit' } } }
+    }
+    const failure = { message, stage: 'execute', scriptName: 'interchangeFeeCalculation.js', error: 'Script execution was unsuccessful' }
+    const storedDeadLetter = {
+      settlementRuleDeadLetterId: 1,
+      transferId: transferEventId,
+      scriptName: 'interchangeFeeCalculation.js',
+      status: 'PENDING',
+      message: JSON.stringify(message.value)
+    }
+
+    await deadLettersTest.test('be recorded and published to the dead-letter topic', async test => {
+      sandbox.stub(RuleDeadLetterModel, 'create').resolves([1])
+      sandbox.stub(Utility, 'produceGeneralMessage').resolves(true)
+      const result = await RulesService.createRuleDeadLetter(failure)
+      const expected = {
+        transferId: transferEventId,
+        scriptName: 'interchangeFeeCalculation.js',
+        stage: 'execute',
+        error: 'Script execution was unsuccessful',
+        topic: 'topic-notification-event',
+        partition: 0,
+        offset: 12,
+        status: 'PENDING'
+      }
+      test.deepEqual(RuleDeadLetterModel.create.lastCall.args[0], { ...expected, message: JSON.stringify(message.value) }, 'dead letter recorded with the original message')
+      test.deepEqual(result, { ...expected, settlementRuleDeadLetterId: 1 }, 'dead letter returned')
+      const [functionality, action, published, state] = Utility.produceGeneralMessage.lastCall.args
+      test.deepEqual([functionality, action, state], ['rules', 'deadletter', Utility.ENUMS.STATE.FAILURE], 'published to the dead-letter topic')
+      test.deepEqual(published.content.payload, { ...expected, settlementRuleDeadLetterId: 1, message: message.value }, 'published with the original message')
+      test.end()
+    })
+
+    await deadLettersTest.test('still be published when it can not be recorded, and not throw when it can not be published', async test => {
+      sandbox.stub(RuleDeadLetterModel, 'create').rejects(new Error('Connection lost'))
+      sandbox.stub(Utility, 'produceGeneralMessage').rejects(new Error('Broker transport failure'))
+      const result = await RulesService.createRuleDeadLetter(failure)
+      test.equal(result.settlementRuleDeadLetterId, undefined, 'not recorded')
+      test.ok(Utility.produceGeneralMessage.calledOnce, 'publish attempted')
+      test.ok(Logger.error.calledWithMatch('unable to record'), 'record failure logged')
+      test.ok(Logger.error.calledWithMatch('unable to publish'), 'publish failure logged')
+      test.end()
+    })
+
+    await deadLettersTest.test('be listed by status and transfer with their messages', async test => {
+      sandbox.stub(RuleDeadLetterModel, 'getAll').resolves([storedDeadLetter])
+      const result = await RulesService.getRuleDeadLetters({ status: 'PENDING', transferId: transferEventId })
+      test.deepEqual(RuleDeadLetterModel.getAll.lastCall.args[0], { status: 'PENDING', transferId: transferEventId }, 'filtered')
+      test.deepEqual(result, [{ ...storedDeadLetter, message: message.value }], 'message parsed')
+      await RulesService.getRuleDeadLetters()
+      test.deepEqual(RuleDeadLetterModel.getAll.lastCall.args[0], {}, 'all listed without filters')
+      test.end()
+    })
+
+    await deadLettersTest.test('throw when they can not be listed', async test => {
+      sandbox.stub(RuleDeadLetterModel, 'getAll').rejects(new Error('Connection lost'))
+      try {
+        await RulesService.getRuleDeadLetters()
+        test.fail('Error not thrown')
+      } catch (err) {
+        test.equal(err.message, 'Connection lost', 'error rethrown')
+      }
+      test.end()
+    })
+
+    await deadLettersTest.test('be returned by id, or throw when not found', async test => {
+      sandbox.stub(RuleDeadLetterModel, 'getById').withArgs(1).resolves(storedDeadLetter)
+      test.deepEqual(await RulesService.getRuleDeadLetterById(1), { ...storedDeadLetter, message: message.value }, 'dead letter returned')
+      try {
+        await RulesService.getRuleDeadLetterById(2)
+        test.fail('Error not thrown')
+      } catch (err) {
+        test.equal(err.message, 'Rule dead letter 2 not found', 'not found')
+        test.equal(err.apiErrorCode.code, '3002', 'not found error code')
+      }
+      test.end()
+    })
+
+    await deadLettersTest.test('record a replay', async test => {
+      sandbox.stub(RuleDeadLetterModel, 'updateReplay').resolves(1)
+      sandbox.stub(RuleDeadLetterModel, 'getById').resolves({ ...storedDeadLetter, status: 'REPLAYED' })
+      const result = await RulesService.updateRuleDeadLetterReplay(1, { status: 'REPLAYED' })
+      test.deepEqual(RuleDeadLetterModel.updateReplay.lastCall.args, [1, { status: 'REPLAYED', error: undefined }], 'replay recorded')
+      test.equal(result.status, 'REPLAYED', 'updated dead letter returned')
+      RuleDeadLetterModel.updateReplay.rejects(new Error('Connection lost'))
+      try {
+        await RulesService.updateRuleDeadLetterReplay(1, { status: 'PENDING', error: 'Script still broken' })
+        test.fail('Error not thrown')
+      } catch (err) {
+        test.equal(err.message, 'Connection lost', 'error rethrown')
+      }
+      test.end()
+    })
+
+    await deadLettersTest.end()
+  })
+
+  await rulesServiceTest.test('getRuleExecutionsByTransferId should', async getRuleExecutionsTest => {
+    await getRuleExecutionsTest.test('return the executions with their ledger entries', async test => {
+      const ledgerEntries = [{ ledgerAccountTypeId: 'INTERCHANGE_FEE', amount: '1.00' }]
+      sandbox.stub(RuleExecutionModel, 'getByTransferId').resolves([
+        { settlementRuleExecutionId: 1, scriptName: 'interchangeFeeCalculation.js', ledgerEntries: JSON.stringify(ledgerEntries) },
+        { settlementRuleExecutionId: 2, scriptName: 'noFee.js', ledgerEntries: null }
+      ])
+      const result = await RulesService.getRuleExecutionsByTransferId(transferEventId)
+      test.ok(RuleExecutionModel.getByTransferId.withArgs(transferEventId).calledOnce, 'executions read for the transfer')
+      test.deepEqual(result, [
+        { settlementRuleExecutionId: 1, scriptName: 'interchangeFeeCalculation.js', ledgerEntries },
+        { settlementRuleExecutionId: 2, scriptName: 'noFee.js', ledgerEntries: [] }
+      ], 'ledger entries parsed')
+      test.end()
+    })
+
+    await getRuleExecutionsTest.test('throw when the executions can not be read', async test => {
+      sandbox.stub(RuleExecutionModel, 'getByTransferId').rejects(new Error('Connection lost'))
+      try {
+        await RulesService.getRuleExecutionsByTransferId(transferEventId)
+        test.fail('Error not thrown')
+      } catch (err) {
+        test.equal(err.message, 'Connection lost', 'error rethrown')
+      }
+      test.end()
+    })
+
+    await getRuleExecutionsTest.end()
+  })
+
+  const validSource = [
+    '// Type: notification',
+    '// Action: commit',
+    '// Status: success',
+    '// Start: 2020-06-01T00:00:00.000Z',
+    '// End: 2100-12-31T23:59:59.999Z',
+    'addLedgerEntry()'
+  ].join('\n')
+  const folderScripts = [
+    { name: 'interchangeFeeCalculation.js', source: validSource },
+    { name: 'noHeaders.js', source: 'const a = 1' }
+  ]
+  const databaseScript = {
+    settlementRuleScriptId: 1,
+    name: 'interchangeFeeCalculation.js',
+    source: validSource,
+    isActive: 0,
+    createdDate: '2022-10-01T00:00:00.000Z',
+    changedDate: '2022-10-02T00:00:00.000Z'
+  }
+
+  await rulesServiceTest.test('getRuleScripts should', async getRuleScriptsTest => {
+    await getRuleScriptsTest.test('list the folder scripts and the database scripts replacing them', async test => {
+      sandbox.stub(ScriptsLoader, 'readScripts').returns(folderScripts)
+      sandbox.stub(RuleScriptModel, 'getAll').resolves([databaseScript])
+      const result = await RulesService.getRuleScripts()
+      test.equal(result.length, 2, 'database script replaces the folder script')
+      test.deepEqual(result[0], { name: 'noHeaders.js', location: 'folder', isActive: true, error: 'Rules file: noHeaders.js: has invalid or missing header \'Type\'' }, 'invalid folder script listed with its error')
+      test.deepEqual(result[1], {
+        name: 'interchangeFeeCalculation.js',
+        location: 'database',
+        isActive: false,
+        type: 'notification',
+        action: 'commit',
+        status: 'success',
+        startTime: new Date('2020-06-01T00:00:00.000Z'),
+        endTime: new Date('2100-12-31T23:59:59.999Z'),
+        priority: 0,
+        exclusive: false,
+        timeout: null,
+        memoryLimit: null,
+        inEffect: false,
+        overridesFolderScript: true,
+        createdDate: databaseScript.createdDate,
+        changedDate: databaseScript.changedDate
+      }, 'database script listed with its headers')
+      test.end()
+    })
+
+    await getRuleScriptsTest.test('throw when the database scripts can not be read', async test => {
+      sandbox.stub(ScriptsLoader, 'readScripts').returns(folderScripts)
+      sandbox.stub(RuleScriptModel, 'getAll').rejects(new Error('Connection lost'))
+      try {
+        await RulesService.getRuleScripts()
+        test.fail('Error not thrown')
+      } catch (err) {
+        test.equal(err.message, 'Connection lost')
+      }
+      test.end()
+    })
+
+    await getRuleScriptsTest.end()
+  })
+
+  await rulesServiceTest.test('getRuleScriptByName should', async getRuleScriptByNameTest => {
+    await getRuleScriptByNameTest.test('return a folder script with its source', async test => {
+      sandbox.stub(ScriptsLoader, 'readScripts').returns(folderScripts)
+      sandbox.stub(RuleScriptModel, 'getByName').resolves(null)
+      const result = await RulesService.getRuleScriptByName('interchangeFeeCalculation.js')
+      test.equal(result.location, 'folder')
+      test.equal(result.inEffect, true)
+      test.equal(result.source, validSource)
+      test.end()
+    })
+
+    await getRuleScriptByNameTest.test('return a database script with its source', async test => {
+      sandbox.stub(ScriptsLoader, 'readScripts').returns([])
+      sandbox.stub(RuleScriptModel, 'getByName').resolves(databaseScript)
+      const result = await RulesService.getRuleScriptByName('interchangeFeeCalculation.js')
+      test.equal(result.location, 'database')
+      test.equal(result.overridesFolderScript, false)
+      test.equal(result.source, validSource)
+      test.end()
+    })
+
+    await getRuleScriptByNameTest.test('throw when the script does not exist', async test => {
+      sandbox.stub(ScriptsLoader, 'readScripts').returns(folderScripts)
+      sandbox.stub(RuleScriptModel, 'getByName').resolves(null)
+      try {
+        await RulesService.getRuleScriptByName('unknown.js')
+        test.fail('Error not thrown')
+      } catch (err) {
+        test.equal(err.message, 'Rule script unknown.js not found')
+        test.equal(err.apiErrorCode.code, '3002', 'not found error thrown')
+      }
+      test.end()
+    })
+
+    await getRuleScriptByNameTest.end()
+  })
+
+  await rulesServiceTest.test('validateRuleScript should', async validateRuleScriptTest => {
+    await validateRuleScriptTest.test('return the headers of a valid script', async test => {
+      const result = RulesService.validateRuleScript({ name: 'fee.js', source: validSource })
+      test.equal(result.isValid, true)
+      test.equal(result.type, 'notification')
+      test.equal(result.filename, 'fee.js')
+      test.end()
+    })
+
+    await validateRuleScriptTest.test('return the error of an invalid script', async test => {
+      const result = RulesService.validateRuleScript({ name: 'fee.js', source: 'const a = 1' })
+      test.deepEqual(result, { name: 'fee.js', isValid: false, error: 'Rules file: fee.js: has invalid or missing header \'Type\'' })
+      test.end()
+    })
+
+    await validateRuleScriptTest.end()
+  })
+
+  await rulesServiceTest.test('uploadRuleScript should', async uploadRuleScriptTest => {
+    await uploadRuleScriptTest.test('store a valid script and return it', async test => {
+      sandbox.stub(ScriptsLoader, 'readScripts').returns([])
+      sandbox.stub(RuleScriptModel, 'upsert').resolves([1])
+      sandbox.stub(RuleScriptModel, 'getByName').resolves({ ...databaseScript, isActive: 1 })
+      const result = await RulesService.uploadRuleScript({ name: 'interchangeFeeCalculation.js', source: validSource })
+      test.ok(RuleScriptModel.upsert.withArgs({ name: 'interchangeFeeCalculation.js', source: validSource, isActive: true }).calledOnce, 'script stored as active')
+      test.equal(result.location, 'database')
+      test.equal(result.inEffect, true)
+      test.end()
+    })
+
+    await uploadRuleScriptTest.test('reject an invalid script', async test => {
+      sandbox.stub(RuleScriptModel, 'upsert').resolves([1])
+      try {
+        await RulesService.uploadRuleScript({ name: 'fee.js', source: 'const a = 1' })
+        test.fail('Error not thrown')
+      } catch (err) {
+        test.equal(err.apiErrorCode.code, '3100', 'validation error thrown')
+        test.ok(RuleScriptModel.upsert.notCalled, 'script not stored')
+      }
+      test.end()
+    })
+
+    await uploadRuleScriptTest.end()
+  })
+
+  await rulesServiceTest.test('updateRuleScript should', async updateRuleScriptTest => {
+    await updateRuleScriptTest.test('update a database script', async test => {
+      sandbox.stub(ScriptsLoader, 'readScripts').returns([])
+      sandbox.stub(RuleScriptModel, 'getByName').resolves(databaseScript)
+      sandbox.stub(RuleScriptModel, 'updateIsActive').resolves(1)
+      await RulesService.updateRuleScript('interchangeFeeCalculation.js', { isActive: true })
+      test.ok(RuleScriptModel.updateIsActive.withArgs('interchangeFeeCalculation.js', true).calledOnce, 'isActive updated')
+      test.end()
+    })
+
+    await updateRuleScriptTest.test('store a copy of a folder script', async test => {
+      sandbox.stub(ScriptsLoader, 'readScripts').returns(folderScripts)
+      sandbox.stub(RuleScriptModel, 'getByName')
+        .onFirstCall().resolves(null)
+        .onSecondCall().resolves(databaseScript)
+      sandbox.stub(RuleScriptModel, 'upsert').resolves([1])
+      const result = await RulesService.updateRuleScript('interchangeFeeCalculation.js', { isActive: false })
+      test.ok(RuleScriptModel.upsert.withArgs({ name: 'interchangeFeeCalculation.js', source: validSource, isActive: false }).calledOnce, 'folder script copied to the database')
+      test.equal(result.overridesFolderScript, true)
+      test.end()
+    })
+
+    await updateRuleScriptTest.test('throw when the script does not exist', async test => {
+      sandbox.stub(ScriptsLoader, 'readScripts').returns(folderScripts)
+      sandbox.stub(RuleScriptModel, 'getByName').resolves(null)
+      try {
+        await RulesService.updateRuleScript('unknown.js', { isActive: false })
+        test.fail('Error not thrown')
+      } catch (err) {
+        test.equal(err.message, 'Rule script unknown.js not found')
+      }
+      test.end()
+    })
+
+    await updateRuleScriptTest.end()
+  })
+
+  await rulesServiceTest.test('simulateRuleScript should', async simulateRuleScriptTest => {
+    const simulationResult = { ledgerEntries: [{ transferId: transferEventId }], logs: ['fee added'], durationMs: 1.5 }
+
+    await simulateRuleScriptTest.test('run the script against the transfer loaded by transferId', async test => {
+      sandbox.stub(ScriptEngine, 'simulate').resolves(simulationResult)
+      sandbox.stub(RulesService, 'insertLedgerEntries')
+      const result = await RulesService.simulateRuleScript({ name: 'fee.js', source: validSource, transferId: transferEventId })
+      const [script, payload, transfer] = ScriptEngine.simulate.lastCall.args
+      test.equal(typeof script.runInNewContext, 'function', 'compiled script simulated')
+      test.equal(payload.id, transferEventId, 'payload built for the transfer')
+      test.deepEqual(payload.metadata.event.type, 'notification', 'payload built for the Type header')
+      test.deepEqual(payload.metadata.event.action, 'commit', 'payload built for the Action header')
+      test.deepEqual(payload.metadata.event.state.status, 'success', 'payload built for the Status header')
+      test.equal(transfer, undefined, 'transfer loaded by the script engine')
+      test.equal(result.filename, 'fee.js')
+      test.equal(result.source, undefined, 'source not returned')
+      test.equal(result.transferId, transferEventId)
+      test.deepEqual(result.ledgerEntries, simulationResult.ledgerEntries)
+      test.deepEqual(result.logs, simulationResult.logs)
+      test.equal(result.durationMs, simulationResult.durationMs)
+      test.ok(RulesService.insertLedgerEntries.notCalled, 'no ledger entries inserted')
+      test.end()
+    })
+
+    await simulateRuleScriptTest.test('run the script against the given transfer and payload', async test => {
+      const transfer = { amount: { amount: '10', currency: 'USD' } }
+      const payload = { id: transferEventId, content: { payload: {} } }
+      sandbox.stub(ScriptEngine, 'simulate').resolves(simulationResult)
+      await RulesService.simulateRuleScript({ source: validSource, transfer, payload })
+      test.deepEqual(ScriptEngine.simulate.lastCall.args.slice(1, 3), [payload, transfer], 'given transfer and payload used')
+      const scriptInfo = ScriptEngine.simulate.lastCall.args[3]
+      test.equal(scriptInfo.filename, 'simulation.js', 'script name passed for the worker')
+      test.equal(scriptInfo.source, validSource, 'script source passed for the worker')
+      test.equal(scriptInfo.timeout, null, 'configured timeout used')
+      test.end()
+    })
+
+    await simulateRuleScriptTest.test('generate a transferId when only a transfer is given', async test => {
+      sandbox.stub(ScriptEngine, 'simulate').resolves(simulationResult)
+      const result = await RulesService.simulateRuleScript({ source: validSource, transfer: {} })
+      test.ok(result.transferId, 'transferId generated')
+      test.equal(ScriptEngine.simulate.lastCall.args[1].id, result.transferId)
+      test.end()
+    })
+
+    await simulateRuleScriptTest.test('throw when the script is invalid', async test => {
+      sandbox.stub(ScriptEngine, 'simulate').resolves(simulationResult)
+      try {
+        await RulesService.simulateRuleScript({ source: 'const a = 1', transferId: transferEventId })
+        test.fail('Error not thrown')
+      } catch (err) {
+        test.equal(err.apiErrorCode.code, '3100', 'validation error thrown')
+        test.ok(ScriptEngine.simulate.notCalled, 'script not run')
+      }
+      test.end()
+    })
+
+    await simulateRuleScriptTest.test('throw when neither a transferId nor a transfer is given', async test => {
+      sandbox.stub(ScriptEngine, 'simulate').resolves(simulationResult)
+      try {
+        await RulesService.simulateRuleScript({ source: validSource })
+        test.fail('Error not thrown')
+      } catch (err) {
+        test.equal(err.message, 'Rule script simulation requires a transferId or a transfer')
+        test.ok(ScriptEngine.simulate.notCalled, 'script not run')
+      }
+      test.end()
+    })
+
+    await simulateRuleScriptTest.end()
+  })
+
+  await rulesServiceTest.test('getDatabaseRuleScripts should return all stored scripts', async test => {
+    sandbox.stub(RuleScriptModel, 'getAll').resolves([databaseScript])
+    test.deepEqual(await RulesService.getDatabaseRuleScripts(), [databaseScript])
+    test.end()
+  })
+
   await rulesServiceTest.end()
 })
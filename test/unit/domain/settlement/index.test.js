@@ -26,6 +26,8 @@
 'use strict'
 
 const Logger = require('@mojaloop/central-services-logger')
+const ParticipantCurrencyModel = require('../../../../src/models/settlement/participantCurrency')
+const RuleEvents = require('../../../../src/lib/ruleEvents')
 const Sinon = require('sinon')
 const SettlementModel = require('../../../../src/models/settlement')
 const SettlementModelModel = require('../../../../src/models/settlement/settlementModel')
@@ -52,7 +54,6 @@ Test('SettlementService', async (settlementServiceTest) => {
   await settlementServiceTest.test('getById should', async getByIdTest => {
     try {
       const settlementId = 1
-      const settlementWindowId = 1
       const enums = {}
       const options = {
         logger: Logger
@@ -62,30 +63,48 @@ Test('SettlementService', async (settlementServiceTest) => {
         state: 'PENDING_SETTLEMENT'
       }
       const settlementWindowsListMock = [{
+        settlementId: 1,
         id: 1,
         state: 'PENDING_SETTLEMENT'
+      }, {
+        settlementId: 1,
+        id: 2,
+        state: 'PENDING_SETTLEMENT'
       }]
       const settlementWindowContentMock = [
         {
           id: 10,
+          settlementId: 1,
+          settlementWindowId: 1,
           state: 'PENDING_SETTLEMENT',
           ledgerAccountType: 'POSITION',
           currencyId: 'USD',
           createdDate: '2020-02-07T11:07:07.000Z',
-          changedDate: '2020-02-07T09:07:07.000Z',
-          settlementId: 6
+          changedDate: '2020-02-07T09:07:07.000Z'
         },
         {
           id: 11,
-          state: 'CLOSED',
+          settlementId: 1,
+          settlementWindowId: 1,
+          state: 'PENDING_SETTLEMENT',
           ledgerAccountType: 'POSITION',
           currencyId: 'TZS',
           createdDate: '2020-02-07T11:07:07.000Z',
-          changedDate: '2020-02-07T11:07:07.000Z',
-          settlementId: null
+          changedDate: '2020-02-07T11:07:07.000Z'
+        },
+        {
+          id: 12,
+          settlementId: 1,
+          settlementWindowId: 2,
+          state: 'PENDING_SETTLEMENT',
+          ledgerAccountType: 'POSITION',
+          currencyId: 'USD',
+          createdDate: '2020-02-07T11:07:07.000Z',
+          changedDate: '2020-02-07T11:07:07.000Z'
         }
       ]
       const participantCurrenciesListMock = [{
+        settlementId: 1,
         id: 1,
         participantCurrencyId: 1,
         state: 'PENDING_SETTLEMENT',
@@ -94,6 +113,7 @@ Test('SettlementService', async (settlementServiceTest) => {
         currency: 'USD',
         key: 1
       }, {
+        settlementId: 1,
         id: 1,
         participantCurrencyId: 2,
         state: 'SETTLED',
@@ -116,21 +136,59 @@ Test('SettlementService', async (settlementServiceTest) => {
       }
 
       SettlementModel.getById = sandbox.stub().returns(settlementMock)
-      SettlementWindowModel.getBySettlementId = sandbox.stub().returns(settlementWindowsListMock)
+      SettlementWindowModel.getBySettlementIds = sandbox.stub().returns(settlementWindowsListMock)
       SettlementModel.settlementParticipantCurrency = {
-        getParticipantCurrencyBySettlementId: sandbox.stub().returns(participantCurrenciesListMock)
+        getParticipantCurrencyBySettlementIds: sandbox.stub().returns(participantCurrenciesListMock)
       }
-      SettlementWindowContentModel.getBySettlementAndWindowId = sandbox.stub().returns(settlementWindowContentMock)
+      SettlementWindowContentModel.getBySettlementIds = sandbox.stub().returns(settlementWindowContentMock)
       SettlementModelModel.getById = sandbox.stub().returns(settlementModelModelNameMock)
 
-      await getByIdTest.test('return settlement participant accounts', async test => {
+      await getByIdTest.test('return settlement windows with their content and participant accounts', async test => {
         try {
           const result = await SettlementService.getById({ settlementId }, enums, options)
           test.ok(result, 'Result returned')
           test.ok(SettlementModel.getById.withArgs({ settlementId }, enums).calledOnce, 'SettlementModel.getById with args ... called once')
-          test.ok(SettlementWindowModel.getBySettlementId.withArgs({ settlementId }, enums).calledOnce, 'SettlementWindowModel.getBySettlementId with args ... called once')
-          test.ok(SettlementModel.settlementParticipantCurrency.getParticipantCurrencyBySettlementId.withArgs({ settlementId }, enums).calledOnce, 'SettlementModel.spc.getParticipantCurrencyBySettlementId with args ... called once')
-          test.ok(SettlementWindowContentModel.getBySettlementAndWindowId.withArgs(settlementId, settlementWindowId).calledOnce, 'SettlementWindowContentModel.getBySettlementAndWindowId with args ... called once')
+          test.ok(SettlementWindowModel.getBySettlementIds.withArgs([settlementId]).calledOnce, 'SettlementWindowModel.getBySettlementIds with args ... called once')
+          test.ok(SettlementModel.settlementParticipantCurrency.getParticipantCurrencyBySettlementIds.withArgs([settlementId]).calledOnce, 'SettlementModel.spc.getParticipantCurrencyBySettlementIds with args ... called once')
+          test.ok(SettlementWindowContentModel.getBySettlementIds.withArgs([settlementId]).calledOnce, 'SettlementWindowContentModel.getBySettlementIds with args ... called once')
+          test.deepEqual(result.settlementWindows.map(settlementWindow => settlementWindow.content.map(content => content.id)), [[10, 11], [12]], 'content grouped by window')
+          test.deepEqual(result.settlementWindows[0], {
+            id: 1,
+            state: 'PENDING_SETTLEMENT',
+            content: [{
+              id: 10,
+              state: 'PENDING_SETTLEMENT',
+              ledgerAccountType: 'POSITION',
+              currencyId: 'USD',
+              createdDate: '2020-02-07T11:07:07.000Z',
+              changedDate: '2020-02-07T09:07:07.000Z'
+            }, {
+              id: 11,
+              state: 'PENDING_SETTLEMENT',
+              ledgerAccountType: 'POSITION',
+              currencyId: 'TZS',
+              createdDate: '2020-02-07T11:07:07.000Z',
+              changedDate: '2020-02-07T11:07:07.000Z'
+            }]
+          }, 'settlement and window ids removed from the window and content')
+          test.equal(result.participants.length, 1, 'accounts grouped by participant')
+          test.equal(result.participants[0].accounts.length, 2, 'participant accounts returned')
+          test.end()
+        } catch (err) {
+          Logger.error(`getByIdTest failed with error - ${err}`)
+          test.fail()
+          test.end()
+        }
+      })
+
+      await getByIdTest.test('return no windows or participants for a settlement without them', async test => {
+        try {
+          SettlementWindowModel.getBySettlementIds = sandbox.stub().returns([])
+          SettlementWindowContentModel.getBySettlementIds = sandbox.stub().returns([])
+          SettlementModel.settlementParticipantCurrency.getParticipantCurrencyBySettlementIds = sandbox.stub().returns([])
+          const result = await SettlementService.getById({ settlementId }, enums)
+          test.deepEqual(result.settlementWindows, [], 'no windows')
+          test.deepEqual(result.participants, [], 'no participants')
           test.end()
         } catch (err) {
           Logger.error(`getByIdTest failed with error - ${err}`)
@@ -141,13 +199,13 @@ Test('SettlementService', async (settlementServiceTest) => {
 
       await getByIdTest.test('throw', async test => {
         try {
-          SettlementModel.settlementParticipantCurrency.getParticipantCurrencyBySettlementId = sandbox.stub()
+          SettlementModel.settlementParticipantCurrency.getParticipantCurrencyBySettlementIds = sandbox.stub()
           await SettlementService.getById({ settlementId }, enums)
           test.fail('Error not thrown!')
           test.end()
         } catch (err) {
           Logger.error(`getByIdTest failed with error - ${err}`)
-          test.equal(err.message, 'participantCurrenciesList is not iterable', `Error "${err.message}" thrown`)
+          test.equal(err.message, 'records is not iterable', `Error "${err.message}" thrown`)
           test.end()
         }
       })
@@ -282,86 +340,121 @@ Test('SettlementService', async (settlementServiceTest) => {
       const settlementWindowContentMock = [
         {
           id: 10,
+          settlementId: 1,
+          settlementWindowId: 1,
           state: 'PENDING_SETTLEMENT',
           ledgerAccountType: 'POSITION',
           currencyId: 'USD',
           createdDate: '2020-02-07T11:07:07.000Z',
-          changedDate: '2020-02-07T09:07:07.000Z',
-          settlementId: 6
-
+          changedDate: '2020-02-07T09:07:07.000Z'
         },
         {
           id: 11,
-          state: 'CLOSED',
+          settlementId: 2,
+          settlementWindowId: 2,
+          state: 'PENDING_SETTLEMENT',
           ledgerAccountType: 'POSITION',
           currencyId: 'TZS',
           createdDate: '2020-02-07T11:07:07.000Z',
-          changedDate: '2020-02-07T11:07:07.000Z',
-          settlementId: null
-
+          changedDate: '2020-02-07T11:07:07.000Z'
         }
       ]
       const settlementWindowsListMock = [{
+        settlementId: 1,
         id: 1,
         state: 'PENDING_SETTLEMENT',
         reason: 'settlement window reason text'
+      }, {
+        settlementId: 2,
+        id: 2,
+        state: 'PENDING_SETTLEMENT',
+        reason: 'settlement window reason text'
       }]
       const settlementsMockData = [{
         settlementId: 1,
-        settlementStateId: 'PENDING_SETTLEMENT',
-        settlementWindowId: 1,
-        settlementWindowStateId: 'PENDING_SETTLEMENT',
-        settlementWindowReason: 'settlement window reason text',
+        state: 'PENDING_SETTLEMENT',
+        reason: 'settlement reason text',
         createdDate: new Date(new Date() - 3600 * 1000),
-        changedDate: new Date(new Date() - 1800 * 1000),
-        participantId: 1,
+        changedDate: new Date(new Date() - 1800 * 1000)
+      }, {
+        settlementId: 2,
+        state: 'PENDING_SETTLEMENT',
+        reason: 'settlement reason text',
+        createdDate: new Date(new Date() - 3600 * 1000),
+        changedDate: new Date(new Date() - 1800 * 1000)
+      }]
+      const participantCurrenciesListMock = [{
+        settlementId: 1,
+        id: 1,
         participantCurrencyId: 1,
-        accountState: 'PENDING_SETTLEMENT',
-        accountReason: 'account reason text',
-        accountAmount: 75,
-        accountCurrency: 'USD'
+        state: 'PENDING_SETTLEMENT',
+        reason: 'account reason text',
+        netAmount: 75,
+        currency: 'USD',
+        key: 1
       }, {
         settlementId: 1,
-        settlementStateId: 'PENDING_SETTLEMENT',
-        settlementWindowId: 1,
-        settlementWindowStateId: 'PENDING_SETTLEMENT',
-        settlementWindowReason: 'settlement window reason text',
-        createdDate: new Date(new Date() - 3600 * 1000),
-        changedDate: new Date(new Date() - 1800 * 1000),
-        participantId: 1,
+        id: 1,
         participantCurrencyId: 2,
-        accountState: 'SETTLED',
-        accountReason: 'settled reason text',
-        accountAmount: 100,
-        accountCurrency: 'USD'
+        state: 'SETTLED',
+        reason: 'settled reason text',
+        netAmount: 100,
+        currency: 'USD',
+        key: 2
+      }, {
+        settlementId: 2,
+        id: 2,
+        participantCurrencyId: 3,
+        state: 'PENDING_SETTLEMENT',
+        reason: 'account reason text',
+        netAmount: -75,
+        currency: 'TZS',
+        key: 3
       }]
-      SettlementWindowModel.getBySettlementId = sandbox.stub().returns(settlementWindowsListMock)
-      SettlementWindowContentModel.getBySettlementAndWindowId = sandbox.stub().returns(settlementWindowContentMock)
-      SettlementModel.getByParams = sandbox.stub().returns(settlementsMockData)
-      await getSettlementsByParamsTest.test('return settlement participant accounts', async test => {
+
+      const stubModels = () => {
+        SettlementWindowModel.getBySettlementIds = sandbox.stub().returns(settlementWindowsListMock)
+        SettlementWindowContentModel.getBySettlementIds = sandbox.stub().returns(settlementWindowContentMock)
+        SettlementModel.settlementParticipantCurrency = {
+          getParticipantCurrencyBySettlementIds: sandbox.stub().returns(participantCurrenciesListMock)
+        }
+        SettlementModel.getByParams = sandbox.stub().returns(settlementsMockData)
+        SettlementModel.countByParams = sandbox.stub().returns({ total: 2 })
+      }
+
+      await getSettlementsByParamsTest.test('return settlement windows and participant accounts', async test => {
         try {
+          stubModels()
           const result = await SettlementService.getSettlementsByParams(params, enums, options)
           test.ok(result, 'Result returned')
-          test.ok(SettlementModel.getByParams.withArgs(params.query, enums).calledOnce, 'SettlementModel.getByParams with params ... called once')
-          test.equal(result[0].id, settlementsMockData[0].settlementId)
-          test.equal(result[0].state, settlementsMockData[0].settlementStateId)
-          test.equal(result[0].settlementWindows.length, 1)
-          test.equal(result[0].settlementWindows[0].id, settlementsMockData[0].settlementWindowId)
-          test.equal(result[0].settlementWindows[0].state, settlementsMockData[0].settlementWindowStateId)
-          test.equal(result[0].settlementWindows[0].reason, settlementsMockData[0].settlementWindowReason)
-          test.equal(result[0].participants.length, 1)
-          test.equal(result[0].participants[0].id, settlementsMockData[0].participantId)
-          test.equal(result[0].participants[0].accounts.length, 2)
-          test.equal(result[0].participants[0].accounts[0].id, settlementsMockData[0].participantCurrencyId)
-          test.equal(result[0].participants[0].accounts[0].state, settlementsMockData[0].accountState)
-          test.equal(result[0].participants[0].accounts[0].reason, settlementsMockData[0].accountReason)
-          test.equal(result[0].participants[0].accounts[0].netSettlementAmount.amount, settlementsMockData[0].accountAmount)
-          test.equal(result[0].participants[0].accounts[0].netSettlementAmount.currency, settlementsMockData[0].accountCurrency)
-          test.equal(result[0].participants[0].accounts[1].id, settlementsMockData[1].participantCurrencyId)
-          test.equal(result[0].participants[0].accounts[1].state, settlementsMockData[1].accountState)
-          test.equal(result[0].participants[0].accounts[1].reason, settlementsMockData[1].accountReason)
-          test.equal(result[0].participants[0].accounts[1].netSettlementAmount.amount, settlementsMockData[1].accountAmount)
-          test.equal(result[0].participants[0].accounts[1].netSettlementAmount.currency, settlementsMockData[1].accountCurrency)
+          test.ok(SettlementModel.getByParams.withArgs({ query: { state: 1 } }, { after: null, limit: null }).calledOnce, 'SettlementModel.getByParams with params ... called once')
+          test.ok(SettlementWindowModel.getBySettlementIds.withArgs([1, 2]).calledOnce, 'windows of all the settlements loaded at once')
+          test.ok(SettlementWindowContentModel.getBySettlementIds.withArgs([1, 2]).calledOnce, 'content of all the settlements loaded at once')
+          test.ok(SettlementModel.settlementParticipantCurrency.getParticipantCurrencyBySettlementIds.withArgs([1, 2], { currency: undefined, participantId: undefined, accountId: undefined }).calledOnce, 'accounts of all the settlements loaded at once')
+          test.equal(result.total, 2, 'total returned')
+          test.equal(result.nextCursor, null, 'no next page')
+          const settlements = result.settlements
+          test.equal(settlements.length, 2)
+          test.equal(settlements[0].id, settlementsMockData[0].settlementId)
+          test.equal(settlements[0].state, settlementsMockData[0].state)
+          test.equal(settlements[0].reason, settlementsMockData[0].reason)
+          test.equal(settlements[0].settlementWindows.length, 1)
+          test.equal(settlements[0].settlementWindows[0].id, settlementWindowsListMock[0].id)
+          test.equal(settlements[0].settlementWindows[0].state, settlementWindowsListMock[0].state)
+          test.equal(settlements[0].settlementWindows[0].reason, settlementWindowsListMock[0].reason)
+          test.deepEqual(settlements[0].settlementWindows[0].content.map(content => content.id), [10], 'window content of the settlement')
+          test.equal(settlements[0].participants.length, 1)
+          test.equal(settlements[0].participants[0].id, participantCurrenciesListMock[0].id)
+          test.equal(settlements[0].participants[0].accounts.length, 2)
+          test.equal(settlements[0].participants[0].accounts[0].id, participantCurrenciesListMock[0].participantCurrencyId)
+          test.equal(settlements[0].participants[0].accounts[0].state, participantCurrenciesListMock[0].state)
+          test.equal(settlements[0].participants[0].accounts[0].reason, participantCurrenciesListMock[0].reason)
+          test.equal(settlements[0].participants[0].accounts[0].netSettlementAmount.amount, participantCurrenciesListMock[0].netAmount)
+          test.equal(settlements[0].participants[0].accounts[0].netSettlementAmount.currency, participantCurrenciesListMock[0].currency)
+          test.equal(settlements[0].participants[0].accounts[1].id, participantCurrenciesListMock[1].participantCurrencyId)
+          test.equal(settlements[0].participants[0].accounts[1].state, participantCurrenciesListMock[1].state)
+          test.deepEqual(settlements[1].settlementWindows.map(settlementWindow => settlementWindow.id), [2], 'windows of the second settlement')
+          test.deepEqual(settlements[1].participants.map(participant => participant.id), [2], 'participants of the second settlement')
           test.end()
         } catch (err) {
           Logger.error(`getSettlementsByParamsTest failed with error - ${err}`)
@@ -370,6 +463,39 @@ Test('SettlementService', async (settlementServiceTest) => {
         }
       })
 
+      await getSettlementsByParamsTest.test('return a page of settlements with the cursor of the next page', async test => {
+        try {
+          stubModels()
+          const result = await SettlementService.getSettlementsByParams({ query: { participantId: 1, limit: 1 } }, enums)
+          test.ok(SettlementModel.getByParams.withArgs({ query: { participantId: 1 } }, { after: null, limit: 2 }).calledOnce, 'one more settlement than the limit requested')
+          test.ok(SettlementWindowModel.getBySettlementIds.withArgs([1]).calledOnce, 'windows of the page loaded')
+          test.ok(SettlementModel.settlementParticipantCurrency.getParticipantCurrencyBySettlementIds.withArgs([1], { currency: undefined, participantId: 1, accountId: undefined }).calledOnce, 'accounts of the participant loaded')
+          test.deepEqual(result.settlements.map(settlement => settlement.id), [1], 'page returned')
+          test.ok(result.nextCursor, 'next cursor returned')
+
+          await SettlementService.getSettlementsByParams({ query: { participantId: 1, limit: 1, cursor: result.nextCursor } }, enums)
+          test.ok(SettlementModel.getByParams.withArgs({ query: { participantId: 1 } }, { after: { settlementId: 1 }, limit: 2 }).calledOnce, 'next page requested after the last settlement')
+          test.end()
+        } catch (err) {
+          Logger.error(`getSettlementsByParamsTest failed with error - ${err}`)
+          test.fail()
+          test.end()
+        }
+      })
+
+      await getSettlementsByParamsTest.test('throw if the cursor is invalid', async test => {
+        try {
+          stubModels()
+          await SettlementService.getSettlementsByParams({ query: { state: 1, limit: 1, cursor: Buffer.from(JSON.stringify({ settlementId: 'x' })).toString('base64url') } }, enums)
+          test.fail('Error not thrown!')
+          test.end()
+        } catch (err) {
+          test.equal(err.message, 'Invalid cursor for settlements', `Error "${err.message}" thrown`)
+          test.ok(SettlementModel.getByParams.notCalled, 'settlements not queried')
+          test.end()
+        }
+      })
+
       await getSettlementsByParamsTest.test('throw', async test => {
         try {
           SettlementModel.getByParams = sandbox.stub()
@@ -385,7 +511,7 @@ Test('SettlementService', async (settlementServiceTest) => {
 
       await getSettlementsByParamsTest.test('throw', async test => {
         try {
-          await SettlementService.getSettlementsByParams({ query: { invalidParam: undefined } }, enums)
+          await SettlementService.getSettlementsByParams({ query: { invalidParam: undefined, limit: 1 } }, enums)
           test.fail('Error not thrown!')
           test.end()
         } catch (err) {
@@ -503,6 +629,7 @@ Test('SettlementService', async (settlementServiceTest) => {
         try {
           SettlementModelModel.getByName = sandbox.stub().returns(settlementModelDataMock[settlementModelDataMock.length - 1])
           SettlementWindowModel.getByListOfIds = sandbox.stub().returns(settlementWindowsMock)
+          SettlementWindowModel.getScopes = sandbox.stub().resolves([])
           SettlementModel.triggerSettlementEvent = sandbox.stub().returns(settlementIdMock)
           SettlementModel.getById = sandbox.stub().returns(settlementMock)
           SettlementWindowModel.getBySettlementId = sandbox.stub().returns(settlementWindowsListMock)
@@ -541,6 +668,35 @@ Test('SettlementService', async (settlementServiceTest) => {
         }
       })
 
+      await settlementEventTriggerTest.test('throw when windows are scoped to another currency or settlement model', async test => {
+        try {
+          SettlementModelModel.getByName = sandbox.stub().returns({ settlementModelId: 4, currencyId: 'USD', ledgerAccountTypeId: 1, settlementGranularityId: 'NET', settlementDelayId: 'DEFERRED' })
+          SettlementModelModel.getAll = sandbox.stub().resolves([
+            { settlementModelId: 4, currencyId: 'USD', ledgerAccountTypeId: 1 },
+            { settlementModelId: 5, currencyId: 'TZS', ledgerAccountTypeId: 1 },
+            { settlementModelId: 6, currencyId: null, ledgerAccountTypeId: 7 }
+          ])
+          SettlementWindowModel.getByListOfIds = sandbox.stub().returns([1, 2, 3, 4, 5].map(settlementWindowId => ({ settlementWindowId, state: 'CLOSED' })))
+          SettlementWindowModel.getScopes = sandbox.stub().resolves([
+            { settlementWindowId: 1, currencyId: 'USD', settlementModelId: null },
+            { settlementWindowId: 2, currencyId: 'TZS', settlementModelId: null },
+            { settlementWindowId: 3, currencyId: null, settlementModelId: 4 },
+            { settlementWindowId: 4, currencyId: null, settlementModelId: 5 },
+            { settlementWindowId: 5, currencyId: null, settlementModelId: 6 }
+          ])
+          SettlementModel.triggerSettlementEvent = sandbox.stub()
+          await SettlementService.settlementEventTrigger({ ...params, settlementWindows: [1, 2, 3, 4, 5].map(id => ({ id })) }, enums)
+          test.fail('Error not thrown!')
+          test.end()
+        } catch (err) {
+          Logger.error(`settlementEventTriggerTest failed with error - ${err}`)
+          test.equal(err.message, 'Windows 2, 4 are scoped to another currency or settlement model', `Error "${err.message}" thrown`)
+          test.ok(SettlementWindowModel.getScopes.calledWith([1, 2, 3, 4, 5]), 'scopes of the windows checked')
+          test.ok(SettlementModel.triggerSettlementEvent.notCalled, 'settlement not created')
+          test.end()
+        }
+      })
+
       await settlementEventTriggerTest.test('throw when settlement model is not found', async test => {
         try {
           SettlementModelModel.getByName = sandbox.stub().returns(settlementModelDataMock[0])
@@ -575,6 +731,124 @@ Test('SettlementService', async (settlementServiceTest) => {
     }
   })
 
+  await settlementServiceTest.test('previewSettlementEvent should', async previewSettlementEventTest => {
+    try {
+      const params = {
+        settlementModel: 'DEFERRED_NET',
+        reason: 'settlement preview',
+        settlementWindows: [
+          { id: 1 },
+          { id: 2 }
+        ]
+      }
+      const enums = {
+        settlementStates: {
+          PENDING_SETTLEMENT: 'PENDING_SETTLEMENT'
+        },
+        settlementWindowStates: {
+          CLOSED: 'CLOSED'
+        },
+        settlementGranularity: {
+          GROSS: 'GROSS'
+        },
+        settlementDelay: {
+          IMMEDIATE: 'IMMEDIATE'
+        }
+      }
+      const settlementModelData = {
+        settlementModelId: 1,
+        settlementGranularityId: 'NET',
+        settlementInterchangeId: 'MULTILATERAL',
+        settlementDelayId: 'DEFERRED'
+      }
+      const settlementWindowContentMock = [
+        { id: 3, settlementWindowId: 1, currencyId: 'USD' },
+        { id: 4, settlementWindowId: 1, currencyId: 'TZS' }
+      ]
+      const participantCurrenciesMock = [
+        { id: 1, participantCurrencyId: 5, currency: 'USD', netAmount: '-100.0000' },
+        { id: 2, participantCurrencyId: 6, currency: 'USD', netAmount: '100.0000' },
+        { id: 2, participantCurrencyId: 7, currency: 'TZS', netAmount: '0.0000' }
+      ]
+      const stubModels = () => {
+        SettlementModelModel.getByName = sandbox.stub().resolves(settlementModelData)
+        SettlementWindowModel.getByListOfIds = sandbox.stub().resolves([{ settlementWindowId: 1, state: 'CLOSED' }, { settlementWindowId: 2, state: 'CLOSED' }])
+        SettlementWindowModel.getScopes = sandbox.stub().resolves([])
+        SettlementModel.previewSettlementEvent = sandbox.stub().resolves({
+          settlementWindowContent: settlementWindowContentMock.map(content => ({ ...content })),
+          participantCurrencies: participantCurrenciesMock
+        })
+        SettlementModel.triggerSettlementEvent = sandbox.stub()
+      }
+
+      await previewSettlementEventTest.test('return the net settlement report without creating the settlement', async test => {
+        try {
+          stubModels()
+          const result = await SettlementService.previewSettlementEvent(params, enums)
+          test.ok(SettlementWindowModel.getByListOfIds.withArgs([1, 2], settlementModelData, enums.settlementWindowStates).calledOnce, 'windows checked')
+          test.ok(SettlementModel.previewSettlementEvent.withArgs({ idList: [1, 2] }, settlementModelData, enums).calledOnce, 'net amounts aggregated')
+          test.ok(SettlementModel.triggerSettlementEvent.notCalled, 'settlement not created')
+          test.deepEqual(result, {
+            settlementModel: 'DEFERRED_NET',
+            reason: 'settlement preview',
+            settlementWindows: [
+              { id: 1, content: [{ id: 3, currencyId: 'USD' }, { id: 4, currencyId: 'TZS' }] },
+              { id: 2, content: [] }
+            ],
+            participants: [{
+              id: 1,
+              accounts: [{ id: 5, state: 'PENDING_SETTLEMENT', reason: 'settlement preview', netSettlementAmount: { amount: '-100.0000', currency: 'USD' } }]
+            }, {
+              id: 2,
+              accounts: [
+                { id: 6, state: 'PENDING_SETTLEMENT', reason: 'settlement preview', netSettlementAmount: { amount: '100.0000', currency: 'USD' } },
+                { id: 7, state: 'PENDING_SETTLEMENT', reason: 'settlement preview', netSettlementAmount: { amount: '0.0000', currency: 'TZS' } }
+              ]
+            }]
+          }, 'participants with the state and reason the settlement would set')
+          test.end()
+        } catch (err) {
+          Logger.error(`previewSettlementEventTest failed with error - ${err}`)
+          test.fail()
+          test.end()
+        }
+      })
+
+      await previewSettlementEventTest.test('run the same checks as the settlement creation', async test => {
+        try {
+          stubModels()
+          SettlementWindowModel.getByListOfIds = sandbox.stub().resolves([{ settlementWindowId: 1, state: 'CLOSED' }])
+          await SettlementService.previewSettlementEvent(params, enums)
+          test.fail('Error not thrown!')
+          test.end()
+        } catch (err) {
+          test.equal(err.message, 'Inapplicable windows 2', `Error "${err.message}" thrown`)
+          test.ok(SettlementModel.previewSettlementEvent.notCalled, 'net amounts not aggregated')
+          test.end()
+        }
+      })
+
+      await previewSettlementEventTest.test('throw if the settlement model is GROSS', async test => {
+        try {
+          stubModels()
+          SettlementModelModel.getByName = sandbox.stub().resolves({ ...settlementModelData, settlementGranularityId: 'GROSS' })
+          await SettlementService.previewSettlementEvent(params, enums)
+          test.fail('Error not thrown!')
+          test.end()
+        } catch (err) {
+          test.equal(err.message, 'Settlement can not be created for GROSS or IMMEDIATE models', `Error "${err.message}" thrown`)
+          test.end()
+        }
+      })
+
+      await previewSettlementEventTest.end()
+    } catch (err) {
+      Logger.error(`settlementServiceTest failed with error - ${err}`)
+      previewSettlementEventTest.fail()
+      previewSettlementEventTest.end()
+    }
+  })
+
   await settlementServiceTest.test('getByIdParticipantAccount should', async getByIdParticipantAccountTest => {
     try {
       const settlementId = 1
@@ -748,5 +1022,103 @@ Test('SettlementService', async (settlementServiceTest) => {
     }
   })
 
+  await settlementServiceTest.test('getParticipantAccountTransfers should', async getParticipantAccountTransfersTest => {
+    const params = { settlementId: 1, participantId: 2, accountId: 3 }
+    const enums = { ledgerAccountTypes: { POSITION: 1 } }
+    const pagination = { page: 1, limit: 100 }
+    const transfersMock = { page: 1, limit: 100, hasMore: false, transfers: [] }
+
+    await getParticipantAccountTransfersTest.test('return the transfers of the account in the settlement', async test => {
+      SettlementModel.getById = sandbox.stub().resolves({ settlementId: 1 })
+      SettlementModel.checkParticipantAccountExists = sandbox.stub().resolves(true)
+      SettlementModel.getAccountInSettlement = sandbox.stub().resolves(true)
+      SettlementWindowModel.getTransfers = sandbox.stub().resolves(transfersMock)
+      const result = await SettlementService.getParticipantAccountTransfers(params, enums, pagination)
+      test.deepEqual(result, transfersMock, 'transfers returned')
+      test.ok(SettlementWindowModel.getTransfers.calledWith({ settlementId: 1, ledgerAccountTypeId: 1, participantCurrencyId: 3 }, pagination), 'position account transfers of the settlement read')
+      test.end()
+    })
+
+    await getParticipantAccountTransfersTest.test('throw if the settlement, participant account or settlement account is not found', async test => {
+      const cases = [
+        [false, true, true, 'Settlement not found'],
+        [true, false, true, 'Provided account does not match any participant position account'],
+        [true, true, false, 'Account not in settlement']
+      ]
+      for (const [settlement, account, accountInSettlement, message] of cases) {
+        SettlementModel.getById = sandbox.stub().resolves(settlement ? { settlementId: 1 } : undefined)
+        SettlementModel.checkParticipantAccountExists = sandbox.stub().resolves(account)
+        SettlementModel.getAccountInSettlement = sandbox.stub().resolves(accountInSettlement)
+        SettlementWindowModel.getTransfers = sandbox.stub().resolves(transfersMock)
+        try {
+          await SettlementService.getParticipantAccountTransfers(params, enums, pagination)
+          test.fail('Error expected, but not thrown!')
+        } catch (err) {
+          test.equal(err.message, message, `${message} error thrown`)
+          test.ok(SettlementWindowModel.getTransfers.notCalled, 'transfers not read')
+        }
+      }
+      test.end()
+    })
+
+    await getParticipantAccountTransfersTest.end()
+  })
+
+  await settlementServiceTest.test('putById should', async putByIdTest => {
+    const enums = { settlementStates: { SETTLED: 'SETTLED', SETTLING: 'SETTLING' } }
+    const settlementMock = (state) => ({
+      id: 1,
+      state,
+      createdDate: '2021-01-01T00:00:00.000Z',
+      settlementWindows: [],
+      participants: [{
+        id: 2,
+        accounts: [{ id: 3, state: 'SETTLED', reason: 'settled', netSettlementAmount: { amount: 100, currency: 'USD' } }]
+      }]
+    })
+
+    await putByIdTest.test('publish a rule event with the participants once the settlement is SETTLED', async test => {
+      sandbox.stub(SettlementModel, 'putById').resolves(settlementMock('SETTLED'))
+      sandbox.stub(ParticipantCurrencyModel, 'getByParticipantCurrencyIds').resolves([{ participantCurrencyId: 3, name: 'dfsp1', currencyId: 'USD', ledgerAccountType: 'POSITION' }])
+      sandbox.stub(RuleEvents, 'publish').resolves('id')
+      const result = await SettlementService.putById(1, { participants: [] }, enums)
+      test.equal(result.state, 'SETTLED', 'settlement returned')
+      test.ok(RuleEvents.publish.calledOnce, 'rule event published')
+      const [ruleEvent, id, settlement] = RuleEvents.publish.firstCall.args
+      test.equal(ruleEvent, RuleEvents.RULE_EVENT.SETTLEMENT_SETTLED, 'settled event')
+      test.equal(id, 1, 'for the settlement')
+      test.deepEqual(settlement.participants, [{
+        fspId: 'dfsp1',
+        participantId: 2,
+        participantCurrencyId: 3,
+        currency: 'USD',
+        ledgerAccountType: 'POSITION',
+        netAmount: 100,
+        state: 'SETTLED'
+      }], 'participant accounts with their fspId')
+      test.end()
+    })
+
+    await putByIdTest.test('not publish a rule event before the settlement is SETTLED', async test => {
+      sandbox.stub(SettlementModel, 'putById').resolves(settlementMock('SETTLING'))
+      sandbox.stub(RuleEvents, 'publish').resolves('id')
+      await SettlementService.putById(1, { participants: [] }, enums)
+      test.ok(RuleEvents.publish.notCalled, 'no rule event')
+      test.end()
+    })
+
+    await putByIdTest.test('return the settlement if the rule event can not be published', async test => {
+      sandbox.stub(SettlementModel, 'putById').resolves(settlementMock('SETTLED'))
+      sandbox.stub(ParticipantCurrencyModel, 'getByParticipantCurrencyIds').resolves([])
+      sandbox.stub(RuleEvents, 'publish').rejects(new Error('Kafka down'))
+      const result = await SettlementService.putById(1, { participants: [] }, enums)
+      test.equal(result.id, 1, 'settlement returned')
+      test.ok(Logger.error.calledWith('Unable to publish the rule event of settled settlement 1: Kafka down'), 'failure logged')
+      test.end()
+    })
+
+    await putByIdTest.end()
+  })
+
   await settlementServiceTest.end()
 })
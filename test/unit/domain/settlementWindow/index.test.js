@@ -32,7 +32,9 @@ const Logger = require('@mojaloop/central-services-logger')
 const SettlementWindowService = require('../../../../src/domain/settlementWindow')
 const SettlementWindowModel = require('../../../../src/models/settlementWindow')
 const SettlementWindowContentModel = require('../../../../src/models/settlementWindowContent')
+const SettlementModelModel = require('../../../../src/models/settlement/settlementModel')
 const Producer = require('@mojaloop/central-services-stream').Util.Producer
+const RuleEvents = require('../../../../src/lib/ruleEvents')
 
 Test('SettlementWindowService', async (settlementWindowServiceTest) => {
   let sandbox
@@ -159,17 +161,24 @@ Test('SettlementWindowService', async (settlementWindowServiceTest) => {
       const enums = {}
       const options = { logger: Logger }
       const settlementWindowsMock = [{ settlementWindowId: 1 }, { settlementWindowId: 2 }]
-      const settlementWindowMock = { settlementWindowId: 1, content: { id: 11 } }
-      const settlementWindowContentMock = { id: 11 }
+      const settlementWindowContentMock = [{ id: 11, settlementWindowId: 1 }, { id: 12, settlementWindowId: 1 }, { id: 21, settlementWindowId: 2 }]
 
       await getByParamsTest.test('return settlement windows', async test => {
         try {
-          SettlementWindowContentModel.getBySettlementWindowId = sandbox.stub().returns(settlementWindowContentMock)
-          SettlementWindowModel.getById = sandbox.stub().returns(settlementWindowMock)
+          SettlementWindowContentModel.getBySettlementWindowIds = sandbox.stub().returns(settlementWindowContentMock)
           SettlementWindowModel.getByParams = sandbox.stub().returns(settlementWindowsMock)
+          SettlementWindowModel.countByParams = sandbox.stub().returns({ total: 2 })
           const result = await SettlementWindowService.getByParams(params, enums, options)
-          test.ok(result, 'Result returned')
-          test.ok(SettlementWindowModel.getByParams.withArgs(params, enums).calledOnce, 'SettlementWindowModel.getByParams with args ... called once')
+          test.deepEqual(result, {
+            settlementWindows: [
+              { settlementWindowId: 1, content: [{ id: 11 }, { id: 12 }] },
+              { settlementWindowId: 2, content: [{ id: 21 }] }
+            ],
+            total: 2,
+            nextCursor: null
+          }, 'windows with their content returned')
+          test.ok(SettlementWindowModel.getByParams.withArgs(params, { sortBy: 'changedDate', sortOrder: 'desc', after: null, limit: null }).calledOnce, 'SettlementWindowModel.getByParams with args ... called once')
+          test.ok(SettlementWindowContentModel.getBySettlementWindowIds.withArgs([1, 2]).calledOnce, 'content of the windows loaded at once')
 
           SettlementWindowModel.getByParams = sandbox.stub().returns()
           try {
@@ -177,15 +186,15 @@ Test('SettlementWindowService', async (settlementWindowServiceTest) => {
             test.fail('Error expected, but not thrown!')
           } catch (err) {
             test.ok(err instanceof Error, `Error "${err.message}" thrown as expected`)
-            test.ok(SettlementWindowModel.getByParams.withArgs(params, enums).calledOnce, 'SettlementWindowModel.getByParams with args ... called once')
+            test.ok(SettlementWindowModel.getByParams.calledOnce, 'SettlementWindowModel.getByParams called once')
           }
 
-          params = { query: {} }
+          params = { query: { limit: 10 } }
           try {
             await SettlementWindowService.getByParams(params, enums)
             test.fail('Error expected, but not thrown!')
           } catch (err) {
-            test.pass(`Error "${err.message.substr(0, 50)} ..." thrown as expected`)
+            test.equal(err.message, 'Use at least one parameter: participantId, state, fromDateTime, toDateTime, currency', `Error "${err.message.substr(0, 50)} ..." thrown as expected`)
           }
 
           test.end()
@@ -196,56 +205,50 @@ Test('SettlementWindowService', async (settlementWindowServiceTest) => {
         }
       })
 
-      await getByParamsTest.end()
-    } catch (err) {
-      Logger.error(`settlementWindowServiceTest failed with error - ${err}`)
-      getByParamsTest.fail()
-      getByParamsTest.end()
-    }
-  })
+      await getByParamsTest.test('return a page of settlement windows with the cursor of the next page', async test => {
+        const changedDate = new Date('2022-10-03T10:00:00.000Z')
+        SettlementWindowContentModel.getBySettlementWindowIds = sandbox.stub().returns([])
+        SettlementWindowModel.getByParams = sandbox.stub().returns([{ settlementWindowId: 3, changedDate }, { settlementWindowId: 2, changedDate }, { settlementWindowId: 1, changedDate }])
+        SettlementWindowModel.countByParams = sandbox.stub().returns({ total: 5 })
+
+        const firstPage = await SettlementWindowService.getByParams({ query: { state: 'CLOSED', limit: 2 } }, enums)
+        test.deepEqual(firstPage.settlementWindows.map(settlementWindow => settlementWindow.settlementWindowId), [3, 2], 'windows of the page returned')
+        test.deepEqual(firstPage.settlementWindows[0].content, [], 'window without content')
+        test.equal(firstPage.total, 5, 'total returned')
+        test.ok(SettlementWindowModel.getByParams.calledWith({ query: { state: 'CLOSED' } }, Sinon.match({ limit: 3 })), 'one more window looked up')
+        test.ok(SettlementWindowModel.countByParams.calledWith({ query: { state: 'CLOSED' } }), 'windows matching the filters counted')
+        test.ok(firstPage.nextCursor, 'cursor of the next page returned')
+
+        SettlementWindowModel.getByParams = sandbox.stub().returns([{ settlementWindowId: 1, changedDate }])
+        const lastPage = await SettlementWindowService.getByParams({ query: { state: 'CLOSED', limit: 2, cursor: firstPage.nextCursor } }, enums)
+        test.deepEqual(SettlementWindowModel.getByParams.firstCall.args[1], {
+          sortBy: 'changedDate',
+          sortOrder: 'desc',
+          after: { value: changedDate, settlementWindowId: 2 },
+          limit: 3
+        }, 'page starts after the last window of the previous page')
+        test.equal(lastPage.nextCursor, null, 'no cursor on the last page')
+        test.end()
+      })
 
-  await settlementWindowServiceTest.test('getByParams should fail when no content is found', async getByParamsTest => {
-    try {
-      let params = { query: { participantId: 1, state: 'PENDING_SETTLEMENT' } }
-      const enums = {}
-      const options = { logger: Logger }
-      const settlementWindowsMock = [{ settlementWindowId: 1 }, { settlementWindowId: 2 }]
-      const settlementWindowMock = { settlementWindowId: 1, content: { id: 11 } }
+      await getByParamsTest.test('throw if the cursor is invalid or was created for another sort', async test => {
+        SettlementWindowModel.getByParams = sandbox.stub().returns([{ settlementWindowId: 3, changedDate: new Date() }, { settlementWindowId: 2, changedDate: new Date() }])
+        SettlementWindowModel.countByParams = sandbox.stub().returns({ total: 2 })
+        SettlementWindowContentModel.getBySettlementWindowIds = sandbox.stub().returns([])
+        sandbox.stub(Logger, 'error')
+        const { nextCursor } = await SettlementWindowService.getByParams({ query: { state: 'CLOSED', limit: 1 } }, enums)
+        SettlementWindowModel.getByParams.resetHistory()
 
-      await getByParamsTest.test('return settlement windows', async test => {
-        try {
-          SettlementWindowContentModel.getBySettlementWindowId = sandbox.stub().returns(undefined)
-          SettlementWindowModel.getById = sandbox.stub().returns(settlementWindowMock)
-          SettlementWindowModel.getByParams = sandbox.stub().returns(settlementWindowsMock)
+        for (const query of [{ state: 'CLOSED', cursor: 'not a cursor' }, { state: 'CLOSED', cursor: nextCursor, sortOrder: 'asc' }]) {
           try {
-            await SettlementWindowService.getByParams(params, enums, options)
+            await SettlementWindowService.getByParams({ query }, enums)
             test.fail('Error expected, but not thrown!')
           } catch (err) {
-            test.equal(err.message, 'No records for settlementWidowContentId : 1 found')
+            test.equal(err.message, `Invalid cursor for settlement windows sorted by changedDate ${query.sortOrder || 'desc'}`, `Error "${err.message}" thrown as expected`)
           }
-          SettlementWindowModel.getByParams = sandbox.stub().returns()
-          try {
-            await SettlementWindowService.getByParams(params, enums)
-            test.fail('Error expected, but not thrown!')
-          } catch (err) {
-            test.ok(err instanceof Error, `Error "${err.message}" thrown as expected`)
-            test.ok(SettlementWindowModel.getByParams.withArgs(params, enums).calledOnce, 'SettlementWindowModel.getByParams with args ... called once')
-          }
-
-          params = { query: {} }
-          try {
-            await SettlementWindowService.getByParams(params, enums)
-            test.fail('Error expected, but not thrown!')
-          } catch (err) {
-            test.pass(`Error "${err.message.substr(0, 50)} ..." thrown as expected`)
-          }
-
-          test.end()
-        } catch (err) {
-          Logger.error(`getByParamsTest failed with error - ${err}`)
-          test.fail()
-          test.end()
         }
+        test.ok(SettlementWindowModel.getByParams.notCalled, 'windows not queried')
+        test.end()
       })
 
       await getByParamsTest.end()
@@ -273,7 +276,7 @@ Test('SettlementWindowService', async (settlementWindowServiceTest) => {
 
           const result = await SettlementWindowService.process(params, enums, options)
           test.ok(result, 'Result returned')
-          test.ok(SettlementWindowModel.process.withArgs(params, enums).calledOnce, 'SettlementWindowModel.process with args ... called once')
+          test.ok(SettlementWindowModel.process.withArgs({ ...params, scope: null }, enums).calledOnce, 'SettlementWindowModel.process with args ... called once')
           test.ok(SettlementWindowModel.getById.withArgs({ settlementWindowId: settlementWindowIdMock }, enums).calledOnce, 'SettlementWindowModel.getById with args ... called once')
 
           SettlementWindowModel.process = sandbox.stub().throws(new Error('Error occurred'))
@@ -282,7 +285,7 @@ Test('SettlementWindowService', async (settlementWindowServiceTest) => {
             test.fail('Error expected, but not thrown!')
           } catch (err) {
             test.equal(err.message, 'Error occurred', `Error "${err.message}" thrown as expected`)
-            test.ok(SettlementWindowModel.process.withArgs(params, enums).calledOnce, 'SettlementWindowModel.process with args ... called once')
+            test.ok(SettlementWindowModel.process.withArgs({ ...params, scope: null }, enums).calledOnce, 'SettlementWindowModel.process with args ... called once')
           }
 
           test.end()
@@ -293,6 +296,43 @@ Test('SettlementWindowService', async (settlementWindowServiceTest) => {
         }
       })
 
+      await processTest.test('process the window for the transfers of a currency or a NET settlement model', async test => {
+        SettlementWindowModel.process = sandbox.stub().resolves(settlementWindowIdMock)
+        SettlementWindowModel.getById = sandbox.stub().resolves(settlementWindowMock)
+        SettlementModelModel.getByName = sandbox.stub().resolves({ settlementModelId: 2, settlementGranularityId: 2 })
+
+        await SettlementWindowService.process({ settlementWindowId: 1, reason: 'USD', currency: 'USD' }, enums)
+        test.deepEqual(SettlementWindowModel.process.firstCall.args[0].scope, { currencyId: 'USD' }, 'currency scope')
+        await SettlementWindowService.process({ settlementWindowId: 1, reason: 'model', settlementModel: 'DEFERREDNETUSD' }, enums)
+        test.ok(SettlementModelModel.getByName.calledWith('DEFERREDNETUSD'), 'settlement model looked up')
+        test.deepEqual(SettlementWindowModel.process.secondCall.args[0].scope, { settlementModelId: 2 }, 'settlement model scope')
+        test.end()
+      })
+
+      await processTest.test('throw if the scope is invalid', async test => {
+        SettlementWindowModel.process = sandbox.stub().resolves(settlementWindowIdMock)
+        SettlementModelModel.getByName = sandbox.stub()
+        SettlementModelModel.getByName.withArgs('DEFERREDNETUSD').resolves({ settlementModelId: 2, settlementGranularityId: 2 })
+        SettlementModelModel.getByName.withArgs('CGS').resolves({ settlementModelId: 1, settlementGranularityId: 1 })
+        sandbox.stub(Logger, 'error')
+
+        const scopes = [
+          [{ currency: 'USD', settlementModel: 'DEFERREDNETUSD' }, 'Use either currency or settlementModel to scope the settlement window'],
+          [{ settlementModel: 'UNKNOWN' }, 'Settlement model not found'],
+          [{ settlementModel: 'CGS' }, 'Settlement model CGS is not a NET settlement model']
+        ]
+        for (const [scope, message] of scopes) {
+          try {
+            await SettlementWindowService.process({ settlementWindowId: 1, reason: 'scoped', ...scope }, enums)
+            test.fail('Error expected, but not thrown!')
+          } catch (err) {
+            test.equal(err.message, message, `Error "${err.message}" thrown as expected`)
+          }
+        }
+        test.ok(SettlementWindowModel.process.notCalled, 'window not processed')
+        test.end()
+      })
+
       await processTest.end()
     } catch (err) {
       Logger.error(`settlementWindowServiceTest failed with error - ${err}`)
@@ -321,6 +361,48 @@ Test('SettlementWindowService', async (settlementWindowServiceTest) => {
           test.end()
         }
       })
+      await processTest.test('not publish the rule event again when the window was closed meanwhile', async test => {
+        SettlementWindowModel.close = sandbox.stub().resolves(false)
+        SettlementWindowModel.getById = sandbox.stub().resolves({ settlementWindowId: settlementWindowIdMock, state: 'CLOSED' })
+        sandbox.stub(RuleEvents, 'publish').resolves('id')
+
+        const result = await SettlementWindowService.close(settlementWindowIdMock, 'close')
+        test.equal(result.state, 'CLOSED', 'closed window returned')
+        test.ok(RuleEvents.publish.notCalled, 'rule event not published')
+        test.end()
+      })
+
+      await processTest.test('publish a rule event with the content and participants of the closed window', async test => {
+        const participants = [{ fspId: 'dfsp1', participantCurrencyId: 3, currency: 'USD', ledgerAccountType: 'POSITION', netAmount: '100' }]
+        SettlementWindowModel.close = sandbox.stub().resolves(true)
+        SettlementWindowModel.getById = sandbox.stub().resolves({ settlementWindowId: settlementWindowIdMock, state: 'CLOSED' })
+        SettlementWindowContentModel.getBySettlementWindowId = sandbox.stub().resolves([{ id: 11 }])
+        SettlementWindowContentModel.getParticipantAmountsBySettlementWindowId = sandbox.stub().resolves(participants)
+        sandbox.stub(RuleEvents, 'publish').resolves('id')
+
+        await SettlementWindowService.close(settlementWindowIdMock, 'close')
+        test.ok(RuleEvents.publish.calledOnce, 'rule event published')
+        test.deepEqual(RuleEvents.publish.firstCall.args, [RuleEvents.RULE_EVENT.SETTLEMENT_WINDOW_CLOSE, settlementWindowIdMock, {
+          settlementWindowId: settlementWindowIdMock,
+          state: 'CLOSED',
+          content: [{ id: 11 }],
+          participants
+        }], 'window close event with the window')
+        test.end()
+      })
+
+      await processTest.test('return the closed window if the rule event can not be published', async test => {
+        SettlementWindowModel.close = sandbox.stub().resolves(true)
+        SettlementWindowModel.getById = sandbox.stub().resolves({ settlementWindowId: settlementWindowIdMock, state: 'CLOSED' })
+        SettlementWindowContentModel.getBySettlementWindowId = sandbox.stub().rejects(new Error('Connection lost'))
+        sandbox.stub(Logger, 'error')
+
+        const result = await SettlementWindowService.close(settlementWindowIdMock, 'close')
+        test.equal(result.state, 'CLOSED', 'window returned')
+        test.ok(Logger.error.calledWith('Unable to publish the rule event of closed settlement window 1: Connection lost'), 'failure logged')
+        test.end()
+      })
+
       await processTest.end()
     } catch (err) {
       Logger.error(`settlementWindowServiceTest failed with error - ${err}`)
@@ -329,5 +411,370 @@ Test('SettlementWindowService', async (settlementWindowServiceTest) => {
     }
   })
 
+  await settlementWindowServiceTest.test('getTransfers should', async getTransfersTest => {
+    const transfersMock = { page: 1, limit: 100, hasMore: false, transfers: [] }
+
+    await getTransfersTest.test('return the transfers of the settlement window', async test => {
+      SettlementWindowModel.getById = sandbox.stub().resolves({ settlementWindowId: 3, state: 'OPEN' })
+      SettlementWindowModel.getTransfers = sandbox.stub().resolves(transfersMock)
+      const result = await SettlementWindowService.getTransfers({ settlementWindowId: 3 }, { page: 1, limit: 100 })
+      test.deepEqual(result, transfersMock, 'transfers returned')
+      test.ok(SettlementWindowModel.getTransfers.calledWith({ settlementWindowId: 3 }, { page: 1, limit: 100 }), 'transfers of the window read')
+      test.end()
+    })
+
+    await getTransfersTest.test('throw if the settlement window does not exist', async test => {
+      SettlementWindowModel.getById = sandbox.stub().resolves(undefined)
+      SettlementWindowModel.getTransfers = sandbox.stub()
+      sandbox.stub(Logger, 'error')
+      try {
+        await SettlementWindowService.getTransfers({ settlementWindowId: 3 }, { page: 1, limit: 100 })
+        test.fail('Error expected, but not thrown!')
+      } catch (err) {
+        test.equal(err.message, 'No record for settlementWindowId: 3 found', 'error thrown')
+        test.equal(err.apiErrorCode.code, '3002', 'not found error code')
+        test.ok(SettlementWindowModel.getTransfers.notCalled, 'transfers not read')
+      }
+      test.end()
+    })
+
+    await getTransfersTest.end()
+  })
+
+  await settlementWindowServiceTest.test('getContentTransfers should', async getContentTransfersTest => {
+    const transfersMock = { page: 2, limit: 10, hasMore: true, transfers: [] }
+
+    await getContentTransfersTest.test('return the transfers of the window content ledger account type and currency', async test => {
+      SettlementWindowContentModel.getById = sandbox.stub().resolves({ settlementWindowContentId: 4, settlementWindowId: 3, ledgerAccountTypeId: 1, currencyId: 'USD', settlementId: 2 })
+      SettlementWindowModel.getTransfers = sandbox.stub().resolves(transfersMock)
+      const result = await SettlementWindowService.getContentTransfers({ settlementWindowContentId: 4 }, { page: 2, limit: 10 })
+      test.deepEqual(result, transfersMock, 'transfers returned')
+      test.ok(SettlementWindowModel.getTransfers.calledWith({ settlementWindowId: 3, ledgerAccountTypeId: 1, currencyId: 'USD' }, { page: 2, limit: 10 }), 'transfers of the content read')
+      test.end()
+    })
+
+    await getContentTransfersTest.test('throw if the settlement window content does not exist', async test => {
+      SettlementWindowContentModel.getById = sandbox.stub().resolves(undefined)
+      sandbox.stub(Logger, 'error')
+      try {
+        await SettlementWindowService.getContentTransfers({ settlementWindowContentId: 4 }, { page: 1, limit: 100 })
+        test.fail('Error expected, but not thrown!')
+      } catch (err) {
+        test.equal(err.message, 'No record for settlementWindowContentId: 4 found', 'error thrown')
+        test.equal(err.apiErrorCode.code, '3002', 'not found error code')
+      }
+      test.end()
+    })
+
+    await getContentTransfersTest.end()
+  })
+
+  await settlementWindowServiceTest.test('getStuckWindows should', async test => {
+    const clock = Sinon.useFakeTimers(new Date('2022-10-03T12:00:00.000Z').getTime())
+    SettlementWindowModel.getProcessing = sandbox.stub().resolves([{ settlementWindowId: 3, state: 'PROCESSING' }])
+    const result = await SettlementWindowService.getStuckWindows(600)
+    test.deepEqual(result, [{ settlementWindowId: 3, state: 'PROCESSING' }], 'stuck windows returned')
+    test.ok(SettlementWindowModel.getProcessing.calledWith({ changedBefore: new Date('2022-10-03T11:50:00.000Z') }), 'windows in PROCESSING for stuckSeconds read')
+    clock.restore()
+    test.end()
+  })
+
+  await settlementWindowServiceTest.test('retryClose should', async retryCloseTest => {
+    await retryCloseTest.test('close the window with the reason it was processed with', async test => {
+      SettlementWindowModel.getById = sandbox.stub().resolves({ settlementWindowId: 3, state: 'PROCESSING', reason: 'end of day' })
+      sandbox.stub(SettlementWindowService, 'close').resolves({ settlementWindowId: 3, state: 'CLOSED' })
+      const result = await SettlementWindowService.retryClose(3)
+      test.deepEqual(result, { settlementWindowId: 3, state: 'CLOSED' }, 'closed window returned')
+      test.ok(SettlementWindowService.close.calledWith(3, 'end of day'), 'window closed')
+      test.end()
+    })
+
+    await retryCloseTest.test('throw if the window does not exist or is not in PROCESSING', async test => {
+      sandbox.stub(Logger, 'error')
+      sandbox.stub(SettlementWindowService, 'close')
+      for (const [settlementWindow, message, code] of [
+        [undefined, 'No record for settlementWindowId: 3 found', '3002'],
+        [{ settlementWindowId: 3, state: 'CLOSED' }, 'Window 3 is not in processing state', '3100']
+      ]) {
+        SettlementWindowModel.getById = sandbox.stub().resolves(settlementWindow)
+        try {
+          await SettlementWindowService.retryClose(3)
+          test.fail('Error expected, but not thrown!')
+        } catch (err) {
+          test.equal(err.message, message, 'error thrown')
+          test.equal(err.apiErrorCode.code, code, 'error code')
+        }
+      }
+      test.ok(SettlementWindowService.close.notCalled, 'window not closed')
+      test.end()
+    })
+
+    await retryCloseTest.end()
+  })
+
+  await settlementWindowServiceTest.test('recoverStuckWindows should retry the close of every stuck window', async test => {
+    sandbox.stub(Logger, 'error')
+    sandbox.stub(SettlementWindowService, 'getStuckWindows').resolves([
+      { settlementWindowId: 3, state: 'PROCESSING', changedDate: '2022-10-03T10:00:00.000Z' },
+      { settlementWindowId: 4, state: 'PROCESSING', changedDate: '2022-10-03T11:00:00.000Z' }
+    ])
+    const retryClose = sandbox.stub(SettlementWindowService, 'retryClose')
+    retryClose.withArgs(3).rejects(new Error('Deadlock found'))
+    retryClose.withArgs(4).resolves({ settlementWindowId: 4, state: 'CLOSED' })
+    const result = await SettlementWindowService.recoverStuckWindows(600)
+    test.deepEqual(result, { recovered: [4], failed: [{ settlementWindowId: 3, errorDescription: 'Deadlock found' }] }, 'recovered and failed windows returned')
+    test.ok(SettlementWindowService.getStuckWindows.calledWith(600), 'stuck windows read')
+    test.ok(Logger.error.calledWith('Settlement window 3 is still stuck in PROCESSING, its close failed: Deadlock found'), 'failure logged')
+    test.end()
+  })
+
+  await settlementWindowServiceTest.test('abort should', async abortTest => {
+    const enums = { OPEN: 'OPEN', PROCESSING: 'PROCESSING', CLOSED: 'CLOSED', ABORTED: 'ABORTED' }
+
+    await abortTest.test('abort the window and return it', async test => {
+      SettlementWindowModel.abort = sandbox.stub().resolves(4)
+      SettlementWindowModel.getById = sandbox.stub().resolves({ settlementWindowId: 3, state: 'ABORTED' })
+      sandbox.stub(SettlementWindowService, 'close')
+      const result = await SettlementWindowService.abort({ settlementWindowId: 3, reason: 'closed by mistake' }, enums)
+      test.deepEqual(result, { settlementWindowId: 3, state: 'ABORTED' }, 'aborted window returned')
+      test.ok(SettlementWindowModel.abort.calledWith({ settlementWindowId: 3, reason: 'closed by mistake', reaggregate: false }, enums), 'window aborted')
+      test.ok(SettlementWindowService.close.notCalled, 'window not closed again')
+      test.end()
+    })
+
+    await abortTest.test('close the window again to aggregate its content', async test => {
+      SettlementWindowModel.abort = sandbox.stub().resolves(null)
+      sandbox.stub(SettlementWindowService, 'close').resolves({ settlementWindowId: 3, state: 'CLOSED' })
+      const result = await SettlementWindowService.abort({ settlementWindowId: 3, reason: 'wrong aggregation', reaggregate: true }, enums)
+      test.deepEqual(result, { settlementWindowId: 3, state: 'CLOSED' }, 'closed window returned')
+      test.ok(SettlementWindowModel.abort.calledWith({ settlementWindowId: 3, reason: 'wrong aggregation', reaggregate: true }, enums), 'window content removed')
+      test.ok(SettlementWindowService.close.calledWith(3, 'wrong aggregation'), 'window closed again')
+      test.end()
+    })
+
+    await abortTest.end()
+  })
+
+  await settlementWindowServiceTest.test('closeOpenWindow should', async closeOpenWindowTest => {
+    try {
+      await closeOpenWindowTest.test('process the open window with the switch as source and destination', async test => {
+        SettlementWindowModel.getOpen = sandbox.stub().resolves({ settlementWindowId: 3, state: 'OPEN' })
+        SettlementWindowModel.getTransfersCount = sandbox.stub().resolves({ cnt: 2 })
+        sandbox.stub(SettlementWindowService, 'process').resolves({ settlementWindowId: 4, state: 'OPEN' })
+
+        const result = await SettlementWindowService.closeOpenWindow('scheduled')
+        test.deepEqual(result, { settlementWindowId: 4, state: 'OPEN' }, 'new open window returned')
+        test.ok(SettlementWindowModel.getTransfersCount.calledWith({ settlementWindowId: 3, scope: null }), 'transfers of the open window counted')
+        test.deepEqual(SettlementWindowService.process.firstCall.args[0], {
+          settlementWindowId: 3,
+          reason: 'scheduled',
+          currency: undefined,
+          settlementModel: undefined,
+          headers: { 'fspiop-source': 'switch', 'fspiop-destination': 'switch' }
+        }, 'open window processed')
+        test.end()
+      })
+
+      await closeOpenWindowTest.test('process the transfers of a scope in the open window', async test => {
+        SettlementWindowModel.getOpen = sandbox.stub().resolves({ settlementWindowId: 3, state: 'OPEN' })
+        SettlementWindowModel.getTransfersCount = sandbox.stub().resolves({ cnt: 2 })
+        sandbox.stub(SettlementWindowService, 'process').resolves({ settlementWindowId: 4, state: 'OPEN' })
+
+        await SettlementWindowService.closeOpenWindow('scheduled', undefined, { currency: 'USD' })
+        test.ok(SettlementWindowModel.getTransfersCount.calledWith({ settlementWindowId: 3, scope: { currencyId: 'USD' } }), 'transfers of the currency counted')
+        test.equal(SettlementWindowService.process.firstCall.args[0].currency, 'USD', 'open window processed for the currency')
+        test.end()
+      })
+
+      await closeOpenWindowTest.test('leave an empty window open', async test => {
+        SettlementWindowModel.getOpen = sandbox.stub().resolves({ settlementWindowId: 3, state: 'OPEN' })
+        SettlementWindowModel.getTransfersCount = sandbox.stub().resolves({ cnt: 0 })
+        sandbox.stub(SettlementWindowService, 'process')
+
+        const result = await SettlementWindowService.closeOpenWindow('scheduled')
+        test.equal(result, null, 'nothing returned')
+        test.ok(SettlementWindowService.process.notCalled, 'window not processed')
+        test.end()
+      })
+
+      await closeOpenWindowTest.test('not close the window opened after the expected window was closed', async test => {
+        SettlementWindowModel.getOpen = sandbox.stub().resolves({ settlementWindowId: 4, state: 'OPEN' })
+        SettlementWindowModel.getTransfersCount = sandbox.stub()
+        sandbox.stub(SettlementWindowService, 'process')
+
+        const result = await SettlementWindowService.closeOpenWindow('threshold', 3)
+        test.equal(result, null, 'nothing returned')
+        test.ok(SettlementWindowService.process.notCalled, 'window not processed')
+        test.end()
+      })
+
+      await closeOpenWindowTest.test('return null if there is no open window', async test => {
+        SettlementWindowModel.getOpen = sandbox.stub().resolves(undefined)
+        SettlementWindowModel.getTransfersCount = sandbox.stub()
+
+        const result = await SettlementWindowService.closeOpenWindow('scheduled')
+        test.equal(result, null, 'nothing returned')
+        test.ok(SettlementWindowModel.getTransfersCount.notCalled, 'no transfers counted')
+        test.end()
+      })
+
+      await closeOpenWindowTest.end()
+    } catch (err) {
+      Logger.error(`settlementWindowServiceTest failed with error - ${err}`)
+      closeOpenWindowTest.fail()
+      closeOpenWindowTest.end()
+    }
+  })
+
+  await settlementWindowServiceTest.test('getClosureThresholdBreach should', async getClosureThresholdBreachTest => {
+    try {
+      const positions = [
+        { fspId: 'dfsp1', currency: 'USD', sentAmount: '700', netAmount: '400' },
+        { fspId: 'dfsp2', currency: 'USD', sentAmount: '300', netAmount: '-400' },
+        { fspId: 'dfsp1', currency: 'TZS', sentAmount: '5000', netAmount: '5000' },
+        { fspId: 'dfsp3', currency: 'TZS', sentAmount: '0', netAmount: '-5000' }
+      ]
+
+      await getClosureThresholdBreachTest.test('return the transfer count breach', async test => {
+        SettlementWindowModel.getOpen = sandbox.stub().resolves({ settlementWindowId: 3, state: 'OPEN' })
+        SettlementWindowModel.getTransfersCount = sandbox.stub().resolves({ cnt: 10 })
+        SettlementWindowModel.getParticipantPositions = sandbox.stub().resolves(positions)
+
+        const result = await SettlementWindowService.getClosureThresholdBreach({ TRANSFER_COUNT: 10, TRANSFER_AMOUNT: { USD: '1000' } })
+        test.deepEqual(result, { settlementWindowId: 3, reason: '10 transfers reached the TRANSFER_COUNT threshold of 10' }, 'transfer count reached')
+        test.ok(SettlementWindowModel.getParticipantPositions.notCalled, 'amounts not read')
+        test.end()
+      })
+
+      await getClosureThresholdBreachTest.test('return the transfer amount breach of a currency', async test => {
+        SettlementWindowModel.getOpen = sandbox.stub().resolves({ settlementWindowId: 3, state: 'OPEN' })
+        SettlementWindowModel.getTransfersCount = sandbox.stub().resolves({ cnt: 9 })
+        SettlementWindowModel.getParticipantPositions = sandbox.stub().resolves(positions)
+
+        const result = await SettlementWindowService.getClosureThresholdBreach({ TRANSFER_COUNT: 10, TRANSFER_AMOUNT: { USD: '1000', KES: 1 } })
+        test.deepEqual(result, { settlementWindowId: 3, reason: 'USD transfer amount 1000 reached the TRANSFER_AMOUNT threshold of 1000' }, 'transfer amount reached')
+        test.ok(SettlementWindowModel.getParticipantPositions.calledWith({ settlementWindowId: 3 }), 'positions of the open window read')
+        test.end()
+      })
+
+      await getClosureThresholdBreachTest.test('return the net position breach of a participant, either way', async test => {
+        SettlementWindowModel.getOpen = sandbox.stub().resolves({ settlementWindowId: 3, state: 'OPEN' })
+        SettlementWindowModel.getParticipantPositions = sandbox.stub().resolves(positions)
+
+        let result = await SettlementWindowService.getClosureThresholdBreach({ NET_POSITION: { USD: '400.01', TZS: 5000 } })
+        test.deepEqual(result, { settlementWindowId: 3, reason: 'TZS net position 5000 of dfsp1 reached the NET_POSITION threshold of 5000' }, 'net credit position reached')
+        result = await SettlementWindowService.getClosureThresholdBreach({ NET_POSITION: { USD: '400' } })
+        test.equal(result.reason, 'USD net position 400 of dfsp1 reached the NET_POSITION threshold of 400', 'first participant reported')
+        SettlementWindowModel.getParticipantPositions = sandbox.stub().resolves(positions.slice(3))
+        result = await SettlementWindowService.getClosureThresholdBreach({ NET_POSITION: { TZS: '4999' }, TRANSFER_AMOUNT: { TZS: '5001' } })
+        test.equal(result.reason, 'TZS net position -5000 of dfsp3 reached the NET_POSITION threshold of 4999', 'net debit position reached')
+        test.end()
+      })
+
+      await getClosureThresholdBreachTest.test('return null below the thresholds', async test => {
+        SettlementWindowModel.getOpen = sandbox.stub().resolves({ settlementWindowId: 3, state: 'OPEN' })
+        SettlementWindowModel.getTransfersCount = sandbox.stub().resolves({ cnt: 9 })
+        SettlementWindowModel.getParticipantPositions = sandbox.stub().resolves(positions)
+
+        test.equal(await SettlementWindowService.getClosureThresholdBreach({ TRANSFER_COUNT: 10, TRANSFER_AMOUNT: { USD: '1000.01' }, NET_POSITION: { USD: 500 } }), null, 'no threshold reached')
+        test.equal(await SettlementWindowService.getClosureThresholdBreach({ TRANSFER_COUNT: 10 }), null, 'only the transfer count checked')
+        test.equal(SettlementWindowModel.getParticipantPositions.callCount, 1, 'positions only read for amount thresholds')
+        test.end()
+      })
+
+      await getClosureThresholdBreachTest.test('return null if there is no open window', async test => {
+        SettlementWindowModel.getOpen = sandbox.stub().resolves(undefined)
+        SettlementWindowModel.getTransfersCount = sandbox.stub()
+
+        test.equal(await SettlementWindowService.getClosureThresholdBreach({ TRANSFER_COUNT: 10 }), null, 'nothing returned')
+        test.ok(SettlementWindowModel.getTransfersCount.notCalled, 'no transfers counted')
+        test.end()
+      })
+
+      await getClosureThresholdBreachTest.end()
+    } catch (err) {
+      Logger.error(`settlementWindowServiceTest failed with error - ${err}`)
+      getClosureThresholdBreachTest.fail()
+      getClosureThresholdBreachTest.end()
+    }
+  })
+
+  await settlementWindowServiceTest.test('getPositions should', async getPositionsTest => {
+    try {
+      const settlementModels = [
+        { settlementModelId: 1, ledgerAccountTypeId: 1, currencyId: null, settlementGranularityId: 2 },
+        { settlementModelId: 2, ledgerAccountTypeId: 1, currencyId: 'TZS', settlementGranularityId: 1 },
+        { settlementModelId: 3, ledgerAccountTypeId: 7, currencyId: null, settlementGranularityId: 2 }
+      ]
+      const ledgerEntryAmounts = [
+        { fspId: 'dfsp1', participantCurrencyId: 5, currency: 'USD', ledgerAccountTypeId: 1, ledgerAccountType: 'POSITION', ledgerEntryType: 'PRINCIPLE_VALUE', amount: '100.0000' },
+        { fspId: 'dfsp1', participantCurrencyId: 5, currency: 'USD', ledgerAccountTypeId: 1, ledgerAccountType: 'POSITION', ledgerEntryType: 'INTERCHANGE_FEE', amount: '-0.6000' },
+        { fspId: 'dfsp2', participantCurrencyId: 6, currency: 'USD', ledgerAccountTypeId: 1, ledgerAccountType: 'POSITION', ledgerEntryType: 'PRINCIPLE_VALUE', amount: '-100.0000' },
+        { fspId: 'dfsp1', participantCurrencyId: 8, currency: 'TZS', ledgerAccountTypeId: 1, ledgerAccountType: 'POSITION', ledgerEntryType: 'PRINCIPLE_VALUE', amount: '5000.0000' },
+        { fspId: 'dfsp1', participantCurrencyId: 9, currency: 'USD', ledgerAccountTypeId: 7, ledgerAccountType: 'INTERCHANGE_FEE', ledgerEntryType: 'INTERCHANGE_FEE', amount: '0.6000' },
+        { fspId: 'dfsp1', participantCurrencyId: 10, currency: 'USD', ledgerAccountTypeId: 4, ledgerAccountType: 'HUB_MULTILATERAL_SETTLEMENT', ledgerEntryType: 'PRINCIPLE_VALUE', amount: '1.0000' }
+      ]
+
+      await getPositionsTest.test('return the net amounts of the accounts settled by a NET settlement model', async test => {
+        SettlementWindowModel.getById = sandbox.stub().resolves({ settlementWindowId: 3, state: 'OPEN' })
+        SettlementModelModel.getAll = sandbox.stub().resolves(settlementModels)
+        SettlementWindowModel.getLedgerEntryAmounts = sandbox.stub().resolves(ledgerEntryAmounts)
+
+        const result = await SettlementWindowService.getPositions({ settlementWindowId: 3 })
+        test.deepEqual(result, {
+          settlementWindowId: 3,
+          state: 'OPEN',
+          positions: [
+            { fspId: 'dfsp1', participantCurrencyId: 5, currency: 'USD', ledgerAccountType: 'POSITION', netAmount: '99.4' },
+            { fspId: 'dfsp2', participantCurrencyId: 6, currency: 'USD', ledgerAccountType: 'POSITION', netAmount: '-100' },
+            { fspId: 'dfsp1', participantCurrencyId: 9, currency: 'USD', ledgerAccountType: 'INTERCHANGE_FEE', netAmount: '0.6' }
+          ]
+        }, 'net amounts of the NET settled accounts returned')
+        test.ok(SettlementWindowModel.getLedgerEntryAmounts.calledWith({ settlementWindowId: 3 }), 'amounts of the window read')
+        test.end()
+      })
+
+      await getPositionsTest.test('break the net amounts down by ledger entry type', async test => {
+        SettlementWindowModel.getById = sandbox.stub().resolves({ settlementWindowId: 3, state: 'CLOSED' })
+        SettlementModelModel.getAll = sandbox.stub().resolves(settlementModels)
+        SettlementWindowModel.getLedgerEntryAmounts = sandbox.stub().resolves(ledgerEntryAmounts.slice(0, 2))
+
+        const result = await SettlementWindowService.getPositions({ settlementWindowId: 3, byLedgerEntryType: true })
+        test.deepEqual(result.positions, [{
+          fspId: 'dfsp1',
+          participantCurrencyId: 5,
+          currency: 'USD',
+          ledgerAccountType: 'POSITION',
+          netAmount: '99.4',
+          ledgerEntries: [
+            { ledgerEntryType: 'PRINCIPLE_VALUE', amount: '100' },
+            { ledgerEntryType: 'INTERCHANGE_FEE', amount: '-0.6' }
+          ]
+        }], 'amounts by ledger entry type returned')
+        test.end()
+      })
+
+      await getPositionsTest.test('throw if the settlement window does not exist', async test => {
+        SettlementWindowModel.getById = sandbox.stub().resolves(undefined)
+        sandbox.stub(Logger, 'error')
+
+        try {
+          await SettlementWindowService.getPositions({ settlementWindowId: 3 })
+          test.fail('Error expected, but not thrown!')
+        } catch (err) {
+          test.equal(err.message, 'No record for settlementWindowId: 3 found', 'error thrown')
+          test.equal(err.apiErrorCode.code, '3002', 'not found error code')
+        }
+        test.end()
+      })
+
+      await getPositionsTest.end()
+    } catch (err) {
+      Logger.error(`settlementWindowServiceTest failed with error - ${err}`)
+      getPositionsTest.fail()
+      getPositionsTest.end()
+    }
+  })
+
   await settlementWindowServiceTest.end()
 })
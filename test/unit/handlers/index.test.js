@@ -123,6 +123,81 @@ Test('cli', async (cliTest) => {
       test.end()
     })
 
+    commanderTest.test('simulate a rule script', async test => {
+      const argv = [
+        'node',
+        'index.js',
+        'simulate',
+        './scripts/transferSettlementTemp/interchangeFeeCalculation.js',
+        '--transferId',
+        '154cbf04-bac7-444d-aa66-76f66126d7f5',
+        '--payload',
+        './payload.json'
+      ]
+      process.argv = argv
+      const RulesSimulationStub = {
+        run: sandbox.stub().returns(Promise.resolve())
+      }
+
+      const Handlers = Proxyquire('../../../src/handlers', {
+        '../shared/setup': SetupStub,
+        '../shared/rulesSimulation': RulesSimulationStub
+      })
+      test.ok(Handlers)
+      test.notok(SetupStub.initialize.called, 'no handlers started')
+      test.equal(RulesSimulationStub.run.lastCall.args[0], './scripts/transferSettlementTemp/interchangeFeeCalculation.js')
+      test.equal(RulesSimulationStub.run.lastCall.args[1].transferId, '154cbf04-bac7-444d-aa66-76f66126d7f5')
+      test.equal(RulesSimulationStub.run.lastCall.args[1].payload, './payload.json')
+      test.end()
+    })
+
+    commanderTest.test('replay a rule dead letter', async test => {
+      const argv = [
+        'node',
+        'index.js',
+        'deadLetters',
+        'replay',
+        '12'
+      ]
+      process.argv = argv
+      const RulesDeadLettersStub = {
+        run: sandbox.stub().returns(Promise.resolve())
+      }
+
+      const Handlers = Proxyquire('../../../src/handlers', {
+        '../shared/setup': SetupStub,
+        '../shared/rulesDeadLetters': RulesDeadLettersStub
+      })
+      test.ok(Handlers)
+      test.notok(SetupStub.initialize.called, 'no handlers started')
+      test.equal(RulesDeadLettersStub.run.lastCall.args[0], 'replay')
+      test.equal(RulesDeadLettersStub.run.lastCall.args[1], '12')
+      test.end()
+    })
+
+    commanderTest.test('run the rule script tests', async test => {
+      const argv = [
+        'node',
+        'index.js',
+        'testRules',
+        '--cases',
+        './scripts/tests'
+      ]
+      process.argv = argv
+      const RulesTestHarnessStub = {
+        run: sandbox.stub().returns(Promise.resolve())
+      }
+
+      const Handlers = Proxyquire('../../../src/handlers', {
+        '../shared/setup': SetupStub,
+        '../shared/rulesTestHarness': RulesTestHarnessStub
+      })
+      test.ok(Handlers)
+      test.notok(SetupStub.initialize.called, 'no handlers started')
+      test.equal(RulesTestHarnessStub.run.lastCall.args[0].cases, './scripts/tests')
+      test.end()
+    })
+
     commanderTest.test('display help with invalid args', async test => {
       const argv = [
         'node',
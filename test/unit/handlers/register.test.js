@@ -34,6 +34,7 @@ const Proxyquire = require('proxyquire')
 const SettlementWindowHandlers = require('../../../src/handlers/deferredSettlement/handler')
 const TransferFulfilHandlers = require('../../../src/handlers/grossSettlement/handler')
 const RulesHandlers = require('../../../src/handlers/rules/handler')
+const WindowClosureHandlers = require('../../../src/handlers/windowClosure/handler')
 
 Test('handlers', handlersTest => {
   let sandbox
@@ -43,6 +44,7 @@ Test('handlers', handlersTest => {
     sandbox.stub(SettlementWindowHandlers, 'registerAllHandlers').returns(Promise.resolve(true))
     sandbox.stub(TransferFulfilHandlers, 'registerAllHandlers').returns(Promise.resolve(true))
     sandbox.stub(RulesHandlers, 'registerAllHandlers').returns(Promise.resolve(true))
+    sandbox.stub(WindowClosureHandlers, 'registerAllHandlers').returns(Promise.resolve(true))
     test.end()
   })
 
@@ -34,9 +34,11 @@ const Consumer = require('@mojaloop/central-services-stream').Util.Consumer
 const KafkaConsumer = require('@mojaloop/central-services-stream').Kafka.Consumer
 const Db = require('../../../../src/lib/db')
 const RulesService = require('../../../../src/domain/rules/index')
+const RulesMetrics = require('../../../../src/lib/rulesMetrics')
 const ScriptsLoader = require('../../../../src/lib/scriptsLoader')
 const RulesHandler = require('../../../../src/handlers/rules/handler')
 const Config = require('../../../../src/lib/config')
+const ErrorHandler = require('@mojaloop/central-services-error-handling')
 const Proxyquire = require('proxyquire')
 
 const payload = {
@@ -149,6 +151,8 @@ Test('RulesHandler', async (rulesHandlerTest) => {
       rollback: sandbox.stub()
     })
     knexStub.transaction = sandbox.stub().callsArgWith(0, trxStub)
+    sandbox.stub(RulesService, 'createRuleDeadLetter').callsFake(async ({ message }) => ({ settlementRuleDeadLetterId: 1, transferId: message.value.id }))
+    sandbox.stub(RulesService, 'recordRuleScriptVersions').resolves(0)
     // knexStub.transaction.rollback = sandbox.stub() //.callsArgWith(0, trxStub)
     test.end()
   })
@@ -169,6 +173,32 @@ Test('RulesHandler', async (rulesHandlerTest) => {
       const result = await RulesHandler.registerAllHandlers()
       test.equal(result, true)
       test.ok(ScriptsLoader.loadScripts.withArgs('./scripts/transferSettlementTemp').calledOnce, 'ScriptsLoader loadScripts called once')
+      test.ok(Kafka.transformGeneralTopicName.withArgs(Config.KAFKA_CONFIG.TOPIC_TEMPLATES.GENERAL_TOPIC_TEMPLATE.TEMPLATE, 'notification', 'event').calledOnce, 'transfer notifications consumed')
+      test.ok(Kafka.transformGeneralTopicName.withArgs(Config.KAFKA_CONFIG.TOPIC_TEMPLATES.GENERAL_TOPIC_TEMPLATE.TEMPLATE, 'rules', 'event').calledOnce, 'settlement window and settlement rule events consumed')
+      test.end()
+    })
+
+    registerAllHandlersTest.test('load the database scripts together with the scripts folder', async (test) => {
+      const databaseScripts = [{ name: 'uploadedFee.js', source: '// Type: notification', isActive: 1 }]
+      Kafka.transformGeneralTopicName.returns(topicName)
+      Kafka.getKafkaConfig.returns(config)
+      sandbox.stub(RulesService, 'getDatabaseRuleScripts').returns(Promise.resolve(databaseScripts))
+      sandbox.stub(ScriptsLoader, 'loadScripts').returns({})
+      const result = await RulesHandler.registerRules()
+      test.equal(result, true)
+      test.ok(ScriptsLoader.loadScripts.withArgs('./scripts/transferSettlementTemp', databaseScripts).calledOnce, 'database scripts passed to loadScripts')
+      test.ok(RulesService.recordRuleScriptVersions.calledOnce, 'loaded script versions recorded')
+      test.end()
+    })
+
+    registerAllHandlersTest.test('start with the scripts folder only when the database scripts can not be read', async (test) => {
+      Kafka.transformGeneralTopicName.returns(topicName)
+      Kafka.getKafkaConfig.returns(config)
+      sandbox.stub(RulesService, 'getDatabaseRuleScripts').returns(Promise.reject(new Error('Table settlementRuleScript does not exist')))
+      sandbox.stub(ScriptsLoader, 'loadScripts').returns({})
+      const result = await RulesHandler.registerRules()
+      test.equal(result, true)
+      test.deepEqual(ScriptsLoader.loadScripts.lastCall.args, ['./scripts/transferSettlementTemp', []], 'no database scripts loaded')
       test.end()
     })
 
@@ -219,11 +249,11 @@ Test('RulesHandler', async (rulesHandlerTest) => {
       await Consumer.createHandler(topicName, config, command)
       Kafka.transformAccountToTopicName.returns(topicName)
       Kafka.proceed.returns(true)
-      sandbox.stub(RulesService, 'insertLedgerEntries')
+      sandbox.stub(RulesService, 'applyRuleExecutions')
       sandbox.stub(ScriptsLoader, 'executeScripts').returns({})
       const result = await RulesHandler.processRules(null, localMessages)
       test.equal(result, true)
-      test.ok(RulesService.insertLedgerEntries.notCalled, 'insertLedgerEntries called once')
+      test.ok(RulesService.applyRuleExecutions.notCalled, 'applyRuleExecutions not called')
       test.end()
     })
 
@@ -232,11 +262,11 @@ Test('RulesHandler', async (rulesHandlerTest) => {
       await Consumer.createHandler(topicName, config, command)
       Kafka.transformAccountToTopicName.returns(topicName)
       Kafka.proceed.returns(true)
-      sandbox.stub(RulesService, 'insertLedgerEntries')
-      sandbox.stub(ScriptsLoader, 'executeScripts').returns({})
+      sandbox.stub(RulesService, 'applyRuleExecutions')
+      sandbox.stub(ScriptsLoader, 'executeScripts').returns({ executions: [] })
       const result = await RulesHandler.processRules(null, localMessages[0])
       test.equal(result, true)
-      test.ok(RulesService.insertLedgerEntries.notCalled, 'insertLedgerEntries called once')
+      test.ok(RulesService.applyRuleExecutions.notCalled, 'applyRuleExecutions not called')
       test.end()
     })
 
@@ -245,22 +275,72 @@ Test('RulesHandler', async (rulesHandlerTest) => {
       await Consumer.createHandler(topicName, config, command)
       Kafka.transformAccountToTopicName.returns(topicName)
       Kafka.proceed.returns(true)
-      sandbox.stub(ScriptsLoader, 'executeScripts').returns({
-        ledgerEntries: [{
-          transferId: 'b51ec534-ee48-4575-b6a9-ead2955b8999',
-          ledgerAccountTypeId: 'INTERCHANGE_FEE',
-          ledgerEntryTypeId: 'INTERCHANGE_FEE',
-          amount: 0.02,
-          currency: 'USD',
-          payerFspId: 'dfsp1',
-          payeeFspId: 'dfsp2'
-        }]
-      })
-      sandbox.stub(RulesService, 'insertLedgerEntries')
+      const ledgerEntries = [{
+        transferId: 'b51ec534-ee48-4575-b6a9-ead2955b8999',
+        ledgerAccountTypeId: 'INTERCHANGE_FEE',
+        ledgerEntryTypeId: 'INTERCHANGE_FEE',
+        amount: 0.02,
+        currency: 'USD',
+        payerFspId: 'dfsp1',
+        payeeFspId: 'dfsp2'
+      }]
+      const executions = [
+        { scriptName: 'interchangeFeeCalculation.js', scriptVersion: 'a1b2', ledgerEntries },
+        { scriptName: 'noFee.js', scriptVersion: 'c3d4', ledgerEntries: [] }
+      ]
+      sandbox.stub(ScriptsLoader, 'executeScripts').returns({ ledgerEntries, executions })
+      sandbox.stub(RulesService, 'applyRuleExecutions').resolves(executions)
+      sandbox.stub(RulesMetrics, 'recordFees')
+      const histTimerEnd = sandbox.stub()
+      sandbox.stub(RulesMetrics, 'startMessageTimer').returns(histTimerEnd)
+      const result = await RulesHandler.processRules(null, localMessages[0])
+      test.equal(result, true)
+      test.ok(RulesService.applyRuleExecutions.calledOnce, 'applyRuleExecutions called once')
+      test.ok(RulesMetrics.recordFees.withArgs(ledgerEntries).calledOnce, 'fees of the applied ledger entries recorded')
+      test.ok(histTimerEnd.withArgs({ success: true, eventType: localMessages[0].value.metadata.event.type, eventAction: localMessages[0].value.metadata.event.action }).calledOnce, 'processing time recorded')
+      test.deepEqual(RulesService.applyRuleExecutions.lastCall.args.slice(0, 3), [executions, localMessages[0].value.id, localMessages[0].value.metadata.event], 'executions applied for the transfer and event')
+      test.equal(RulesService.applyRuleExecutions.lastCall.args[3], trxStub, 'executions applied in the transaction')
+      test.end()
+    })
+
+    processRulesTest.test('record only the fees of the executions that were applied', async (test) => {
+      const localMessages = Util.clone(messages)
+      await Consumer.createHandler(topicName, config, command)
+      Kafka.transformAccountToTopicName.returns(topicName)
+      Kafka.proceed.returns(true)
+      const ledgerEntry = { ledgerAccountTypeId: 'INTERCHANGE_FEE', ledgerEntryTypeId: 'INTERCHANGE_FEE', amount: 0.02, currency: 'USD', payerFspId: 'dfsp1', payeeFspId: 'dfsp2' }
+      const executions = [
+        { scriptName: 'interchangeFeeCalculation.js', scriptVersion: 'a1b2', ledgerEntries: [ledgerEntry] },
+        { scriptName: 'penaltyFee.js', scriptVersion: 'c3d4', ledgerEntries: [{ ...ledgerEntry, ledgerAccountTypeId: 'PENALTY_FEE' }] }
+      ]
+      sandbox.stub(ScriptsLoader, 'executeScripts').returns({ executions })
+      // interchangeFeeCalculation.js was applied by an earlier delivery of the message
+      sandbox.stub(RulesService, 'applyRuleExecutions').resolves(executions.slice(1))
+      sandbox.stub(RulesMetrics, 'recordFees')
+      const result = await RulesHandler.processRules(null, localMessages[0])
+      test.equal(result, true)
+      test.deepEqual(RulesMetrics.recordFees.lastCall.args[0], executions[1].ledgerEntries, 'fees of the skipped execution not recorded again')
+      test.end()
+    })
+
+    processRulesTest.test('log the scripts that were skipped', async (test) => {
+      const localMessages = Util.clone(messages)
+      await Consumer.createHandler(topicName, config, command)
+      Kafka.transformAccountToTopicName.returns(topicName)
+      Kafka.proceed.returns(true)
+      sandbox.stub(Logger, 'isDebugEnabled').value(true)
+      const executions = [{ scriptName: 'promotion.js', scriptVersion: 'a1b2', ledgerEntries: [] }]
+      const skipped = [
+        { scriptName: 'standardFee.js', scriptVersion: 'c3d4', reason: ScriptsLoader.SKIP_REASON.EXCLUDED, excludedBy: 'promotion.js' },
+        { scriptName: 'oldFee.js', scriptVersion: 'e5f6', reason: ScriptsLoader.SKIP_REASON.NOT_IN_EFFECT }
+      ]
+      sandbox.stub(ScriptsLoader, 'executeScripts').returns({ executions, skipped })
+      sandbox.stub(RulesService, 'applyRuleExecutions').resolves(executions)
       const result = await RulesHandler.processRules(null, localMessages[0])
       test.equal(result, true)
-      console.log(RulesService.insertLedgerEntries.callCount)
-      test.ok(RulesService.insertLedgerEntries.calledOnce, 'insertLedgerEntries called once')
+      test.deepEqual(RulesService.applyRuleExecutions.lastCall.args[0], executions, 'only the executed scripts applied')
+      test.ok(Logger.debug.calledWithMatch(`skipped script standardFee.js for transfer ${localMessages[0].value.id}: excluded by promotion.js`), 'excluded script logged')
+      test.ok(Logger.debug.calledWithMatch('skipped script oldFee.js'), 'script not in effect logged')
       test.end()
     })
 
@@ -270,20 +350,102 @@ Test('RulesHandler', async (rulesHandlerTest) => {
       Kafka.transformAccountToTopicName.returns(topicName)
       Kafka.proceed.returns(true)
       sandbox.stub(ScriptsLoader, 'executeScripts').returns({
-        ledgerEntries: [{
-          transferId: 'b51ec534-ee48-4575-b6a9-ead2955b8999',
-          ledgerAccountTypeId: 'INTERCHANGE_FEE',
-          ledgerEntryTypeId: 'INTERCHANGE_FEE',
-          amount: 0.02,
-          currency: 'USD',
-          payerFspId: 'dfsp1',
-          payeeFspId: 'dfsp2'
+        executions: [{
+          scriptName: 'interchangeFeeCalculation.js',
+          scriptVersion: 'a1b2',
+          ledgerEntries: [{
+            transferId: 'b51ec534-ee48-4575-b6a9-ead2955b8999',
+            ledgerAccountTypeId: 'INTERCHANGE_FEE',
+            ledgerEntryTypeId: 'INTERCHANGE_FEE',
+            amount: 0.02,
+            currency: 'USD',
+            payerFspId: 'dfsp1',
+            payeeFspId: 'dfsp2'
+          }]
         }]
       })
-      sandbox.stub(RulesService, 'insertLedgerEntries').throws(new Error())
+      sandbox.stub(RulesService, 'applyRuleExecutions').throws(new Error('Deadlock found'))
+      sandbox.stub(RulesMetrics, 'recordFees')
+      const histTimerEnd = sandbox.stub()
+      sandbox.stub(RulesMetrics, 'startMessageTimer').returns(histTimerEnd)
       const result = await RulesHandler.processRules(null, localMessages[0])
       test.equal(result, true)
-      test.ok(RulesService.insertLedgerEntries.calledOnce, 'insertLedgerEntries called once')
+      test.ok(RulesMetrics.recordFees.notCalled, 'fees of rolled back ledger entries not recorded')
+      test.equal(histTimerEnd.lastCall.args[0].success, false, 'failure recorded')
+      test.ok(RulesService.applyRuleExecutions.calledOnce, 'applyRuleExecutions called once')
+      test.deepEqual(RulesService.createRuleDeadLetter.lastCall.args[0], {
+        message: localMessages[0],
+        stage: 'apply',
+        scriptName: 'interchangeFeeCalculation.js',
+        error: 'Deadlock found'
+      }, 'failed ledger entries recorded as dead letter')
+      test.end()
+    })
+
+    processRulesTest.test('record a failed script as dead letter', async (test) => {
+      const localMessages = Util.clone(messages)
+      await Consumer.createHandler(topicName, config, command)
+      Kafka.transformAccountToTopicName.returns(topicName)
+      Kafka.proceed.returns(true)
+      const scriptError = ErrorHandler.Factory.createFSPIOPError(ErrorHandler.Enums.FSPIOPErrorCodes.VALIDATION_ERROR, 'Script execution was unsuccessful', new Error('Script execution timed out after 100ms'), null, [{ key: 'scriptName', value: 'interchangeFeeCalculation.js' }])
+      sandbox.stub(ScriptsLoader, 'executeScripts').rejects(scriptError)
+      sandbox.stub(RulesService, 'applyRuleExecutions')
+      const result = await RulesHandler.processRules(null, localMessages[0])
+      test.equal(result, true, 'message processed')
+      test.ok(RulesService.applyRuleExecutions.notCalled, 'no ledger entries applied')
+      test.deepEqual(RulesService.createRuleDeadLetter.lastCall.args[0], {
+        message: localMessages[0],
+        stage: 'execute',
+        scriptName: 'interchangeFeeCalculation.js',
+        error: 'Script execution was unsuccessful: Script execution timed out after 100ms'
+      }, 'message, script and error recorded')
+      test.end()
+    })
+
+    processRulesTest.test('reverse the rule ledger entries of the transfer of a fee reversal event instead of running the scripts', async (test) => {
+      const localMessages = Util.clone(messages)
+      localMessages[0].value.metadata.event.type = 'transfer'
+      localMessages[0].value.metadata.event.action = 'reverse'
+      localMessages[0].value.content.payload = { reversal: { transferId: transfer.transferId, reason: 'Chargeback' } }
+      await Consumer.createHandler(topicName, config, command)
+      Kafka.proceed.returns(true)
+      sandbox.stub(ScriptsLoader, 'executeScripts')
+      sandbox.stub(RulesService, 'reverseRuleLedgerEntries').resolves({ transferId: transfer.transferId, reversedCount: 2, reversals: [] })
+      const result = await RulesHandler.processRules(null, localMessages[0])
+      test.equal(result, true)
+      test.ok(RulesService.reverseRuleLedgerEntries.withArgs({ transferId: transfer.transferId, reason: 'Chargeback' }).calledOnce, 'ledger entries of the transfer reversed')
+      test.ok(ScriptsLoader.executeScripts.notCalled, 'scripts not run')
+      test.end()
+    })
+
+    processRulesTest.test('record a failed fee reversal as dead letter', async (test) => {
+      const localMessages = Util.clone(messages)
+      localMessages[0].value.metadata.event.type = 'transfer'
+      localMessages[0].value.metadata.event.action = 'reverse'
+      localMessages[0].value.content.payload = { reversal: {} }
+      await Consumer.createHandler(topicName, config, command)
+      Kafka.proceed.returns(true)
+      sandbox.stub(RulesService, 'reverseRuleLedgerEntries').rejects(new Error('Lock wait timeout exceeded'))
+      const result = await RulesHandler.processRules(null, localMessages[0])
+      test.equal(result, true, 'message processed')
+      test.ok(RulesService.reverseRuleLedgerEntries.withArgs({ transferId: localMessages[0].value.id, reason: undefined }).calledOnce, 'message id used without a transferId')
+      test.deepEqual(RulesService.createRuleDeadLetter.lastCall.args[0], {
+        message: localMessages[0],
+        stage: 'reverse',
+        scriptName: null,
+        error: 'Lock wait timeout exceeded'
+      }, 'failed reversal recorded')
+      test.end()
+    })
+
+    processRulesTest.test('not record a message without payload as dead letter', async (test) => {
+      const localMessages = Util.clone(messages)
+      localMessages[0].value.content.payload = null
+      await Consumer.createHandler(topicName, config, command)
+      Kafka.proceed.returns(true)
+      const result = await RulesHandler.processRules(null, localMessages[0])
+      test.equal(result, true)
+      test.ok(RulesService.createRuleDeadLetter.notCalled, 'no dead letter')
       test.end()
     })
 
@@ -336,5 +498,165 @@ Test('RulesHandler', async (rulesHandlerTest) => {
     processRulesTest.end()
   })
 
+  rulesHandlerTest.test('replayDeadLetter should', replayDeadLetterTest => {
+    const ruleDeadLetter = (status = 'PENDING') => ({
+      settlementRuleDeadLetterId: 1,
+      transferId: messages[0].value.id,
+      scriptName: 'interchangeFeeCalculation.js',
+      stage: 'execute',
+      error: 'Script execution was unsuccessful',
+      topic: messages[0].topic,
+      partition: 0,
+      offset: 12,
+      status,
+      message: Util.clone(messages[0].value)
+    })
+
+    replayDeadLetterTest.test('run the rules for the message and mark the dead letter replayed', async (test) => {
+      const executions = [{ scriptName: 'interchangeFeeCalculation.js', scriptVersion: 'a1b2', ledgerEntries: [] }]
+      sandbox.stub(RulesService, 'getRuleDeadLetterById').resolves(ruleDeadLetter())
+      sandbox.stub(RulesService, 'updateRuleDeadLetterReplay').resolves(ruleDeadLetter('REPLAYED'))
+      sandbox.stub(ScriptsLoader, 'executeScripts').resolves({ executions })
+      sandbox.stub(RulesService, 'applyRuleExecutions').resolves(executions)
+      const result = await RulesHandler.replayDeadLetter(1)
+      test.equal(result.status, 'REPLAYED', 'replayed dead letter returned')
+      test.deepEqual(ScriptsLoader.executeScripts.lastCall.args[4], messages[0].value, 'scripts run for the original message')
+      test.deepEqual(RulesService.applyRuleExecutions.lastCall.args.slice(0, 2), [executions, messages[0].value.id], 'ledger entries applied')
+      test.deepEqual(RulesService.updateRuleDeadLetterReplay.lastCall.args, [1, { status: 'REPLAYED' }], 'dead letter marked replayed')
+      test.ok(RulesService.createRuleDeadLetter.notCalled, 'no new dead letter')
+      test.end()
+    })
+
+    replayDeadLetterTest.test('keep the dead letter pending with the new error if the rules fail again', async (test) => {
+      sandbox.stub(RulesService, 'getRuleDeadLetterById').resolves(ruleDeadLetter())
+      sandbox.stub(RulesService, 'updateRuleDeadLetterReplay').resolves(ruleDeadLetter())
+      sandbox.stub(ScriptsLoader, 'executeScripts').rejects(new Error('Script still broken'))
+      try {
+        await RulesHandler.replayDeadLetter(1)
+        test.fail('should throw')
+      } catch (err) {
+        test.equal(err.message, 'Replay of rule dead letter 1 failed: Script still broken')
+        test.deepEqual(RulesService.updateRuleDeadLetterReplay.lastCall.args, [1, { status: 'PENDING', error: 'Script still broken' }], 'new error recorded')
+        test.ok(RulesService.createRuleDeadLetter.notCalled, 'no new dead letter')
+      }
+      test.end()
+    })
+
+    replayDeadLetterTest.test('not replay a dead letter twice', async (test) => {
+      sandbox.stub(RulesService, 'getRuleDeadLetterById').resolves(ruleDeadLetter('REPLAYED'))
+      sandbox.stub(ScriptsLoader, 'executeScripts')
+      try {
+        await RulesHandler.replayDeadLetter(1)
+        test.fail('should throw')
+      } catch (err) {
+        test.equal(err.message, 'Rule dead letter 1 was already replayed')
+        test.ok(ScriptsLoader.executeScripts.notCalled, 'rules not run')
+      }
+      test.end()
+    })
+
+    replayDeadLetterTest.end()
+  })
+
+  rulesHandlerTest.test('reloadRules should', reloadRulesTest => {
+    const reloadedScripts = {
+      notification: {
+        commit: {
+          success: [{
+            filename: 'interchangeFeeCalculation.js',
+            startTime: new Date('2020-06-01T00:00:00.000Z'),
+            endTime: new Date('2100-12-31T23:59:59.999Z'),
+            script: {}
+          }]
+        }
+      }
+    }
+
+    reloadRulesTest.test('swap in the reloaded scripts and return them', async (test) => {
+      const databaseScripts = [{ name: 'uploadedFee.js', source: '// Type: notification', isActive: 0 }]
+      sandbox.stub(RulesService, 'getDatabaseRuleScripts').returns(Promise.resolve(databaseScripts))
+      sandbox.stub(ScriptsLoader, 'reloadScripts').returns(reloadedScripts)
+      sandbox.stub(ScriptsLoader, 'executeScripts').returns({})
+      const result = await RulesHandler.reloadRules('api')
+      test.ok(ScriptsLoader.reloadScripts.withArgs('./scripts/transferSettlementTemp', databaseScripts).calledOnce, 'reloadScripts called with the scripts folder and the database scripts')
+      test.ok(result.reloadedDate instanceof Date, 'reload date returned')
+      test.equal(result.scripts.length, 1, 'loaded scripts returned')
+      test.equal(result.scripts[0].filename, 'interchangeFeeCalculation.js')
+      await RulesHandler.processRules(null, Util.clone(messages))
+      test.equal(ScriptsLoader.executeScripts.lastCall.args[0], reloadedScripts, 'reloaded scripts are executed')
+      test.equal(RulesService.recordRuleScriptVersions.lastCall.args[0][0].filename, 'interchangeFeeCalculation.js', 'reloaded script versions recorded')
+      test.end()
+    })
+
+    reloadRulesTest.test('use the reloaded scripts when their versions can not be recorded', async (test) => {
+      sandbox.stub(RulesService, 'getDatabaseRuleScripts').returns(Promise.resolve([]))
+      sandbox.stub(ScriptsLoader, 'reloadScripts').returns(reloadedScripts)
+      RulesService.recordRuleScriptVersions.rejects(new Error('Table settlementRuleScriptVersion does not exist'))
+      const result = await RulesHandler.reloadRules('api')
+      test.equal(result.scripts.length, 1, 'loaded scripts returned')
+      test.ok(Logger.error.lastCall.args[0].includes('unable to record the rule script versions'), 'failure logged')
+      test.end()
+    })
+
+    reloadRulesTest.test('keep the previous scripts and throw when a script is invalid', async (test) => {
+      sandbox.stub(RulesService, 'getDatabaseRuleScripts').returns(Promise.resolve([]))
+      sandbox.stub(ScriptsLoader, 'reloadScripts').throws(new Error('Rules file: broken.js: is not a valid JavaScript file'))
+      sandbox.stub(ScriptsLoader, 'executeScripts').returns({})
+      try {
+        await RulesHandler.reloadRules('signal')
+        test.fail('should throw')
+      } catch (err) {
+        test.ok(err.message.includes('broken.js'), 'error reports the failing script')
+        test.equal(err.apiErrorCode.code, '3100', 'validation error thrown')
+      }
+      await RulesHandler.processRules(null, Util.clone(messages))
+      test.equal(ScriptsLoader.executeScripts.lastCall.args[0], reloadedScripts, 'previous scripts are still executed')
+      test.end()
+    })
+
+    reloadRulesTest.test('keep the previous scripts and throw when the database scripts can not be read', async (test) => {
+      sandbox.stub(RulesService, 'getDatabaseRuleScripts').returns(Promise.reject(new Error('connection lost')))
+      sandbox.stub(ScriptsLoader, 'reloadScripts').returns({})
+      try {
+        await RulesHandler.reloadRules('api')
+        test.fail('should throw')
+      } catch (err) {
+        test.ok(err.message.includes('connection lost'), 'error reports the database failure')
+        test.ok(ScriptsLoader.reloadScripts.notCalled, 'scripts are not reloaded')
+      }
+      test.end()
+    })
+
+    reloadRulesTest.test('watch the scripts folder when enabled', async (test) => {
+      const rulesSettings = Config.HANDLERS.SETTINGS.RULES
+      const originalSettings = { SCRIPTS_FOLDER: rulesSettings.SCRIPTS_FOLDER, HOT_RELOAD: rulesSettings.HOT_RELOAD }
+      rulesSettings.SCRIPTS_FOLDER = './scripts/transferSettlementTemp'
+      rulesSettings.HOT_RELOAD = { WATCH_SCRIPTS_FOLDER: true, WATCH_DEBOUNCE_MS: 10, SIGNAL: null }
+      try {
+        Kafka.transformGeneralTopicName.returns(topicName)
+        Kafka.getKafkaConfig.returns(config)
+        sandbox.stub(Consumer, 'createHandler').returns(Promise.resolve())
+        sandbox.stub(ScriptsLoader, 'loadScripts').returns({})
+        sandbox.stub(RulesService, 'getDatabaseRuleScripts').returns(Promise.resolve([]))
+        sandbox.stub(ScriptsLoader, 'reloadScripts').throws(new Error('invalid'))
+        sandbox.stub(ScriptsLoader, 'watchScripts').returns({})
+        const RulesHandlerProxy = Proxyquire('../../../../src/handlers/rules/handler', {
+          '../../lib/config': Config
+        })
+        await RulesHandlerProxy.registerRules()
+        test.ok(ScriptsLoader.watchScripts.calledOnce, 'watchScripts called once')
+        test.equal(ScriptsLoader.watchScripts.lastCall.args[0], './scripts/transferSettlementTemp')
+        test.equal(ScriptsLoader.watchScripts.lastCall.args[2], 10)
+        await ScriptsLoader.watchScripts.lastCall.args[1]()
+        test.ok(ScriptsLoader.reloadScripts.calledOnce, 'a change triggers a reload, failures are not rethrown')
+        test.end()
+      } finally {
+        Object.assign(rulesSettings, originalSettings)
+      }
+    })
+
+    reloadRulesTest.end()
+  })
+
   rulesHandlerTest.end()
 })
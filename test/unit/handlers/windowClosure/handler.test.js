@@ -0,0 +1,512 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Logger = require('@mojaloop/central-services-logger')
+const Consumer = require('@mojaloop/central-services-stream').Util.Consumer
+const Config = require('../../../../src/lib/config')
+const JobLockModel = require('../../../../src/models/misc/jobLock')
+const SettlementWindowService = require('../../../../src/domain/settlementWindow')
+const WindowClosureHandler = require('../../../../src/handlers/windowClosure/handler')
+
+const { SCHEDULE, THRESHOLDS, RECOVERY, SCOPES } = Config.HANDLERS.SETTINGS.WINDOW_CLOSURE
+
+const commitNotification = (action = 'commit', status = 'success') => ({
+  value: { metadata: { event: { type: 'notification', action, state: { status } } } }
+})
+
+Test('WindowClosureHandler', async (windowClosureHandlerTest) => {
+  let sandbox
+  const cron = SCHEDULE.CRON
+  const recoveryCron = RECOVERY.CRON
+  const thresholds = { ...THRESHOLDS }
+
+  windowClosureHandlerTest.beforeEach(test => {
+    sandbox = Sinon.createSandbox()
+    sandbox.stub(JobLockModel, 'acquire').resolves(true)
+    sandbox.stub(SettlementWindowService, 'closeOpenWindow').resolves({ settlementWindowId: 4, state: 'OPEN' })
+    sandbox.stub(SettlementWindowService, 'getClosureThresholdBreach').resolves({ settlementWindowId: 3, reason: '10 transfers reached the TRANSFER_COUNT threshold of 10' })
+    sandbox.stub(SettlementWindowService, 'recoverStuckWindows').resolves({ recovered: [3], failed: [] })
+    sandbox.stub(Consumer, 'createHandler').resolves()
+    THRESHOLDS.INTERVAL_MS = 0
+    test.end()
+  })
+
+  windowClosureHandlerTest.afterEach(test => {
+    WindowClosureHandler.stopWindowClosureSchedule()
+    SCHEDULE.CRON = cron
+    RECOVERY.CRON = recoveryCron
+    SCOPES.splice(0, SCOPES.length)
+    Object.assign(THRESHOLDS, thresholds)
+    sandbox.restore()
+    test.end()
+  })
+
+  await windowClosureHandlerTest.test('closeScheduledWindow should', async closeScheduledWindowTest => {
+    await closeScheduledWindowTest.test('close the open window with the schedule as reason', async test => {
+      SCHEDULE.CRON = '0 0 * * *'
+
+      const result = await WindowClosureHandler.closeScheduledWindow()
+      test.deepEqual(result, { settlementWindowId: 4, state: 'OPEN' }, 'new open window returned')
+      test.ok(JobLockModel.acquire.calledWith('settlementWindowClosureSchedule', Sinon.match.string, SCHEDULE.LOCK_SECONDS), 'job lock taken')
+      test.ok(SettlementWindowService.closeOpenWindow.calledWith('Closed by the settlement window schedule 0 0 * * * (UTC)'), 'open window closed')
+      test.end()
+    })
+
+    await closeScheduledWindowTest.test('skip the closure if another replica holds the lock', async test => {
+      JobLockModel.acquire.resolves(false)
+
+      const result = await WindowClosureHandler.closeScheduledWindow()
+      test.equal(result, null, 'nothing returned')
+      test.ok(SettlementWindowService.closeOpenWindow.notCalled, 'window not closed')
+      test.end()
+    })
+
+    await closeScheduledWindowTest.test('log the error if the closure fails', async test => {
+      SettlementWindowService.closeOpenWindow.rejects(new Error('Database unavailable'))
+      sandbox.stub(Logger, 'error')
+
+      const result = await WindowClosureHandler.closeScheduledWindow()
+      test.equal(result, null, 'nothing returned')
+      test.ok(Logger.error.calledWith('Scheduled settlement window closure failed: Database unavailable'), 'failure logged')
+      test.end()
+    })
+
+    await closeScheduledWindowTest.end()
+  })
+
+  await windowClosureHandlerTest.test('closeScopedWindow should', async closeScopedWindowTest => {
+    await closeScopedWindowTest.test('close the transfers of the currency with the scope schedule as reason', async test => {
+      const result = await WindowClosureHandler.closeScopedWindow({ CURRENCY: 'USD', CRON: '0 * * * *', TIME_ZONE: 'UTC' })
+      test.deepEqual(result, { settlementWindowId: 4, state: 'OPEN' }, 'new open window returned')
+      test.ok(JobLockModel.acquire.calledWith('settlementWindowClosureSchedule:USD', Sinon.match.string, SCHEDULE.LOCK_SECONDS), 'job lock of the scope taken')
+      test.ok(SettlementWindowService.closeOpenWindow.calledWith('Closed for currency USD by the settlement window schedule 0 * * * * (UTC)', undefined,
+        { currency: 'USD', settlementModel: undefined }), 'currency closed')
+      test.end()
+    })
+
+    await closeScopedWindowTest.test('close the transfers of the settlement model with its own lock time', async test => {
+      await WindowClosureHandler.closeScopedWindow({ SETTLEMENT_MODEL: 'DEFERREDNETTZS', CRON: '0 0 * * *', TIME_ZONE: 'UTC', LOCK_SECONDS: 5 })
+      test.ok(JobLockModel.acquire.calledWith('settlementWindowClosureSchedule:DEFERREDNETTZS', Sinon.match.string, 5), 'job lock of the scope taken')
+      test.ok(SettlementWindowService.closeOpenWindow.calledWith('Closed for settlement model DEFERREDNETTZS by the settlement window schedule 0 0 * * * (UTC)', undefined,
+        { currency: undefined, settlementModel: 'DEFERREDNETTZS' }), 'settlement model closed')
+      test.end()
+    })
+
+    await closeScopedWindowTest.test('skip the closure if another replica holds the lock', async test => {
+      JobLockModel.acquire.resolves(false)
+
+      const result = await WindowClosureHandler.closeScopedWindow({ CURRENCY: 'USD', CRON: '0 * * * *', TIME_ZONE: 'UTC' })
+      test.equal(result, null, 'nothing returned')
+      test.ok(SettlementWindowService.closeOpenWindow.notCalled, 'window not closed')
+      test.end()
+    })
+
+    await closeScopedWindowTest.test('log the error if the closure fails', async test => {
+      SettlementWindowService.closeOpenWindow.rejects(new Error('Settlement model not found'))
+      sandbox.stub(Logger, 'error')
+
+      const result = await WindowClosureHandler.closeScopedWindow({ SETTLEMENT_MODEL: 'UNKNOWN', CRON: '0 * * * *', TIME_ZONE: 'UTC' })
+      test.equal(result, null, 'nothing returned')
+      test.ok(Logger.error.calledWith('Scheduled settlement window closure for settlement model UNKNOWN failed: Settlement model not found'), 'failure logged')
+      test.end()
+    })
+
+    await closeScopedWindowTest.end()
+  })
+
+  await windowClosureHandlerTest.test('closeWindowOnThreshold should', async closeWindowOnThresholdTest => {
+    await closeWindowOnThresholdTest.test('close the window that reached a threshold', async test => {
+      const result = await WindowClosureHandler.closeWindowOnThreshold()
+      test.deepEqual(result, { settlementWindowId: 4, state: 'OPEN' }, 'new open window returned')
+      test.ok(SettlementWindowService.getClosureThresholdBreach.calledWith(THRESHOLDS), 'thresholds checked')
+      test.ok(JobLockModel.acquire.calledWith('settlementWindowClosureThreshold', Sinon.match.string, THRESHOLDS.LOCK_SECONDS), 'job lock taken')
+      test.ok(SettlementWindowService.closeOpenWindow.calledWith('Closed by threshold: 10 transfers reached the TRANSFER_COUNT threshold of 10', 3), 'window closed with the threshold as reason')
+      test.end()
+    })
+
+    await closeWindowOnThresholdTest.test('not close the window below the thresholds', async test => {
+      SettlementWindowService.getClosureThresholdBreach.resolves(null)
+
+      const result = await WindowClosureHandler.closeWindowOnThreshold()
+      test.equal(result, null, 'nothing returned')
+      test.ok(JobLockModel.acquire.notCalled, 'no job lock taken')
+      test.ok(SettlementWindowService.closeOpenWindow.notCalled, 'window not closed')
+      test.end()
+    })
+
+    await closeWindowOnThresholdTest.test('skip the closure if another replica holds the lock', async test => {
+      JobLockModel.acquire.resolves(false)
+
+      const result = await WindowClosureHandler.closeWindowOnThreshold()
+      test.equal(result, null, 'nothing returned')
+      test.ok(SettlementWindowService.closeOpenWindow.notCalled, 'window not closed')
+      test.end()
+    })
+
+    await closeWindowOnThresholdTest.test('log the error if the closure fails', async test => {
+      SettlementWindowService.getClosureThresholdBreach.rejects(new Error('Database unavailable'))
+      sandbox.stub(Logger, 'error')
+
+      const result = await WindowClosureHandler.closeWindowOnThreshold()
+      test.equal(result, null, 'nothing returned')
+      test.ok(Logger.error.calledWith('Settlement window threshold closure failed: Database unavailable'), 'failure logged')
+      test.end()
+    })
+
+    await closeWindowOnThresholdTest.end()
+  })
+
+  await windowClosureHandlerTest.test('processThresholdNotification should', async processThresholdNotificationTest => {
+    await processThresholdNotificationTest.test('check the thresholds for a successful commit', async test => {
+      test.equal(await WindowClosureHandler.processThresholdNotification(null, [commitNotification()]), true, 'commit processed')
+      test.equal(await WindowClosureHandler.processThresholdNotification(null, commitNotification('reserve')), true, 'reserve processed')
+      test.equal(SettlementWindowService.getClosureThresholdBreach.callCount, 2, 'thresholds checked')
+      test.end()
+    })
+
+    await processThresholdNotificationTest.test('ignore other notifications', async test => {
+      await WindowClosureHandler.processThresholdNotification(null, [commitNotification('prepare')])
+      await WindowClosureHandler.processThresholdNotification(null, [commitNotification('commit', 'error')])
+      test.ok(SettlementWindowService.getClosureThresholdBreach.notCalled, 'thresholds not checked')
+      test.end()
+    })
+
+    await processThresholdNotificationTest.test('check the thresholds at most once per interval, and once more at its end', async test => {
+      THRESHOLDS.INTERVAL_MS = 60000
+      const clock = Sinon.useFakeTimers(Date.now() + 60000)
+
+      await WindowClosureHandler.processThresholdNotification(null, [commitNotification()])
+      clock.tick(30000)
+      await WindowClosureHandler.processThresholdNotification(null, [commitNotification()])
+      await WindowClosureHandler.processThresholdNotification(null, [commitNotification()])
+      test.equal(SettlementWindowService.getClosureThresholdBreach.callCount, 1, 'checks within the interval skipped')
+      await clock.tickAsync(29999)
+      test.equal(SettlementWindowService.getClosureThresholdBreach.callCount, 1, 'not checked before the end of the interval')
+      await clock.tickAsync(1)
+      test.equal(SettlementWindowService.getClosureThresholdBreach.callCount, 2, 'checked once at the end of the interval')
+      await clock.tickAsync(120000)
+      test.equal(SettlementWindowService.getClosureThresholdBreach.callCount, 2, 'not checked again without notifications')
+      await WindowClosureHandler.processThresholdNotification(null, [commitNotification()])
+      test.equal(SettlementWindowService.getClosureThresholdBreach.callCount, 3, 'checked right away after the interval')
+      clock.restore()
+      test.end()
+    })
+
+    await processThresholdNotificationTest.test('cancel the check at the end of the interval when stopped', async test => {
+      THRESHOLDS.INTERVAL_MS = 60000
+      const clock = Sinon.useFakeTimers(Date.now() + 600000)
+
+      await WindowClosureHandler.processThresholdNotification(null, [commitNotification()])
+      await WindowClosureHandler.processThresholdNotification(null, [commitNotification()])
+      WindowClosureHandler.stopWindowClosureSchedule()
+      await clock.tickAsync(60000)
+      test.equal(SettlementWindowService.getClosureThresholdBreach.callCount, 1, 'pending check cancelled')
+      clock.restore()
+      test.end()
+    })
+
+    await processThresholdNotificationTest.test('log an invalid message', async test => {
+      sandbox.stub(Logger, 'error')
+
+      test.equal(await WindowClosureHandler.processThresholdNotification(null, [{ value: {} }]), true, 'message skipped')
+      test.ok(Logger.error.calledWith(Sinon.match(/^Settlement window threshold check failed: /)), 'failure logged')
+      test.end()
+    })
+
+    await processThresholdNotificationTest.test('throw a consumer error', async test => {
+      sandbox.stub(Logger, 'error')
+
+      try {
+        await WindowClosureHandler.processThresholdNotification(new Error('Consumer failed'))
+        test.fail('Error not thrown')
+      } catch (err) {
+        test.equal(err.message, 'Consumer failed', 'error thrown')
+      }
+      test.end()
+    })
+
+    await processThresholdNotificationTest.end()
+  })
+
+  await windowClosureHandlerTest.test('registerWindowClosureThresholds should', async registerTest => {
+    await registerTest.test('consume the transfer notifications in its own consumer group', async test => {
+      THRESHOLDS.TRANSFER_AMOUNT = { USD: 1000 }
+
+      test.equal(await WindowClosureHandler.registerWindowClosureThresholds(), true, 'consumer registered')
+      const [topicName, config, command] = Consumer.createHandler.firstCall.args
+      test.equal(topicName, 'topic-notification-event', 'notification topic consumed')
+      test.equal(config.rdkafkaConf['group.id'], 'cs-group-notification-windowclosure', 'own consumer group')
+      test.equal(command, WindowClosureHandler.processThresholdNotification, 'notifications processed')
+      test.end()
+    })
+
+    await registerTest.test('throw if no threshold is configured', async test => {
+      sandbox.stub(Logger, 'error')
+
+      try {
+        await WindowClosureHandler.registerWindowClosureThresholds()
+        test.fail('Error not thrown')
+      } catch (err) {
+        test.equal(err.message, 'No WINDOW_CLOSURE.THRESHOLDS configured for the settlement window threshold closure', 'error thrown')
+      }
+      test.end()
+    })
+
+    await registerTest.end()
+  })
+
+  await windowClosureHandlerTest.test('registerWindowClosureSchedule should', async registerTest => {
+    await registerTest.test('start the schedule once', async test => {
+      SCHEDULE.CRON = '0 0 * * *'
+      sandbox.stub(Logger, 'info')
+
+      test.equal(await WindowClosureHandler.registerWindowClosureSchedule(), true, 'schedule started')
+      test.equal(await WindowClosureHandler.registerWindowClosureSchedule(), true, 'schedule already started')
+      test.equal(Logger.info.withArgs(Sinon.match(/^Settlement window closure scheduled on 0 0 \* \* \* \(UTC\), next closure at /)).callCount, 1, 'schedule logged once')
+      test.end()
+    })
+
+    await registerTest.test('throw if no cron expression is configured', async test => {
+      SCHEDULE.CRON = ''
+      sandbox.stub(Logger, 'error')
+
+      try {
+        await WindowClosureHandler.registerWindowClosureSchedule()
+        test.fail('Error not thrown')
+      } catch (err) {
+        test.equal(err.message, 'No WINDOW_CLOSURE.SCHEDULE.CRON configured for the settlement window closure schedule', 'error thrown')
+      }
+      test.end()
+    })
+
+    await registerTest.test('throw on an invalid cron expression', async test => {
+      SCHEDULE.CRON = 'every day'
+      sandbox.stub(Logger, 'error')
+
+      try {
+        await WindowClosureHandler.registerWindowClosureSchedule()
+        test.fail('Error not thrown')
+      } catch (err) {
+        test.pass('error thrown')
+      }
+      test.end()
+    })
+
+    await registerTest.end()
+  })
+
+  await windowClosureHandlerTest.test('registerWindowScopeSchedules should', async registerTest => {
+    await registerTest.test('start a schedule per scope once', async test => {
+      SCOPES.push({ CURRENCY: 'USD', CRON: '0 * * * *', TIME_ZONE: 'UTC' }, { SETTLEMENT_MODEL: 'DEFERREDNETTZS', CRON: '0 0 * * *', TIME_ZONE: 'Africa/Dar_es_Salaam' })
+      sandbox.stub(Logger, 'info')
+
+      test.equal(await WindowClosureHandler.registerWindowScopeSchedules(), true, 'schedules started')
+      test.equal(await WindowClosureHandler.registerWindowScopeSchedules(), true, 'schedules already started')
+      test.equal(Logger.info.withArgs(Sinon.match(/^Settlement window closure for currency USD scheduled on 0 \* \* \* \* \(UTC\), next closure at /)).callCount, 1, 'currency schedule logged once')
+      test.equal(Logger.info.withArgs(Sinon.match(/^Settlement window closure for settlement model DEFERREDNETTZS scheduled on 0 0 \* \* \* \(Africa\/Dar_es_Salaam\)/)).callCount, 1, 'settlement model schedule logged once')
+      test.end()
+    })
+
+    await registerTest.test('throw if no scope is configured', async test => {
+      sandbox.stub(Logger, 'error')
+
+      try {
+        await WindowClosureHandler.registerWindowScopeSchedules()
+        test.fail('Error not thrown')
+      } catch (err) {
+        test.equal(err.message, 'No WINDOW_CLOSURE.SCOPES configured for the scoped settlement window closure schedules', 'error thrown')
+      }
+      test.end()
+    })
+
+    await registerTest.test('throw if a scope has both a currency and a settlement model', async test => {
+      SCOPES.push({ CURRENCY: 'USD', SETTLEMENT_MODEL: 'DEFERREDNETUSD', CRON: '0 * * * *', TIME_ZONE: 'UTC' })
+      sandbox.stub(Logger, 'error')
+
+      try {
+        await WindowClosureHandler.registerWindowScopeSchedules()
+        test.fail('Error not thrown')
+      } catch (err) {
+        test.equal(err.message, 'WINDOW_CLOSURE.SCOPES entry {"CURRENCY":"USD","SETTLEMENT_MODEL":"DEFERREDNETUSD","CRON":"0 * * * *","TIME_ZONE":"UTC"} needs a CRON and either a CURRENCY or a SETTLEMENT_MODEL', 'error thrown')
+      }
+      test.end()
+    })
+
+    await registerTest.test('throw if a scope has no cron expression', async test => {
+      SCOPES.push({ CURRENCY: 'USD', CRON: '', TIME_ZONE: 'UTC' })
+      sandbox.stub(Logger, 'error')
+
+      try {
+        await WindowClosureHandler.registerWindowScopeSchedules()
+        test.fail('Error not thrown')
+      } catch (err) {
+        test.ok(err.message.endsWith('needs a CRON and either a CURRENCY or a SETTLEMENT_MODEL'), 'error thrown')
+      }
+      test.end()
+    })
+
+    await registerTest.end()
+  })
+
+  await windowClosureHandlerTest.test('recoverStuckWindows should', async recoverStuckWindowsTest => {
+    await recoverStuckWindowsTest.test('retry the close of the windows stuck in PROCESSING', async test => {
+      const result = await WindowClosureHandler.recoverStuckWindows()
+      test.deepEqual(result, { recovered: [3], failed: [] }, 'recovered windows returned')
+      test.ok(JobLockModel.acquire.calledWith('settlementWindowRecovery', Sinon.match.string, RECOVERY.LOCK_SECONDS), 'job lock taken')
+      test.ok(SettlementWindowService.recoverStuckWindows.calledWith(RECOVERY.STUCK_SECONDS), 'windows stuck for STUCK_SECONDS recovered')
+      test.end()
+    })
+
+    await recoverStuckWindowsTest.test('skip the recovery if another replica holds the lock', async test => {
+      JobLockModel.acquire.resolves(false)
+
+      const result = await WindowClosureHandler.recoverStuckWindows()
+      test.equal(result, null, 'nothing returned')
+      test.ok(SettlementWindowService.recoverStuckWindows.notCalled, 'windows not recovered')
+      test.end()
+    })
+
+    await recoverStuckWindowsTest.test('log the error if the recovery fails', async test => {
+      SettlementWindowService.recoverStuckWindows.rejects(new Error('Database unavailable'))
+      sandbox.stub(Logger, 'error')
+
+      const result = await WindowClosureHandler.recoverStuckWindows()
+      test.equal(result, null, 'nothing returned')
+      test.ok(Logger.error.calledWith('Settlement window recovery failed: Database unavailable'), 'failure logged')
+      test.end()
+    })
+
+    await recoverStuckWindowsTest.end()
+  })
+
+  await windowClosureHandlerTest.test('registerWindowRecoverySchedule should', async registerTest => {
+    await registerTest.test('start the recovery schedule once', async test => {
+      RECOVERY.CRON = '*/5 * * * *'
+      sandbox.stub(Logger, 'info')
+
+      test.equal(await WindowClosureHandler.registerWindowRecoverySchedule(), true, 'schedule started')
+      test.equal(await WindowClosureHandler.registerWindowRecoverySchedule(), true, 'schedule already started')
+      test.equal(Logger.info.withArgs(`Settlement window recovery scheduled on */5 * * * * (UTC) for windows in PROCESSING for ${RECOVERY.STUCK_SECONDS}s`).callCount, 1, 'schedule logged once')
+      test.end()
+    })
+
+    await registerTest.test('throw if no cron expression is configured', async test => {
+      RECOVERY.CRON = ''
+      sandbox.stub(Logger, 'error')
+
+      try {
+        await WindowClosureHandler.registerWindowRecoverySchedule()
+        test.fail('Error not thrown')
+      } catch (err) {
+        test.equal(err.message, 'No WINDOW_CLOSURE.RECOVERY.CRON configured for the settlement window recovery schedule', 'error thrown')
+      }
+      test.end()
+    })
+
+    await registerTest.end()
+  })
+
+  await windowClosureHandlerTest.test('registerAllHandlers should', async registerAllHandlersTest => {
+    await registerAllHandlersTest.test('start the schedule if a cron expression is configured', async test => {
+      SCHEDULE.CRON = '0 0 * * *'
+      sandbox.stub(Logger, 'info')
+
+      test.equal(await WindowClosureHandler.registerAllHandlers(), true, 'handlers registered')
+      test.ok(Logger.info.calledWith(Sinon.match(/^Settlement window closure scheduled/)), 'schedule started')
+      test.end()
+    })
+
+    await registerAllHandlersTest.test('start the threshold consumer if a threshold is configured', async test => {
+      THRESHOLDS.NET_POSITION = { USD: 1000 }
+
+      test.equal(await WindowClosureHandler.registerAllHandlers(), true, 'handlers registered')
+      test.ok(Consumer.createHandler.calledOnce, 'threshold consumer registered')
+      test.end()
+    })
+
+    await registerAllHandlersTest.test('start the recovery schedule if its cron expression is configured', async test => {
+      RECOVERY.CRON = '*/5 * * * *'
+      sandbox.stub(Logger, 'info')
+
+      test.equal(await WindowClosureHandler.registerAllHandlers(), true, 'handlers registered')
+      test.ok(Logger.info.calledWith(Sinon.match(/^Settlement window recovery scheduled/)), 'recovery schedule started')
+      test.end()
+    })
+
+    await registerAllHandlersTest.test('start the scope schedules if scopes are configured', async test => {
+      SCOPES.push({ CURRENCY: 'USD', CRON: '0 * * * *', TIME_ZONE: 'UTC' })
+      sandbox.stub(Logger, 'info')
+
+      test.equal(await WindowClosureHandler.registerAllHandlers(), true, 'handlers registered')
+      test.ok(Logger.info.calledWith(Sinon.match(/^Settlement window closure for currency USD scheduled/)), 'scope schedule started')
+      test.end()
+    })
+
+    await registerAllHandlersTest.test('not start the schedule without a cron expression', async test => {
+      SCHEDULE.CRON = ''
+      RECOVERY.CRON = ''
+      sandbox.stub(Logger, 'info')
+
+      test.equal(await WindowClosureHandler.registerAllHandlers(), true, 'handlers registered')
+      test.ok(Logger.info.notCalled, 'schedule not started')
+      test.ok(Consumer.createHandler.notCalled, 'threshold consumer not registered')
+      test.end()
+    })
+
+    await registerAllHandlersTest.end()
+  })
+
+  await windowClosureHandlerTest.test('registerWindowClosureHandler should', async registerWindowClosureHandlerTest => {
+    await registerWindowClosureHandlerTest.test('start the configured closures', async test => {
+      THRESHOLDS.TRANSFER_COUNT = 1000
+
+      test.equal(await WindowClosureHandler.registerWindowClosureHandler(), true, 'handler registered')
+      test.ok(Consumer.createHandler.calledOnce, 'threshold consumer registered')
+      test.end()
+    })
+
+    await registerWindowClosureHandlerTest.test('throw if neither a schedule, a scope, a threshold nor a recovery schedule is configured', async test => {
+      SCHEDULE.CRON = ''
+      RECOVERY.CRON = ''
+      sandbox.stub(Logger, 'error')
+
+      try {
+        await WindowClosureHandler.registerWindowClosureHandler()
+        test.fail('Error not thrown')
+      } catch (err) {
+        test.equal(err.message, 'Neither WINDOW_CLOSURE.SCHEDULE.CRON, WINDOW_CLOSURE.SCOPES, WINDOW_CLOSURE.THRESHOLDS nor WINDOW_CLOSURE.RECOVERY.CRON configured for the window closure handler', 'error thrown')
+      }
+      test.end()
+    })
+
+    await registerWindowClosureHandlerTest.end()
+  })
+
+  await windowClosureHandlerTest.end()
+})
@@ -0,0 +1,50 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Csv = require('../../../src/lib/csv')
+
+Test('Csv', async (csvTest) => {
+  await csvTest.test('toCsv should write a header line and a line per row', async test => {
+    const rows = [
+      { transferId: 'a', amount: '1.5', fulfilmentDate: new Date('2022-10-03T10:00:00.000Z'), note: 'x' },
+      { transferId: 'b', amount: null, fulfilmentDate: undefined }
+    ]
+    test.equal(Csv.toCsv(rows, ['transferId', 'amount', 'fulfilmentDate']),
+      'transferId,amount,fulfilmentDate\r\na,1.5,2022-10-03T10:00:00.000Z\r\nb,,\r\n', 'columns written in order, dates in ISO format')
+    test.equal(Csv.toCsv([], ['transferId']), 'transferId\r\n', 'header only without rows')
+    test.end()
+  })
+
+  await csvTest.test('toCsv should quote fields with separators, quotes or line breaks', async test => {
+    test.equal(Csv.toCsv([{ name: 'a,b', reason: 'say "hi"', text: 'line\nbreak' }], ['name', 'reason', 'text']),
+      'name,reason,text\r\n"a,b","say ""hi""","line\nbreak"\r\n', 'fields quoted')
+    test.end()
+  })
+
+  await csvTest.end()
+})
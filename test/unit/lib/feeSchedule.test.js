@@ -0,0 +1,223 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const fs = require('fs')
+const vm = require('vm')
+const Logger = require('@mojaloop/central-services-logger')
+const FeeSchedule = require('../../../src/lib/feeSchedule')
+const scriptEngine = require('../../../src/lib/scriptEngine')
+const ParticipantCurrencyModel = require('../../../src/models/settlement/participantCurrency')
+const SettlementModelModel = require('../../../src/models/settlement/settlementModel')
+const PricingRateModel = require('../../../src/models/rules/pricingRate')
+
+const scheduleDirectory = `${process.cwd()}/test/unit/data/feeSchedules`
+const interchangeSource = fs.readFileSync(`${scheduleDirectory}/interchangeFeeSchedule.yaml`, 'utf8')
+const tieredSource = fs.readFileSync(`${scheduleDirectory}/tieredFeeSchedule.json`, 'utf8')
+
+const walletParty = (fspId) => {
+  return {
+    partyIdInfo: {
+      partyIdType: 'MSISDN',
+      partyIdentifier: '27713813914',
+      fspId,
+      extensionList: {
+        extension: [{ key: 'accountType', value: 'Wallet' }]
+      }
+    }
+  }
+}
+const transfer = {
+  transactionId: 'cb4c0f77-286d-40a5-8dfe-b162e64482ee',
+  payee: walletParty('testfsp1'),
+  payer: walletParty('payerfsp'),
+  amount: {
+    amount: '123.45',
+    currency: 'TZS'
+  },
+  transactionType: {
+    scenario: 'TRANSFER',
+    initiator: 'PAYER',
+    initiatorType: 'CONSUMER'
+  }
+}
+
+Test('FeeSchedule', async (feeScheduleTest) => {
+  let sandbox
+
+  feeScheduleTest.beforeEach(test => {
+    sandbox = Sinon.createSandbox()
+    sandbox.stub(Logger)
+    sandbox.stub(ParticipantCurrencyModel, 'getByParticipantNames').resolves([])
+    sandbox.stub(SettlementModelModel, 'getByCurrency').resolves([])
+    sandbox.stub(PricingRateModel, 'getByCurrencies').resolves([])
+    test.end()
+  })
+
+  feeScheduleTest.afterEach(test => {
+    sandbox.restore()
+    test.end()
+  })
+
+  await feeScheduleTest.test('isFeeSchedule should recognise JSON and YAML files', async test => {
+    test.ok(FeeSchedule.isFeeSchedule('fee.json'), 'json')
+    test.ok(FeeSchedule.isFeeSchedule('fee.yaml'), 'yaml')
+    test.ok(FeeSchedule.isFeeSchedule('FEE.YML'), 'yml')
+    test.notOk(FeeSchedule.isFeeSchedule('fee.js'), 'not js')
+    test.end()
+  })
+
+  await feeScheduleTest.test('parse should', async parseTest => {
+    await parseTest.test('parse YAML and JSON schedules', async test => {
+      const interchange = FeeSchedule.parse('interchangeFeeSchedule.yaml', interchangeSource)
+      test.equal(interchange.type, 'notification', 'YAML parsed')
+      test.equal(interchange.rate.percentage, 0.6, 'YAML rate parsed')
+      const tiered = FeeSchedule.parse('tieredFeeSchedule.json', tieredSource)
+      test.equal(tiered.rate.bands.length, 2, 'JSON parsed')
+      test.end()
+    })
+
+    await parseTest.test('throw if the source can not be parsed', async test => {
+      try {
+        FeeSchedule.parse('broken.json', '{ "type": ')
+        test.fail('Should have thrown an error!')
+      } catch (err) {
+        test.ok(err.message.startsWith('Rules file: broken.json: is not a valid fee schedule'), 'error names the file')
+      }
+      test.end()
+    })
+
+    await parseTest.end()
+  })
+
+  await feeScheduleTest.test('compile should reject', async compileTest => {
+    const validSchedule = FeeSchedule.parse('interchangeFeeSchedule.yaml', interchangeSource)
+    const invalidSchedules = [
+      ['match', { match: 'Wallet' }],
+      ['ledgerAccountType', { ledgerAccountType: undefined }],
+      ['ledgerEntryType', { ledgerEntryType: '' }],
+      ['rate', { rate: undefined }],
+      ['rate', { rate: { percentage: 1, fixed: 1 } }],
+      ['rate.percentage', { rate: { percentage: 'one' } }],
+      ['rate.bands', { rate: { bands: [] } }],
+      ['rate.bands[0]', { rate: { bands: [{ bands: [{ fixed: 1 }] }] } }],
+      ['rate.bands[1].max', { rate: { bands: [{ fixed: 1 }, { percentage: 1, max: 'all' }] } }],
+      ['rounding.decimalPlaces', { rounding: { decimalPlaces: 1.5 } }],
+      ['rounding.mode', { rounding: { mode: 'BANKERS' } }],
+      ['direction', { direction: 'both' }]
+    ]
+    for (const [field, change] of invalidSchedules) {
+      await compileTest.test(`an invalid '${field}'`, async test => {
+        try {
+          FeeSchedule.compile('fee.yaml', { ...validSchedule, ...change })
+          test.fail('Should have thrown an error!')
+        } catch (err) {
+          test.equal(err.message, `Rules file: fee.yaml: has invalid or missing '${field}'`)
+        }
+        test.end()
+      })
+    }
+    await compileTest.end()
+  })
+
+  await feeScheduleTest.test('evaluate should', async evaluateTest => {
+    const schedule = FeeSchedule.parse('interchangeFeeSchedule.yaml', interchangeSource)
+
+    await evaluateTest.test('return the ledger entry of a matching transfer', async test => {
+      test.deepEqual(FeeSchedule.evaluate(schedule, transfer), {
+        ledgerAccountTypeId: 'INTERCHANGE_FEE',
+        ledgerEntryTypeId: 'INTERCHANGE_FEE',
+        amount: '0.74',
+        currency: 'TZS',
+        payerFspId: 'payerfsp',
+        payeeFspId: 'testfsp1'
+      })
+      test.end()
+    })
+
+    await evaluateTest.test('return null when the transfer does not match', async test => {
+      test.equal(FeeSchedule.evaluate(schedule, { ...transfer, payee: walletParty('payerfsp') }), null, 'same fsp')
+      test.equal(FeeSchedule.evaluate(schedule, { ...transfer, payee: { partyIdInfo: { fspId: 'testfsp1' } } }), null, 'no extension list')
+      test.equal(FeeSchedule.evaluate(schedule, { ...transfer, transactionType: { ...transfer.transactionType, initiator: 'PAYEE' } }), null, 'other transaction type')
+      test.equal(FeeSchedule.evaluate({ ...schedule, match: { currency: 'USD' } }, transfer), null, 'other currency')
+      test.equal(FeeSchedule.evaluate({ ...schedule, match: { payer: { fspId: ['fsp1', 'fsp2'] } } }, transfer), null, 'other payer fsp')
+      test.end()
+    })
+
+    await evaluateTest.test('swap the fsps for a payee to payer fee', async test => {
+      const ledgerEntry = FeeSchedule.evaluate({ ...schedule, direction: FeeSchedule.DIRECTION.PAYEE_TO_PAYER }, transfer)
+      test.equal(ledgerEntry.payerFspId, 'testfsp1')
+      test.equal(ledgerEntry.payeeFspId, 'payerfsp')
+      test.end()
+    })
+
+    await evaluateTest.end()
+  })
+
+  await feeScheduleTest.test('calculateFee should', async calculateFeeTest => {
+    const tiered = FeeSchedule.parse('tieredFeeSchedule.json', tieredSource)
+
+    await calculateFeeTest.test('use the band of the amount and its caps', async test => {
+      test.equal(FeeSchedule.calculateFee(tiered, '50'), '0.50', 'fixed band')
+      test.equal(FeeSchedule.calculateFee(tiered, '123.45'), '1.23', 'percentage band rounded down')
+      test.equal(FeeSchedule.calculateFee(tiered, '100'), '1.00', 'band min')
+      test.equal(FeeSchedule.calculateFee(tiered, '9000'), '40.00', 'band max capped by the rate max')
+      test.equal(FeeSchedule.calculateFee(tiered, '20000'), null, 'no band')
+      test.end()
+    })
+
+    await calculateFeeTest.test('default to 2 decimal places rounded half up', async test => {
+      const schedule = { rate: { percentage: '0.5' } }
+      test.equal(FeeSchedule.calculateFee(schedule, '1.01'), '0.01')
+      test.equal(FeeSchedule.calculateFee({ ...schedule, rounding: { decimalPlaces: 0, mode: 'UP' } }, '1.01'), '1')
+      test.end()
+    })
+
+    await calculateFeeTest.end()
+  })
+
+  await feeScheduleTest.test('compiled schedule should add the same ledger entries as the interchange fee script', async test => {
+    const transferId = '07785623-1d17-4231-b7fe-48bacaa05d58'
+    const interchangeScript = new vm.Script(fs.readFileSync(`${process.cwd()}/scripts/transferSettlementTemp/interchangeFeeCalculation.js`, 'utf8'))
+    const interchangeSchedule = FeeSchedule.compile('interchangeFeeSchedule.yaml', FeeSchedule.parse('interchangeFeeSchedule.yaml', interchangeSource))
+    for (const amount of ['10', '123.45', '0.83']) {
+      const amountTransfer = { ...transfer, amount: { ...transfer.amount, amount } }
+      const scriptResult = await scriptEngine.simulate(interchangeScript, { id: transferId }, amountTransfer)
+      const scheduleResult = await scriptEngine.simulate(interchangeSchedule, { id: transferId }, amountTransfer)
+      test.equal(scriptResult.ledgerEntries.length, 1, `script adds a ledger entry for ${amount}`)
+      test.deepEqual(scheduleResult.ledgerEntries, scriptResult.ledgerEntries, `same ledger entries for ${amount}`)
+    }
+    const otherTransfer = { ...transfer, payee: walletParty('payerfsp') }
+    const scheduleResult = await scriptEngine.simulate(interchangeSchedule, { id: transferId }, otherTransfer)
+    test.deepEqual(scheduleResult.ledgerEntries, [], 'no ledger entries when the transfer does not match')
+    test.deepEqual(scheduleResult.logs, [`interchangeFeeSchedule.yaml: transfer ${transferId} does not match the fee schedule`], 'mismatch logged')
+    test.end()
+  })
+
+  await feeScheduleTest.end()
+})
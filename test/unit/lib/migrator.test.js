@@ -0,0 +1,61 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Path = require('path')
+const Db = require('../../../src/lib/db')
+const Migrator = require('../../../src/lib/migrator')
+
+Test('Migrator', async (migratorTest) => {
+  let sandbox
+
+  migratorTest.beforeEach(test => {
+    sandbox = Sinon.createSandbox()
+    test.end()
+  })
+
+  migratorTest.afterEach(test => {
+    sandbox.restore()
+    test.end()
+  })
+
+  await migratorTest.test('migrate should apply the settlement migrations with the connected database', async test => {
+    const latestStub = sandbox.stub().resolves([1, ['100100_settlementRuleScript.js']])
+    const getKnex = Db.getKnex
+    Db.getKnex = sandbox.stub().returns({ migrate: { latest: latestStub } })
+    const result = await Migrator.migrate()
+    Db.getKnex = getKnex
+    test.deepEqual(result, [1, ['100100_settlementRuleScript.js']], 'migration log returned')
+    const migrations = latestStub.lastCall.args[0]
+    test.equal(migrations.tableName, 'settlementMigration', 'own migration table used')
+    test.equal(migrations.directory, Path.join(process.cwd(), 'migrations'), 'migrations directory resolved from the working directory')
+    test.end()
+  })
+
+  migratorTest.end()
+})
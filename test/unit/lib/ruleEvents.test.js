@@ -0,0 +1,133 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Producer = require('@mojaloop/central-services-stream').Util.Producer
+const RuleEvents = require('../../../src/lib/ruleEvents')
+
+Test('RuleEvents', async (ruleEventsTest) => {
+  let sandbox
+
+  ruleEventsTest.beforeEach(test => {
+    sandbox = Sinon.createSandbox()
+    test.end()
+  })
+
+  ruleEventsTest.afterEach(test => {
+    sandbox.restore()
+    test.end()
+  })
+
+  await ruleEventsTest.test('isTransferEvent should tell transfer notifications apart from rule events', async test => {
+    test.equal(RuleEvents.isTransferEvent({ type: 'notification', action: 'commit' }), true, 'transfer notification')
+    test.equal(RuleEvents.isTransferEvent({ type: 'transfer', action: 'commit' }), true, 'transfer commit, which shares its type with the fee reversal')
+    test.equal(RuleEvents.isTransferEvent({ type: 'settlementwindow', action: 'close' }), false, 'settlement window event')
+    test.equal(RuleEvents.isTransferEvent({ type: 'settlement', action: 'settled' }), false, 'settlement event')
+    test.equal(RuleEvents.isTransferEvent({ type: 'transfer', action: 'reverse' }), false, 'fee reversal event')
+    test.end()
+  })
+
+  await ruleEventsTest.test('isFulfilmentEvent should only accept the notifications of fulfilled transfers', async test => {
+    test.equal(RuleEvents.isFulfilmentEvent({ type: 'notification', action: 'commit' }), true, 'transfer commit')
+    test.equal(RuleEvents.isFulfilmentEvent({ type: 'notification', action: 'reserve' }), true, 'transfer reserve')
+    test.equal(RuleEvents.isFulfilmentEvent({ type: 'notification', action: 'abort' }), false, 'aborted transfer')
+    test.equal(RuleEvents.isFulfilmentEvent({ type: 'notification', action: 'reject' }), false, 'rejected transfer')
+    test.equal(RuleEvents.isFulfilmentEvent({ type: 'settlementwindow', action: 'close' }), false, 'settlement window event')
+    test.end()
+  })
+
+  await ruleEventsTest.test('isReversalEvent should only accept the fee reversal event', async test => {
+    test.equal(RuleEvents.isReversalEvent({ type: 'transfer', action: 'reverse' }), true, 'fee reversal')
+    test.equal(RuleEvents.isReversalEvent({ type: 'notification', action: 'commit' }), false, 'transfer notification')
+    test.equal(RuleEvents.isReversalEvent({ type: 'transfer', action: 'prepare' }), false, 'other transfer action')
+    test.equal(RuleEvents.isReversalEvent(undefined), false, 'no event')
+    test.end()
+  })
+
+  await ruleEventsTest.test('isValidAction should accept the event actions and settled', async test => {
+    test.equal(RuleEvents.isValidAction('abort'), true, 'event action')
+    test.equal(RuleEvents.isValidAction('settled'), true, 'settled')
+    test.equal(RuleEvents.isValidAction('reverse'), true, 'reverse')
+    test.equal(RuleEvents.isValidAction('paid'), false, 'unknown action')
+    test.end()
+  })
+
+  await ruleEventsTest.test('getEventContext should return the settlement window or settlement of a rule event', async test => {
+    const settlementWindow = { settlementWindowId: 1, participants: [{ fspId: 'dfsp1' }] }
+    test.deepEqual(RuleEvents.getEventContext({
+      content: { payload: { settlementWindow } },
+      metadata: { event: { type: 'settlementwindow', action: 'close' } }
+    }), { name: 'settlementWindow', value: settlementWindow }, 'settlement window')
+    test.deepEqual(RuleEvents.getEventContext({
+      content: { payload: { settlement: { id: 2 } } },
+      metadata: { event: { type: 'settlement', action: 'settled' } }
+    }), { name: 'settlement', value: { id: 2, participants: [] } }, 'settlement, with an empty participants list')
+    test.equal(RuleEvents.getEventContext({ id: 'transfer-1', metadata: { event: { type: 'notification', action: 'commit' } } }), null, 'none for a transfer')
+    test.equal(RuleEvents.getEventContext({ id: 'transfer-1', metadata: { event: { type: 'transfer', action: 'commit' } } }), null, 'none for a transfer commit')
+    test.equal(RuleEvents.getEventContext({ id: 'transfer-1' }), null, 'none without metadata')
+    test.end()
+  })
+
+  await ruleEventsTest.test('createFeeTransferId should derive a UUID per event and currency', async test => {
+    const event = { type: 'notification', action: 'abort' }
+    const id = RuleEvents.createFeeTransferId('transfer-1', event, 'USD')
+    test.match(id, /^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/, 'name based UUID')
+    test.equal(RuleEvents.createFeeTransferId('transfer-1', event, 'USD'), id, 'same id for the same event and currency')
+    test.notEqual(RuleEvents.createFeeTransferId('transfer-1', event, 'XOF'), id, 'other id for another currency')
+    test.notEqual(RuleEvents.createFeeTransferId('transfer-1', { ...event, action: 'reject' }, 'USD'), id, 'other id for another event')
+    test.notEqual(RuleEvents.createFeeTransferId('transfer-2', event, 'USD'), id, 'other id for another transfer')
+    test.end()
+  })
+
+  await ruleEventsTest.test('createRuleEventId should derive the same UUID for the same event', async test => {
+    const id = RuleEvents.createRuleEventId(RuleEvents.RULE_EVENT.SETTLEMENT_SETTLED, 2)
+    test.match(id, /^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/, 'name based UUID')
+    test.equal(RuleEvents.createRuleEventId(RuleEvents.RULE_EVENT.SETTLEMENT_SETTLED, 2), id, 'same id for the same event')
+    test.notEqual(RuleEvents.createRuleEventId(RuleEvents.RULE_EVENT.SETTLEMENT_SETTLED, 3), id, 'other id for another settlement')
+    test.notEqual(RuleEvents.createRuleEventId(RuleEvents.RULE_EVENT.SETTLEMENT_WINDOW_CLOSE, 2), id, 'other id for another event')
+    test.end()
+  })
+
+  await ruleEventsTest.test('publish should produce the rule event to the rules event topic', async test => {
+    Producer.produceMessage = sandbox.stub().resolves(true)
+    const settlementWindow = { settlementWindowId: 1, state: 'CLOSED', participants: [] }
+    const messageId = await RuleEvents.publish(RuleEvents.RULE_EVENT.SETTLEMENT_WINDOW_CLOSE, 1, settlementWindow)
+    const [message, topicConfig, kafkaConfig] = Producer.produceMessage.firstCall.args
+    test.equal(messageId, RuleEvents.createRuleEventId(RuleEvents.RULE_EVENT.SETTLEMENT_WINDOW_CLOSE, 1), 'id derived from the event')
+    test.equal(message.id, messageId, 'message id')
+    test.deepEqual(message.content.payload, { settlementWindow }, 'settlement window as payload')
+    test.equal(message.metadata.event.type, 'settlementwindow', 'event type')
+    test.equal(message.metadata.event.action, 'close', 'event action')
+    test.equal(message.metadata.event.state.status, 'success', 'event status')
+    test.equal(topicConfig.topicName, 'topic-rules-event', 'rules event topic')
+    test.equal(kafkaConfig.rdkafkaConf['client.id'], 'cs-prod-rules-event', 'rules event producer config')
+    test.end()
+  })
+
+  await ruleEventsTest.end()
+})
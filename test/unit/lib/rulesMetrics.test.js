@@ -0,0 +1,105 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Metrics = require('@mojaloop/central-services-metrics')
+const RulesMetrics = require('../../../src/lib/rulesMetrics')
+
+// the metrics are registered once per process, so every test uses its own script name or currency
+const getMetricLine = (metrics, pattern) => metrics.split('\n').find(line => pattern.test(line))
+
+Test('RulesMetrics', async (rulesMetricsTest) => {
+  let sandbox
+
+  rulesMetricsTest.beforeEach(test => {
+    sandbox = Sinon.createSandbox()
+    test.end()
+  })
+
+  rulesMetricsTest.afterEach(test => {
+    sandbox.restore()
+    test.end()
+  })
+
+  await rulesMetricsTest.test('recordScriptRun should count the runs and matches and time the script', async test => {
+    RulesMetrics.recordScriptRun('metricsRun.js', { ledgerEntries: [{ amount: '1' }], durationMs: 2 })
+    RulesMetrics.recordScriptRun('metricsRun.js', { ledgerEntries: [], durationMs: 30 })
+    const metrics = await RulesMetrics.getMetricsForPrometheus()
+    test.ok(getMetricLine(metrics, /rules_script_executions_total\{scriptName="metricsRun.js"\} 2$/), 'executions counted')
+    test.ok(getMetricLine(metrics, /rules_script_matches_total\{scriptName="metricsRun.js"\} 1$/), 'only runs with ledger entries matched')
+    test.ok(getMetricLine(metrics, /rules_script_execution_bucket\{le="0.005",scriptName="metricsRun.js"\} 1$/), 'fast run in the 5ms bucket')
+    test.ok(getMetricLine(metrics, /rules_script_execution_count\{scriptName="metricsRun.js"\} 2$/), 'both runs timed')
+    test.end()
+  })
+
+  await rulesMetricsTest.test('recordScriptFailure should count failures and timeouts', async test => {
+    const timeout = new Error('Script execution timed out after 100ms')
+    timeout.code = RulesMetrics.SCRIPT_TIMEOUT_ERROR_CODE
+    RulesMetrics.recordScriptFailure('metricsFailure.js', new Error('Script failed'))
+    RulesMetrics.recordScriptFailure('metricsFailure.js', timeout)
+    const metrics = await RulesMetrics.getMetricsForPrometheus()
+    test.ok(getMetricLine(metrics, /rules_script_executions_total\{scriptName="metricsFailure.js"\} 2$/), 'failed runs counted as executions')
+    test.ok(getMetricLine(metrics, /rules_script_failures_total\{scriptName="metricsFailure.js"\} 2$/), 'failures counted')
+    test.ok(getMetricLine(metrics, /rules_script_timeouts_total\{scriptName="metricsFailure.js"\} 1$/), 'timeout counted')
+    test.notOk(getMetricLine(metrics, /rules_script_matches_total\{scriptName="metricsFailure.js"\}/), 'no match')
+    test.end()
+  })
+
+  await rulesMetricsTest.test('recordFees should add the amounts by currency and ledger entry type', async test => {
+    RulesMetrics.recordFees([
+      { amount: '0.50', currency: 'XOF', ledgerEntryTypeId: 'INTERCHANGE_FEE' },
+      { amount: '0.25', currency: 'XOF', ledgerEntryTypeId: 'INTERCHANGE_FEE' },
+      { amount: '2', currency: 'XOF', ledgerEntryTypeId: 'SCHEME_FEE' },
+      { amount: '0', currency: 'XOF', ledgerEntryTypeId: 'PENALTY_FEE' }
+    ])
+    const metrics = await RulesMetrics.getMetricsForPrometheus()
+    test.ok(getMetricLine(metrics, /rules_fee_amount_total\{currency="XOF",ledgerEntryType="INTERCHANGE_FEE"\} 0.75$/), 'interchange fees added')
+    test.ok(getMetricLine(metrics, /rules_fee_amount_total\{currency="XOF",ledgerEntryType="SCHEME_FEE"\} 2$/), 'scheme fees added')
+    test.notOk(getMetricLine(metrics, /ledgerEntryType="PENALTY_FEE"/), 'zero amounts skipped')
+    test.end()
+  })
+
+  await rulesMetricsTest.test('startLookupTimer and startMessageTimer should time with the labels', async test => {
+    RulesMetrics.startLookupTimer('metricsLookup')()
+    RulesMetrics.startMessageTimer()({ success: true, eventType: 'metrics', eventAction: 'test' })
+    const metrics = await RulesMetrics.getMetricsForPrometheus()
+    test.ok(getMetricLine(metrics, /rules_ledger_lookup_count\{lookup="metricsLookup"\} 1$/), 'lookup timed')
+    test.ok(getMetricLine(metrics, /rules_handler_message_count\{success="true",eventType="metrics",eventAction="test"\} 1$/), 'message timed')
+    test.end()
+  })
+
+  await rulesMetricsTest.test('setup should pass the options to central-services-metrics', async test => {
+    const options = { timeout: 5000, prefix: 'moja_cs_', defaultLabels: { serviceName: 'central-settlement' } }
+    sandbox.stub(Metrics, 'setup').returns(true)
+    test.equal(RulesMetrics.setup(options), true, 'set up')
+    test.ok(Metrics.setup.withArgs(options).calledOnce, 'setup called with the options')
+    test.end()
+  })
+
+  rulesMetricsTest.end()
+})
@@ -33,7 +33,12 @@ const Sinon = require('sinon')
 const Test = require('tapes')(require('tape'))
 const Transaction = require('../../../src/domain/transactions/index')
 const Logger = require('@mojaloop/central-services-logger')
+const Config = require('../../../src/lib/config')
 const scriptEngine = require('../../../src/lib/scriptEngine')
+const ParticipantCurrencyModel = require('../../../src/models/settlement/participantCurrency')
+const SettlementModelModel = require('../../../src/models/settlement/settlementModel')
+const PricingRateModel = require('../../../src/models/rules/pricingRate')
+const RulesMetrics = require('../../../src/lib/rulesMetrics')
 const vm = require('vm')
 const fs = require('fs')
 const path = require('path')
@@ -101,6 +106,9 @@ Test('Script Engine Execute Test', async (scriptEngineTest) => {
   scriptEngineTest.beforeEach(test => {
     sandbox = Sinon.createSandbox()
     sandbox.stub(Logger)
+    sandbox.stub(ParticipantCurrencyModel, 'getByParticipantNames').resolves([])
+    sandbox.stub(SettlementModelModel, 'getByCurrency').resolves([])
+    sandbox.stub(PricingRateModel, 'getByCurrencies').resolves([])
     test.end()
   })
 
@@ -170,5 +178,246 @@ Test('Script Engine Execute Test', async (scriptEngineTest) => {
     }
   })
 
+  await scriptEngineTest.test('simulate should run the script against the given transfer and collect the logs', async (test) => {
+    const transferId = '07785623-1d17-4231-b7fe-48bacaa05d58'
+    const script = new vm.Script("log('fee for ' + transfer.payer.partyIdInfo.fspId); log({ amount: transfer.amount.amount }); addLedgerEntry(payload.id, 'INTERCHANGE_FEE', 'INTERCHANGE_FEE', multiply(transfer.amount.amount, 0.006, 2), transfer.amount.currency, 'a', 'b')")
+    const getByIdStub = sandbox.stub(Transaction, 'getById')
+    const result = await scriptEngine.simulate(script, { id: transferId }, transferObjectMock)
+    test.ok(getByIdStub.notCalled, 'should not load the transfer from the central ledger')
+    test.deepEqual(result.ledgerEntries, [{
+      transferId,
+      ledgerAccountTypeId: 'INTERCHANGE_FEE',
+      ledgerEntryTypeId: 'INTERCHANGE_FEE',
+      amount: '0.06',
+      currency: transferObjectMock.amount.currency,
+      payerFspId: 'a',
+      payeeFspId: 'b'
+    }], 'should return the ledger entries')
+    test.deepEqual(result.logs, [`fee for ${transferObjectMock.payer.partyIdInfo.fspId}`, `{"amount":"${transferObjectMock.amount.amount}"}`], 'should return the logged messages')
+    test.ok(typeof result.durationMs === 'number' && result.durationMs >= 0, 'should return the duration')
+    test.end()
+  })
+
+  await scriptEngineTest.test('simulate should load the transfer when none is given', async (test) => {
+    const transferId = '07785623-1d17-4231-b7fe-48bacaa05d58'
+    const script = new vm.Script('log(transfer.transactionId)')
+    sandbox.stub(Transaction, 'getById').resolves(entityMock)
+    sandbox.stub(Transaction, 'getTransactionObject').resolves(transferObjectMock)
+    const result = await scriptEngine.simulate(script, { id: transferId })
+    test.ok(Transaction.getById.withArgs(transferId).calledOnce, 'should find the transaction by transferId')
+    test.deepEqual(result.logs, [transferObjectMock.transactionId])
+    test.deepEqual(result.ledgerEntries, [])
+    test.end()
+  })
+
+  await scriptEngineTest.test('simulate should throw if the script fails', async (test) => {
+    const script = new vm.Script('throw new Error(\'boom\')')
+    try {
+      await scriptEngine.simulate(script, { id: '07785623-1d17-4231-b7fe-48bacaa05d58' }, transferObjectMock)
+      test.fail('Should have thrown an error!')
+    } catch (err) {
+      test.equal(err.message, 'boom')
+    }
+    test.end()
+  })
+
+  await scriptEngineTest.test('execute should pre-fetch the participants and settlement models for the helpers', async (test) => {
+    const transferId = '07785623-1d17-4231-b7fe-48bacaa05d58'
+    const script = new vm.Script([
+      'const payer = getParticipant(transfer.payer.partyIdInfo.fspId)',
+      'const model = getSettlementModel()',
+      "if (payer.currencies.includes(transfer.amount.currency) && model.settlementDelay === 'DEFERRED') {",
+      "  addLedgerEntry(payload.id, 'INTERCHANGE_FEE', 'INTERCHANGE_FEE', max(round(divide(transfer.amount.amount, 3, 4), 2, 'DOWN'), '1'), transfer.amount.currency, payer.name, getParticipant('unknownfsp') || 'none')",
+      '}'
+    ].join('\n'))
+    ParticipantCurrencyModel.getByParticipantNames.resolves([
+      { name: 'payerfsp', isActive: 1, currencyId: 'TZS', ledgerAccountType: 'POSITION', accountIsActive: 1 }
+    ])
+    SettlementModelModel.getByCurrency.resolves([
+      { name: 'DEFERREDNET', settlementDelay: 'DEFERRED', currencyId: null, ledgerAccountType: 'POSITION' }
+    ])
+    sandbox.stub(Transaction, 'getById').resolves(entityMock)
+    sandbox.stub(Transaction, 'getTransactionObject').resolves(transferObjectMock)
+    const result = await scriptEngine.execute(script, { id: transferId })
+    test.ok(ParticipantCurrencyModel.getByParticipantNames.withArgs(['payerfsp', 'testfsp1']).calledOnce, 'participants of the payer and payee loaded')
+    test.ok(SettlementModelModel.getByCurrency.withArgs('TZS').calledOnce, 'settlement models of the transfer currency loaded')
+    test.deepEqual(result.ledgerEntries, [{
+      transferId,
+      ledgerAccountTypeId: 'INTERCHANGE_FEE',
+      ledgerEntryTypeId: 'INTERCHANGE_FEE',
+      amount: '3.33',
+      currency: 'TZS',
+      payerFspId: 'payerfsp',
+      payeeFspId: 'none'
+    }], 'script used the helpers')
+    test.end()
+  })
+
+  await scriptEngineTest.test('execute should pre-fetch the pricing rates of the transfer currency for getRate', async (test) => {
+    const transferId = '07785623-1d17-4231-b7fe-48bacaa05d58'
+    sandbox.stub(Config.HANDLERS.SETTINGS.RULES.WORKERS, 'ENABLED').value(false)
+    const script = new vm.Script([
+      'const rate = getRate(transfer.payer.partyIdInfo.fspId, transfer.payee.partyIdInfo.fspId, transfer.amount.currency, transfer.transactionType.scenario)',
+      "addLedgerEntry(payload.id, 'INTERCHANGE_FEE', 'INTERCHANGE_FEE', multiply(transfer.amount.amount, rate, 2), transfer.amount.currency, 'a', 'b')"
+    ].join('\n'))
+    PricingRateModel.getByCurrencies.resolves([
+      { payerFspId: null, payeeFspId: null, currency: 'TZS', transactionScenario: null, rate: '0.006000000', effectiveDate: new Date('2020-01-01'), endDate: null },
+      { payerFspId: 'payerfsp', payeeFspId: 'testfsp1', currency: 'TZS', transactionScenario: null, rate: '0.004000000', effectiveDate: new Date('2020-01-01'), endDate: null }
+    ])
+    sandbox.stub(Transaction, 'getById').resolves(entityMock)
+    sandbox.stub(Transaction, 'getTransactionObject').resolves(transferObjectMock)
+    const result = await scriptEngine.execute(script, { id: transferId })
+    test.ok(PricingRateModel.getByCurrencies.withArgs(['TZS']).calledOnce, 'pricing rates of the transfer currency loaded')
+    test.equal(result.ledgerEntries[0].amount, '0.04', 'negotiated rate of the payer and payee used')
+    test.end()
+  })
+
+  await scriptEngineTest.test('execute should not allow scripts to change the pre-fetched data', async (test) => {
+    const script = new vm.Script("'use strict'; getParticipant('payerfsp').currencies.push('USD')")
+    ParticipantCurrencyModel.getByParticipantNames.resolves([
+      { name: 'payerfsp', isActive: 1, currencyId: 'TZS', ledgerAccountType: 'POSITION', accountIsActive: 1 }
+    ])
+    sandbox.stub(Transaction, 'getById').resolves(entityMock)
+    sandbox.stub(Transaction, 'getTransactionObject').resolves(transferObjectMock)
+    try {
+      await scriptEngine.execute(script, { id: '07785623-1d17-4231-b7fe-48bacaa05d58' })
+      test.fail('Should have thrown an error!')
+    } catch (err) {
+      test.ok(err.message.includes('object is not extensible'), 'participant data is read-only')
+    }
+    test.end()
+  })
+
+  await scriptEngineTest.test('simulate should run without the pre-fetched data when it can not be loaded', async (test) => {
+    const transferId = '07785623-1d17-4231-b7fe-48bacaa05d58'
+    const script = new vm.Script("log(String(getParticipant('payerfsp')))")
+    ParticipantCurrencyModel.getByParticipantNames.rejects(new Error('The database must be connected to get the database object'))
+    const result = await scriptEngine.simulate(script, { id: transferId }, transferObjectMock)
+    test.deepEqual(result.logs, [
+      'Participant, settlement model and pricing rate data not available: The database must be connected to get the database object',
+      'null'
+    ])
+    test.end()
+  })
+
+  await scriptEngineTest.test('execute should run the script in a worker thread when its source is given', async (test) => {
+    const source = "log('in worker'); addLedgerEntry(payload.id, 'INTERCHANGE_FEE', 'INTERCHANGE_FEE', multiply(transfer.amount.amount, 0.01, 2), transfer.amount.currency, getParticipant('payerfsp').name, 'payeefsp')"
+    const script = { runInNewContext: sandbox.stub() }
+    ParticipantCurrencyModel.getByParticipantNames.resolves([
+      { name: 'payerfsp', isActive: 1, currencyId: 'TZS', ledgerAccountType: 'POSITION', accountIsActive: 1 }
+    ])
+    sandbox.stub(Transaction, 'getById').resolves(entityMock)
+    sandbox.stub(Transaction, 'getTransactionObject').resolves(transferObjectMock)
+    const result = await scriptEngine.execute(script, { id: '07785623-1d17-4231-b7fe-48bacaa05d58' }, { filename: 'worker.js', source, version: 'worker-1', timeout: 200, memoryLimit: null })
+    test.ok(script.runInNewContext.notCalled, 'not run in the handler thread')
+    test.equal(result.ledgerEntries.length, 1, 'ledger entries returned')
+    test.equal(result.ledgerEntries[0].payerFspId, 'payerfsp', 'pre-fetched data passed to the worker')
+    test.ok(Logger.info.calledWith('in worker'), 'worker logs replayed')
+    test.end()
+  })
+
+  await scriptEngineTest.test('execute should record the run and the lookups in the rules metrics', async (test) => {
+    const histTimerEnd = sandbox.stub()
+    sandbox.stub(RulesMetrics, 'startLookupTimer').returns(histTimerEnd)
+    sandbox.stub(RulesMetrics, 'recordScriptRun')
+    sandbox.stub(Config.HANDLERS.SETTINGS.RULES.WORKERS, 'ENABLED').value(false)
+    sandbox.stub(Transaction, 'getById').resolves(entityMock)
+    sandbox.stub(Transaction, 'getTransactionObject').resolves(transferObjectMock)
+    const script = new vm.Script("addLedgerEntry(payload.id, 'INTERCHANGE_FEE', 'INTERCHANGE_FEE', '1', 'TZS', 'a', 'b')")
+    await scriptEngine.execute(script, { id: '07785623-1d17-4231-b7fe-48bacaa05d58' }, { filename: 'fee.js' })
+    test.deepEqual(RulesMetrics.startLookupTimer.args.map(args => args[0]), ['transfer', 'scriptData'], 'transfer and script data lookups timed')
+    test.equal(histTimerEnd.callCount, 2, 'lookup timers ended')
+    const [scriptName, { ledgerEntries, durationMs }] = RulesMetrics.recordScriptRun.firstCall.args
+    test.equal(scriptName, 'fee.js', 'run recorded for the script')
+    test.equal(ledgerEntries.length, 1, 'run recorded with the ledger entries')
+    test.equal(typeof durationMs, 'number', 'run recorded with the duration')
+    test.end()
+  })
+
+  await scriptEngineTest.test('execute should report a script stopped in its worker as a rule failure', async (test) => {
+    sandbox.spy(RulesMetrics, 'recordScriptFailure')
+    sandbox.stub(Transaction, 'getById').resolves(entityMock)
+    sandbox.stub(Transaction, 'getTransactionObject').resolves(transferObjectMock)
+    try {
+      await scriptEngine.execute(null, { id: '07785623-1d17-4231-b7fe-48bacaa05d58' }, { filename: 'loop.js', source: "log('looping'); while (true) {}", version: 'loop-1', timeout: 50 })
+      test.fail('Should have thrown an error!')
+    } catch (err) {
+      test.equal(err.message, 'Script execution timed out after 50ms', 'timeout of the script used')
+      test.ok(RulesMetrics.recordScriptFailure.calledOnce, 'failure recorded')
+      test.equal(RulesMetrics.recordScriptFailure.firstCall.args[1].code, RulesMetrics.SCRIPT_TIMEOUT_ERROR_CODE, 'failure recorded as a timeout')
+      test.ok(Logger.info.calledWith('looping'), 'logs of the failed script replayed')
+      test.ok(Logger.error.called, 'failure logged')
+    }
+    test.end()
+  })
+
+  await scriptEngineTest.test('simulate should run the script in the handler thread when workers are disabled', async (test) => {
+    sandbox.stub(Config.HANDLERS.SETTINGS.RULES.WORKERS, 'ENABLED').value(false)
+    const script = new vm.Script("log('inline')")
+    const result = await scriptEngine.simulate(script, { id: '07785623-1d17-4231-b7fe-48bacaa05d58' }, transferObjectMock, { filename: 'inline.js', source: "log('ignored')", version: 'inline-1' })
+    test.deepEqual(result.logs, ['inline'], 'compiled script run')
+    test.end()
+  })
+
+  await scriptEngineTest.test('simulate should collect the logs of a script run in a worker thread', async (test) => {
+    const result = await scriptEngine.simulate(null, { id: '07785623-1d17-4231-b7fe-48bacaa05d58' }, transferObjectMock, { filename: 'worker.js', source: "log('from worker')", version: 'worker-2' })
+    test.deepEqual(result.logs, ['from worker'], 'worker logs collected')
+    test.deepEqual(result.ledgerEntries, [], 'no ledger entries')
+    test.end()
+  })
+
+  const settlementWindowEvent = {
+    id: '5b7a5a56-2b6f-5b0e-8a4c-8d1d8a3e2f11',
+    content: {
+      payload: {
+        settlementWindow: {
+          settlementWindowId: 3,
+          state: 'CLOSED',
+          participants: [
+            { fspId: 'payerfsp', participantCurrencyId: 5, currency: 'TZS', ledgerAccountType: 'POSITION', netAmount: '100' },
+            { fspId: 'payeefsp', participantCurrencyId: 7, currency: 'TZS', ledgerAccountType: 'POSITION', netAmount: '-100' }
+          ]
+        }
+      }
+    },
+    metadata: { event: { type: 'settlementwindow', action: 'close', state: { status: 'success' } } }
+  }
+
+  await scriptEngineTest.test('execute should give settlement window events the settlement window instead of a transfer', async (test) => {
+    sandbox.stub(Config.HANDLERS.SETTINGS.RULES.WORKERS, 'ENABLED').value(false)
+    sandbox.stub(Transaction, 'getById')
+    ParticipantCurrencyModel.getByParticipantNames.resolves([
+      { name: 'payerfsp', isActive: 1, currencyId: 'TZS', ledgerAccountType: 'POSITION', accountIsActive: 1 }
+    ])
+    const script = new vm.Script([
+      'for (const participant of settlementWindow.participants) {',
+      '  if (getParticipant(participant.fspId)) {',
+      "    addLedgerEntry(payload.id, 'INTERCHANGE_FEE', 'INTERCHANGE_FEE', '5', participant.currency, participant.fspId, 'hub')",
+      '  }',
+      '}',
+      'log(String(transfer))'
+    ].join('\n'))
+    const result = await scriptEngine.execute(script, settlementWindowEvent)
+    test.ok(Transaction.getById.notCalled, 'no transfer loaded')
+    test.ok(ParticipantCurrencyModel.getByParticipantNames.withArgs(['payerfsp', 'payeefsp']).calledOnce, 'participants of the window loaded')
+    test.ok(PricingRateModel.getByCurrencies.withArgs(['TZS']).calledOnce, 'pricing rates of the currencies of the window loaded')
+    test.deepEqual(result.ledgerEntries.map(ledgerEntry => ledgerEntry.payerFspId), ['payerfsp'], 'script used the settlement window')
+    test.ok(Logger.info.calledWith('null'), 'transfer is null')
+    test.end()
+  })
+
+  await scriptEngineTest.test('simulate should give settlement events the settlement without a database', async (test) => {
+    ParticipantCurrencyModel.getByParticipantNames.rejects(new Error('The database must be connected to get the database object'))
+    const script = new vm.Script('log(settlement.state + \' \' + settlement.participants.length)')
+    const payload = {
+      id: '0f4f4cd3-1c53-5a41-9c31-7d1e0f3c6b20',
+      content: { payload: { settlement: { id: 9, state: 'SETTLED', participants: [{ fspId: 'payerfsp' }] } } },
+      metadata: { event: { type: 'settlement', action: 'settled', state: { status: 'success' } } }
+    }
+    const result = await scriptEngine.simulate(script, payload, transferObjectMock)
+    test.equal(result.logs[1], 'SETTLED 1', 'settlement given without the participant data')
+    test.end()
+  })
+
   await scriptEngineTest.end()
 })
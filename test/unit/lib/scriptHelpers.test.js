@@ -0,0 +1,160 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const ScriptHelpers = require('../../../src/lib/scriptHelpers')
+
+Test('ScriptHelpers', async (scriptHelpersTest) => {
+  await scriptHelpersTest.test('math helpers should use MLNumber and return strings', async test => {
+    test.equal(ScriptHelpers.add('0.1', '0.2'), '0.3', 'add')
+    test.equal(ScriptHelpers.subtract('1', '0.9'), '0.1', 'subtract')
+    test.equal(ScriptHelpers.divide('10', 3, 2), '3.33', 'divide')
+    test.equal(ScriptHelpers.min('2.5', 1, '3'), '1', 'min')
+    test.equal(ScriptHelpers.max('2.5', 1, '3'), '3', 'max')
+    test.equal(ScriptHelpers.round('2.345', 2), '2.35', 'round half up by default')
+    test.equal(ScriptHelpers.round('2.345', 2, 'DOWN'), '2.34', 'round down')
+    test.throws(() => ScriptHelpers.round('2.345', 2, 'SIDEWAYS'), /Invalid rounding mode SIDEWAYS/, 'invalid rounding mode')
+    test.end()
+  })
+
+  await scriptHelpersTest.test('date helpers should use the given time zone', async test => {
+    const date = '2022-10-02T22:30:00.000Z'
+    test.equal(ScriptHelpers.getTimeOfDay(date), '22:30', 'UTC time of day')
+    test.equal(ScriptHelpers.getTimeOfDay(date, 'Africa/Nairobi'), '01:30', 'local time of day')
+    test.equal(ScriptHelpers.getDayOfWeek(date), 0, 'UTC Sunday')
+    test.equal(ScriptHelpers.getDayOfWeek(date, 'Africa/Nairobi'), 1, 'local Monday')
+    test.ok(ScriptHelpers.isTimeBetween(date, '08:00', '23:00'), 'within the period')
+    test.notOk(ScriptHelpers.isTimeBetween(date, '08:00', '22:30'), 'end is exclusive')
+    test.ok(ScriptHelpers.isTimeBetween(date, '22:00', '06:00'), 'period over midnight')
+    test.ok(ScriptHelpers.isTimeBetween(date, '22:00', '06:00', 'Africa/Nairobi'), 'local period over midnight')
+    test.notOk(ScriptHelpers.isTimeBetween(date, '06:00', '22:00', 'Africa/Nairobi'), 'outside the local period')
+    test.end()
+  })
+
+  await scriptHelpersTest.test('createParticipantLookup should group the accounts by participant', async test => {
+    const getParticipant = ScriptHelpers.createParticipantLookup([
+      { name: 'payerfsp', isActive: 1, currencyId: 'USD', ledgerAccountType: 'POSITION', accountIsActive: 1 },
+      { name: 'payerfsp', isActive: 1, currencyId: 'USD', ledgerAccountType: 'SETTLEMENT', accountIsActive: 1 },
+      { name: 'payerfsp', isActive: 1, currencyId: 'TZS', ledgerAccountType: 'POSITION', accountIsActive: 0 },
+      { name: 'newfsp', isActive: 0, currencyId: null, ledgerAccountType: null, accountIsActive: null }
+    ])
+    const payer = getParticipant('payerfsp')
+    test.deepEqual(payer, {
+      name: 'payerfsp',
+      isActive: true,
+      currencies: ['USD'],
+      ledgerAccountTypes: ['POSITION', 'SETTLEMENT'],
+      accounts: [
+        { currency: 'USD', ledgerAccountType: 'POSITION', isActive: true },
+        { currency: 'USD', ledgerAccountType: 'SETTLEMENT', isActive: true },
+        { currency: 'TZS', ledgerAccountType: 'POSITION', isActive: false }
+      ]
+    }, 'active currencies and ledger account types listed')
+    test.ok(Object.isFrozen(payer) && Object.isFrozen(payer.accounts[0]), 'participant is read-only')
+    test.deepEqual(getParticipant('newfsp'), { name: 'newfsp', isActive: false, currencies: [], ledgerAccountTypes: [], accounts: [] }, 'participant without accounts')
+    test.equal(getParticipant('otherfsp'), null, 'unknown participant')
+    test.end()
+  })
+
+  await scriptHelpersTest.test('createSettlementModelLookup should prefer the model for the currency', async test => {
+    const defaultModel = { name: 'DEFERREDNET', currencyId: null, ledgerAccountType: 'POSITION' }
+    const currencyModel = { name: 'DEFERREDNETUSD', currencyId: 'USD', ledgerAccountType: 'POSITION' }
+    const feeModel = { name: 'INTERCHANGE_FEE', currencyId: null, ledgerAccountType: 'INTERCHANGE_FEE' }
+    const getSettlementModel = ScriptHelpers.createSettlementModelLookup([defaultModel, currencyModel, feeModel])
+    test.deepEqual(getSettlementModel(), currencyModel, 'POSITION model for the currency by default')
+    test.deepEqual(getSettlementModel('INTERCHANGE_FEE'), feeModel, 'default model for a ledger account type')
+    test.equal(getSettlementModel('SETTLEMENT'), null, 'no model')
+    test.deepEqual(ScriptHelpers.createSettlementModelLookup([currencyModel, defaultModel])(), currencyModel, 'order does not matter')
+    test.ok(Object.isFrozen(getSettlementModel()), 'model is read-only')
+    test.end()
+  })
+
+  await scriptHelpersTest.test('createRateLookup should pick the most specific rate in effect', async test => {
+    const getRate = ScriptHelpers.createRateLookup([
+      { payerFspId: null, payeeFspId: null, currency: 'USD', transactionScenario: null, rate: '0.006000000', effectiveDate: '2022-01-01T00:00:00.000Z', endDate: null },
+      { payerFspId: null, payeeFspId: null, currency: 'USD', transactionScenario: 'PAYMENT', rate: '0.005000000', effectiveDate: '2022-01-01T00:00:00.000Z', endDate: null },
+      { payerFspId: 'payerfsp', payeeFspId: 'payeefsp', currency: 'USD', transactionScenario: null, rate: '0.004000000', effectiveDate: '2022-01-01T00:00:00.000Z', endDate: null },
+      { payerFspId: 'payerfsp', payeeFspId: 'payeefsp', currency: 'USD', transactionScenario: null, rate: '0.003500000', effectiveDate: '2022-10-01T00:00:00.000Z', endDate: '2022-11-01T00:00:00.000Z' },
+      { payerFspId: 'payerfsp', payeeFspId: null, currency: 'TZS', transactionScenario: null, rate: '0.01', effectiveDate: '2022-01-01T00:00:00.000Z', endDate: null }
+    ], '2022-10-02T22:30:00.000Z')
+    test.equal(getRate('payerfsp', 'payeefsp', 'USD', 'TRANSFER'), '0.0035', 'latest negotiated rate at the event time')
+    test.equal(getRate('payerfsp', 'payeefsp', 'USD', 'TRANSFER', '2022-11-01T00:00:00.000Z'), '0.004', 'end date is exclusive')
+    test.equal(getRate('payerfsp', 'payeefsp', 'USD', 'TRANSFER', '2021-12-31T00:00:00.000Z'), null, 'no rate before the effective date')
+    test.equal(getRate('otherfsp', 'payeefsp', 'USD', 'PAYMENT'), '0.005', 'scheme rate of the scenario')
+    test.equal(getRate('otherfsp', 'payeefsp', 'USD'), '0.006', 'scheme rate')
+    test.equal(getRate('payerfsp', 'otherfsp', 'TZS'), '0.01', 'rate of the payer for any payee')
+    test.equal(getRate('payerfsp', 'payeefsp', 'KES'), null, 'no rate for the currency')
+    test.equal(ScriptHelpers.createRateLookup(undefined, '2022-10-02T22:30:00.000Z')('payerfsp', 'payeefsp', 'USD'), null, 'no rates loaded')
+    test.end()
+  })
+
+  await scriptHelpersTest.test('createHelpers should return the event time from now', async test => {
+    const helpers = ScriptHelpers.createHelpers({ metadata: { event: { createdAt: '2022-10-02T22:30:00.000Z' } } })
+    test.equal(helpers.now(), '2022-10-02T22:30:00.000Z', 'event time')
+    test.equal(helpers.getParticipant('payerfsp'), null, 'no participants without data')
+    test.equal(helpers.getSettlementModel(), null, 'no settlement models without data')
+    test.equal(helpers.getRate('payerfsp', 'payeefsp', 'USD'), null, 'no rates without data')
+    test.ok(!isNaN(Date.parse(ScriptHelpers.createHelpers({}).now())), 'current time without event time')
+    test.end()
+  })
+
+  await scriptHelpersTest.test('createSandbox should collect ledger entries and pass log messages to the logger', async test => {
+    const ledgerEntries = []
+    const logs = []
+    const transfer = { payer: { partyIdInfo: { extensionList: { extension: [{ key: 'accountType', value: 'Wallet' }] } } } }
+    const sandbox = ScriptHelpers.createSandbox({ id: 'transfer-1' }, transfer, ledgerEntries, message => logs.push(message))
+    sandbox.log('hello')
+    sandbox.addLedgerEntry(sandbox.payload.id, 'INTERCHANGE_FEE', 'INTERCHANGE_FEE', sandbox.multiply('10', '0.006', 2), 'USD', 'payerfsp', 'payeefsp')
+    test.deepEqual(logs, ['hello'], 'logger called')
+    test.deepEqual(ledgerEntries, [{
+      transferId: 'transfer-1',
+      ledgerAccountTypeId: 'INTERCHANGE_FEE',
+      ledgerEntryTypeId: 'INTERCHANGE_FEE',
+      amount: '0.06',
+      currency: 'USD',
+      payerFspId: 'payerfsp',
+      payeeFspId: 'payeefsp'
+    }], 'ledger entry collected')
+    test.equal(sandbox.getExtensionValue(sandbox.transfer.payer.partyIdInfo.extensionList.extension, 'accountType'), 'Wallet', 'extension value')
+    test.equal(typeof sandbox.getParticipant, 'function', 'helpers included')
+    test.equal(sandbox.settlementWindow, null, 'no settlement window for a transfer event')
+    test.equal(sandbox.settlement, null, 'no settlement for a transfer event')
+    test.end()
+  })
+
+  await scriptHelpersTest.test('createSandbox should add the settlement window or settlement of the event', async test => {
+    const settlementWindow = { settlementWindowId: 1, participants: [{ fspId: 'dfsp1', currency: 'USD', netAmount: '10' }] }
+    const settlement = { id: 2, state: 'SETTLED', participants: [] }
+    test.equal(ScriptHelpers.createSandbox({}, null, [], () => {}, { settlementWindow }).settlementWindow, settlementWindow, 'settlement window added')
+    const sandbox = ScriptHelpers.createSandbox({}, null, [], () => {}, { settlement })
+    test.equal(sandbox.settlement, settlement, 'settlement added')
+    test.equal(sandbox.transfer, null, 'no transfer')
+    test.end()
+  })
+
+  await scriptHelpersTest.end()
+})
@@ -0,0 +1,99 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const fs = require('fs')
+const ScriptWorker = require('../../../src/lib/scriptWorker')
+
+const feeScheduleFile = 'interchangeFeeSchedule.yaml'
+const feeScheduleSource = fs.readFileSync(`${process.cwd()}/test/unit/data/feeSchedules/${feeScheduleFile}`, 'utf8')
+
+const walletExtensions = { extension: [{ key: 'accountType', value: 'Wallet' }] }
+const transfer = {
+  amount: { amount: '100', currency: 'USD' },
+  payer: { partyIdInfo: { fspId: 'payerfsp', extensionList: walletExtensions } },
+  payee: { partyIdInfo: { fspId: 'payeefsp', extensionList: walletExtensions } },
+  transactionType: { scenario: 'TRANSFER', initiator: 'PAYER', initiatorType: 'CONSUMER' }
+}
+
+const createMessage = (source, filename = 'fee.js') => ({
+  script: { filename, source, version: `${filename}:${source}` },
+  payload: { id: 'transfer-1' },
+  transfer,
+  scriptData: {},
+  timeout: 100
+})
+
+Test('ScriptWorker', async (scriptWorkerTest) => {
+  await scriptWorkerTest.test('runScript should return the ledger entries, logs and duration of the script', async test => {
+    const result = ScriptWorker.runScript(createMessage(`
+      log('adding fee')
+      log({ amount: transfer.amount.amount })
+      addLedgerEntry(payload.id, 'INTERCHANGE_FEE', 'INTERCHANGE_FEE', multiply(transfer.amount.amount, 0.01, 2), transfer.amount.currency, 'payerfsp', 'payeefsp')
+    `))
+    test.deepEqual(result.result.ledgerEntries, [{
+      transferId: 'transfer-1',
+      ledgerAccountTypeId: 'INTERCHANGE_FEE',
+      ledgerEntryTypeId: 'INTERCHANGE_FEE',
+      amount: '1.00',
+      currency: 'USD',
+      payerFspId: 'payerfsp',
+      payeeFspId: 'payeefsp'
+    }], 'ledger entries')
+    test.deepEqual(result.result.logs, ['adding fee', '{"amount":"100"}'], 'logs as strings')
+    test.equal(typeof result.result.durationMs, 'number', 'duration')
+    test.end()
+  })
+
+  await scriptWorkerTest.test('runScript should run fee schedules', async test => {
+    const result = ScriptWorker.runScript(createMessage(feeScheduleSource, feeScheduleFile))
+    test.equal(result.result.ledgerEntries.length, 1, 'fee added')
+    test.equal(result.result.ledgerEntries[0].amount, '0.60', 'fee calculated')
+    test.end()
+  })
+
+  await scriptWorkerTest.test('runScript should return the error and the logs of a failing script', async test => {
+    const result = ScriptWorker.runScript(createMessage('log(\'before\'); throw new Error(\'Script failed\')', 'failing.js'))
+    test.deepEqual(result, { error: { message: 'Script failed', code: undefined, logs: ['before'] } })
+    test.end()
+  })
+
+  await scriptWorkerTest.test('runScript should stop a script after the timeout', async test => {
+    const result = ScriptWorker.runScript(createMessage('while (true) {}', 'loop.js'))
+    test.equal(result.error.message, 'Script execution timed out after 100ms')
+    test.equal(result.error.code, 'ERR_SCRIPT_EXECUTION_TIMEOUT', 'timeout code')
+    test.end()
+  })
+
+  await scriptWorkerTest.test('runScript should return a compilation error', async test => {
+    const result = ScriptWorker.runScript(createMessage('const = 1', 'broken.js'))
+    test.ok(result.error.message, 'error returned')
+    test.end()
+  })
+
+  await scriptWorkerTest.end()
+})
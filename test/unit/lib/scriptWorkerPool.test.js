@@ -0,0 +1,152 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const path = require('path')
+const ScriptWorkerPool = require('../../../src/lib/scriptWorkerPool')
+
+const workersDirectory = path.join(process.cwd(), 'test/unit/data/workers')
+
+const createMessage = (source, timeout = 100, filename = 'fee.js') => ({
+  script: { filename, source, version: `${filename}:${source}` },
+  payload: { id: 'transfer-1' },
+  transfer: { amount: { amount: '100', currency: 'USD' } },
+  scriptData: {},
+  timeout
+})
+
+const feeSource = `
+  log('adding fee')
+  addLedgerEntry(payload.id, 'INTERCHANGE_FEE', 'INTERCHANGE_FEE', multiply(transfer.amount.amount, 0.01, 2), transfer.amount.currency, 'payerfsp', 'payeefsp')
+`
+
+Test('ScriptWorkerPool', async (scriptWorkerPoolTest) => {
+  await scriptWorkerPoolTest.test('run should return the result of the script run in a worker', async test => {
+    const pool = ScriptWorkerPool.createWorkerPool({ size: 1 })
+    try {
+      const result = await pool.run(createMessage(feeSource), { timeout: 100, memoryLimitMb: 32 })
+      test.equal(result.ledgerEntries.length, 1, 'ledger entry returned')
+      test.equal(result.ledgerEntries[0].amount, '1.00', 'fee calculated in the worker')
+      test.deepEqual(result.logs, ['adding fee'], 'logs returned')
+      test.equal(typeof result.durationMs, 'number', 'duration returned')
+    } finally {
+      await pool.close()
+    }
+    test.end()
+  })
+
+  await scriptWorkerPoolTest.test('run should reject with the script error and keep the worker', async test => {
+    const pool = ScriptWorkerPool.createWorkerPool({ size: 1 })
+    try {
+      await pool.run(createMessage('log(\'before\'); throw new Error(\'Script failed\')'), { timeout: 100, memoryLimitMb: 32 })
+      test.fail('should throw')
+    } catch (err) {
+      test.equal(err.message, 'Script failed', 'script error')
+      test.deepEqual(err.logs, ['before'], 'logs attached to the error')
+    }
+    try {
+      await pool.run(createMessage('while (true) {}'), { timeout: 100, memoryLimitMb: 32 })
+      test.fail('should throw')
+    } catch (err) {
+      test.equal(err.message, 'Script execution timed out after 100ms', 'script timeout in the worker')
+      test.equal(err.code, 'ERR_SCRIPT_EXECUTION_TIMEOUT', 'timeout code passed on')
+    }
+    const result = await pool.run(createMessage(feeSource), { timeout: 100, memoryLimitMb: 32 })
+    test.equal(result.ledgerEntries.length, 1, 'worker still usable')
+    await pool.close()
+    test.end()
+  })
+
+  await scriptWorkerPoolTest.test('run should reject when a script exceeds the memory limit and replace the worker', async test => {
+    const pool = ScriptWorkerPool.createWorkerPool({ size: 1 })
+    try {
+      await pool.run(createMessage('const list = []; while (true) { list.push(new Array(100000).fill(1)) }', 5000, 'greedy.js'), { timeout: 5000, memoryLimitMb: 16 })
+      test.fail('should throw')
+    } catch (err) {
+      test.equal(err.message, 'Rule script greedy.js exceeded the memory limit of 16MB')
+    }
+    const result = await pool.run(createMessage(feeSource), { timeout: 100, memoryLimitMb: 16 })
+    test.equal(result.ledgerEntries.length, 1, 'new worker started')
+    await pool.close()
+    test.end()
+  })
+
+  await scriptWorkerPoolTest.test('run should stop a worker that does not answer in time', async test => {
+    const pool = ScriptWorkerPool.createWorkerPool({ size: 1, workerFile: path.join(workersDirectory, 'hangingWorker.js') })
+    try {
+      await pool.run(createMessage(feeSource, 10), { timeout: 10, memoryLimitMb: 32 })
+      test.fail('should throw')
+    } catch (err) {
+      test.equal(err.message, 'Rule script fee.js did not finish within 10ms and its worker was stopped')
+      test.equal(err.code, 'ERR_SCRIPT_EXECUTION_TIMEOUT', 'timeout code')
+    }
+    await pool.close()
+    test.end()
+  })
+
+  await scriptWorkerPoolTest.test('run should reject when the worker crashes', async test => {
+    const pool = ScriptWorkerPool.createWorkerPool({ size: 1, workerFile: path.join(workersDirectory, 'crashingWorker.js') })
+    try {
+      await pool.run(createMessage(feeSource), { timeout: 100, memoryLimitMb: 32 })
+      test.fail('should throw')
+    } catch (err) {
+      test.equal(err.message, 'Rule script fee.js stopped its worker with exit code 1: Worker crashed')
+    }
+    await pool.close()
+    test.end()
+  })
+
+  await scriptWorkerPoolTest.test('run should queue scripts while all workers are busy', async test => {
+    const pool = ScriptWorkerPool.createWorkerPool({ size: 1 })
+    const results = await Promise.all([
+      pool.run(createMessage(feeSource), { timeout: 100, memoryLimitMb: 32 }),
+      pool.run(createMessage(feeSource), { timeout: 100, memoryLimitMb: 32 }),
+      pool.run(createMessage(feeSource), { timeout: 100, memoryLimitMb: 48 })
+    ])
+    test.deepEqual(results.map(result => result.ledgerEntries.length), [1, 1, 1], 'all scripts run')
+    await pool.close()
+    test.end()
+  })
+
+  await scriptWorkerPoolTest.test('close should reject the queued and new runs', async test => {
+    const pool = ScriptWorkerPool.createWorkerPool({ size: 1 })
+    const running = pool.run(createMessage(feeSource), { timeout: 100, memoryLimitMb: 32 }).catch(err => err)
+    const queued = pool.run(createMessage(feeSource), { timeout: 100, memoryLimitMb: 32 }).catch(err => err)
+    await pool.close()
+    test.ok((await running) instanceof Error, 'running script rejected')
+    test.equal((await queued).message, 'Rule script worker pool is closed', 'queued script rejected')
+    try {
+      await pool.run(createMessage(feeSource), { timeout: 100, memoryLimitMb: 32 })
+      test.fail('should throw')
+    } catch (err) {
+      test.equal(err.message, 'Rule script worker pool is closed', 'new script rejected')
+    }
+    test.end()
+  })
+
+  await scriptWorkerPoolTest.end()
+})
@@ -26,8 +26,11 @@
 
 const Test = require('tapes')(require('tape'))
 const Sinon = require('sinon')
+const crypto = require('crypto')
+const fs = require('fs')
 const ScriptsLoader = require('../../../src/lib/scriptsLoader')
 const ScriptEngine = require('../../../src/lib/scriptEngine')
+const RuleEvents = require('../../../src/lib/ruleEvents')
 
 const scriptDirectory = '/test/unit/data'
 const scriptType = 'notification'
@@ -83,13 +86,25 @@ const expectedScriptsMap = {
           filename: 'dummyFeeCalculationTestScript.js',
           startTime: '2020-06-01T00:00:00.000Z',
           endTime: '2100-12-31T23:59:59.999Z',
-          script: {}
+          priority: 0,
+          exclusive: false,
+          timeout: null,
+          memoryLimit: null,
+          script: {},
+          version: 'a2476de214983b4a29a463a8387a9f6a1627e29be94733ef775c203e86c6f56e',
+          source: fs.readFileSync(`${process.cwd()}${scriptDirectory}/dummyFeeCalculationTestScript.js`, 'utf8')
         },
         {
           filename: 'interchangeCalculationTestScript.js',
           startTime: '2020-06-01T00:00:00.000Z',
           endTime: '2020-12-31T23:59:59.999Z',
-          script: {}
+          priority: 0,
+          exclusive: false,
+          timeout: null,
+          memoryLimit: null,
+          script: {},
+          version: '46da39dce992c4f30807a83d72fae2e9a443a619db3f38b7403e458a92163864',
+          source: fs.readFileSync(`${process.cwd()}${scriptDirectory}/interchangeCalculationTestScript.js`, 'utf8')
         }
       ]
     }
@@ -226,13 +241,15 @@ Test('ScriptsLoader', async (scriptsLoaderTest) => {
                 filename: 'dummyFeeCalculation.js',
                 startTime: new Date('2020-06-01T00:00:00.000Z'),
                 endTime: new Date('2100-12-31T23:59:59.999Z'),
-                script: {}
+                script: {},
+                version: 'v1'
               },
               {
                 filename: 'interchangeFeeCalculation1.js',
                 startTime: new Date('2020-06-01T00:00:00.000Z'),
                 endTime: new Date('2100-12-31T23:59:59.999Z'),
-                script: {}
+                script: {},
+                version: 'v2'
               }
             ]
           }
@@ -241,7 +258,14 @@ Test('ScriptsLoader', async (scriptsLoaderTest) => {
       const executeStub = sandbox.stub(ScriptEngine, 'execute')
       executeStub.resolves(ledgerEntriesStub)
       const result = await ScriptsLoader.executeScripts(scripts, scriptType, scriptAction, scriptStatus, message)
-      test.deepEqual(result, expectedScriptResults)
+      test.deepEqual(result, {
+        ...expectedScriptResults,
+        executions: [
+          { scriptName: 'dummyFeeCalculation.js', scriptVersion: 'v1', ledgerEntries: ledgerEntriesStub.ledgerEntries },
+          { scriptName: 'interchangeFeeCalculation1.js', scriptVersion: 'v2', ledgerEntries: ledgerEntriesStub.ledgerEntries }
+        ],
+        skipped: []
+      })
       test.end()
     })
     executeScriptsTest.test('return an empty object when the ScriptEngine returns no ledger entries  ', async (test) => {
@@ -262,7 +286,7 @@ Test('ScriptsLoader', async (scriptsLoaderTest) => {
       const executeStub = sandbox.stub(ScriptEngine, 'execute')
       executeStub.resolves({})
       const result = await ScriptsLoader.executeScripts(scripts, scriptType, scriptAction, scriptStatus, message)
-      test.deepEqual(result, {})
+      test.deepEqual(result, { executions: [{ scriptName: 'interchangeFeeCalculation1.js', scriptVersion: undefined, ledgerEntries: [] }], skipped: [] }, 'execution without ledger entries recorded')
       test.end()
     })
     executeScriptsTest.test('throw an error when a script execution fails', async (test) => {
@@ -287,13 +311,15 @@ Test('ScriptsLoader', async (scriptsLoaderTest) => {
         }
       }
       const executeStub = sandbox.stub(ScriptEngine, 'execute')
-      executeStub.throws()
+      executeStub.throws(new Error('Script execution timed out after 100ms'))
       try {
         await ScriptsLoader.executeScripts(scripts, scriptType, scriptAction, scriptStatus, message)
         test.fail('Should have thrown an error!')
         test.end()
       } catch (err) {
         test.equal(err.message, 'Script execution was unsuccessful', 'should throw an error message when a script fails')
+        test.deepEqual(err.extensions, [{ key: 'scriptName', value: 'dummyFeeCalculation.js' }], 'failed script named')
+        test.equal(err.cause.message, 'Script execution timed out after 100ms', 'script error as cause')
         test.end()
       }
     })
@@ -314,7 +340,7 @@ Test('ScriptsLoader', async (scriptsLoaderTest) => {
         }
       }
       const result = await ScriptsLoader.executeScripts(scripts, scriptType, scriptAction, scriptStatus, message)
-      test.deepEqual(result, {})
+      test.deepEqual(result, { executions: [], skipped: [{ scriptName: 'interchangeFeeCalculation.js', scriptVersion: undefined, reason: ScriptsLoader.SKIP_REASON.NOT_IN_EFFECT }] })
       test.end()
     })
 
@@ -334,7 +360,7 @@ Test('ScriptsLoader', async (scriptsLoaderTest) => {
         }
       }
       const result = await ScriptsLoader.executeScripts(scripts, scriptType, scriptAction, scriptStatus, message)
-      test.deepEqual(result, {})
+      test.deepEqual(result, { executions: [], skipped: [{ scriptName: 'interchangeFeeCalculation.js', scriptVersion: undefined, reason: ScriptsLoader.SKIP_REASON.NOT_IN_EFFECT }] })
       test.end()
     })
 
@@ -354,10 +380,415 @@ Test('ScriptsLoader', async (scriptsLoaderTest) => {
         }
       }
       const result = await ScriptsLoader.executeScripts(scripts, scriptType, scriptAction, scriptStatus, message)
-      test.deepEqual(result, {})
+      test.deepEqual(result, { executions: [], skipped: [] })
       test.end()
     })
     executeScriptsTest.end()
   })
+
+  scriptsLoaderTest.test('reloadScripts should', reloadScriptsTest => {
+    reloadScriptsTest.test('load scripts that are in the scriptDirectory and return the contents', async (test) => {
+      const result = ScriptsLoader.reloadScripts(scriptDirectory)
+      test.equal(JSON.stringify(result), JSON.stringify(expectedScriptsMap))
+      test.end()
+    })
+
+    reloadScriptsTest.test('throw if the directory does not exist', async (test) => {
+      try {
+        ScriptsLoader.reloadScripts('test/unit/missing_folder')
+        test.fail('should throw')
+        test.end()
+      } catch (error) {
+        test.ok(error instanceof Error)
+        test.equal(error.code, 'ENOENT')
+        test.end()
+      }
+    })
+
+    reloadScriptsTest.test('throw if a script is invalid', async (test) => {
+      try {
+        ScriptsLoader.reloadScripts(`${scriptDirectory}/invalidFile`)
+        test.fail('should throw')
+        test.end()
+      } catch (error) {
+        test.equal(error.message, 'Rules file: dummyFeeCalculationTestScriptInvalidFile.js: is not a valid JavaScript file')
+        test.end()
+      }
+    })
+
+    reloadScriptsTest.end()
+  })
+
+  scriptsLoaderTest.test('database scripts should', databaseScriptsTest => {
+    const scriptSource = fs.readFileSync(`${process.cwd()}${scriptDirectory}/dummyFeeCalculationTestScript.js`, 'utf8')
+
+    databaseScriptsTest.test('be loaded when active', async (test) => {
+      const result = ScriptsLoader.loadScripts(scriptDirectory, [{ name: 'uploadedFee.js', source: scriptSource, isActive: 1 }])
+      test.deepEqual(ScriptsLoader.listScripts(result).map(script => script.filename), ['dummyFeeCalculationTestScript.js', 'interchangeCalculationTestScript.js', 'uploadedFee.js'])
+      test.end()
+    })
+
+    databaseScriptsTest.test('replace the script file with the same name', async (test) => {
+      const result = ScriptsLoader.reloadScripts(scriptDirectory, [{ name: 'interchangeCalculationTestScript.js', source: scriptSource, isActive: 1 }])
+      const scripts = result[scriptType][scriptAction][scriptStatus]
+      test.deepEqual(scripts.map(script => script.filename), ['dummyFeeCalculationTestScript.js', 'interchangeCalculationTestScript.js'])
+      test.end()
+    })
+
+    databaseScriptsTest.test('disable the script file with the same name when inactive', async (test) => {
+      const result = ScriptsLoader.loadScripts(scriptDirectory, [{ name: 'interchangeCalculationTestScript.js', source: scriptSource, isActive: 0 }])
+      test.deepEqual(ScriptsLoader.listScripts(result).map(script => script.filename), ['dummyFeeCalculationTestScript.js'])
+      test.end()
+    })
+
+    databaseScriptsTest.test('be loaded when the directory does not exist', async (test) => {
+      const result = ScriptsLoader.loadScripts('test/unit/missing_folder', [{ name: 'uploadedFee.js', source: scriptSource, isActive: true }])
+      test.deepEqual(ScriptsLoader.listScripts(result).map(script => script.filename), ['uploadedFee.js'])
+      test.end()
+    })
+
+    databaseScriptsTest.end()
+  })
+
+  scriptsLoaderTest.test('readScripts should', readScriptsTest => {
+    readScriptsTest.test('return the name and source of the script files', async (test) => {
+      const result = ScriptsLoader.readScripts(`${scriptDirectory}/invalidType`)
+      test.equal(result.length, 1)
+      test.equal(result[0].name, 'dummyFeeCalculationTestScriptInvalidType.js')
+      test.ok(result[0].source.includes('// Type: invalidType'), 'source is not validated')
+      test.end()
+    })
+
+    readScriptsTest.test('return an empty list if the directory does not exist', async (test) => {
+      test.deepEqual(ScriptsLoader.readScripts('test/unit/missing_folder'), [])
+      test.end()
+    })
+
+    readScriptsTest.end()
+  })
+
+  scriptsLoaderTest.test('validateScript should', validateScriptTest => {
+    validateScriptTest.test('return the headers of a valid script', async (test) => {
+      const scriptSource = fs.readFileSync(`${process.cwd()}${scriptDirectory}/dummyFeeCalculationTestScript.js`, 'utf8')
+      const result = ScriptsLoader.validateScript('uploadedFee.js', scriptSource)
+      test.deepEqual(result, {
+        filename: 'uploadedFee.js',
+        type: scriptType,
+        action: scriptAction,
+        status: scriptStatus,
+        startTime: new Date('2020-06-01T00:00:00.000Z'),
+        endTime: new Date('2100-12-31T23:59:59.999Z'),
+        priority: 0,
+        exclusive: false,
+        timeout: null,
+        memoryLimit: null,
+        version: 'a2476de214983b4a29a463a8387a9f6a1627e29be94733ef775c203e86c6f56e'
+      })
+      test.end()
+    })
+
+    validateScriptTest.test('compile the script with compileScript', async (test) => {
+      const scriptSource = fs.readFileSync(`${process.cwd()}${scriptDirectory}/dummyFeeCalculationTestScript.js`, 'utf8')
+      const result = ScriptsLoader.compileScript('uploadedFee.js', scriptSource)
+      test.equal(result.filename, 'uploadedFee.js')
+      test.equal(result.type, scriptType)
+      test.equal(typeof result.script.runInNewContext, 'function', 'compiled script returned')
+      test.end()
+    })
+
+    validateScriptTest.test('accept the settled action of settlement rule events', async (test) => {
+      const scriptSource = fs.readFileSync(`${process.cwd()}${scriptDirectory}/dummyFeeCalculationTestScript.js`, 'utf8')
+        .replace(/Type: notification/, 'Type: settlement')
+        .replace(/Action: commit/, 'Action: settled')
+      const result = ScriptsLoader.validateScript('settlementFee.js', scriptSource)
+      test.equal(result.type, 'settlement')
+      test.equal(result.action, 'settled')
+      test.end()
+    })
+
+    validateScriptTest.test('throw if the script has no headers', async (test) => {
+      try {
+        ScriptsLoader.validateScript('noHeaders.js', 'const a = 1')
+        test.fail('should throw')
+      } catch (error) {
+        test.equal(error.message, 'Rules file: noHeaders.js: has invalid or missing header \'Type\'')
+      }
+      test.end()
+    })
+
+    validateScriptTest.test('throw if the script does not compile', async (test) => {
+      const scriptSource = fs.readFileSync(`${process.cwd()}${scriptDirectory}/invalidFile/dummyFeeCalculationTestScriptInvalidFile.js`, 'utf8')
+      try {
+        ScriptsLoader.validateScript('broken.js', scriptSource)
+        test.fail('should throw')
+      } catch (error) {
+        test.equal(error.message, 'Rules file: broken.js: is not a valid JavaScript file')
+      }
+      test.end()
+    })
+
+    validateScriptTest.end()
+  })
+
+  scriptsLoaderTest.test('fee schedules should', feeSchedulesTest => {
+    const feeScheduleDirectory = `${scriptDirectory}/feeSchedules`
+    const interchangeSource = fs.readFileSync(`${process.cwd()}${feeScheduleDirectory}/interchangeFeeSchedule.yaml`, 'utf8')
+
+    feeSchedulesTest.test('be loaded next to the scripts, ignoring files without a type', async (test) => {
+      const result = ScriptsLoader.listScripts(ScriptsLoader.loadScripts(feeScheduleDirectory))
+      test.deepEqual(result.map(script => script.filename), ['interchangeFeeSchedule.yaml', 'tieredFeeSchedule.json'])
+      test.deepEqual(result[0], {
+        filename: 'interchangeFeeSchedule.yaml',
+        type: scriptType,
+        action: scriptAction,
+        status: scriptStatus,
+        startTime: new Date('2020-06-01T00:00:00.000Z'),
+        endTime: new Date('2100-12-31T23:59:59.999Z'),
+        priority: 0,
+        exclusive: false,
+        timeout: null,
+        memoryLimit: null,
+        version: crypto.createHash('sha256').update(interchangeSource).digest('hex')
+      })
+      test.end()
+    })
+
+    feeSchedulesTest.test('be loaded from the database', async (test) => {
+      const result = ScriptsLoader.listScripts(ScriptsLoader.loadScripts('test/unit/missing_folder', [{ name: 'uploadedFee.yml', source: interchangeSource, isActive: 1 }]))
+      test.deepEqual(result.map(script => script.filename), ['uploadedFee.yml'])
+      test.end()
+    })
+
+    feeSchedulesTest.test('be executed like scripts', async (test) => {
+      const ledgerEntries = [{ transferId: 'abc', ledgerAccountTypeId: 'INTERCHANGE_FEE' }]
+      sandbox.stub(ScriptEngine, 'execute').resolves({ ledgerEntries })
+      const scriptsMap = ScriptsLoader.loadScripts(feeScheduleDirectory)
+      const result = await ScriptsLoader.executeScripts(scriptsMap, scriptType, scriptAction, scriptStatus, { id: 'abc' })
+      test.equal(ScriptEngine.execute.callCount, 2, 'both schedules executed')
+      test.equal(typeof ScriptEngine.execute.firstCall.args[0].runInNewContext, 'function', 'compiled schedule passed to the script engine')
+      test.deepEqual(result.executions.map(execution => execution.scriptName), ['interchangeFeeSchedule.yaml', 'tieredFeeSchedule.json'])
+      test.end()
+    })
+
+    feeSchedulesTest.test('fail to load if invalid', async (test) => {
+      try {
+        ScriptsLoader.reloadScripts(`${scriptDirectory}/invalidFeeSchedule`)
+        test.fail('should throw')
+      } catch (error) {
+        test.equal(error.message, 'Rules file: invalidFeeSchedule.yml: has invalid or missing \'rate\'')
+      }
+      test.end()
+    })
+
+    feeSchedulesTest.test('fail to validate with invalid headers', async (test) => {
+      try {
+        ScriptsLoader.validateScript('fee.yaml', interchangeSource.replace('action: commit', 'action: settle'))
+        test.fail('should throw')
+      } catch (error) {
+        test.equal(error.message, 'Rules file: fee.yaml: has invalid or missing header \'Action\'')
+      }
+      try {
+        ScriptsLoader.validateScript('fee.yaml', interchangeSource.replace(/^end: .*$/m, ''))
+        test.fail('should throw')
+      } catch (error) {
+        test.equal(error.message, 'Rules file: fee.yaml: has invalid or missing header \'End\'')
+      }
+      test.end()
+    })
+
+    feeSchedulesTest.test('fail to validate for an event without a transfer', async (test) => {
+      for (const { type, action } of Object.values(RuleEvents.RULE_EVENT)) {
+        try {
+          ScriptsLoader.validateScript('fee.yaml', interchangeSource.replace('type: notification', `type: ${type}`).replace('action: commit', `action: ${action}`))
+          test.fail('should throw')
+        } catch (error) {
+          test.equal(error.message, `Rules file: fee.yaml: is a fee schedule for the ${type} ${action} event, fee schedules only run for transfer events`)
+        }
+      }
+      test.end()
+    })
+
+    feeSchedulesTest.test('fail to validate if they can not be parsed or have no type', async (test) => {
+      try {
+        ScriptsLoader.validateScript('fee.json', '{')
+        test.fail('should throw')
+      } catch (error) {
+        test.ok(error.message.startsWith('Rules file: fee.json: is not a valid fee schedule'))
+      }
+      try {
+        ScriptsLoader.validateScript('fee.json', '[]')
+        test.fail('should throw')
+      } catch (error) {
+        test.equal(error.message, 'Rules file: fee.json: has invalid or missing header \'Type\'')
+      }
+      test.end()
+    })
+
+    feeSchedulesTest.end()
+  })
+
+  scriptsLoaderTest.test('priorities should', prioritiesTest => {
+    const scriptAt = (filename, priority, exclusive, startTime = new Date('2020-06-01T00:00:00.000Z')) => {
+      return { filename, startTime, endTime: new Date('2100-12-31T23:59:59.999Z'), priority, exclusive, script: { filename }, version: `${filename}-v1` }
+    }
+
+    prioritiesTest.test('order the scripts by priority and then by name', async (test) => {
+      const result = ScriptsLoader.listScripts(ScriptsLoader.loadScripts(`${scriptDirectory}/priorities`))
+      test.deepEqual(result.map(({ filename, priority, exclusive }) => ({ filename, priority, exclusive })), [
+        { filename: 'promotion.js', priority: 10, exclusive: true },
+        { filename: 'surcharge.yaml', priority: 5, exclusive: false },
+        { filename: 'adminFee.js', priority: 0, exclusive: false },
+        { filename: 'standardFee.js', priority: 0, exclusive: false }
+      ])
+      test.end()
+    })
+
+    prioritiesTest.test('skip the scripts after an exclusive script that ran', async (test) => {
+      const scripts = { notification: { commit: { success: [scriptAt('promotion.js', 10, true), scriptAt('standardFee.js', 0, false)] } } }
+      sandbox.stub(ScriptEngine, 'execute').resolves({ ledgerEntries: [] })
+      const result = await ScriptsLoader.executeScripts(scripts, scriptType, scriptAction, scriptStatus, message)
+      test.ok(ScriptEngine.execute.calledOnce, 'only the exclusive script executed')
+      test.deepEqual(result.executions, [{ scriptName: 'promotion.js', scriptVersion: 'promotion.js-v1', ledgerEntries: [] }])
+      test.deepEqual(result.skipped, [{ scriptName: 'standardFee.js', scriptVersion: 'standardFee.js-v1', reason: ScriptsLoader.SKIP_REASON.EXCLUDED, excludedBy: 'promotion.js' }])
+      test.end()
+    })
+
+    prioritiesTest.test('not skip any script for an exclusive script that is not in effect', async (test) => {
+      const scripts = { notification: { commit: { success: [scriptAt('promotion.js', 10, true, new Date('2100-06-01T00:00:00.000Z')), scriptAt('standardFee.js', 0, false)] } } }
+      sandbox.stub(ScriptEngine, 'execute').resolves(ledgerEntriesStub)
+      const result = await ScriptsLoader.executeScripts(scripts, scriptType, scriptAction, scriptStatus, message)
+      test.deepEqual(result.executions, [{ scriptName: 'standardFee.js', scriptVersion: 'standardFee.js-v1', ledgerEntries: ledgerEntriesStub.ledgerEntries }])
+      test.deepEqual(result.skipped, [{ scriptName: 'promotion.js', scriptVersion: 'promotion.js-v1', reason: ScriptsLoader.SKIP_REASON.NOT_IN_EFFECT }])
+      test.end()
+    })
+
+    prioritiesTest.test('reject invalid Priority and Exclusive headers', async (test) => {
+      const scriptSource = fs.readFileSync(`${process.cwd()}${scriptDirectory}/priorities/promotion.js`, 'utf8')
+      try {
+        ScriptsLoader.validateScript('promotion.js', scriptSource.replace('// Priority: 10', '// Priority: high'))
+        test.fail('should throw')
+      } catch (error) {
+        test.equal(error.message, 'Rules file: promotion.js: has invalid header \'Priority\'')
+      }
+      try {
+        ScriptsLoader.validateScript('promotion.js', scriptSource.replace('// Exclusive: true', '// Exclusive: yes'))
+        test.fail('should throw')
+      } catch (error) {
+        test.equal(error.message, 'Rules file: promotion.js: has invalid header \'Exclusive\'')
+      }
+      test.end()
+    })
+
+    prioritiesTest.test('ignore Priority and Exclusive lines after the header block', async (test) => {
+      const scriptSource = fs.readFileSync(`${process.cwd()}${scriptDirectory}/priorities/adminFee.js`, 'utf8')
+      const result = ScriptsLoader.validateScript('adminFee.js', `${scriptSource}\n// Priority: 10\n// Exclusive: true\n`)
+      test.equal(result.priority, 0)
+      test.equal(result.exclusive, false)
+      test.end()
+    })
+
+    prioritiesTest.end()
+  })
+
+  scriptsLoaderTest.test('resource limits should', limitsTest => {
+    const scriptSource = fs.readFileSync(`${process.cwd()}${scriptDirectory}/priorities/adminFee.js`, 'utf8')
+    const limitedSource = scriptSource.replace('// End: 2100-12-31T23:59:59.999Z', '// End: 2100-12-31T23:59:59.999Z\n// Timeout: 250\n// MemoryLimit: 32')
+
+    limitsTest.test('be read from the Timeout and MemoryLimit headers', async (test) => {
+      const result = ScriptsLoader.validateScript('adminFee.js', limitedSource)
+      test.equal(result.timeout, 250)
+      test.equal(result.memoryLimit, 32)
+      test.end()
+    })
+
+    limitsTest.test('be read from the timeout and memoryLimit fields of a fee schedule', async (test) => {
+      const feeScheduleSource = fs.readFileSync(`${process.cwd()}${scriptDirectory}/feeSchedules/tieredFeeSchedule.json`, 'utf8')
+      const result = ScriptsLoader.validateScript('tiered.json', JSON.stringify({ ...JSON.parse(feeScheduleSource), timeout: 250, memoryLimit: 32 }))
+      test.equal(result.timeout, 250)
+      test.equal(result.memoryLimit, 32)
+      test.end()
+    })
+
+    limitsTest.test('reject invalid Timeout and MemoryLimit headers', async (test) => {
+      try {
+        ScriptsLoader.validateScript('adminFee.js', limitedSource.replace('// Timeout: 250', '// Timeout: 0'))
+        test.fail('should throw')
+      } catch (error) {
+        test.equal(error.message, 'Rules file: adminFee.js: has invalid header \'Timeout\'')
+      }
+      try {
+        ScriptsLoader.validateScript('adminFee.js', limitedSource.replace('// MemoryLimit: 32', '// MemoryLimit: 32MB'))
+        test.fail('should throw')
+      } catch (error) {
+        test.equal(error.message, 'Rules file: adminFee.js: has invalid header \'MemoryLimit\'')
+      }
+      test.end()
+    })
+
+    limitsTest.test('be passed to the script engine with the script source', async (test) => {
+      const scripts = ScriptsLoader.loadScripts(`${scriptDirectory}/priorities`)
+      scripts.notification.commit.success = scripts.notification.commit.success.filter(script => script.filename === 'adminFee.js')
+      scripts.notification.commit.success[0].timeout = 250
+      sandbox.stub(ScriptEngine, 'execute').resolves({ ledgerEntries: [] })
+      await ScriptsLoader.executeScripts(scripts, scriptType, scriptAction, scriptStatus, message)
+      const [script, payload, scriptInfo] = ScriptEngine.execute.lastCall.args
+      test.equal(typeof script.runInNewContext, 'function', 'compiled script passed')
+      test.equal(payload, message, 'payload passed')
+      test.deepEqual(scriptInfo, { filename: 'adminFee.js', source: scriptSource, version: scripts.notification.commit.success[0].version, timeout: 250, memoryLimit: null })
+      test.end()
+    })
+
+    limitsTest.end()
+  })
+
+  scriptsLoaderTest.test('watchScripts should', watchScriptsTest => {
+    watchScriptsTest.test('call onChange once after a burst of changes', async (test) => {
+      const clock = sandbox.useFakeTimers()
+      const watcher = { on: sandbox.stub() }
+      sandbox.stub(fs, 'watch').returns(watcher)
+      const onChange = sandbox.stub()
+      const result = ScriptsLoader.watchScripts(scriptDirectory, onChange, 1000)
+      const listener = fs.watch.lastCall.args[1]
+      listener('change', 'dummyFeeCalculationTestScript.js')
+      clock.tick(500)
+      listener('change', 'interchangeCalculationTestScript.js')
+      clock.tick(999)
+      test.ok(onChange.notCalled, 'onChange not called before the delay elapsed')
+      clock.tick(1)
+      test.ok(onChange.calledOnce, 'onChange called once')
+      test.equal(result, watcher, 'watcher returned')
+      test.ok(watcher.on.withArgs('error').calledOnce, 'error listener registered')
+      watcher.on.lastCall.args[1](new Error('watch failed'))
+      test.end()
+    })
+
+    watchScriptsTest.end()
+  })
+
+  scriptsLoaderTest.test('listScripts should', listScriptsTest => {
+    listScriptsTest.test('flatten the scripts map', async (test) => {
+      const result = ScriptsLoader.listScripts(ScriptsLoader.loadScripts(scriptDirectory))
+      test.deepEqual(result.map(script => script.filename), ['dummyFeeCalculationTestScript.js', 'interchangeCalculationTestScript.js'])
+      test.equal(result[0].type, scriptType)
+      test.equal(result[0].action, scriptAction)
+      test.equal(result[0].status, scriptStatus)
+      test.deepEqual(result[0].startTime, new Date('2020-06-01T00:00:00.000Z'))
+      test.notOk('source' in result[0], 'source not listed')
+      test.end()
+    })
+
+    listScriptsTest.test('add the source of every script when asked', async (test) => {
+      const result = ScriptsLoader.listScripts(ScriptsLoader.loadScripts(scriptDirectory), true)
+      test.equal(result[0].source, fs.readFileSync(`${process.cwd()}${scriptDirectory}/dummyFeeCalculationTestScript.js`, 'utf8'))
+      test.end()
+    })
+
+    listScriptsTest.test('return an empty list for an empty scripts map', async (test) => {
+      test.deepEqual(ScriptsLoader.listScripts({}), [])
+      test.end()
+    })
+
+    listScriptsTest.end()
+  })
   scriptsLoaderTest.end()
 })
@@ -0,0 +1,101 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Db = require('../../../../src/lib/db')
+const Model = require('../../../../src/models/misc/jobLock')
+
+Test('JobLock model', async (jobLockTest) => {
+  let sandbox
+  let clock
+  let knexStub
+  let insertStub
+  let updateStub
+  let andWhereStub
+  const now = new Date('2022-10-03T00:00:00.000Z')
+
+  jobLockTest.beforeEach(t => {
+    sandbox = Sinon.createSandbox()
+    clock = Sinon.useFakeTimers(now.getTime())
+    insertStub = sandbox.stub().returns({ onConflict: sandbox.stub().returns({ ignore: sandbox.stub().resolves() }) })
+    updateStub = sandbox.stub()
+    andWhereStub = sandbox.stub().returns({ update: updateStub })
+    knexStub = sandbox.stub().returns({
+      insert: insertStub,
+      where: sandbox.stub().returns({ andWhere: andWhereStub })
+    })
+    sandbox.stub(Db, 'getKnex').returns(knexStub)
+    t.end()
+  })
+
+  jobLockTest.afterEach(t => {
+    sandbox.restore()
+    clock.restore()
+    t.end()
+  })
+
+  jobLockTest.test('acquire should', async acquireTest => {
+    acquireTest.test('take an expired lock', async test => {
+      updateStub.resolves(1)
+
+      const result = await Model.acquire('job', 'host:1', 60)
+
+      test.equal(result, true, 'lock taken')
+      test.ok(knexStub.alwaysCalledWith('settlementJobLock'), 'settlementJobLock table used')
+      test.ok(insertStub.calledWith({ lockName: 'job', lockedBy: null, lockedUntil: now }), 'lock row created if missing')
+      test.ok(andWhereStub.calledWith('lockedUntil', '<=', now), 'only an expired lock taken')
+      test.ok(updateStub.calledWith({ lockedBy: 'host:1', lockedUntil: new Date('2022-10-03T00:01:00.000Z') }), 'lock held for lockSeconds')
+      test.end()
+    })
+
+    acquireTest.test('not take a lock held by another replica', async test => {
+      updateStub.resolves(0)
+
+      const result = await Model.acquire('job', 'host:1', 60)
+
+      test.equal(result, false, 'lock not taken')
+      test.end()
+    })
+
+    acquireTest.test('throw if an error occurs', async test => {
+      updateStub.rejects(new Error('Error running query'))
+
+      try {
+        await Model.acquire('job', 'host:1', 60)
+        test.fail('Error should have thrown')
+      } catch (err) {
+        test.equal(err.message, 'Error running query', 'Error messages should match.')
+      }
+      test.end()
+    })
+
+    acquireTest.end()
+  })
+
+  jobLockTest.end()
+})
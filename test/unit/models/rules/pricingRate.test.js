@@ -0,0 +1,120 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Db = require('../../../../src/lib/db')
+const PricingRateModel = require('../../../../src/models/rules/pricingRate')
+
+Test('PricingRateModel', async (pricingRateModelTest) => {
+  let sandbox
+  let knexStub
+  let getKnex
+
+  const pricingRate = {
+    settlementPricingRateId: 1,
+    payerFspId: 'payerfsp',
+    payeeFspId: null,
+    currency: 'USD',
+    transactionScenario: null,
+    rate: '0.004000000',
+    effectiveDate: '2022-10-01T00:00:00.000Z',
+    endDate: null
+  }
+
+  pricingRateModelTest.beforeEach(test => {
+    sandbox = Sinon.createSandbox()
+    Db.from = (table) => {
+      return Db[table]
+    }
+    knexStub = sandbox.stub()
+    getKnex = Db.getKnex
+    Db.getKnex = sandbox.stub().returns(knexStub)
+    test.end()
+  })
+
+  pricingRateModelTest.afterEach(test => {
+    Db.getKnex = getKnex
+    sandbox.restore()
+    test.end()
+  })
+
+  await pricingRateModelTest.test('getAll should return the pricing rates matching the criteria', async test => {
+    Db.settlementPricingRate = {
+      find: sandbox.stub().withArgs({ currency: 'USD' }, { order: 'settlementPricingRateId asc' }).returns([pricingRate])
+    }
+    const result = await PricingRateModel.getAll({ currency: 'USD' })
+    test.deepEqual(result, [pricingRate], 'Results Match')
+    test.end()
+  })
+
+  await pricingRateModelTest.test('getById should return the pricing rate', async test => {
+    Db.settlementPricingRate = {
+      findOne: sandbox.stub().withArgs({ settlementPricingRateId: 1 }).returns(pricingRate)
+    }
+    const result = await PricingRateModel.getById(1)
+    test.deepEqual(result, pricingRate, 'Results Match')
+    test.end()
+  })
+
+  await pricingRateModelTest.test('getByCurrencies should return the pricing rates of the currencies', async test => {
+    const builder = {
+      whereIn: sandbox.stub().returnsThis(),
+      select: sandbox.stub().returns(Promise.resolve([pricingRate]))
+    }
+    knexStub.withArgs('settlementPricingRate').returns(builder)
+    const result = await PricingRateModel.getByCurrencies(['USD', 'TZS'])
+    test.deepEqual(result, [pricingRate], 'Results Match')
+    test.ok(builder.whereIn.withArgs('currency', ['USD', 'TZS']).calledOnce, 'filtered by currency')
+    test.end()
+  })
+
+  await pricingRateModelTest.test('create should insert the pricing rate', async test => {
+    const builder = {
+      insert: sandbox.stub().returns(Promise.resolve([1]))
+    }
+    knexStub.withArgs('settlementPricingRate').returns(builder)
+    const result = await PricingRateModel.create(pricingRate)
+    test.deepEqual(result, [1], 'Results Match')
+    test.ok(builder.insert.withArgs(pricingRate).calledOnce, 'insert called with the pricing rate')
+    test.end()
+  })
+
+  await pricingRateModelTest.test('remove should delete the pricing rate', async test => {
+    const builder = {
+      where: sandbox.stub().returnsThis(),
+      del: sandbox.stub().returns(Promise.resolve(1))
+    }
+    knexStub.withArgs('settlementPricingRate').returns(builder)
+    await PricingRateModel.remove(1)
+    test.ok(builder.where.withArgs({ settlementPricingRateId: 1 }).calledOnce, 'filtered by id')
+    test.ok(builder.del.calledOnce, 'del called')
+    test.end()
+  })
+
+  pricingRateModelTest.end()
+})
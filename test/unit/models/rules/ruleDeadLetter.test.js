@@ -0,0 +1,112 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Db = require('../../../../src/lib/db')
+const RuleDeadLetterModel = require('../../../../src/models/rules/ruleDeadLetter')
+
+Test('RuleDeadLetterModel', async (ruleDeadLetterModelTest) => {
+  let sandbox
+  let knexStub
+  let getKnex
+
+  const ruleDeadLetter = {
+    settlementRuleDeadLetterId: 1,
+    transferId: '154cbf04-bac7-444d-aa66-76f66126d7f5',
+    scriptName: 'interchangeFeeCalculation.js',
+    stage: 'execute',
+    error: 'Script execution was unsuccessful',
+    message: '{}',
+    status: 'PENDING'
+  }
+
+  ruleDeadLetterModelTest.beforeEach(test => {
+    sandbox = Sinon.createSandbox()
+    Db.from = (table) => {
+      return Db[table]
+    }
+    knexStub = sandbox.stub()
+    knexStub.fn = { now: sandbox.stub().returns('now') }
+    knexStub.raw = sandbox.stub().returns('replayCount + 1')
+    getKnex = Db.getKnex
+    Db.getKnex = sandbox.stub().returns(knexStub)
+    test.end()
+  })
+
+  ruleDeadLetterModelTest.afterEach(test => {
+    Db.getKnex = getKnex
+    sandbox.restore()
+    test.end()
+  })
+
+  await ruleDeadLetterModelTest.test('create should insert the dead letter', async test => {
+    const builder = {
+      insert: sandbox.stub().returns(Promise.resolve([1]))
+    }
+    knexStub.withArgs('settlementRuleDeadLetter').returns(builder)
+    const result = await RuleDeadLetterModel.create(ruleDeadLetter)
+    test.deepEqual(result, [1], 'Results Match')
+    test.ok(builder.insert.withArgs(ruleDeadLetter).calledOnce, 'insert called with the dead letter')
+    test.end()
+  })
+
+  await ruleDeadLetterModelTest.test('getById should return the dead letter', async test => {
+    Db.settlementRuleDeadLetter = {
+      findOne: sandbox.stub().withArgs({ settlementRuleDeadLetterId: 1 }).returns(ruleDeadLetter)
+    }
+    const result = await RuleDeadLetterModel.getById(1)
+    test.deepEqual(result, ruleDeadLetter, 'Results Match')
+    test.end()
+  })
+
+  await ruleDeadLetterModelTest.test('getAll should return the dead letters matching the criteria in order', async test => {
+    Db.settlementRuleDeadLetter = {
+      find: sandbox.stub().withArgs({ status: 'PENDING' }, { order: 'settlementRuleDeadLetterId asc' }).returns([ruleDeadLetter])
+    }
+    const result = await RuleDeadLetterModel.getAll({ status: 'PENDING' })
+    test.deepEqual(result, [ruleDeadLetter], 'Results Match')
+    test.end()
+  })
+
+  await ruleDeadLetterModelTest.test('updateReplay should record the replay', async test => {
+    const builder = {
+      where: sandbox.stub().returnsThis(),
+      update: sandbox.stub().returns(Promise.resolve(1))
+    }
+    knexStub.withArgs('settlementRuleDeadLetter').returns(builder)
+    await RuleDeadLetterModel.updateReplay(1, { status: 'PENDING', error: 'Script still broken' })
+    test.ok(builder.where.withArgs({ settlementRuleDeadLetterId: 1 }).calledOnce, 'where called with the id')
+    test.deepEqual(builder.update.lastCall.args[0], { status: 'PENDING', error: 'Script still broken', replayCount: 'replayCount + 1', replayedDate: 'now' }, 'status, error, replay count and date updated')
+    test.ok(knexStub.raw.withArgs('?? + 1', ['replayCount']).calledOnce, 'replay count incremented')
+    await RuleDeadLetterModel.updateReplay(1, { status: 'REPLAYED' })
+    test.deepEqual(builder.update.lastCall.args[0], { status: 'REPLAYED', replayCount: 'replayCount + 1', replayedDate: 'now' }, 'error kept on success')
+    test.end()
+  })
+
+  ruleDeadLetterModelTest.end()
+})
@@ -0,0 +1,134 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Db = require('../../../../src/lib/db')
+const RuleExecutionModel = require('../../../../src/models/rules/ruleExecution')
+
+Test('RuleExecutionModel', async (ruleExecutionModelTest) => {
+  let sandbox
+  let knexStub
+  let getKnex
+
+  const ruleExecution = {
+    settlementRuleExecutionId: 1,
+    transferId: '154cbf04-bac7-444d-aa66-76f66126d7f5',
+    scriptName: 'interchangeFeeCalculation.js',
+    scriptVersion: 'a1b2',
+    eventType: 'notification',
+    eventAction: 'commit',
+    ledgerEntryCount: 0,
+    ledgerEntries: '[]'
+  }
+  const trx = {}
+
+  ruleExecutionModelTest.beforeEach(test => {
+    sandbox = Sinon.createSandbox()
+    Db.from = (table) => {
+      return Db[table]
+    }
+    knexStub = sandbox.stub()
+    getKnex = Db.getKnex
+    Db.getKnex = sandbox.stub().returns(knexStub)
+    test.end()
+  })
+
+  ruleExecutionModelTest.afterEach(test => {
+    Db.getKnex = getKnex
+    sandbox.restore()
+    test.end()
+  })
+
+  await ruleExecutionModelTest.test('getByKey should return the rule execution in the transaction', async test => {
+    const builder = {
+      where: sandbox.stub().returnsThis(),
+      select: sandbox.stub().returnsThis(),
+      first: sandbox.stub().returnsThis(),
+      transacting: sandbox.stub().returns(Promise.resolve(ruleExecution))
+    }
+    knexStub.withArgs('settlementRuleExecution').returns(builder)
+    const { transferId, scriptName, eventAction } = ruleExecution
+    const result = await RuleExecutionModel.getByKey({ transferId, scriptName, eventAction }, trx)
+    test.deepEqual(result, ruleExecution, 'Results Match')
+    test.ok(builder.where.withArgs({ transferId, scriptName, eventAction }).calledOnce, 'where called with the key')
+    test.ok(builder.transacting.withArgs(trx).calledOnce, 'transacting called with the transaction')
+    test.end()
+  })
+
+  await ruleExecutionModelTest.test('create should insert the rule execution in the transaction', async test => {
+    const builder = {
+      insert: sandbox.stub().returnsThis(),
+      transacting: sandbox.stub().returns(Promise.resolve([1]))
+    }
+    knexStub.withArgs('settlementRuleExecution').returns(builder)
+    const result = await RuleExecutionModel.create(ruleExecution, trx)
+    test.deepEqual(result, [1], 'Results Match')
+    test.ok(builder.insert.withArgs(ruleExecution).calledOnce, 'insert called with the rule execution')
+    test.ok(builder.transacting.withArgs(trx).calledOnce, 'transacting called with the transaction')
+    test.end()
+  })
+
+  await ruleExecutionModelTest.test('create should return null if the execution was recorded meanwhile', async test => {
+    const duplicateEntryError = new Error("Duplicate entry '154cbf04-bac7-444d-aa66-76f66126d7f5-interchangeFeeCalculation.js-commit' for key")
+    duplicateEntryError.code = 'ER_DUP_ENTRY'
+    const builder = {
+      insert: sandbox.stub().returnsThis(),
+      transacting: sandbox.stub().returns(Promise.reject(duplicateEntryError))
+    }
+    knexStub.withArgs('settlementRuleExecution').returns(builder)
+    const result = await RuleExecutionModel.create(ruleExecution, trx)
+    test.equal(result, null, 'null returned')
+    test.end()
+  })
+
+  await ruleExecutionModelTest.test('create should throw other errors', async test => {
+    const builder = {
+      insert: sandbox.stub().returnsThis(),
+      transacting: sandbox.stub().returns(Promise.reject(new Error('Database unavailable')))
+    }
+    knexStub.withArgs('settlementRuleExecution').returns(builder)
+    try {
+      await RuleExecutionModel.create(ruleExecution, trx)
+      test.fail('Error not thrown')
+    } catch (err) {
+      test.equal(err.message, 'Database unavailable', 'error rethrown')
+    }
+    test.end()
+  })
+
+  await ruleExecutionModelTest.test('getByTransferId should return the rule executions of the transfer', async test => {
+    Db.settlementRuleExecution = {
+      find: sandbox.stub().withArgs({ transferId: ruleExecution.transferId }, { order: 'settlementRuleExecutionId asc' }).returns([ruleExecution])
+    }
+    const result = await RuleExecutionModel.getByTransferId(ruleExecution.transferId)
+    test.deepEqual(result, [ruleExecution], 'Results Match')
+    test.end()
+  })
+
+  ruleExecutionModelTest.end()
+})
@@ -0,0 +1,97 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Db = require('../../../../src/lib/db')
+const RuleLedgerEntryModel = require('../../../../src/models/rules/ruleLedgerEntry')
+
+Test('RuleLedgerEntryModel', async (ruleLedgerEntryModelTest) => {
+  let sandbox
+  let knexStub
+  let getKnex
+
+  const ruleLedgerEntry = {
+    transferParticipantId: 101,
+    transferId: '154cbf04-bac7-444d-aa66-76f66126d7f5',
+    scriptName: 'interchangeFeeCalculation.js',
+    scriptVersion: 'a1b2'
+  }
+  const trx = {}
+
+  ruleLedgerEntryModelTest.beforeEach(test => {
+    sandbox = Sinon.createSandbox()
+    knexStub = sandbox.stub()
+    getKnex = Db.getKnex
+    Db.getKnex = sandbox.stub().returns(knexStub)
+    test.end()
+  })
+
+  ruleLedgerEntryModelTest.afterEach(test => {
+    Db.getKnex = getKnex
+    sandbox.restore()
+    test.end()
+  })
+
+  await ruleLedgerEntryModelTest.test('create should insert the stamps in the transaction', async test => {
+    const builder = {
+      insert: sandbox.stub().returnsThis(),
+      transacting: sandbox.stub().returns(Promise.resolve([101]))
+    }
+    knexStub.withArgs('settlementRuleLedgerEntry').returns(builder)
+    await RuleLedgerEntryModel.create([ruleLedgerEntry], trx)
+    test.ok(builder.insert.withArgs([ruleLedgerEntry]).calledOnce, 'insert called with the stamps')
+    test.ok(builder.transacting.withArgs(trx).calledOnce, 'transacting called with the transaction')
+    test.end()
+  })
+
+  await ruleLedgerEntryModelTest.test('getWithScriptByTransferParticipantId should return the stamp with the script version', async test => {
+    const joinBuilder = {
+      on: sandbox.stub().returnsThis(),
+      andOn: sandbox.stub().returnsThis()
+    }
+    const builder = {
+      leftJoin: sandbox.stub().callsFake(function (table, join) {
+        join.call(joinBuilder)
+        return builder
+      }),
+      where: sandbox.stub().returnsThis(),
+      select: sandbox.stub().returnsThis(),
+      first: sandbox.stub().returns(Promise.resolve({ ...ruleLedgerEntry, source: '// Type: notification' }))
+    }
+    knexStub.withArgs('settlementRuleLedgerEntry AS RLE').returns(builder)
+    const result = await RuleLedgerEntryModel.getWithScriptByTransferParticipantId(101)
+    test.equal(result.source, '// Type: notification', 'source returned')
+    test.ok(builder.leftJoin.withArgs('settlementRuleScriptVersion AS RSV').calledOnce, 'joined with the script versions')
+    test.ok(joinBuilder.on.withArgs('RSV.scriptName', 'RLE.scriptName').calledOnce, 'joined on the script name')
+    test.ok(joinBuilder.andOn.withArgs('RSV.scriptVersion', 'RLE.scriptVersion').calledOnce, 'joined on the script version')
+    test.ok(builder.where.withArgs('RLE.transferParticipantId', 101).calledOnce, 'filtered by transferParticipantId')
+    test.end()
+  })
+
+  ruleLedgerEntryModelTest.end()
+})
@@ -0,0 +1,72 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Db = require('../../../../src/lib/db')
+const RuleReversalModel = require('../../../../src/models/rules/ruleReversal')
+
+Test('RuleReversalModel', async (ruleReversalModelTest) => {
+  let sandbox
+  let knexStub
+  let getKnex
+
+  const transferId = '154cbf04-bac7-444d-aa66-76f66126d7f5'
+
+  ruleReversalModelTest.beforeEach(test => {
+    sandbox = Sinon.createSandbox()
+    knexStub = sandbox.stub()
+    getKnex = Db.getKnex
+    Db.getKnex = sandbox.stub().returns(knexStub)
+    test.end()
+  })
+
+  ruleReversalModelTest.afterEach(test => {
+    Db.getKnex = getKnex
+    sandbox.restore()
+    test.end()
+  })
+
+  await ruleReversalModelTest.test('getByTransferId should return the reversals with the records and scripts they reversed', async test => {
+    const ruleReversal = { transferParticipantId: 103, reversedTransferParticipantId: 101, transferId, reversalTransferId: '9a3b5c1e-6d2f-4e8a-b7c0-1f2e3d4c5b6a', amount: -0.06, scriptName: 'interchangeFeeCalculation.js', scriptVersion: 'a1b2' }
+    const builder = {
+      join: sandbox.stub().returnsThis(),
+      where: sandbox.stub().returnsThis(),
+      select: sandbox.stub().returnsThis(),
+      orderBy: sandbox.stub().returns(Promise.resolve([ruleReversal]))
+    }
+    knexStub.withArgs('settlementRuleReversal AS RR').returns(builder)
+    const result = await RuleReversalModel.getByTransferId(transferId)
+    test.deepEqual(result, [ruleReversal], 'reversals returned')
+    test.ok(builder.join.withArgs('transferParticipant AS TP', 'TP.transferParticipantId', 'RR.transferParticipantId').calledOnce, 'joined with the offsetting records')
+    test.ok(builder.join.withArgs('settlementRuleLedgerEntry AS RLE', 'RLE.transferParticipantId', 'RR.reversedTransferParticipantId').calledOnce, 'joined with the stamps of the reversed records')
+    test.ok(builder.where.withArgs('RR.transferId', transferId).calledOnce, 'filtered by transferId')
+    test.end()
+  })
+
+  ruleReversalModelTest.end()
+})
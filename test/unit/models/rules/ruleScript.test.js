@@ -0,0 +1,111 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Db = require('../../../../src/lib/db')
+const RuleScriptModel = require('../../../../src/models/rules/ruleScript')
+
+Test('RuleScriptModel', async (ruleScriptModelTest) => {
+  let sandbox
+  let knexStub
+  let getKnex
+
+  const ruleScript = {
+    settlementRuleScriptId: 1,
+    name: 'interchangeFeeCalculation.js',
+    source: '// Type: notification',
+    isActive: 1
+  }
+
+  ruleScriptModelTest.beforeEach(test => {
+    sandbox = Sinon.createSandbox()
+    Db.from = (table) => {
+      return Db[table]
+    }
+    knexStub = sandbox.stub()
+    knexStub.fn = { now: sandbox.stub().returns('now') }
+    getKnex = Db.getKnex
+    Db.getKnex = sandbox.stub().returns(knexStub)
+    test.end()
+  })
+
+  ruleScriptModelTest.afterEach(test => {
+    Db.getKnex = getKnex
+    sandbox.restore()
+    test.end()
+  })
+
+  await ruleScriptModelTest.test('getAll should return all rule scripts', async test => {
+    Db.settlementRuleScript = {
+      find: sandbox.stub().withArgs({}).returns([ruleScript])
+    }
+    const result = await RuleScriptModel.getAll()
+    test.deepEqual(result, [ruleScript], 'Results Match')
+    test.end()
+  })
+
+  await ruleScriptModelTest.test('getByName should return the rule script', async test => {
+    Db.settlementRuleScript = {
+      findOne: sandbox.stub().withArgs({ name: ruleScript.name }).returns(ruleScript)
+    }
+    const result = await RuleScriptModel.getByName(ruleScript.name)
+    test.deepEqual(result, ruleScript, 'Results Match')
+    test.end()
+  })
+
+  await ruleScriptModelTest.test('upsert should insert or replace the rule script by name', async test => {
+    const builder = {
+      insert: sandbox.stub().returnsThis(),
+      onConflict: sandbox.stub().returnsThis(),
+      merge: sandbox.stub().returns(Promise.resolve([1]))
+    }
+    knexStub.withArgs('settlementRuleScript').returns(builder)
+    const { name, source } = ruleScript
+    const result = await RuleScriptModel.upsert({ name, source, isActive: true })
+    test.deepEqual(result, [1], 'Results Match')
+    test.ok(builder.insert.withArgs({ name, source, isActive: true }).calledOnce, 'insert called with the rule script')
+    test.ok(builder.onConflict.withArgs('name').calledOnce, 'conflicts resolved by name')
+    test.ok(builder.merge.withArgs({ source, isActive: true, changedDate: 'now' }).calledOnce, 'source, isActive and changedDate merged')
+    test.end()
+  })
+
+  await ruleScriptModelTest.test('updateIsActive should update the rule script', async test => {
+    const builder = {
+      where: sandbox.stub().returnsThis(),
+      update: sandbox.stub().returns(Promise.resolve(1))
+    }
+    knexStub.withArgs('settlementRuleScript').returns(builder)
+    const result = await RuleScriptModel.updateIsActive(ruleScript.name, false)
+    test.equal(result, 1, 'Results Match')
+    test.ok(builder.where.withArgs({ name: ruleScript.name }).calledOnce, 'where called with the name')
+    test.ok(builder.update.withArgs({ isActive: false, changedDate: 'now' }).calledOnce, 'update called with isActive')
+    test.end()
+  })
+
+  ruleScriptModelTest.end()
+})
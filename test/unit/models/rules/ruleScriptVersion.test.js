@@ -0,0 +1,127 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Db = require('../../../../src/lib/db')
+const RuleScriptVersionModel = require('../../../../src/models/rules/ruleScriptVersion')
+
+Test('RuleScriptVersionModel', async (ruleScriptVersionModelTest) => {
+  let sandbox
+  let knexStub
+  let getKnex
+
+  const ruleScriptVersion = {
+    settlementRuleScriptVersionId: 1,
+    scriptName: 'interchangeFeeCalculation.js',
+    scriptVersion: 'a1b2',
+    source: '// Type: notification'
+  }
+  const key = { scriptName: ruleScriptVersion.scriptName, scriptVersion: ruleScriptVersion.scriptVersion }
+
+  ruleScriptVersionModelTest.beforeEach(test => {
+    sandbox = Sinon.createSandbox()
+    Db.from = (table) => {
+      return Db[table]
+    }
+    knexStub = sandbox.stub()
+    knexStub.fn = { now: sandbox.stub().returns('now') }
+    getKnex = Db.getKnex
+    Db.getKnex = sandbox.stub().returns(knexStub)
+    test.end()
+  })
+
+  ruleScriptVersionModelTest.afterEach(test => {
+    Db.getKnex = getKnex
+    sandbox.restore()
+    test.end()
+  })
+
+  await ruleScriptVersionModelTest.test('getByKey should return the version of the script', async test => {
+    Db.settlementRuleScriptVersion = {
+      findOne: sandbox.stub().withArgs(key).returns(ruleScriptVersion)
+    }
+    const result = await RuleScriptVersionModel.getByKey(key)
+    test.deepEqual(result, ruleScriptVersion, 'Results Match')
+    test.end()
+  })
+
+  await ruleScriptVersionModelTest.test('create should insert the version', async test => {
+    const builder = {
+      insert: sandbox.stub().returns(Promise.resolve([1]))
+    }
+    knexStub.withArgs('settlementRuleScriptVersion').returns(builder)
+    const result = await RuleScriptVersionModel.create(ruleScriptVersion)
+    test.deepEqual(result, [1], 'Results Match')
+    test.ok(builder.insert.withArgs(ruleScriptVersion).calledOnce, 'insert called with the version')
+    test.end()
+  })
+
+  await ruleScriptVersionModelTest.test('markLoaded should update the last loaded date and make the version effective', async test => {
+    const builder = {
+      where: sandbox.stub().returnsThis(),
+      update: sandbox.stub().returns(Promise.resolve(1))
+    }
+    knexStub.withArgs('settlementRuleScriptVersion').returns(builder)
+    await RuleScriptVersionModel.markLoaded(key)
+    test.ok(builder.where.withArgs(key).calledOnce, 'where called with the key')
+    test.deepEqual(builder.update.lastCall.args[0], { lastLoadedDate: 'now', supersededDate: null }, 'version marked as loaded')
+    test.end()
+  })
+
+  await ruleScriptVersionModelTest.test('supersedeOtherVersions should supersede the effective versions with another content hash', async test => {
+    const builder = {
+      where: sandbox.stub().returnsThis(),
+      whereNot: sandbox.stub().returnsThis(),
+      whereNull: sandbox.stub().returnsThis(),
+      update: sandbox.stub().returns(Promise.resolve(1))
+    }
+    knexStub.withArgs('settlementRuleScriptVersion').returns(builder)
+    await RuleScriptVersionModel.supersedeOtherVersions(key)
+    test.ok(builder.where.withArgs({ scriptName: key.scriptName }).calledOnce, 'versions of the script')
+    test.ok(builder.whereNot.withArgs({ scriptVersion: key.scriptVersion }).calledOnce, 'other than the loaded version')
+    test.ok(builder.whereNull.withArgs('supersededDate').calledOnce, 'that are still effective')
+    test.deepEqual(builder.update.lastCall.args[0], { supersededDate: 'now' }, 'versions superseded')
+    test.end()
+  })
+
+  await ruleScriptVersionModelTest.test('getByScriptName should return the versions of the script without their source', async test => {
+    const builder = {
+      where: sandbox.stub().returnsThis(),
+      select: sandbox.stub().returnsThis(),
+      orderBy: sandbox.stub().returns(Promise.resolve([ruleScriptVersion]))
+    }
+    knexStub.withArgs('settlementRuleScriptVersion').returns(builder)
+    const result = await RuleScriptVersionModel.getByScriptName(key.scriptName)
+    test.deepEqual(result, [ruleScriptVersion], 'Results Match')
+    test.notOk(builder.select.lastCall.args.includes('source'), 'source not selected')
+    test.ok(builder.orderBy.withArgs('firstLoadedDate', 'desc').calledOnce, 'latest version first')
+    test.end()
+  })
+
+  ruleScriptVersionModelTest.end()
+})
@@ -30,6 +30,7 @@ const Sinon = require('sinon')
 const Db = require('../../../../src/lib/db')
 const Logger = require('@mojaloop/central-services-logger')
 const SettlementFacade = require('../../../../src/models/settlement/facade')
+const SettlementModelModel = require('../../../../src/models/settlement/settlementModel')
 const ParticipantFacade = require('@mojaloop/central-ledger/src/models/participant/facade')
 const Uuid = require('uuid4')
 const Utility = require('../../../../src/lib/utility')
@@ -4181,57 +4182,64 @@ Test('Settlement facade', async (settlementFacadeTest) => {
 
   await settlementFacadeTest.test('getByParams should', async getByParamsTest => {
     try {
+      const state = 'PENDING_SETTLEMENT'
+      const fromDateTime = new Date() - 3600
+      const toDateTime = new Date()
+      const currency = 'USD'
+      const settlementWindowId = 1
+      const fromSettlementWindowDateTime = new Date() - 3600
+      const toSettlementWindowDateTime = new Date()
+      const participantId = 1
+      const accountId = 1
+      const createBuilder = () => {
+        const builder = {}
+        for (const method of ['from', 'join', 'innerJoin', 'where', 'whereColumn', 'whereExists', 'select', 'orderBy', 'limit', 'count', 'first']) {
+          builder[method] = sandbox.stub().returns(builder)
+        }
+        return builder
+      }
+      let builder
+      const setupQuery = (result) => {
+        builder = createBuilder()
+        Db.settlement = {
+          query: sandbox.stub().callsFake(async callback => {
+            callback(builder)
+            return result
+          })
+        }
+      }
+      const runSubquery = (subquery) => {
+        const subqueryBuilder = createBuilder()
+        subquery.call(subqueryBuilder)
+        return subqueryBuilder
+      }
+
       await getByParamsTest.test('retrieve settlement data by params', async test => {
         try {
-          const state = 'PENDING_SETTLEMENT'
-          const fromDateTime = new Date() - 3600
-          const toDateTime = new Date()
-          const currency = 'USD'
-          const settlementWindowId = 1
-          const fromSettlementWindowDateTime = new Date() - 3600
-          const toSettlementWindowDateTime = new Date()
-          const participantId = 1
-          const accountId = 1
           const query = { state, fromDateTime, toDateTime, currency, settlementWindowId, fromSettlementWindowDateTime, toSettlementWindowDateTime, participantId, accountId }
-
-          Db.settlement = { query: sandbox.stub() }
-          const builderStub = sandbox.stub()
-          Db.settlement.query.callsArgWith(0, builderStub)
-          builderStub.innerJoin = sandbox.stub()
-          const context = sandbox.stub()
-          context.on = sandbox.stub()
-          context.on.returns({
-            andOn: sandbox.stub()
-          })
-
-          builderStub.innerJoin.returns({
-            innerJoin: sandbox.stub().returns({
-              innerJoin: sandbox.stub().returns({
-                innerJoin: sandbox.stub().returns({
-                  innerJoin: sandbox.stub().returns({
-                    innerJoin: sandbox.stub().returns({
-                      innerJoin: sandbox.stub().returns({
-                        innerJoin: sandbox.stub().returns({
-                          distinct: sandbox.stub().returns({
-                            select: sandbox.stub().returns({
-                              where: sandbox.stub()
-                            })
-                          })
-                        })
-                      })
-                    })
-                  })
-                })
-              })
-            })
-          })
-          Db.settlement.query.returns(Promise.resolve({ id: 1 }))
-          const res1 = await SettlementFacade.getByParams(query)
-          Db.settlement.query.returns(Promise.resolve({ id: 2 }))
-          const res2 = await SettlementFacade.getByParams({})
-          test.equal(res1.id, 1, 'First query returns settlement id 1')
-          test.equal(res2.id, 2, 'Second query returns settlement id 2')
-          test.equal(Db.settlement.query.callCount, 2, 'settlement query by params executed twice')
+          setupQuery([{ settlementId: 1 }])
+
+          const result = await SettlementFacade.getByParams({ query })
+          test.deepEqual(result, [{ settlementId: 1 }], 'Result returned')
+          test.ok(builder.innerJoin.withArgs('settlementStateChange AS ssc', 'ssc.settlementStateChangeId', 'settlement.currentStateChangeId').calledOnce)
+          test.ok(builder.select.withArgs('settlement.settlementId', 'ssc.settlementStateId AS state', 'ssc.reason', 'settlement.createdDate', 'ssc.createdDate AS changedDate').calledOnce)
+          test.ok(builder.orderBy.withArgs('settlement.settlementId').calledOnce, 'settlements by ascending id')
+          test.ok(builder.where.withArgs('ssc.settlementStateId', state).calledOnce)
+          test.ok(builder.where.withArgs('settlement.createdDate', '>=', fromDateTime).calledOnce)
+          test.ok(builder.where.withArgs('settlement.createdDate', '<=', toDateTime).calledOnce)
+          test.ok(builder.limit.notCalled, 'all settlements returned without limit')
+          const windows = runSubquery(builder.whereExists.firstCall.args[0])
+          test.ok(windows.from.calledWith('settlementSettlementWindow AS ssw'), 'settlements with windows')
+          test.ok(windows.whereColumn.calledWith('ssw.settlementId', 'settlement.settlementId'), 'windows of the settlement')
+          test.ok(windows.where.calledWith('ssw.settlementWindowId', settlementWindowId), 'window filtered by id')
+          test.ok(windows.where.calledWith('sw.createdDate', '>=', fromSettlementWindowDateTime), 'window filtered by creation start date')
+          test.ok(windows.where.calledWith('sw.createdDate', '<=', toSettlementWindowDateTime), 'window filtered by creation end date')
+          const accounts = runSubquery(builder.whereExists.secondCall.args[0])
+          test.ok(accounts.from.calledWith('settlementParticipantCurrency AS spc'), 'settlements with accounts')
+          test.ok(accounts.whereColumn.calledWith('spc.settlementId', 'settlement.settlementId'), 'accounts of the settlement')
+          test.ok(accounts.where.calledWith('pc.currencyId', currency), 'account filtered by currency')
+          test.ok(accounts.where.calledWith('pc.participantId', participantId), 'account filtered by participant')
+          test.ok(accounts.where.calledWith('spc.participantCurrencyId', accountId), 'account filtered by id')
           test.end()
         } catch (err) {
           Logger.error(`getByParams failed with error - ${err}`)
@@ -4240,13 +4248,32 @@ Test('Settlement facade', async (settlementFacadeTest) => {
         }
       })
 
+      await getByParamsTest.test('only look up the settlement accounts without window filter', async test => {
+        setupQuery([])
+
+        await SettlementFacade.getByParams({ query: { state } })
+        test.ok(builder.whereExists.calledOnce, 'windows not looked up')
+        const accounts = runSubquery(builder.whereExists.firstCall.args[0])
+        test.ok(accounts.from.calledWith('settlementParticipantCurrency AS spc'), 'settlements with accounts')
+        test.ok(accounts.where.notCalled, 'accounts not filtered')
+        test.end()
+      })
+
+      await getByParamsTest.test('return the page after the cursor', async test => {
+        setupQuery([])
+
+        await SettlementFacade.getByParams({ query: { state } }, { after: { settlementId: 5 }, limit: 11 })
+        test.ok(builder.where.withArgs('settlement.settlementId', '>', 5).calledOnce, 'settlements after the cursor')
+        test.ok(builder.limit.calledWith(11), 'page limited')
+        test.end()
+      })
+
       await getByParamsTest.test('throw error if query is wrong', async test => {
         try {
-          const settlementWindowId = 1
           Db.settlement = { query: sandbox.stub() }
           const builderStub = sandbox.stub()
           Db.settlement.query.callsArgWith(0, builderStub)
-          await SettlementFacade.getByParams({ settlementWindowId })
+          await SettlementFacade.getByParams({ query: { settlementWindowId } })
           test.fail('Error not thrown!')
           test.end()
         } catch (err) {
@@ -4264,6 +4291,41 @@ Test('Settlement facade', async (settlementFacadeTest) => {
     }
   })
 
+  await settlementFacadeTest.test('countByParams should', async countByParamsTest => {
+    try {
+      await countByParamsTest.test('count the settlements matching the filters', async test => {
+        try {
+          const builder = {}
+          for (const method of ['innerJoin', 'where', 'whereExists', 'count', 'first']) {
+            builder[method] = sandbox.stub().returns(builder)
+          }
+          Db.settlement = {
+            query: sandbox.stub().callsFake(async callback => {
+              callback(builder)
+              return { total: 3 }
+            })
+          }
+
+          const result = await SettlementFacade.countByParams({ query: { state: 'SETTLED' } })
+          test.deepEqual(result, { total: 3 }, 'Result returned')
+          test.ok(builder.where.withArgs('ssc.settlementStateId', 'SETTLED').calledOnce, 'same filters as the query')
+          test.ok(builder.count.withArgs('* as total').calledOnce, 'settlements counted')
+          test.end()
+        } catch (err) {
+          Logger.error(`countByParams failed with error - ${err}`)
+          test.fail()
+          test.end()
+        }
+      })
+
+      await countByParamsTest.end()
+    } catch (err) {
+      Logger.error(`settlementFacadeTest failed with error - ${err}`)
+      countByParamsTest.fail()
+      countByParamsTest.end()
+    }
+  })
+
   await settlementFacadeTest.test('triggerSettlementEvent should', async triggerSettlementEventTest => {
     try {
       await triggerSettlementEventTest.test('create new settlement', async test => {
@@ -4312,7 +4374,9 @@ Test('Settlement facade', async (settlementFacadeTest) => {
                       where: sandbox.stub().returns({
                         where: sandbox.stub().returns({
                           whereIn: sandbox.stub().returns({
-                            whereIn: sandbox.stub().returns(stubData.triggerSettlementEvent.swcIdList)
+                            whereIn: sandbox.stub().returns({
+                              whereNotExists: sandbox.stub().returns(stubData.triggerSettlementEvent.swcIdList)
+                            })
                           })
                         })
                       })
@@ -4321,7 +4385,9 @@ Test('Settlement facade', async (settlementFacadeTest) => {
                 }),
                 whereIn: sandbox.stub().returns({
                   whereIn: sandbox.stub().returns({
-                    select: sandbox.stub().returns(stubData.triggerSettlementEvent.windowsStateToBeUpdatedIdList)
+                    whereNotExists: sandbox.stub().returns({
+                      select: sandbox.stub().returns(stubData.triggerSettlementEvent.windowsStateToBeUpdatedIdList)
+                    })
                   })
                 })
               }),
@@ -4418,6 +4484,100 @@ Test('Settlement facade', async (settlementFacadeTest) => {
     }
   })
 
+  await settlementFacadeTest.test('previewSettlementEvent should', async previewSettlementEventTest => {
+    const getKnex = Db.getKnex
+    const getAll = SettlementModelModel.getAll
+    try {
+      const enums = {
+        settlementWindowStates: { CLOSED: 'CLOSED', ABORTED: 'ABORTED', PENDING_SETTLEMENT: 'PENDING_SETTLEMENT' }
+      }
+      const createBuilder = (result) => {
+        const builder = {}
+        for (const method of ['transacting', 'join', 'whereRaw', 'where', 'whereIn', 'whereNotExists', 'groupBy', 'orderBy', 'select', 'sum', 'insert', 'update']) {
+          builder[method] = sandbox.stub().returns(builder)
+        }
+        builder.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+        return builder
+      }
+      let builders
+      let knexStub
+      const setupKnex = (swcList, participantCurrencies) => {
+        builders = {
+          'settlementWindow AS sw': createBuilder(swcList),
+          'settlementContentAggregation AS sca': createBuilder(participantCurrencies)
+        }
+        knexStub = sandbox.stub().callsFake(table => builders[table] || createBuilder())
+        knexStub.raw = sandbox.stub().returns('COALESCE')
+        knexStub.transaction = sandbox.stub()
+        Db.getKnex = sandbox.stub().returns(knexStub)
+      }
+
+      await previewSettlementEventTest.test('aggregate the net amounts of the content the settlement would bind', async test => {
+        try {
+          const swcList = [
+            { settlementWindowContentId: 3, settlementWindowId: 1, currencyId: 'USD', ledgerAccountTypeId: 1 },
+            { settlementWindowContentId: 4, settlementWindowId: 2, currencyId: 'USD', ledgerAccountTypeId: 1 }
+          ]
+          const participantCurrencies = [{ id: 1, participantCurrencyId: 5, currency: 'USD', netAmount: '10.0000' }]
+          setupKnex(swcList, participantCurrencies)
+          const settlementModel = { settlementModelId: 2, ledgerAccountTypeId: 1, currencyId: 'USD' }
+
+          const result = await SettlementFacade.previewSettlementEvent({ idList: [1, 2] }, settlementModel, enums)
+          test.deepEqual(result, {
+            settlementWindowContent: [{ id: 3, settlementWindowId: 1, currencyId: 'USD' }, { id: 4, settlementWindowId: 2, currencyId: 'USD' }],
+            participantCurrencies
+          }, 'content and net amounts returned')
+          const content = builders['settlementWindow AS sw']
+          test.ok(content.whereRaw.calledWith('sw.settlementWindowId IN (1,2)'), 'content of the windows')
+          test.ok(content.where.calledWith('swc.ledgerAccountTypeId', 1), 'content of the ledger account type of the model')
+          test.ok(content.whereIn.calledWith('swcsc.settlementWindowStateId', ['CLOSED', 'ABORTED']), 'content not settled yet')
+          const abortBuilder = { from: sandbox.stub().returnsThis(), whereRaw: sandbox.stub().returnsThis() }
+          content.whereNotExists.firstCall.args[0].call(abortBuilder)
+          test.ok(abortBuilder.from.calledWith('settlementWindowAbort AS swa'), 'windows aborted by an operator left out')
+          const aggregation = builders['settlementContentAggregation AS sca']
+          test.ok(aggregation.whereIn.calledWith('sca.settlementWindowContentId', [3, 4]), 'aggregation of the content')
+          test.ok(aggregation.groupBy.calledWith('sca.participantCurrencyId'), 'net amount per participant account')
+          test.ok(aggregation.sum.calledWith('sca.amount AS netAmount'), 'amounts summed')
+          test.ok(knexStub.transaction.notCalled, 'nothing written')
+          test.equal(knexStub.callCount, 2, 'only the content and aggregation queried')
+          test.end()
+        } catch (err) {
+          Logger.error(`previewSettlementEvent failed with error - ${err}`)
+          test.fail()
+          test.end()
+        }
+      })
+
+      await previewSettlementEventTest.test('leave out the currencies of other models for the default model', async test => {
+        try {
+          setupKnex([
+            { settlementWindowContentId: 3, settlementWindowId: 1, currencyId: 'USD' },
+            { settlementWindowContentId: 4, settlementWindowId: 1, currencyId: 'TZS' }
+          ], [])
+          SettlementModelModel.getAll = sandbox.stub().resolves([{ settlementModelId: 2, currencyId: 'TZS' }, { settlementModelId: 1, currencyId: null }])
+
+          const result = await SettlementFacade.previewSettlementEvent({ idList: [1] }, { settlementModelId: 1, ledgerAccountTypeId: 1, currencyId: null }, enums)
+          test.deepEqual(result.settlementWindowContent, [{ id: 3, settlementWindowId: 1, currencyId: 'USD' }], 'content of the TZS model left out')
+          test.ok(builders['settlementContentAggregation AS sca'].whereIn.calledWith('sca.settlementWindowContentId', [3]), 'only the content of the model aggregated')
+          test.end()
+        } catch (err) {
+          Logger.error(`previewSettlementEvent failed with error - ${err}`)
+          test.fail()
+          test.end()
+        }
+      })
+
+      await previewSettlementEventTest.end()
+    } catch (err) {
+      Logger.error(`settlementFacadeTest failed with error - ${err}`)
+      previewSettlementEventTest.fail()
+      previewSettlementEventTest.end()
+    } finally {
+      Db.getKnex = getKnex
+      SettlementModelModel.getAll = getAll
+    }
+  })
+
   await settlementFacadeTest.test('settlementParticipantCurrency.getByListOfIds should', async getByListOfIdsTest => {
     try {
       await getByListOfIdsTest.test('retrieve settlementParticipantCurrency data by listOfIds', async test => {
@@ -4595,6 +4755,66 @@ Test('Settlement facade', async (settlementFacadeTest) => {
     }
   })
 
+  await settlementFacadeTest.test('settlementParticipantCurrency.getParticipantCurrencyBySettlementIds should', async getParticipantCurrencyBySettlementIdsTest => {
+    try {
+      let builder
+      const setupQuery = () => {
+        builder = {}
+        for (const method of ['leftJoin', 'join', 'select', 'where', 'whereIn']) {
+          builder[method] = sandbox.stub().returns(builder)
+        }
+        Db.settlementParticipantCurrency = {
+          query: sandbox.stub().callsFake(async callback => callback(builder))
+        }
+      }
+
+      await getParticipantCurrencyBySettlementIdsTest.test('retrieve participant currency data of all the settlements', async test => {
+        try {
+          setupQuery()
+          await SettlementFacade.settlementParticipantCurrency.getParticipantCurrencyBySettlementIds([1, 2])
+          test.ok(builder.leftJoin.withArgs('settlementParticipantCurrencyStateChange AS spcsc', 'spcsc.settlementParticipantCurrencyStateChangeId', 'settlementParticipantCurrency.currentStateChangeId').calledOnce)
+          test.ok(builder.join.withArgs('participantCurrency AS pc', 'pc.participantCurrencyId', 'settlementParticipantCurrency.participantCurrencyId').calledOnce)
+          test.ok(builder.select.withArgs('settlementParticipantCurrency.settlementId',
+            'pc.participantId AS id',
+            'settlementParticipantCurrency.participantCurrencyId AS participantCurrencyId',
+            'spcsc.settlementStateId AS state',
+            'spcsc.reason AS reason',
+            'settlementParticipantCurrency.netAmount AS netAmount',
+            'pc.currencyId AS currency',
+            'settlementParticipantCurrency.settlementParticipantCurrencyId AS key').calledOnce)
+          test.ok(builder.whereIn.withArgs('settlementParticipantCurrency.settlementId', [1, 2]).calledOnce)
+          test.ok(builder.where.notCalled, 'all the accounts returned')
+          test.end()
+        } catch (err) {
+          Logger.error(`getParticipantCurrencyBySettlementIds failed with error - ${err}`)
+          test.fail()
+          test.end()
+        }
+      })
+
+      await getParticipantCurrencyBySettlementIdsTest.test('retrieve the accounts matching the filters', async test => {
+        try {
+          setupQuery()
+          await SettlementFacade.settlementParticipantCurrency.getParticipantCurrencyBySettlementIds([1], { currency: 'USD', participantId: 2, accountId: 3 })
+          test.ok(builder.where.withArgs('pc.currencyId', 'USD').calledOnce, 'accounts of the currency')
+          test.ok(builder.where.withArgs('pc.participantId', 2).calledOnce, 'accounts of the participant')
+          test.ok(builder.where.withArgs('settlementParticipantCurrency.participantCurrencyId', 3).calledOnce, 'account by id')
+          test.end()
+        } catch (err) {
+          Logger.error(`getParticipantCurrencyBySettlementIds failed with error - ${err}`)
+          test.fail()
+          test.end()
+        }
+      })
+
+      await getParticipantCurrencyBySettlementIdsTest.end()
+    } catch (err) {
+      Logger.error(`settlementFacadeTest failed with error - ${err}`)
+      getParticipantCurrencyBySettlementIdsTest.fail()
+      getParticipantCurrencyBySettlementIdsTest.end()
+    }
+  })
+
   await settlementFacadeTest.test('settlementParticipantCurrency.getSettlementAccountById should', async getSettlementAccountByIdTest => {
     try {
       await getSettlementAccountByIdTest.test('retrieve account by id', async test => {
@@ -109,5 +109,53 @@ Test('ParticipantCurrencyModel', async (participantCurrencyModelTest) => {
     }
   })
 
+  await participantCurrencyModelTest.test('getByParticipantNames should return the accounts of the participants', async test => {
+    const getKnex = Db.getKnex
+    try {
+      const accounts = [{ name: 'payerfsp', isActive: 1, currencyId: 'USD', ledgerAccountType: 'POSITION', accountIsActive: 1 }]
+      const builder = {
+        leftJoin: sandbox.stub().returnsThis(),
+        whereIn: sandbox.stub().returnsThis(),
+        select: sandbox.stub().resolves(accounts)
+      }
+      const knexStub = sandbox.stub().returns(builder)
+      Db.getKnex = sandbox.stub().returns(knexStub)
+      const result = await ParticipantCurrencyModel.getByParticipantNames(['payerfsp', 'payeefsp'])
+      test.deepEqual(result, accounts, 'Results Match')
+      test.ok(knexStub.withArgs('participant AS p').calledOnce, 'participants queried')
+      test.equal(builder.leftJoin.callCount, 2, 'participants without accounts included')
+      test.ok(builder.whereIn.withArgs('p.name', ['payerfsp', 'payeefsp']).calledOnce, 'participants filtered by name')
+    } catch (err) {
+      Logger.error(`getByParticipantNames failed with error - ${err}`)
+      test.fail()
+    } finally {
+      Db.getKnex = getKnex
+    }
+    test.end()
+  })
+
+  await participantCurrencyModelTest.test('getByParticipantCurrencyIds should return the participant of every account', async test => {
+    const getKnex = Db.getKnex
+    try {
+      const accounts = [{ participantCurrencyId: 3, name: 'payerfsp', currencyId: 'USD', ledgerAccountType: 'POSITION' }]
+      const builder = {
+        join: sandbox.stub().returnsThis(),
+        whereIn: sandbox.stub().returnsThis(),
+        select: sandbox.stub().resolves(accounts)
+      }
+      const knexStub = sandbox.stub().returns(builder)
+      Db.getKnex = sandbox.stub().returns(knexStub)
+      const result = await ParticipantCurrencyModel.getByParticipantCurrencyIds([3])
+      test.deepEqual(result, accounts, 'Results Match')
+      test.ok(builder.whereIn.withArgs('pc.participantCurrencyId', [3]).calledOnce, 'accounts filtered by id')
+    } catch (err) {
+      Logger.error(`getByParticipantCurrencyIds failed with error - ${err}`)
+      test.fail()
+    } finally {
+      Db.getKnex = getKnex
+    }
+    test.end()
+  })
+
   await participantCurrencyModelTest.end()
 })
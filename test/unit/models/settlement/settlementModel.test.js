@@ -89,5 +89,38 @@ Test('SettlementModelModel', async (settlementModelModelTest) => {
       test.end()
     }
   })
+  settlementModelModelTest.test('getByCurrency should return the models for the currency and the default models', async test => {
+    const getKnex = Db.getKnex
+    try {
+      const settlementModels = [{ name: 'DEFERREDNET', currencyId: null, ledgerAccountType: 'POSITION' }]
+      const whereBuilder = {
+        where: sandbox.stub().returnsThis(),
+        orWhereNull: sandbox.stub().returnsThis()
+      }
+      const builder = {
+        join: sandbox.stub().returnsThis(),
+        where: sandbox.stub().callsFake(function (column) {
+          if (typeof column === 'function') {
+            column.call(whereBuilder)
+          }
+          return builder
+        }),
+        select: sandbox.stub().resolves(settlementModels)
+      }
+      const knexStub = sandbox.stub().returns(builder)
+      Db.getKnex = sandbox.stub().returns(knexStub)
+      const result = await Model.getByCurrency('USD')
+      test.deepEqual(result, settlementModels, 'Results Match')
+      test.ok(builder.where.withArgs('sm.isActive', 1).calledOnce, 'active models only')
+      test.ok(whereBuilder.where.withArgs('sm.currencyId', 'USD').calledOnce, 'models for the currency')
+      test.ok(whereBuilder.orWhereNull.withArgs('sm.currencyId').calledOnce, 'default models')
+    } catch (e) {
+      Logger.error(e)
+      test.fail('Error Thrown')
+    } finally {
+      Db.getKnex = getKnex
+    }
+    test.end()
+  })
   settlementModelModelTest.end()
 })
@@ -49,6 +49,7 @@ Test('Settlement Window facade', async (settlementWindowFacadeTest) => {
   let leftJoin2Stub
   let leftJoin3Stub
   let leftJoin4Stub
+  let whereNotExistsStub
   let join2Stub
 
   settlementWindowFacadeTest.beforeEach(test => {
@@ -99,6 +100,7 @@ Test('Settlement Window facade', async (settlementWindowFacadeTest) => {
     leftJoin2Stub = sandbox.stub()
     leftJoin3Stub = sandbox.stub()
     leftJoin4Stub = sandbox.stub()
+    whereNotExistsStub = sandbox.stub()
     builderStub.leftJoin.returns({
       select: selectStub.returns(selectStubResult),
       leftJoin: leftJoin2Stub.returns({
@@ -117,7 +119,9 @@ Test('Settlement Window facade', async (settlementWindowFacadeTest) => {
               where: sandbox.stub().returns({
                 whereIn: sandbox.stub().returns({
                   whereIn: sandbox.stub().returns({
-                    distinct: selectStub.returns(selectStubResult)
+                    whereNotExists: whereNotExistsStub.returns({
+                      distinct: selectStub.returns(selectStubResult)
+                    })
                   })
                 })
               })
@@ -187,6 +191,253 @@ Test('Settlement Window facade', async (settlementWindowFacadeTest) => {
     }
   })
 
+  await settlementWindowFacadeTest.test('getOpen should', async getOpenTest => {
+    try {
+      await getOpenTest.test('retrieve the latest open settlement window', async test => {
+        try {
+          const orderByOpenStub = sandbox.stub()
+          const whereOpenStub = sandbox.stub().returns({ orderBy: orderByOpenStub })
+          const selectOpenStub = sandbox.stub().returns({ first: sandbox.stub().returns({ where: whereOpenStub }) })
+          builderStub.join.returns({ select: selectOpenStub })
+          Db.settlementWindow.query.returns(Promise.resolve({ settlementWindowId: 3, state: 'OPEN' }))
+
+          const result = await SettlementWindowFacade.getOpen()
+          test.deepEqual(result, { settlementWindowId: 3, state: 'OPEN' }, 'Result returned')
+          test.ok(builderStub.join.withArgs('settlementWindowStateChange AS swsc', 'swsc.settlementWindowStateChangeId', 'settlementWindow.currentStateChangeId').calledOnce)
+          test.ok(whereOpenStub.withArgs('swsc.settlementWindowStateId', 'OPEN').calledOnce)
+          test.ok(orderByOpenStub.withArgs('settlementWindow.settlementWindowId', 'desc').calledOnce)
+          test.end()
+        } catch (err) {
+          Logger.error(`getOpen failed with error - ${err}`)
+          test.fail()
+          test.end()
+        }
+      })
+
+      await getOpenTest.test('throw error if database is unavailable', async test => {
+        try {
+          const e = new Error('Database unavailable')
+          Db.settlementWindow.query = sandbox.stub().throws(e)
+
+          await SettlementWindowFacade.getOpen()
+          test.fail('Error not thrown!')
+          test.end()
+        } catch (err) {
+          Logger.error(`getOpen failed with error - ${err}`)
+          test.equal(err.message, 'Database unavailable', `Error "${err.message}" thrown as expected`)
+          test.end()
+        }
+      })
+
+      await getOpenTest.end()
+    } catch (err) {
+      Logger.error(`settlementFacadeTest failed with error - ${err}`)
+      getOpenTest.fail()
+      getOpenTest.end()
+    }
+  })
+
+  await settlementWindowFacadeTest.test('getProcessing should', async getProcessingTest => {
+    try {
+      await getProcessingTest.test('retrieve the settlement windows in PROCESSING since the given date', async test => {
+        try {
+          const changedBefore = new Date(now.getTime() - 600000)
+          const orderByProcessingStub = sandbox.stub()
+          const andWhereProcessingStub = sandbox.stub().returns({ orderBy: orderByProcessingStub })
+          const whereProcessingStub = sandbox.stub().returns({ andWhere: andWhereProcessingStub })
+          builderStub.join.returns({ select: sandbox.stub().returns({ where: whereProcessingStub }) })
+          Db.settlementWindow.query.returns(Promise.resolve([{ settlementWindowId: 3, state: 'PROCESSING' }]))
+
+          const result = await SettlementWindowFacade.getProcessing({ changedBefore })
+          test.deepEqual(result, [{ settlementWindowId: 3, state: 'PROCESSING' }], 'Result returned')
+          test.ok(whereProcessingStub.withArgs('swsc.settlementWindowStateId', 'PROCESSING').calledOnce, 'PROCESSING windows selected')
+          test.ok(andWhereProcessingStub.withArgs('swsc.createdDate', '<=', changedBefore).calledOnce, 'windows in PROCESSING since the date selected')
+          test.ok(orderByProcessingStub.withArgs('settlementWindow.settlementWindowId').calledOnce, 'oldest window first')
+          test.end()
+        } catch (err) {
+          Logger.error(`getProcessing failed with error - ${err}`)
+          test.fail()
+          test.end()
+        }
+      })
+
+      await getProcessingTest.end()
+    } catch (err) {
+      Logger.error(`settlementFacadeTest failed with error - ${err}`)
+      getProcessingTest.fail()
+      getProcessingTest.end()
+    }
+  })
+
+  await settlementWindowFacadeTest.test('getParticipantPositions should', async getParticipantPositionsTest => {
+    try {
+      await getParticipantPositionsTest.test('sum the POSITION amounts of the window by participant currency', async test => {
+        try {
+          const positions = [{ fspId: 'dfsp1', participantCurrencyId: 1, currency: 'USD', sentAmount: '100', netAmount: '60' }]
+          const sumStub = sandbox.stub().resolves(positions)
+          const groupByStub = sandbox.stub().returns({ select: sandbox.stub().returns({ sum: sumStub }) })
+          const andWhereStub = sandbox.stub().returns({ groupBy: groupByStub })
+          const whereRawStub = sandbox.stub().returns({ andWhere: andWhereStub })
+          const leftJoinStub = sandbox.stub().returns({ whereRaw: whereRawStub })
+          const joinStub = sandbox.stub()
+          joinStub.returns({ join: joinStub, leftJoin: leftJoinStub })
+          const knexStub = sandbox.stub().returns({ join: joinStub })
+          knexStub.raw = sandbox.stub()
+          Db.getKnex = sandbox.stub().returns(knexStub)
+
+          const result = await SettlementWindowFacade.getParticipantPositions({ settlementWindowId: 3 })
+          test.deepEqual(result, positions, 'Result returned')
+          test.ok(knexStub.calledWith('transferFulfilment AS tf'), 'transfers of the window read')
+          test.ok(leftJoinStub.calledWith('settlementWindowTransfer AS swt', 'swt.transferId', 'tf.transferId'), 'moved transfers joined')
+          test.ok(whereRawStub.calledWith('COALESCE(swt.settlementWindowId, tf.settlementWindowId) = ?', [3]), 'window filtered')
+          test.ok(andWhereStub.calledWith('pc.ledgerAccountTypeId', 1), 'POSITION accounts only')
+          test.ok(knexStub.raw.calledWith('SUM(CASE WHEN tp.amount > 0 THEN tp.amount ELSE 0 END) AS ??', ['sentAmount']), 'sent amount summed')
+          test.ok(sumStub.calledWith('tp.amount AS netAmount'), 'net amount summed')
+          test.end()
+        } catch (err) {
+          Logger.error(`getParticipantPositions failed with error - ${err}`)
+          test.fail()
+          test.end()
+        }
+      })
+
+      await getParticipantPositionsTest.end()
+    } catch (err) {
+      Logger.error(`settlementFacadeTest failed with error - ${err}`)
+      getParticipantPositionsTest.fail()
+      getParticipantPositionsTest.end()
+    }
+  })
+
+  await settlementWindowFacadeTest.test('getLedgerEntryAmounts should', async getLedgerEntryAmountsTest => {
+    try {
+      await getLedgerEntryAmountsTest.test('sum the amounts of the window by account and ledger entry type', async test => {
+        try {
+          const amounts = [{ fspId: 'dfsp1', participantCurrencyId: 1, currency: 'USD', ledgerAccountTypeId: 1, ledgerAccountType: 'POSITION', ledgerEntryType: 'PRINCIPLE_VALUE', amount: '100' }]
+          const orderByStub = sandbox.stub().resolves(amounts)
+          const sumStub = sandbox.stub().returns({ orderBy: orderByStub })
+          const groupByStub = sandbox.stub().returns({ select: sandbox.stub().returns({ sum: sumStub }) })
+          const whereRawStub = sandbox.stub().returns({ groupBy: groupByStub })
+          const leftJoinStub = sandbox.stub().returns({ whereRaw: whereRawStub })
+          const joinStub = sandbox.stub()
+          joinStub.returns({ join: joinStub, leftJoin: leftJoinStub })
+          const knexStub = sandbox.stub().returns({ join: joinStub })
+          Db.getKnex = sandbox.stub().returns(knexStub)
+
+          const result = await SettlementWindowFacade.getLedgerEntryAmounts({ settlementWindowId: 3 })
+          test.deepEqual(result, amounts, 'Result returned')
+          test.ok(knexStub.calledWith('transferFulfilment AS tf'), 'transfers of the window read')
+          test.ok(joinStub.calledWith('ledgerEntryType AS let', 'let.ledgerEntryTypeId', 'tp.ledgerEntryTypeId'), 'ledger entry type joined')
+          test.ok(leftJoinStub.calledWith('settlementWindowTransfer AS swt', 'swt.transferId', 'tf.transferId'), 'moved transfers joined')
+          test.ok(whereRawStub.calledWith('COALESCE(swt.settlementWindowId, tf.settlementWindowId) = ?', [3]), 'window filtered')
+          test.ok(groupByStub.calledWith('p.name', 'pc.participantCurrencyId', 'pc.currencyId', 'pc.ledgerAccountTypeId', 'lat.name', 'let.name'), 'grouped by account and ledger entry type')
+          test.ok(sumStub.calledWith('tp.amount AS amount'), 'amount summed')
+          test.end()
+        } catch (err) {
+          Logger.error(`getLedgerEntryAmounts failed with error - ${err}`)
+          test.fail()
+          test.end()
+        }
+      })
+
+      await getLedgerEntryAmountsTest.end()
+    } catch (err) {
+      Logger.error(`settlementFacadeTest failed with error - ${err}`)
+      getLedgerEntryAmountsTest.fail()
+      getLedgerEntryAmountsTest.end()
+    }
+  })
+
+  await settlementWindowFacadeTest.test('getTransfers should', async getTransfersTest => {
+    try {
+      await getTransfersTest.test('return a page of the transfers of the window', async test => {
+        try {
+          const transfers = [
+            { transferId: 't1', payerFsp: 'dfsp1', payeeFsp: 'dfsp2', amount: '10.0000', currency: 'USD', fulfilmentDate: new Date(), ledgerEntryType: 'PRINCIPLE_VALUE' },
+            { transferId: 't2', payerFsp: 'dfsp2', payeeFsp: 'dfsp1', amount: '5.5000', currency: 'USD', fulfilmentDate: new Date(), ledgerEntryType: 'PRINCIPLE_VALUE' }
+          ]
+          const builder = {
+            join: sandbox.stub().returnsThis(),
+            leftJoin: sandbox.stub().returnsThis(),
+            where: sandbox.stub().returnsThis(),
+            whereRaw: sandbox.stub().returnsThis(),
+            whereIn: sandbox.stub().returnsThis(),
+            groupBy: sandbox.stub().returnsThis(),
+            select: sandbox.stub().returnsThis(),
+            orderBy: sandbox.stub().returnsThis(),
+            offset: sandbox.stub().returnsThis(),
+            limit: sandbox.stub().resolves(transfers)
+          }
+          const knexStub = sandbox.stub().returns(builder)
+          knexStub.raw = sandbox.stub()
+          Db.getKnex = sandbox.stub().returns(knexStub)
+
+          const result = await SettlementWindowFacade.getTransfers({ settlementWindowId: 3 }, { page: 2, limit: 1 })
+          test.deepEqual(result, { page: 2, limit: 1, hasMore: true, transfers: [{ ...transfers[0], amount: '10' }] }, 'page returned with normalised amounts')
+          test.ok(knexStub.calledWith('transferFulfilment AS tf'), 'transfers read')
+          test.ok(builder.leftJoin.calledWith('settlementWindowTransfer AS swt', 'swt.transferId', 'tf.transferId'), 'moved transfers joined')
+          test.ok(builder.whereRaw.calledOnceWith('COALESCE(swt.settlementWindowId, tf.settlementWindowId) = ?', [3]), 'window filtered')
+          test.ok(builder.where.notCalled, 'nothing else filtered')
+          test.ok(builder.whereIn.notCalled, 'accounts not filtered')
+          test.ok(builder.offset.calledWith(1), 'previous pages skipped')
+          test.ok(builder.limit.calledWith(2), 'one more transfer read to tell whether there are more')
+          test.end()
+        } catch (err) {
+          Logger.error(`getTransfers failed with error - ${err}`)
+          test.fail()
+          test.end()
+        }
+      })
+
+      await getTransfersTest.test('filter the transfers of a settlement account', async test => {
+        try {
+          const builder = {
+            join: sandbox.stub().returnsThis(),
+            leftJoin: sandbox.stub().returnsThis(),
+            where: sandbox.stub().returnsThis(),
+            whereRaw: sandbox.stub().returnsThis(),
+            whereIn: sandbox.stub().returnsThis(),
+            groupBy: sandbox.stub().returnsThis(),
+            select: sandbox.stub().returnsThis(),
+            orderBy: sandbox.stub().returnsThis(),
+            offset: sandbox.stub().returnsThis(),
+            limit: sandbox.stub().resolves([])
+          }
+          const knexStub = sandbox.stub().returns(builder)
+          knexStub.raw = sandbox.stub()
+          Db.getKnex = sandbox.stub().returns(knexStub)
+
+          const result = await SettlementWindowFacade.getTransfers({ settlementId: 1, ledgerAccountTypeId: 1, currencyId: 'USD', participantCurrencyId: 5 }, { page: 1, limit: 100 })
+          test.deepEqual(result, { page: 1, limit: 100, hasMore: false, transfers: [] }, 'empty page returned')
+          test.ok(builder.where.calledWith('swc.settlementId', 1), 'settlement filtered')
+          test.ok(builder.where.calledWith('pc.ledgerAccountTypeId', 1), 'ledger account type filtered')
+          test.ok(builder.where.calledWith('pc.currencyId', 'USD'), 'currency filtered')
+          test.ok(builder.offset.calledWith(0), 'first page')
+          test.ok(builder.whereRaw.notCalled, 'transfers of all the windows of the settlement')
+
+          const joinContext = { on: sandbox.stub().returnsThis() }
+          builder.join.withArgs('settlementWindowContent AS swc').firstCall.args[1].call(joinContext)
+          test.ok(knexStub.raw.calledWith('COALESCE(swt.settlementWindowId, tf.settlementWindowId)'), 'window content joined by the window of the transfer')
+          test.ok(joinContext.on.calledWith('swc.currencyId', 'pc.currencyId'), 'window content joined by currency')
+          const subquery = { from: sandbox.stub().returnsThis(), where: sandbox.stub().returnsThis(), select: sandbox.stub().returnsThis() }
+          builder.whereIn.firstCall.args[1].call(subquery)
+          test.ok(subquery.where.calledWith({ participantCurrencyId: 5 }), 'transfers of the account selected')
+          test.end()
+        } catch (err) {
+          Logger.error(`getTransfers failed with error - ${err}`)
+          test.fail()
+          test.end()
+        }
+      })
+
+      await getTransfersTest.end()
+    } catch (err) {
+      Logger.error(`settlementFacadeTest failed with error - ${err}`)
+      getTransfersTest.fail()
+      getTransfersTest.end()
+    }
+  })
+
   await settlementWindowFacadeTest.test('getByListOfIds should', async getByListOfIdsTest => {
     try {
       const listOfIds = [1, 2]
@@ -221,6 +472,9 @@ Test('Settlement Window facade', async (settlementWindowFacadeTest) => {
           const result = await SettlementWindowFacade.getByListOfIds(listOfIds, settlementModelMock, enums)
           test.ok(result, 'Result returned')
           test.ok(builderStub.join.withArgs('settlementWindowStateChange AS swsc', 'swsc.settlementWindowStateChangeId', 'settlementWindow.currentStateChangeId').calledOnce)
+          const abortBuilder = { from: sandbox.stub().returnsThis(), whereRaw: sandbox.stub().returnsThis() }
+          whereNotExistsStub.firstCall.args[0].call(abortBuilder)
+          test.ok(abortBuilder.from.calledWith('settlementWindowAbort AS swa'), 'windows aborted by an operator left out')
           test.end()
         } catch (err) {
           Logger.error(`getByListOfIds failed with error - ${err}`)
@@ -261,7 +515,6 @@ Test('Settlement Window facade', async (settlementWindowFacadeTest) => {
       const fromDateTime = new Date('01-01-1970').toISOString()
       const toDateTime = new Date().toISOString()
       const currency = 'USD'
-      let query = { participantId, state, fromDateTime, toDateTime, currency }
       const settlementWindowResultStub = [{
         settlementWindowId: 1,
         state: 'PENDING_SETTLEMENT'
@@ -269,61 +522,51 @@ Test('Settlement Window facade', async (settlementWindowFacadeTest) => {
         settlementWindowId: 2,
         state: 'PENDING_SETTLEMENT'
       }]
-      const enums = {}
       let e
-
-      await getByParamsTest.test('retrieve settlement windows by params', async test => {
-        try {
-          Db.settlementWindow.query.returns(Promise.resolve(settlementWindowResultStub))
-
-          const result = await SettlementWindowFacade.getByParams({ query }, enums)
-          test.ok(result, 'Result returned')
-          test.ok(builderStub.leftJoin.withArgs('settlementWindowStateChange AS swsc', 'swsc.settlementWindowStateChangeId', 'settlementWindow.currentStateChangeId').calledOnce)
-          test.ok(leftJoin2Stub.withArgs('transferFulfilment AS tf', 'tf.settlementWindowId', 'settlementWindow.settlementWindowId').calledOnce)
-          test.ok(leftJoin3Stub.withArgs('transferParticipant AS tp', 'tp.transferId', 'tf.transferId').calledOnce)
-          test.ok(leftJoin4Stub.withArgs('participantCurrency AS pc', 'pc.participantCurrencyId', 'tp.participantCurrencyId').calledOnce)
-          test.ok(selectStub.withArgs('settlementWindow.settlementWindowId',
-            'swsc.settlementWindowStateId as state',
-            'swsc.reason as reason',
-            'settlementWindow.createdDate as createdDate',
-            'swsc.createdDate as changedDate').calledOnce)
-          test.ok(orderByStub.withArgs('changedDate', 'desc').calledOnce)
-          test.ok(distinctStub.calledOnce)
-          test.ok(whereStub.withArgs('pc.participantId', participantId).calledOnce)
-          test.ok(whereStub.withArgs('swsc.settlementWindowStateId', state).calledOnce)
-          test.ok(whereStub.withArgs('settlementWindow.createdDate', '>=', fromDateTime).calledOnce)
-          test.ok(whereStub.withArgs('settlementWindow.createdDate', '<=', toDateTime).calledOnce)
-          test.ok(whereStub.withArgs('pc.currencyId', currency).calledOnce)
-          test.end()
-        } catch (err) {
-          Logger.error(`getByParams failed with error - ${err}`)
-          test.fail()
-          test.end()
+      const createBuilder = () => {
+        const builder = {}
+        for (const method of ['from', 'join', 'leftJoin', 'where', 'orWhere', 'whereRaw', 'whereExists', 'select', 'orderBy', 'limit', 'count', 'first']) {
+          builder[method] = sandbox.stub().returns(builder)
         }
-      })
+        return builder
+      }
+      let builder
+      const setupQuery = (result) => {
+        builder = createBuilder()
+        Db.settlementWindow.query = sandbox.stub().callsFake(async callback => {
+          callback(builder)
+          return result
+        })
+      }
+      const runSubquery = (subquery) => {
+        const subqueryBuilder = createBuilder()
+        subquery.call(subqueryBuilder)
+        return subqueryBuilder
+      }
 
       await getByParamsTest.test('retrieve settlement windows by params', async test => {
         try {
-          Db.settlementWindow.query.returns(Promise.resolve(settlementWindowResultStub))
+          setupQuery(settlementWindowResultStub)
 
-          query = { participantId }
-          const result = await SettlementWindowFacade.getByParams({ query }, enums)
-          test.ok(result, 'Result returned')
-          test.ok(builderStub.leftJoin.withArgs('settlementWindowStateChange AS swsc', 'swsc.settlementWindowStateChangeId', 'settlementWindow.currentStateChangeId').calledOnce)
-          test.ok(leftJoin2Stub.withArgs('transferFulfilment AS tf', 'tf.settlementWindowId', 'settlementWindow.settlementWindowId').calledOnce)
-          test.ok(leftJoin3Stub.withArgs('transferParticipant AS tp', 'tp.transferId', 'tf.transferId').calledOnce)
-          test.ok(leftJoin4Stub.withArgs('participantCurrency AS pc', 'pc.participantCurrencyId', 'tp.participantCurrencyId').calledOnce)
-          test.ok(selectStub.withArgs('settlementWindow.settlementWindowId',
+          const result = await SettlementWindowFacade.getByParams({ query: { participantId, state, fromDateTime, toDateTime, currency } })
+          test.deepEqual(result, settlementWindowResultStub, 'Result returned')
+          test.ok(builder.leftJoin.withArgs('settlementWindowStateChange AS swsc', 'swsc.settlementWindowStateChangeId', 'settlementWindow.currentStateChangeId').calledOnce)
+          test.ok(builder.select.withArgs('settlementWindow.settlementWindowId',
             'swsc.settlementWindowStateId as state',
             'swsc.reason as reason',
             'settlementWindow.createdDate as createdDate',
             'swsc.createdDate as changedDate').calledOnce)
-          test.ok(orderByStub.withArgs('changedDate', 'desc').calledOnce)
-          test.ok(distinctStub.calledOnce)
-          test.ok(whereStub.withArgs('pc.participantId', participantId).calledOnce)
-          test.ok(whereStub.withArgs('swsc.settlementWindowStateId', state).notCalled)
-          test.ok(whereStub.withArgs('settlementWindow.createdDate', '>=', fromDateTime).notCalled)
-          test.ok(whereStub.withArgs('settlementWindow.createdDate', '<=', toDateTime).notCalled)
+          test.ok(builder.orderBy.withArgs([{ column: 'swsc.createdDate', order: 'desc' }, { column: 'settlementWindow.settlementWindowId', order: 'desc' }]).calledOnce, 'latest changed windows first')
+          test.ok(builder.where.withArgs('swsc.settlementWindowStateId', state).calledOnce)
+          test.ok(builder.where.withArgs('settlementWindow.createdDate', '>=', fromDateTime).calledOnce)
+          test.ok(builder.where.withArgs('settlementWindow.createdDate', '<=', toDateTime).calledOnce)
+          test.ok(builder.limit.notCalled, 'all windows returned without limit')
+          const transfers = runSubquery(builder.whereExists.firstCall.args[0])
+          test.ok(transfers.from.calledWith('transferFulfilment AS tf'), 'windows with transfers')
+          test.ok(transfers.leftJoin.calledWith('settlementWindowTransfer AS swt', 'swt.transferId', 'tf.transferId'), 'moved transfers joined')
+          test.ok(transfers.whereRaw.calledWith('COALESCE(swt.settlementWindowId, tf.settlementWindowId) = settlementWindow.settlementWindowId'), 'transfers of the window')
+          test.ok(transfers.where.calledWith('pc.participantId', participantId), 'transfers of the participant')
+          test.ok(transfers.where.calledWith('pc.currencyId', currency), 'transfers of the currency')
           test.end()
         } catch (err) {
           Logger.error(`getByParams failed with error - ${err}`)
@@ -332,67 +575,35 @@ Test('Settlement Window facade', async (settlementWindowFacadeTest) => {
         }
       })
 
-      await getByParamsTest.test('retrieve settlement windows by params', async test => {
-        try {
-          Db.settlementWindow.query.returns(Promise.resolve(settlementWindowResultStub))
+      await getByParamsTest.test('not look up the transfers without participant or currency filter', async test => {
+        setupQuery(settlementWindowResultStub)
 
-          query = { state, fromDateTime, toDateTime, currency }
-          const result = await SettlementWindowFacade.getByParams({ query }, enums)
-          test.ok(result, 'Result returned')
-          test.ok(builderStub.leftJoin.withArgs('settlementWindowStateChange AS swsc', 'swsc.settlementWindowStateChangeId', 'settlementWindow.currentStateChangeId').calledOnce)
-          test.ok(leftJoin2Stub.withArgs('transferFulfilment AS tf', 'tf.settlementWindowId', 'settlementWindow.settlementWindowId').calledOnce)
-          test.ok(leftJoin3Stub.withArgs('transferParticipant AS tp', 'tp.transferId', 'tf.transferId').calledOnce)
-          test.ok(leftJoin4Stub.withArgs('participantCurrency AS pc', 'pc.participantCurrencyId', 'tp.participantCurrencyId').calledOnce)
-          test.ok(selectStub.withArgs('settlementWindow.settlementWindowId',
-            'swsc.settlementWindowStateId as state',
-            'swsc.reason as reason',
-            'settlementWindow.createdDate as createdDate',
-            'swsc.createdDate as changedDate').calledOnce)
-          test.ok(orderByStub.withArgs('changedDate', 'desc').calledOnce)
-          test.ok(distinctStub.calledOnce)
-          test.ok(whereStub.withArgs('swsc.settlementWindowStateId', state).calledOnce)
-          test.ok(whereStub.withArgs('settlementWindow.createdDate', '>=', fromDateTime).calledOnce)
-          test.ok(whereStub.withArgs('settlementWindow.createdDate', '<=', toDateTime).calledOnce)
-          test.ok(whereStub.withArgs('pc.currencyId', currency).calledOnce)
-          test.end()
-        } catch (err) {
-          Logger.error(`getByParams failed with error - ${err}`)
-          test.fail()
-          test.end()
-        }
+        await SettlementWindowFacade.getByParams({ query: { state } })
+        test.ok(builder.where.withArgs('swsc.settlementWindowStateId', state).calledOnce)
+        test.ok(builder.whereExists.notCalled, 'windows without transfers included')
+        test.end()
       })
 
-      await getByParamsTest.test('retrieve settlement windows by params', async test => {
-        try {
-          query = {}
-          Db.settlementWindow.query.returns(Promise.resolve(settlementWindowResultStub))
-
-          const result = await SettlementWindowFacade.getByParams({ query })
-          test.ok(result, 'Result returned')
-          test.ok(builderStub.leftJoin.withArgs('settlementWindowStateChange AS swsc', 'swsc.settlementWindowStateChangeId', 'settlementWindow.currentStateChangeId').calledOnce)
-          test.ok(selectStub.withArgs('settlementWindow.settlementWindowId',
-            'swsc.settlementWindowStateId as state',
-            'swsc.reason as reason',
-            'settlementWindow.createdDate as createdDate',
-            'swsc.createdDate as changedDate').calledOnce)
-          test.ok(orderByStub.withArgs('changedDate', 'desc').calledOnce)
-          test.ok(distinctStub.calledOnce)
-          test.ok(whereStub.withArgs('swsc.settlementWindowStateId', state).notCalled)
-          test.ok(whereStub.withArgs('settlementWindow.createdDate', '>=', fromDateTime).notCalled)
-          test.ok(whereStub.withArgs('settlementWindow.createdDate', '<=', toDateTime).notCalled)
-          test.end()
-        } catch (err) {
-          Logger.error(`getByParams failed with error - ${err}`)
-          test.fail()
-          test.end()
-        }
+      await getByParamsTest.test('return the page after the cursor in the sort order', async test => {
+        setupQuery(settlementWindowResultStub)
+        const createdDate = new Date('2022-10-03T10:00:00.000Z')
+
+        await SettlementWindowFacade.getByParams({ query: { state } }, { sortBy: 'createdDate', sortOrder: 'asc', after: { value: createdDate, settlementWindowId: 5 }, limit: 11 })
+        test.ok(builder.orderBy.withArgs([{ column: 'settlementWindow.createdDate', order: 'asc' }, { column: 'settlementWindow.settlementWindowId', order: 'asc' }]).calledOnce, 'sorted by creation date')
+        test.ok(builder.limit.calledWith(11), 'page limited')
+        const keyset = runSubquery(builder.where.withArgs(Sinon.match.func).firstCall.args[0])
+        test.ok(keyset.where.calledWith('settlementWindow.createdDate', '>', createdDate), 'windows created later')
+        const sameValue = runSubquery(keyset.orWhere.firstCall.args[0])
+        test.ok(sameValue.where.calledWith('settlementWindow.createdDate', createdDate), 'windows created at the same time')
+        test.ok(sameValue.where.calledWith('settlementWindow.settlementWindowId', '>', 5), 'with a higher id')
+        test.end()
       })
 
       await getByParamsTest.test('throw error if database is unavailable', async test => {
         try {
           e = new Error('Database unavailable')
-          Db.settlementWindow.query.throws(e)
-          await SettlementWindowFacade.getByParams({ query })
+          Db.settlementWindow.query = sandbox.stub().throws(e)
+          await SettlementWindowFacade.getByParams({ query: { state } })
           test.fail('Error not thrown!')
           test.end()
         } catch (err) {
@@ -402,6 +613,17 @@ Test('Settlement Window facade', async (settlementWindowFacadeTest) => {
         }
       })
 
+      await getByParamsTest.test('count the settlement windows matching the filters', async test => {
+        setupQuery({ total: 12 })
+
+        const result = await SettlementWindowFacade.countByParams({ query: { state, currency } })
+        test.deepEqual(result, { total: 12 }, 'total returned')
+        test.ok(builder.count.calledWith('* as total'), 'windows counted')
+        test.ok(builder.where.withArgs('swsc.settlementWindowStateId', state).calledOnce)
+        test.ok(builder.whereExists.calledOnce, 'windows with transfers of the currency')
+        test.end()
+      })
+
       await getByParamsTest.end()
     } catch (err) {
       Logger.error(`settlementFacadeTest failed with error - ${err}`)
@@ -452,7 +674,7 @@ Test('Settlement Window facade', async (settlementWindowFacadeTest) => {
           const result = await SettlementWindowFacade.process(params, enums)
           test.ok(result, 'Result returned')
           test.ok(SettlementWindowFacade.getById.withArgs({ settlementWindowId }).calledOnce)
-          test.ok(SettlementWindowFacade.getTransfersCount.withArgs({ settlementWindowId }).calledOnce)
+          test.ok(SettlementWindowFacade.getTransfersCount.withArgs({ settlementWindowId, scope: null }).calledOnce)
           test.ok(knexStub.withArgs('settlementWindowStateChange').calledTwice)
           test.equal(transactingStub.withArgs(trxStub).callCount, 5)
           test.ok(insertStub.withArgs({
@@ -563,6 +785,36 @@ Test('Settlement Window facade', async (settlementWindowFacadeTest) => {
           test.end()
         }
       })
+
+      await processTest.test('record the scope of a window processed for a currency or settlement model', async test => {
+        try {
+          const knexStub = sandbox.stub()
+          const trxStub = sandbox.stub()
+          knexStub.transaction = sandbox.stub().callsArgWith(0, trxStub)
+          Db.getKnex = sandbox.stub().returns(knexStub)
+          const insertStub = sandbox.stub().returns([2])
+          knexStub.returns({
+            transacting: sandbox.stub().returns({
+              insert: insertStub,
+              where: sandbox.stub().returns({ update: sandbox.stub() })
+            })
+          })
+          settlementWindowCurrentStateMock = { state: 'OPEN' }
+          SettlementWindowFacade.getById = sandbox.stub().returns(settlementWindowCurrentStateMock)
+          sandbox.stub(SettlementWindowFacade, 'getTransfersCount').returns(transfersCountMock)
+
+          await SettlementWindowFacade.process({ ...params, scope: { currencyId: 'USD' } }, enums)
+          test.ok(SettlementWindowFacade.getTransfersCount.calledWith({ settlementWindowId, scope: { currencyId: 'USD' } }), 'transfers of the scope counted')
+          test.ok(knexStub.calledWith('settlementWindowScope'), 'scope recorded')
+          test.ok(insertStub.calledWith({ settlementWindowId, currencyId: 'USD', settlementModelId: null, createdDate: now }), 'currency scope recorded')
+          test.end()
+        } catch (err) {
+          Logger.error(`process failed with error - ${err}`)
+          test.fail()
+          test.end()
+        }
+      })
+
       await processTest.end()
     } catch (err) {
       Logger.error(`settlementFacadeTest failed with error - ${err}`)
@@ -571,6 +823,144 @@ Test('Settlement Window facade', async (settlementWindowFacadeTest) => {
     }
   })
 
+  await settlementWindowFacadeTest.test('abort should', async abortTest => {
+    try {
+      const enums = { OPEN: 'OPEN', PROCESSING: 'PROCESSING', CLOSED: 'CLOSED', ABORTED: 'ABORTED' }
+      const builderMethods = ['from', 'where', 'whereIn', 'whereNull', 'join', 'leftJoin', 'select', 'orderBy', 'first', 'forUpdate', 'transacting', 'update', 'del', 'insert']
+      const createBuilder = (result) => {
+        const builder = {}
+        for (const method of builderMethods) {
+          builder[method] = sandbox.stub().returns(builder)
+        }
+        builder.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+        return builder
+      }
+      let knexStub
+      let builders
+      let trxStub
+      const setupKnex = ({ lockedWindow = { state: 'CLOSED' }, settlementSettlementWindow, openWindow = { settlementWindowId: 4 } } = {}) => {
+        builders = {
+          lockedWindow: createBuilder(lockedWindow),
+          settlementSettlementWindow: createBuilder(settlementSettlementWindow),
+          settlementWindowContent: createBuilder([{ settlementWindowContentId: 5 }, { settlementWindowContentId: 6 }]),
+          settlementContentAggregation: createBuilder(4),
+          settlementWindowContentStateChange: createBuilder(2),
+          'settlementWindow AS sw': createBuilder(openWindow),
+          settlementWindowTransfer: createBuilder(1),
+          movedTransfers: createBuilder(2),
+          settlementWindowAbort: createBuilder([3]),
+          settlementWindowStateChange: createBuilder([10]),
+          settlementWindow: createBuilder(1)
+        }
+        // the window is locked first, the open window is looked up when the transfers are moved
+        knexStub = sandbox.stub().callsFake(table => builders[table])
+        knexStub.withArgs('settlementWindow AS sw').onFirstCall().returns(builders.lockedWindow)
+        knexStub.from = sandbox.stub().returns(builders.movedTransfers)
+        knexStub.raw = sandbox.stub()
+        trxStub = sandbox.stub()
+        knexStub.transaction = sandbox.stub().callsFake(async handler => handler(trxStub))
+        Db.getKnex = sandbox.stub().returns(knexStub)
+      }
+
+      await abortTest.test('remove the window content and move the transfers to the open window', async test => {
+        try {
+          setupKnex()
+
+          const result = await SettlementWindowFacade.abort({ settlementWindowId: 3, reason: 'closed by mistake' }, enums)
+          test.equal(result, 4, 'open window returned')
+          test.ok(builders.lockedWindow.transacting.calledWith(trxStub), 'window read in the transaction')
+          test.ok(builders.lockedWindow.where.calledWith('sw.settlementWindowId', 3), 'state of the window read')
+          test.ok(builders.lockedWindow.forUpdate.calledOnce, 'window locked')
+          test.ok(builders.settlementSettlementWindow.transacting.calledWith(trxStub), 'settlements of the window read in the transaction')
+          test.ok(builders.settlementWindowContent.update.calledWith({ currentStateChangeId: null }), 'content state pointers cleared')
+          test.ok(builders.settlementContentAggregation.whereIn.calledWith('settlementWindowContentId', [5, 6]), 'aggregated amounts of the content selected')
+          test.ok(builders.settlementContentAggregation.del.calledOnce, 'aggregated amounts removed')
+          test.ok(builders.settlementWindowContentStateChange.del.calledOnce, 'content state changes removed')
+          test.ok(builders.settlementWindowContent.del.calledOnce, 'content removed')
+          test.ok(builders.settlementWindowTransfer.where.calledWith({ settlementWindowId: 3 }), 'transfers moved to the window before selected')
+          test.ok(builders.settlementWindowTransfer.update.calledWith({ settlementWindowId: 4, createdDate: Sinon.match.date }), 'transfers moved on to the open window')
+          test.ok(builders.movedTransfers.transacting.calledWith(trxStub), 'transfers of the window moved in the transaction')
+          const subquery = createBuilder()
+          builders.movedTransfers.insert.firstCall.args[0].call(subquery)
+          test.ok(subquery.where.calledWith('tf.settlementWindowId', 3), 'transfers fulfilled in the window moved')
+          test.ok(subquery.whereNull.calledWith('swt.transferId'), 'transfers moved before left out')
+          test.ok(knexStub.raw.calledWith('? AS ??', [4, 'settlementWindowId']), 'transfers recorded in the open window')
+          test.ok(knexStub.neverCalledWith('transferFulfilment'), 'central-ledger transfers not changed')
+          test.ok(builders.settlementWindowAbort.insert.calledWith(Sinon.match({ settlementWindowId: 3, reason: 'closed by mistake' })), 'window recorded as aborted by an operator')
+          test.ok(builders.settlementWindowStateChange.insert.calledWith(Sinon.match({ settlementWindowStateId: 'ABORTED', reason: 'closed by mistake', settlementWindowId: 3 })), 'window aborted')
+          test.ok(builders.settlementWindow.update.calledWith({ currentStateChangeId: [10] }), 'window state updated')
+          test.end()
+        } catch (err) {
+          Logger.error(`abort failed with error - ${err}`)
+          test.fail()
+          test.end()
+        }
+      })
+
+      await abortTest.test('put the window back in PROCESSING to aggregate it again', async test => {
+        try {
+          setupKnex()
+
+          const result = await SettlementWindowFacade.abort({ settlementWindowId: 3, reason: 'wrong aggregation', reaggregate: true }, enums)
+          test.equal(result, null, 'no open window returned')
+          test.ok(builders.settlementWindowContent.del.calledOnce, 'content removed')
+          test.ok(builders.settlementWindowTransfer.update.notCalled, 'transfers kept')
+          test.ok(builders.movedTransfers.insert.notCalled, 'transfers kept')
+          test.ok(builders.settlementWindowAbort.insert.notCalled, 'window not recorded as aborted')
+          test.ok(builders.settlementWindowStateChange.insert.calledWith(Sinon.match({ settlementWindowStateId: 'PROCESSING', reason: 'wrong aggregation' })), 'window in PROCESSING')
+          test.end()
+        } catch (err) {
+          Logger.error(`abort failed with error - ${err}`)
+          test.fail()
+          test.end()
+        }
+      })
+
+      await abortTest.test('throw if the window can not be aborted', async test => {
+        const cases = [
+          [null, undefined, 'Window 3 does not exist'],
+          [{ state: 'OPEN' }, undefined, 'Window 3 is not closed'],
+          // a window aborted by another request that committed first
+          [{ state: 'ABORTED' }, undefined, 'Window 3 is not closed'],
+          [{ state: 'CLOSED' }, { settlementId: 1, settlementWindowId: 3 }, 'Window 3 is included in a settlement']
+        ]
+        sandbox.stub(Logger, 'error')
+        for (const [lockedWindow, settlementSettlementWindow, message] of cases) {
+          setupKnex({ lockedWindow, settlementSettlementWindow })
+          try {
+            await SettlementWindowFacade.abort({ settlementWindowId: 3, reason: 'closed by mistake' }, enums)
+            test.fail('Error not thrown!')
+          } catch (err) {
+            test.equal(err.message, message, `Error "${err.message}" thrown as expected`)
+            test.equal(err.apiErrorCode.code, lockedWindow ? '3100' : '3002', 'validation or not found error code')
+            test.ok(builders.lockedWindow.forUpdate.calledOnce, 'window checked under lock')
+            test.ok(builders.settlementWindowContent.del.notCalled && builders.settlementWindowStateChange.insert.notCalled, 'nothing changed')
+          }
+        }
+        test.end()
+      })
+
+      await abortTest.test('roll back if there is no open window', async test => {
+        setupKnex({ openWindow: null })
+        sandbox.stub(Logger, 'error')
+        try {
+          await SettlementWindowFacade.abort({ settlementWindowId: 3, reason: 'closed by mistake' }, enums)
+          test.fail('Error not thrown!')
+        } catch (err) {
+          test.equal(err.message, 'No open window to move the transfers to', `Error "${err.message}" thrown as expected`)
+          test.ok(builders.settlementWindowStateChange.insert.notCalled, 'window not aborted')
+        }
+        test.end()
+      })
+
+      await abortTest.end()
+    } catch (err) {
+      Logger.error(`settlementFacadeTest failed with error - ${err}`)
+      abortTest.fail()
+      abortTest.end()
+    }
+  })
+
   await settlementWindowFacadeTest.test('getBySettlementId should', async getBySettlementIdTest => {
     try {
       const settlementId = 1
@@ -631,12 +1021,61 @@ Test('Settlement Window facade', async (settlementWindowFacadeTest) => {
     }
   })
 
+  await settlementWindowFacadeTest.test('getBySettlementIds should', async getBySettlementIdsTest => {
+    try {
+      await getBySettlementIdsTest.test('retrieve the settlement windows of all the settlements', async test => {
+        try {
+          const settlementWindowResultStub = [{ settlementId: 1, id: 1, state: 'PENDING_SETTLEMENT' }, { settlementId: 2, id: 2, state: 'SETTLED' }]
+          const builder = {}
+          for (const method of ['join', 'select', 'whereIn']) {
+            builder[method] = sandbox.stub().returns(builder)
+          }
+          Db.settlementSettlementWindow.query = sandbox.stub().callsFake(async callback => {
+            callback(builder)
+            return settlementWindowResultStub
+          })
+
+          const result = await SettlementWindowFacade.getBySettlementIds([1, 2])
+          test.deepEqual(result, settlementWindowResultStub, 'Result returned')
+          test.ok(builder.join.withArgs('settlementWindow AS sw', 'sw.settlementWindowId', 'settlementSettlementWindow.settlementWindowId').calledOnce)
+          test.ok(builder.join.withArgs('settlementWindowStateChange AS swsc', 'swsc.settlementWindowStateChangeId', 'sw.currentStateChangeId').calledOnce)
+          test.ok(builder.select.withArgs('settlementSettlementWindow.settlementId',
+            'sw.settlementWindowId AS id',
+            'swsc.settlementWindowStateId as state',
+            'swsc.reason as reason',
+            'sw.createdDate as createdDate',
+            'swsc.createdDate as changedDate').calledOnce)
+          test.ok(builder.whereIn.withArgs('settlementSettlementWindow.settlementId', [1, 2]).calledOnce)
+          test.end()
+        } catch (err) {
+          Logger.error(`getBySettlementIds failed with error - ${err}`)
+          test.fail()
+          test.end()
+        }
+      })
+
+      await getBySettlementIdsTest.end()
+    } catch (err) {
+      Logger.error(`settlementFacadeTest failed with error - ${err}`)
+      getBySettlementIdsTest.fail()
+      getBySettlementIdsTest.end()
+    }
+  })
+
   await settlementWindowFacadeTest.test('close should', async closeTest => {
     try {
       const settlementWindowId = 1
       const reason = 'close reason text'
       const params = { settlementWindowId, reason }
       const enums = { OPEN: 'OPEN' }
+      const createLockedWindowBuilder = (lockedWindow) => {
+        const builder = {}
+        for (const method of ['transacting', 'join', 'where', 'select', 'forUpdate']) {
+          builder[method] = sandbox.stub().returns(builder)
+        }
+        builder.first = sandbox.stub().resolves(lockedWindow)
+        return builder
+      }
 
       await closeTest.test('close the specified open window will throw an error if the current state is undefined.', async test => {
         try {
@@ -713,23 +1152,25 @@ Test('Settlement Window facade', async (settlementWindowFacadeTest) => {
             join: sandbox.stub().returns({
               join: sandbox.stub().returns({
                 join: sandbox.stub().returns({
-                  where: sandbox.stub().returns({
-                    andWhere: sandbox.stub().returns({
-                      distinct: sandbox.stub().returns({
-                        transacting: sandbox.stub().resolves([
-                          {
-                            settlementWindowId: 31,
-                            ledgerAccountTypeId: 1,
-                            currencyId: 'USD',
-                            settlementModelId: 2
-                          },
-                          {
-                            settlementWindowId: 31,
-                            ledgerAccountTypeId: 1,
-                            currencyId: 'USD',
-                            settlementModelId: 1
-                          }
-                        ])
+                  leftJoin: sandbox.stub().returns({
+                    whereRaw: sandbox.stub().returns({
+                      andWhere: sandbox.stub().returns({
+                        distinct: sandbox.stub().returns({
+                          transacting: sandbox.stub().resolves([
+                            {
+                              settlementWindowId: 31,
+                              ledgerAccountTypeId: 1,
+                              currencyId: 'USD',
+                              settlementModelId: 2
+                            },
+                            {
+                              settlementWindowId: 31,
+                              ledgerAccountTypeId: 1,
+                              currencyId: 'USD',
+                              settlementModelId: 1
+                            }
+                          ])
+                        })
                       })
                     })
                   })
@@ -744,6 +1185,7 @@ Test('Settlement Window facade', async (settlementWindowFacadeTest) => {
           const settlementWindowCurrentStateMock = { state: 'PROCESSING' }
 
           SettlementWindowFacade.getById = sandbox.stub().returns(settlementWindowCurrentStateMock)
+          sandbox.stub(SettlementWindowFacade, 'moveOutOfScopeTransfers').resolves(null)
           const result = await SettlementWindowFacade.close(params, enums)
           test.ok(result, 'Result returned')
           test.end()
@@ -825,13 +1267,15 @@ Test('Settlement Window facade', async (settlementWindowFacadeTest) => {
           context.from = sandbox.stub().returns({
             join: sandbox.stub().returns({
               join: sandbox.stub().returns({
-                join: sandbox.stub().callsArgOn(1, context2).returns({
-                  join: sandbox.stub().returns({
-                    where: sandbox.stub().returns({
-                      andWhere: sandbox.stub().returns({
-                        groupBy: sandbox.stub().returns({
-                          select: sandbox.stub().returns({
-                            sum: sandbox.stub()
+                leftJoin: sandbox.stub().returns({
+                  join: sandbox.stub().callsArgOn(1, context2).returns({
+                    join: sandbox.stub().returns({
+                      whereRaw: sandbox.stub().returns({
+                        andWhere: sandbox.stub().returns({
+                          groupBy: sandbox.stub().returns({
+                            select: sandbox.stub().returns({
+                              sum: sandbox.stub()
+                            })
                           })
                         })
                       })
@@ -887,23 +1331,25 @@ Test('Settlement Window facade', async (settlementWindowFacadeTest) => {
             join: sandbox.stub().returns({
               join: sandbox.stub().returns({
                 join: sandbox.stub().returns({
-                  where: sandbox.stub().returns({
-                    andWhere: sandbox.stub().returns({
-                      distinct: sandbox.stub().returns({
-                        transacting: sandbox.stub().resolves([
-                          {
-                            settlementWindowId: 31,
-                            ledgerAccountTypeId: 1,
-                            currencyId: 'USD',
-                            settlementModelId: 2
-                          },
-                          {
-                            settlementWindowId: 31,
-                            ledgerAccountTypeId: 1,
-                            currencyId: 'USD',
-                            settlementModelId: 1
-                          }
-                        ])
+                  leftJoin: sandbox.stub().returns({
+                    whereRaw: sandbox.stub().returns({
+                      andWhere: sandbox.stub().returns({
+                        distinct: sandbox.stub().returns({
+                          transacting: sandbox.stub().resolves([
+                            {
+                              settlementWindowId: 31,
+                              ledgerAccountTypeId: 1,
+                              currencyId: 'USD',
+                              settlementModelId: 2
+                            },
+                            {
+                              settlementWindowId: 31,
+                              ledgerAccountTypeId: 1,
+                              currencyId: 'USD',
+                              settlementModelId: 1
+                            }
+                          ])
+                        })
                       })
                     })
                   })
@@ -912,8 +1358,18 @@ Test('Settlement Window facade', async (settlementWindowFacadeTest) => {
             })
           })
 
+          const lockedWindowBuilder = createLockedWindowBuilder({ state: 'PROCESSING' })
+          knexStub.withArgs('settlementWindow AS sw').returns(lockedWindowBuilder)
+
           SettlementWindowFacade.getById = sandbox.stub().returns(settlementWindowCurrentStateMock)
+          sandbox.stub(SettlementWindowFacade, 'moveOutOfScopeTransfers').resolves(null)
           const result = await SettlementWindowFacade.close(params, enums)
+          test.ok(lockedWindowBuilder.forUpdate.calledOnce, 'window locked')
+          test.ok(lockedWindowBuilder.transacting.calledWith(trxStub), 'window locked in the close transaction')
+          test.ok(SettlementWindowFacade.moveOutOfScopeTransfers.calledWith(params, Sinon.match.array, trxStub), 'transfers of other scopes moved out')
+          test.ok(knexStub.raw.calledWith('? AS ??', [params, 'settlementWindowId']), 'content recorded in the closed window')
+          test.ok(context2.on.calledWith('swc.settlementWindowId'), 'content joined by the window of the transfer')
+          test.ok(knexStub.raw.calledWith('COALESCE(swt.settlementWindowId, tf.settlementWindowId)'), 'moved transfers in the window they were moved to')
           test.ok(result, true)
           test.end()
         } catch (err) {
@@ -922,6 +1378,40 @@ Test('Settlement Window facade', async (settlementWindowFacadeTest) => {
           test.end()
         }
       })
+
+      await closeTest.test('not aggregate the window again when a second close arrives after the first has committed', async test => {
+        const getAll = SettlementModel.getAll
+        try {
+          const knexStub = sandbox.stub()
+          knexStub.raw = sandbox.stub()
+          knexStub.from = sandbox.stub()
+          const trxStub = sandbox.stub()
+          knexStub.transaction = sandbox.stub().callsFake(async handler => handler(trxStub))
+          // the first close has committed: the window read before the transaction was PROCESSING, the locked row is CLOSED
+          const lockedWindowBuilder = createLockedWindowBuilder({ state: 'CLOSED' })
+          knexStub.withArgs('settlementWindow AS sw').returns(lockedWindowBuilder)
+          Db.getKnex.returns(knexStub)
+          SettlementWindowFacade.getById = sandbox.stub().returns({ state: 'PROCESSING' })
+          SettlementModel.getAll = sandbox.stub().resolves([])
+          sandbox.stub(SettlementWindowFacade, 'moveOutOfScopeTransfers').resolves(null)
+
+          const result = await SettlementWindowFacade.close(settlementWindowId, reason)
+          test.equal(result, false, 'window not closed again')
+          test.ok(lockedWindowBuilder.where.calledWith('sw.settlementWindowId', settlementWindowId), 'state of the window read again')
+          test.ok(lockedWindowBuilder.forUpdate.calledOnce, 'window locked')
+          test.ok(SettlementModel.getAll.notCalled, 'content not aggregated')
+          test.ok(SettlementWindowFacade.moveOutOfScopeTransfers.notCalled, 'transfers not moved')
+          test.ok(knexStub.from.notCalled, 'no content or aggregation inserted')
+          test.ok(knexStub.neverCalledWith('settlementWindowStateChange'), 'no second CLOSED state change')
+          test.end()
+        } catch (err) {
+          Logger.error(`close failed with error - ${err}`)
+          test.fail()
+          test.end()
+        } finally {
+          SettlementModel.getAll = getAll
+        }
+      })
       await closeTest.end()
     } catch (err) {
       Logger.error(`settlementFacadeTest failed with error - ${err}`)
@@ -930,6 +1420,118 @@ Test('Settlement Window facade', async (settlementWindowFacadeTest) => {
     }
   })
 
+  await settlementWindowFacadeTest.test('moveOutOfScopeTransfers should', async moveOutOfScopeTransfersTest => {
+    try {
+      const settlementModels = [
+        { settlementModelId: 1, currencyId: null, ledgerAccountTypeId: 1 },
+        { settlementModelId: 2, currencyId: 'USD', ledgerAccountTypeId: 1 },
+        { settlementModelId: 3, currencyId: null, ledgerAccountTypeId: 7 }
+      ]
+      const createBuilder = (result) => {
+        const builder = {}
+        for (const method of ['from', 'join', 'leftJoin', 'where', 'whereIn', 'whereNotIn', 'whereNull', 'select', 'orderBy', 'first', 'forUpdate', 'transacting', 'update', 'insert']) {
+          builder[method] = sandbox.stub().returns(builder)
+        }
+        builder.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+        return builder
+      }
+      let builders
+      let knexStub
+      const setupKnex = (scopes) => {
+        builders = {
+          settlementWindowScope: createBuilder(scopes),
+          'settlementWindow AS sw': createBuilder({ settlementWindowId: 4 }),
+          settlementWindowTransfer: createBuilder(1),
+          movedTransfers: createBuilder(2)
+        }
+        knexStub = sandbox.stub().callsFake(table => builders[table])
+        knexStub.from = sandbox.stub().returns(builders.movedTransfers)
+        knexStub.raw = sandbox.stub()
+        Db.getKnex = sandbox.stub().returns(knexStub)
+      }
+      const runSubquery = (subquery) => {
+        const subqueryBuilder = createBuilder()
+        subquery.call(subqueryBuilder)
+        return subqueryBuilder
+      }
+
+      await moveOutOfScopeTransfersTest.test('return the scopes of the windows', async test => {
+        setupKnex([{ settlementWindowId: 3, currencyId: 'USD', settlementModelId: null }])
+        const trxStub = sandbox.stub()
+
+        const result = await SettlementWindowFacade.getScopes([3, 5], trxStub)
+        test.deepEqual(result, [{ settlementWindowId: 3, currencyId: 'USD', settlementModelId: null }], 'scopes returned')
+        test.ok(builders.settlementWindowScope.whereIn.calledWith('settlementWindowId', [3, 5]), 'scopes of the windows selected')
+        test.ok(builders.settlementWindowScope.transacting.calledWith(trxStub), 'scopes read in the transaction')
+        test.end()
+      })
+
+      await moveOutOfScopeTransfersTest.test('leave the transfers of a window without scope', async test => {
+        setupKnex([])
+
+        const result = await SettlementWindowFacade.moveOutOfScopeTransfers(3, settlementModels, sandbox.stub())
+        test.equal(result, null, 'nothing moved')
+        test.ok(builders.settlementWindowTransfer.update.notCalled && builders.movedTransfers.insert.notCalled, 'transfers kept')
+        test.end()
+      })
+
+      await moveOutOfScopeTransfersTest.test('move the transfers of other currencies to the open window', async test => {
+        setupKnex([{ settlementWindowId: 3, currencyId: 'USD', settlementModelId: null }])
+
+        const result = await SettlementWindowFacade.moveOutOfScopeTransfers(3, settlementModels, sandbox.stub())
+        test.equal(result, 4, 'open window returned')
+        test.ok(builders.settlementWindowTransfer.where.calledWith({ settlementWindowId: 3 }), 'transfers moved to the window before selected')
+        test.ok(builders.settlementWindowTransfer.update.calledWith({ settlementWindowId: 4, createdDate: Sinon.match.date }), 'transfers moved on to the open window')
+        test.equal(builders.settlementWindowTransfer.whereNotIn.firstCall.args[0], 'transferId', 'transfers of the scope moved before kept')
+        const subquery = runSubquery(builders.settlementWindowTransfer.whereNotIn.firstCall.args[1])
+        test.ok(subquery.where.calledWith('spc.currencyId', 'USD'), 'scope matched on the currency')
+        const transfers = runSubquery(builders.movedTransfers.insert.firstCall.args[0])
+        test.ok(transfers.from.calledWith('transferFulfilment AS tf'), 'transfers fulfilled in the window selected')
+        test.ok(transfers.where.calledWith('tf.settlementWindowId', 3), 'transfers of the window selected')
+        test.ok(transfers.whereNull.calledWith('swt.transferId'), 'transfers moved before left out')
+        test.equal(transfers.whereNotIn.firstCall.args[0], 'tf.transferId', 'transfers of the scope kept')
+        test.ok(knexStub.raw.calledWith('? AS ??', [4, 'settlementWindowId']), 'transfers recorded in the open window')
+        test.ok(knexStub.neverCalledWith('transferFulfilment'), 'central-ledger transfers not changed')
+        test.end()
+      })
+
+      await moveOutOfScopeTransfersTest.test('match the transfers of a settlement model like the window content', async test => {
+        setupKnex([{ settlementWindowId: 3, currencyId: null, settlementModelId: 1 }])
+
+        await SettlementWindowFacade.moveOutOfScopeTransfers(3, settlementModels, sandbox.stub())
+        const defaultModelSubquery = runSubquery(builders.settlementWindowTransfer.whereNotIn.firstCall.args[1])
+        test.ok(defaultModelSubquery.where.calledWith('spc.ledgerAccountTypeId', 1), 'ledger account type of the model')
+        test.ok(defaultModelSubquery.whereNotIn.calledWith('spc.currencyId', ['USD']), 'currencies of other models excluded')
+
+        setupKnex([{ settlementWindowId: 3, currencyId: null, settlementModelId: 2 }])
+        await SettlementWindowFacade.moveOutOfScopeTransfers(3, settlementModels, sandbox.stub())
+        const currencyModelSubquery = runSubquery(builders.settlementWindowTransfer.whereNotIn.firstCall.args[1])
+        test.ok(currencyModelSubquery.where.calledWith('spc.currencyId', 'USD'), 'currency of the model')
+        test.end()
+      })
+
+      await moveOutOfScopeTransfersTest.test('throw if there is no open window', async test => {
+        setupKnex([{ settlementWindowId: 3, currencyId: 'USD', settlementModelId: null }])
+        builders['settlementWindow AS sw'] = createBuilder(undefined)
+
+        try {
+          await SettlementWindowFacade.moveOutOfScopeTransfers(3, settlementModels, sandbox.stub())
+          test.fail('Error not thrown!')
+        } catch (err) {
+          test.equal(err.message, 'No open window to move the transfers to', `Error "${err.message}" thrown as expected`)
+          test.ok(builders.settlementWindowTransfer.update.notCalled && builders.movedTransfers.insert.notCalled, 'transfers kept')
+        }
+        test.end()
+      })
+
+      await moveOutOfScopeTransfersTest.end()
+    } catch (err) {
+      Logger.error(`settlementFacadeTest failed with error - ${err}`)
+      moveOutOfScopeTransfersTest.fail()
+      moveOutOfScopeTransfersTest.end()
+    }
+  })
+
   await settlementWindowFacadeTest.test('getTransfersCount should', async closeTest => {
     try {
       await closeTest.test('should return the number of transfers in a window.', async test => {
@@ -944,13 +1546,16 @@ Test('Settlement Window facade', async (settlementWindowFacadeTest) => {
           builderStub.count = sandbox.stub()
           builderStub.count.returns({
             first: firstStub.returns({
-              where: whereStub.returns(1)
+              leftJoin: sandbox.stub().returns({
+                whereRaw: whereStub.returns(1)
+              })
             })
           })
           Db.transferFulfilment.query.callsArgWith(0, builderStub)
 
           const result = await SettlementWindowFacade.getTransfersCount({ settlementWindowId: 1 })
           test.ok(result, 'Result returned')
+          test.ok(whereStub.calledWith('COALESCE(swt.settlementWindowId, transferFulfilment.settlementWindowId) = ?', [1]), 'transfers of the window counted')
           test.end()
         } catch (err) {
           Logger.error('getTransferCount failed with error : ' + err)
@@ -959,6 +1564,29 @@ Test('Settlement Window facade', async (settlementWindowFacadeTest) => {
         }
       })
 
+      await closeTest.test('count only the transfers of the scope', async test => {
+        const whereInStub = sandbox.stub()
+        const builderStub = sandbox.stub()
+        builderStub.count = sandbox.stub().returns({
+          first: sandbox.stub().returns({
+            leftJoin: sandbox.stub().returns({
+              whereRaw: sandbox.stub().returns({ whereIn: whereInStub })
+            })
+          })
+        })
+        Db.transferFulfilment.query = sandbox.stub().callsFake(async callback => {
+          callback(builderStub)
+          return { cnt: 2 }
+        })
+        SettlementModel.getAll = sandbox.stub().resolves([{ settlementModelId: 2, currencyId: 'USD', ledgerAccountTypeId: 1 }])
+
+        const result = await SettlementWindowFacade.getTransfersCount({ settlementWindowId: 1, scope: { settlementModelId: 2 } })
+        test.deepEqual(result, { cnt: 2 }, 'count returned')
+        test.ok(SettlementModel.getAll.calledOnce, 'settlement models loaded for a settlement model scope')
+        test.equal(whereInStub.firstCall.args[0], 'transferFulfilment.transferId', 'transfers of the scope counted')
+        test.end()
+      })
+
       await closeTest.end()
     } catch (err) {
       Logger.error(`settlementFacadeTest failed with error - ${err}`)
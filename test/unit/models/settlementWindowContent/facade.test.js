@@ -83,6 +83,7 @@ Test('SettlementWindowContentFacade', async (settlementWindowContentModelTest) =
           const where2Stub = sandbox.stub()
           const whereIn1Stub = sandbox.stub()
           const whereIn2Stub = sandbox.stub()
+          const whereNotExistsStub = sandbox.stub()
           builderStub.join = sandbox.stub().returns({
             join: sandbox.stub().returns({
               join: sandbox.stub().returns({
@@ -91,7 +92,9 @@ Test('SettlementWindowContentFacade', async (settlementWindowContentModelTest) =
                     where: where2Stub.returns({
                       whereIn: whereIn1Stub.returns({
                         whereIn: whereIn2Stub.returns({
-                          distinct: sandbox.stub().returns(applicableContentMock)
+                          whereNotExists: whereNotExistsStub.returns({
+                            distinct: sandbox.stub().returns(applicableContentMock)
+                          })
                         })
                       })
                     })
@@ -106,6 +109,9 @@ Test('SettlementWindowContentFacade', async (settlementWindowContentModelTest) =
           test.ok(builderStub.join.withArgs('settlementWindowStateChange AS swsc', 'swsc.settlementWindowStateChangeId', 'settlementWindow.currentStateChangeId').calledOnce, 'join with args ... called once')
           test.ok(whereRawStub.withArgs(`settlementWindow.settlementWindowId IN (${idList})`).calledOnce, 'whereRaw with args ... called once')
           test.ok(where1Stub.withArgs('swc.ledgerAccountTypeId', settlementModel.ledgerAccountTypeId).calledOnce, 'where with args ... called once')
+          const abortBuilder = { from: sandbox.stub().returnsThis(), whereRaw: sandbox.stub().returnsThis() }
+          whereNotExistsStub.firstCall.args[0].call(abortBuilder)
+          test.ok(abortBuilder.whereRaw.calledWith('swa.settlementWindowId = settlementWindow.settlementWindowId'), 'windows aborted by an operator left out')
           test.equal(result, applicableContentMock, 'Result matched')
 
           test.end()
@@ -264,5 +270,113 @@ Test('SettlementWindowContentFacade', async (settlementWindowContentModelTest) =
       getBySettlementWindowContentIdTest.end()
     }
   })
+
+  await settlementWindowContentModelTest.test('getById should return the settlement window content record', async test => {
+    const getKnex = Db.getKnex
+    try {
+      const content = { settlementWindowContentId: 1, settlementWindowId: 2, ledgerAccountTypeId: 1, currencyId: 'USD', settlementId: null }
+      const builder = {
+        where: sandbox.stub().returnsThis(),
+        select: sandbox.stub().returnsThis(),
+        first: sandbox.stub().resolves(content)
+      }
+      const knexStub = sandbox.stub().returns(builder)
+      Db.getKnex = sandbox.stub().returns(knexStub)
+      const result = await SettlementWindowContentFacade.getById(1)
+      test.deepEqual(result, content, 'result matches')
+      test.ok(builder.where.withArgs('swc.settlementWindowContentId', 1).calledOnce, 'filtered by id')
+    } catch (err) {
+      Logger.error(`getById failed with error - ${err}`)
+      test.fail()
+    } finally {
+      Db.getKnex = getKnex
+    }
+    test.end()
+  })
+
+  await settlementWindowContentModelTest.test('getBySettlementIds should return the content of all the settlements', async test => {
+    const getKnex = Db.getKnex
+    try {
+      const content = [
+        { id: 1, settlementId: 4, settlementWindowId: 2, state: 'PENDING_SETTLEMENT', ledgerAccountType: 'POSITION', currencyId: 'USD' },
+        { id: 2, settlementId: 5, settlementWindowId: 3, state: 'SETTLED', ledgerAccountType: 'POSITION', currencyId: 'USD' }
+      ]
+      const builder = {
+        join: sandbox.stub().returnsThis(),
+        whereIn: sandbox.stub().returnsThis(),
+        select: sandbox.stub().resolves(content)
+      }
+      const knexStub = sandbox.stub().returns(builder)
+      Db.getKnex = sandbox.stub().returns(knexStub)
+      const result = await SettlementWindowContentFacade.getBySettlementIds([4, 5])
+      test.deepEqual(result, content, 'result matches')
+      test.ok(builder.whereIn.withArgs('swc.settlementId', [4, 5]).calledOnce, 'filtered by settlement ids')
+      test.ok(builder.select.calledWith(Sinon.match.any, 'swc.settlementId', 'swc.settlementWindowId'), 'settlement and window ids returned with the content')
+    } catch (err) {
+      Logger.error(`getBySettlementIds failed with error - ${err}`)
+      test.fail()
+    } finally {
+      Db.getKnex = getKnex
+    }
+    test.end()
+  })
+
+  await settlementWindowContentModelTest.test('getBySettlementWindowIds should return the content of all the windows', async test => {
+    const getKnex = Db.getKnex
+    try {
+      const content = [
+        { id: 1, settlementWindowId: 2, state: 'CLOSED', ledgerAccountType: 'POSITION', currencyId: 'USD', settlementId: null },
+        { id: 2, settlementWindowId: 3, state: 'CLOSED', ledgerAccountType: 'POSITION', currencyId: 'USD', settlementId: null }
+      ]
+      const builder = {
+        join: sandbox.stub().returnsThis(),
+        whereIn: sandbox.stub().returnsThis(),
+        select: sandbox.stub().resolves(content)
+      }
+      const knexStub = sandbox.stub().returns(builder)
+      Db.getKnex = sandbox.stub().returns(knexStub)
+      const result = await SettlementWindowContentFacade.getBySettlementWindowIds([2, 3])
+      test.deepEqual(result, content, 'result matches')
+      test.ok(builder.whereIn.withArgs('swc.settlementWindowId', [2, 3]).calledOnce, 'filtered by window ids')
+      test.ok(builder.select.calledWith(Sinon.match.any, 'swc.settlementWindowId'), 'window id returned with the content')
+    } catch (err) {
+      Logger.error(`getBySettlementWindowIds failed with error - ${err}`)
+      test.fail()
+    } finally {
+      Db.getKnex = getKnex
+    }
+    test.end()
+  })
+
+  await settlementWindowContentModelTest.test('getParticipantAmountsBySettlementWindowId should return the net amount of every participant account in the window', async test => {
+    const getKnex = Db.getKnex
+    try {
+      const participantAmounts = [
+        { fspId: 'dfsp1', participantCurrencyId: 3, currency: 'USD', ledgerAccountType: 'POSITION', netAmount: 100 },
+        { fspId: 'dfsp2', participantCurrencyId: 5, currency: 'USD', ledgerAccountType: 'POSITION', netAmount: -100 }
+      ]
+      const builder = {
+        join: sandbox.stub().returnsThis(),
+        where: sandbox.stub().returnsThis(),
+        groupBy: sandbox.stub().returnsThis(),
+        select: sandbox.stub().returnsThis(),
+        sum: sandbox.stub().resolves(participantAmounts)
+      }
+      const knexStub = sandbox.stub().returns(builder)
+      Db.getKnex = sandbox.stub().returns(knexStub)
+      const result = await SettlementWindowContentFacade.getParticipantAmountsBySettlementWindowId(1)
+      test.deepEqual(result, participantAmounts, 'results match')
+      test.ok(knexStub.withArgs('settlementContentAggregation AS sca').calledOnce, 'aggregated content queried')
+      test.ok(builder.where.withArgs('swc.settlementWindowId', 1).calledOnce, 'filtered by window')
+      test.ok(builder.sum.withArgs('sca.amount AS netAmount').calledOnce, 'amounts summed')
+    } catch (err) {
+      Logger.error(`getParticipantAmountsBySettlementWindowId failed with error - ${err}`)
+      test.fail()
+    } finally {
+      Db.getKnex = getKnex
+    }
+    test.end()
+  })
+
   await settlementWindowContentModelTest.end()
 })
@@ -96,6 +96,7 @@ Test('TransferSettlement facade', async (transferSettlementTest) => {
     knexStub = {
       insert: sandbox.stub().returnsThis(),
       increment: sandbox.stub().returnsThis(),
+      decrement: sandbox.stub().returnsThis(),
       raw: sandbox.stub().returnsThis(),
       transaction: sandbox.stub().callsArgWith(0, trxStub),
       select: sandbox.stub().returnsThis(),
@@ -106,6 +107,12 @@ Test('TransferSettlement facade', async (transferSettlementTest) => {
       whereIn: sandbox.stub().returnsThis(),
       andWhere: sandbox.stub().returnsThis(),
       orWhere: sandbox.stub().returnsThis(),
+      orderBy: sandbox.stub().returnsThis(),
+      limit: sandbox.stub().returnsThis(),
+      join: sandbox.stub().returnsThis(),
+      leftJoin: sandbox.stub().returnsThis(),
+      whereNull: sandbox.stub().returnsThis(),
+      forUpdate: sandbox.stub().returnsThis(),
       transacting: sandbox.stub(),
       union: sandbox.stub().returnsThis(),
       on: sandbox.stub().returnsThis(),
@@ -126,14 +133,15 @@ Test('TransferSettlement facade', async (transferSettlementTest) => {
       sandbox.stub(Db, 'getKnex')
 
       knexStub.transacting.onCall(0).resolves(recordsToInsert)
-      knexStub.transacting.onCall(1).resolves(1)
-      knexStub.transacting.onCall(2).resolves(1)
+      knexStub.transacting.onCall(1).resolves([101])
+      knexStub.transacting.onCall(2).resolves([102])
       knexStub.transacting.onCall(3).resolves(1)
+      knexStub.transacting.onCall(4).resolves(1)
 
-      knexStub.transacting.onCall(4).resolves([{
+      knexStub.transacting.onCall(5).resolves([{
         transferStateChangeId: 4581
       }])
-      knexStub.transacting.onCall(5).resolves([
+      knexStub.transacting.onCall(6).resolves([
         {
           participantPositionId: 130,
           value: 39.37,
@@ -145,14 +153,16 @@ Test('TransferSettlement facade', async (transferSettlementTest) => {
           reservedValue: 0
         }
       ])
-      knexStub.transacting.onCall(6).resolves(1)
+      knexStub.transacting.onCall(7).resolves(1)
       const knexFunc = sandbox.stub().returns(knexStub)
       Object.assign(knexFunc, knexStub)
       Db.getKnex.returns(knexFunc)
 
       const transferId = '42a874d4-82a4-4471-a3fc-3dfeb6f7cb93'
-      await Model.insertLedgerEntry(ledgerEntry, transferId, trxStub)
-      test.deepEqual(knexStub.insert.getCalls()[0].args[0], recordsToInsert, 'insert the records to transferParticipant table')
+      const transferParticipantIds = await Model.insertLedgerEntry(ledgerEntry, transferId, trxStub)
+      test.deepEqual(transferParticipantIds, [101, 102], 'return the ids of the transferParticipant records')
+      test.deepEqual(knexStub.insert.getCalls()[0].args[0], recordsToInsert[0], 'insert the payer record to transferParticipant table')
+      test.deepEqual(knexStub.insert.getCalls()[1].args[0], recordsToInsert[1], 'insert the payee record to transferParticipant table')
       test.deepEqual(knexStub.where.getCalls()[2].args[2], 13, 'increment the value of ParticipantPosition for ParticipantCurrency')
       test.deepEqual(knexStub.where.getCalls()[3].args[2], 14, 'increment the value of ParticipantPosition for ParticipantCurrency')
       test.deepEqual(knexStub.increment.getCalls()[0].args[0], 'value', 'increment the value of ParticipantPosition')
@@ -160,7 +170,8 @@ Test('TransferSettlement facade', async (transferSettlementTest) => {
       test.deepEqual(knexStub.increment.getCalls()[1].args[0], 'value', 'increment the value of ParticipantPosition')
       test.deepEqual(knexStub.increment.getCalls()[1].args[1], '-1.27', 'increment the value of ParticipantPosition')
 
-      test.deepEqual(knexStub.insert.getCalls()[1].args[0], expectedParticipantPositionChangeRecords, 'insert the records to ParticipantPositionChange table')
+      test.deepEqual(knexStub.insert.getCalls()[2].args[0], expectedParticipantPositionChangeRecords, 'insert the records to ParticipantPositionChange table')
+      test.ok(knexStub.orderBy.calledWith('transferStateChangeId', 'desc'), 'link the position changes to the latest transfer state, whatever it is')
 
       test.end()
     } catch (err) {
@@ -214,8 +225,9 @@ Test('TransferSettlement facade', async (transferSettlementTest) => {
     try {
       sandbox.stub(Db, 'getKnex')
       knexStub.transacting.onCall(0).resolves(recordsToInsert)
-      knexStub.transacting.onCall(1).resolves(1)
-      knexStub.transacting.onCall(2).resolves(0)
+      knexStub.transacting.onCall(1).resolves([101])
+      knexStub.transacting.onCall(2).resolves([102])
+      knexStub.transacting.onCall(3).resolves(0)
       const knexFunc = sandbox.stub().returns(knexStub)
       Object.assign(knexFunc, knexStub)
       Db.getKnex.returns(knexFunc)
@@ -235,10 +247,11 @@ Test('TransferSettlement facade', async (transferSettlementTest) => {
     try {
       sandbox.stub(Db, 'getKnex')
       knexStub.transacting.onCall(0).resolves(recordsToInsert)
-      knexStub.transacting.onCall(1).resolves(1)
-      knexStub.transacting.onCall(2).resolves(1)
+      knexStub.transacting.onCall(1).resolves([101])
+      knexStub.transacting.onCall(2).resolves([102])
       knexStub.transacting.onCall(3).resolves(1)
-      knexStub.transacting.onCall(4).resolves([])
+      knexStub.transacting.onCall(4).resolves(1)
+      knexStub.transacting.onCall(5).resolves([])
       const knexFunc = sandbox.stub().returns(knexStub)
       Object.assign(knexFunc, knexStub)
       Db.getKnex.returns(knexFunc)
@@ -248,7 +261,7 @@ Test('TransferSettlement facade', async (transferSettlementTest) => {
       test.end()
     } catch (err) {
       test.ok(err instanceof Error, 'should throw an error')
-      test.equal(err.message, 'Unable to find transfer with COMMITTED state for transferId : 42a874d4-82a4-4471-a3fc-3dfeb6f7cb93', 'should throw Unable to find transfer error message')
+      test.equal(err.message, 'Unable to find a transfer state for transferId : 42a874d4-82a4-4471-a3fc-3dfeb6f7cb93', 'should throw Unable to find a transfer state error message')
 
       test.end()
     }
@@ -258,13 +271,14 @@ Test('TransferSettlement facade', async (transferSettlementTest) => {
     try {
       sandbox.stub(Db, 'getKnex')
       knexStub.transacting.onCall(0).resolves(recordsToInsert)
-      knexStub.transacting.onCall(1).resolves(1)
-      knexStub.transacting.onCall(2).resolves(1)
+      knexStub.transacting.onCall(1).resolves([101])
+      knexStub.transacting.onCall(2).resolves([102])
       knexStub.transacting.onCall(3).resolves(1)
-      knexStub.transacting.onCall(4).resolves([{
+      knexStub.transacting.onCall(4).resolves(1)
+      knexStub.transacting.onCall(5).resolves([{
         transferStateChangeId: 4581
       }])
-      knexStub.transacting.onCall(5).resolves([
+      knexStub.transacting.onCall(6).resolves([
         {
           participantPositionId: 130,
           value: 39.37,
@@ -291,14 +305,15 @@ Test('TransferSettlement facade', async (transferSettlementTest) => {
       sandbox.stub(Db, 'getKnex')
 
       knexStub.transacting.onCall(0).resolves(recordsToInsert)
-      knexStub.transacting.onCall(1).resolves(1)
-      knexStub.transacting.onCall(2).resolves(1)
+      knexStub.transacting.onCall(1).resolves([101])
+      knexStub.transacting.onCall(2).resolves([102])
       knexStub.transacting.onCall(3).resolves(1)
+      knexStub.transacting.onCall(4).resolves(1)
 
-      knexStub.transacting.onCall(4).resolves([{
+      knexStub.transacting.onCall(5).resolves([{
         transferStateChangeId: 4581
       }])
-      knexStub.transacting.onCall(5).resolves([
+      knexStub.transacting.onCall(6).resolves([
         {
           participantPositionId: 130,
           value: 39.37,
@@ -310,7 +325,7 @@ Test('TransferSettlement facade', async (transferSettlementTest) => {
           reservedValue: 0
         }
       ])
-      knexStub.transacting.onCall(6).resolves(1)
+      knexStub.transacting.onCall(7).resolves(1)
       const knexFunc = sandbox.stub().returns(knexStub)
       Object.assign(knexFunc, knexStub)
       Db.getKnex.returns(knexFunc)
@@ -351,14 +366,15 @@ Test('TransferSettlement facade', async (transferSettlementTest) => {
       sandbox.stub(Db, 'getKnex')
 
       knexStub.transacting.onCall(0).resolves(recordsToInsert)
-      knexStub.transacting.onCall(1).resolves(1)
-      knexStub.transacting.onCall(2).resolves(1)
+      knexStub.transacting.onCall(1).resolves([101])
+      knexStub.transacting.onCall(2).resolves([102])
       knexStub.transacting.onCall(3).resolves(1)
+      knexStub.transacting.onCall(4).resolves(1)
 
-      knexStub.transacting.onCall(4).resolves([{
+      knexStub.transacting.onCall(5).resolves([{
         transferStateChangeId: 4581
       }])
-      knexStub.transacting.onCall(5).resolves([
+      knexStub.transacting.onCall(6).resolves([
         {
           participantPositionId: 130,
           value: 39.37,
@@ -370,14 +386,16 @@ Test('TransferSettlement facade', async (transferSettlementTest) => {
           reservedValue: 0
         }
       ])
-      knexStub.transacting.onCall(6).resolves(1)
+      knexStub.transacting.onCall(7).resolves(1)
       const knexFunc = sandbox.stub().returns(knexStub)
       Object.assign(knexFunc, knexStub)
       Db.getKnex.returns(knexFunc)
 
       const transferId = '42a874d4-82a4-4471-a3fc-3dfeb6f7cb93'
-      await Model.insertLedgerEntries([ledgerEntry], transferId, trxStub)
-      test.deepEqual(knexStub.insert.getCalls()[0].args[0], recordsToInsert, 'insert the records to transferParticipant table')
+      const transferParticipantIds = await Model.insertLedgerEntries([ledgerEntry], transferId, trxStub)
+      test.deepEqual(transferParticipantIds, [[101, 102]], 'return the ids of the transferParticipant records of every ledger entry')
+      test.deepEqual(knexStub.insert.getCalls()[0].args[0], recordsToInsert[0], 'insert the payer record to transferParticipant table')
+      test.deepEqual(knexStub.insert.getCalls()[1].args[0], recordsToInsert[1], 'insert the payee record to transferParticipant table')
       test.deepEqual(knexStub.where.getCalls()[2].args[2], 13, 'increment the value of ParticipantPosition for ParticipantCurrency')
       test.deepEqual(knexStub.where.getCalls()[3].args[2], 14, 'increment the value of ParticipantPosition for ParticipantCurrency')
       test.deepEqual(knexStub.increment.getCalls()[0].args[0], 'value', 'increment the value of ParticipantPosition')
@@ -385,7 +403,7 @@ Test('TransferSettlement facade', async (transferSettlementTest) => {
       test.deepEqual(knexStub.increment.getCalls()[1].args[0], 'value', 'increment the value of ParticipantPosition')
       test.deepEqual(knexStub.increment.getCalls()[1].args[1], '-1.27', 'increment the value of ParticipantPosition')
 
-      test.deepEqual(knexStub.insert.getCalls()[1].args[0], expectedParticipantPositionChangeRecords, 'insert the records to ParticipantPositionChange table')
+      test.deepEqual(knexStub.insert.getCalls()[2].args[0], expectedParticipantPositionChangeRecords, 'insert the records to ParticipantPositionChange table')
 
       test.end()
     } catch (err) {
@@ -400,14 +418,15 @@ Test('TransferSettlement facade', async (transferSettlementTest) => {
       sandbox.stub(Db, 'getKnex')
 
       knexStub.transacting.onCall(0).resolves(recordsToInsert)
-      knexStub.transacting.onCall(1).resolves(1)
-      knexStub.transacting.onCall(2).resolves(1)
+      knexStub.transacting.onCall(1).resolves([101])
+      knexStub.transacting.onCall(2).resolves([102])
       knexStub.transacting.onCall(3).resolves(1)
+      knexStub.transacting.onCall(4).resolves(1)
 
-      knexStub.transacting.onCall(4).resolves([{
+      knexStub.transacting.onCall(5).resolves([{
         transferStateChangeId: 4581
       }])
-      knexStub.transacting.onCall(5).resolves([
+      knexStub.transacting.onCall(6).resolves([
         {
           participantPositionId: 130,
           value: 39.37,
@@ -419,7 +438,7 @@ Test('TransferSettlement facade', async (transferSettlementTest) => {
           reservedValue: 0
         }
       ])
-      knexStub.transacting.onCall(6).resolves(1)
+      knexStub.transacting.onCall(7).resolves(1)
       const knexFunc = sandbox.stub().returns(knexStub)
       Object.assign(knexFunc, knexStub)
       Db.getKnex.returns(knexFunc)
@@ -456,6 +475,169 @@ Test('TransferSettlement facade', async (transferSettlementTest) => {
     }
   })
 
+  await transferSettlementTest.test('insertFeeTransfer should record a committed transfer in the open settlement window', async (test) => {
+    sandbox.stub(Db, 'getKnex')
+    knexStub.transacting.onCall(0).resolves([])
+    knexStub.transacting.onCall(1).resolves([{ settlementWindowId: 7 }])
+    knexStub.transacting.resolves([1])
+    const knexFunc = sandbox.stub().returns(knexStub)
+    Object.assign(knexFunc, knexStub)
+    Db.getKnex.returns(knexFunc)
+
+    const transferId = '5b7a5a56-2b6f-5b0e-8a4c-8d1d8a3e2f11'
+    const result = await Model.insertFeeTransfer({ transferId, currency: 'TZS', reason: 'settlementwindow close rules' }, trxStub)
+    test.equal(result, true, 'transfer inserted')
+    test.deepEqual(knexFunc.getCalls().map(call => call.args[0]), ['transfer', 'settlementWindow AS sw', 'transferDuplicateCheck', 'transfer', 'transferFulfilmentDuplicateCheck', 'transferFulfilment', 'transferStateChange'], 'tables written in order')
+    test.equal(knexStub.insert.getCalls()[1].args[0].amount, 0, 'the transfer does not move funds')
+    test.equal(knexStub.insert.getCalls()[3].args[0].settlementWindowId, 7, 'fulfilled in the open window')
+    test.equal(knexStub.insert.getCalls()[4].args[0].transferStateId, 'COMMITTED', 'committed')
+    test.equal(knexStub.insert.getCalls()[4].args[0].reason, 'settlementwindow close rules', 'with the reason')
+    test.end()
+  })
+
+  await transferSettlementTest.test('insertFeeTransfer should not insert a transfer that already exists', async (test) => {
+    sandbox.stub(Db, 'getKnex')
+    knexStub.transacting.onCall(0).resolves([{ transferId: '5b7a5a56-2b6f-5b0e-8a4c-8d1d8a3e2f11' }])
+    const knexFunc = sandbox.stub().returns(knexStub)
+    Object.assign(knexFunc, knexStub)
+    Db.getKnex.returns(knexFunc)
+
+    const result = await Model.insertFeeTransfer({ transferId: '5b7a5a56-2b6f-5b0e-8a4c-8d1d8a3e2f11', currency: 'TZS', reason: 'settlement settled rules' }, trxStub)
+    test.equal(result, false, 'nothing inserted')
+    test.ok(knexStub.insert.notCalled, 'no insert')
+    test.end()
+  })
+
+  await transferSettlementTest.test('insertFeeTransfer should throw if the transfer can not be inserted', async (test) => {
+    sandbox.stub(Db, 'getKnex')
+    knexStub.transacting.onCall(0).resolves([])
+    knexStub.transacting.onCall(1).resolves([])
+    knexStub.transacting.onCall(2).rejects(new Error('Duplicate entry'))
+    const knexFunc = sandbox.stub().returns(knexStub)
+    Object.assign(knexFunc, knexStub)
+    Db.getKnex.returns(knexFunc)
+    try {
+      await Model.insertFeeTransfer({ transferId: '5b7a5a56-2b6f-5b0e-8a4c-8d1d8a3e2f11', currency: 'TZS', reason: 'settlement settled rules' }, trxStub)
+      test.fail('Error not thrown')
+    } catch (err) {
+      test.equal(err.message, 'Duplicate entry', 'error rethrown')
+    }
+    test.end()
+  })
+
+  await transferSettlementTest.test('reverseRuleLedgerEntries should offset the rule ledger entries that were not reversed yet on a reversal transfer per currency', async (test) => {
+    sandbox.stub(Db, 'getKnex')
+    sandbox.stub(Model, 'insertFeeTransfer').resolves(true)
+    const transferId = '42a874d4-82a4-4471-a3fc-3dfeb6f7cb93'
+    knexStub.transacting.onCall(0).resolves([
+      { ...recordsToInsert[0], transferParticipantId: 101, currencyId: 'TZS' },
+      { ...recordsToInsert[1], transferParticipantId: 102, currencyId: 'TZS' },
+      { ...recordsToInsert[0], participantCurrencyId: 23, transferParticipantId: 105, amount: '0.1', currencyId: 'USD' }
+    ])
+    knexStub.transacting.onCall(1).resolves([103])
+    knexStub.transacting.onCall(2).resolves(1)
+    knexStub.transacting.onCall(3).resolves([104])
+    knexStub.transacting.onCall(4).resolves(1)
+    knexStub.transacting.onCall(5).resolves([{ transferStateChangeId: 4581 }])
+    knexStub.transacting.onCall(6).resolves([
+      { participantPositionId: 130, value: 38.1, reservedValue: 0 },
+      { participantPositionId: 129, value: -38.1, reservedValue: 0 }
+    ])
+    knexStub.transacting.onCall(7).resolves([1])
+    knexStub.transacting.onCall(8).resolves([106])
+    knexStub.transacting.onCall(9).resolves(1)
+    knexStub.transacting.onCall(10).resolves([{ transferStateChangeId: 4582 }])
+    knexStub.transacting.onCall(11).resolves([{ participantPositionId: 140, value: 5, reservedValue: 0 }])
+    knexStub.transacting.resolves([1])
+    const knexFunc = sandbox.stub().returns(knexStub)
+    Object.assign(knexFunc, knexStub)
+    Db.getKnex.returns(knexFunc)
+
+    const result = await Model.reverseRuleLedgerEntries(transferId, 'Chargeback')
+    const [tzsFeeTransfer, usdFeeTransfer] = Model.insertFeeTransfer.getCalls().map(call => call.args[0])
+    test.deepEqual([tzsFeeTransfer.currency, usdFeeTransfer.currency], ['TZS', 'USD'], 'a reversal transfer per currency')
+    test.notEqual(tzsFeeTransfer.transferId, usdFeeTransfer.transferId, 'reversal transfers with their own id')
+    test.notEqual(tzsFeeTransfer.transferId, transferId, 'offsetting records not booked on the original transfer')
+    test.equal(tzsFeeTransfer.reason, `Reversal of the rule ledger entries of ${transferId}`, 'reversal transfer reason')
+    test.ok(Model.insertFeeTransfer.getCalls().every(call => call.args[1] === trxStub), 'reversal transfers inserted in the transaction')
+    test.deepEqual(result, [
+      { transferParticipantId: 103, reversedTransferParticipantId: 101, transferId, reversalTransferId: tzsFeeTransfer.transferId, reason: 'Chargeback' },
+      { transferParticipantId: 104, reversedTransferParticipantId: 102, transferId, reversalTransferId: tzsFeeTransfer.transferId, reason: 'Chargeback' },
+      { transferParticipantId: 106, reversedTransferParticipantId: 105, transferId, reversalTransferId: usdFeeTransfer.transferId, reason: 'Chargeback' }
+    ], 'reversals linked to the original records and the reversal transfers')
+    test.ok(knexFunc.withArgs('settlementRuleLedgerEntry AS RLE').calledOnce, 'only rule-generated records reversed')
+    test.ok(knexStub.whereNull.withArgs('RR.transferParticipantId').calledOnce, 'records reversed before are skipped')
+    test.deepEqual(knexStub.insert.getCalls()[0].args[0], { transferId: tzsFeeTransfer.transferId, participantCurrencyId: 13, transferParticipantRoleTypeId: 1, ledgerEntryTypeId: 2, amount: '-1.27' }, 'offsetting record with the opposite amount')
+    test.equal(knexStub.insert.getCalls()[1].args[0].amount, '1.27', 'negative amount offset')
+    test.ok(knexStub.decrement.withArgs('value', '1.27').calledOnce && knexStub.decrement.withArgs('value', '-1.27').calledOnce, 'positions moved back')
+    test.ok(knexStub.where.withArgs('transferId', tzsFeeTransfer.transferId).calledOnce && knexStub.where.withArgs('transferId', usdFeeTransfer.transferId).calledOnce, 'state changes of the reversal transfers read')
+    test.deepEqual(knexStub.insert.getCalls()[2].args[0], [
+      { participantPositionId: 130, value: 38.1, reservedValue: 0, transferStateChangeId: 4581 },
+      { participantPositionId: 129, value: -38.1, reservedValue: 0, transferStateChangeId: 4581 }
+    ], 'position changes linked to the reversal transfer')
+    test.deepEqual(knexStub.insert.getCalls()[4].args[0], [
+      { participantPositionId: 140, value: 5, reservedValue: 0, transferStateChangeId: 4582 }
+    ], 'position changes linked to the reversal transfer of the currency')
+    test.deepEqual(knexStub.insert.getCalls()[5].args[0], result, 'reversals recorded')
+    test.equal(trxSpyCommit.get.calledOnce, true, 'transaction committed')
+    test.end()
+  })
+
+  await transferSettlementTest.test('reverseRuleLedgerEntries should not move positions when every record was already reversed', async (test) => {
+    sandbox.stub(Db, 'getKnex')
+    sandbox.stub(Model, 'insertFeeTransfer').resolves(true)
+    knexStub.transacting.onCall(0).resolves([])
+    const knexFunc = sandbox.stub().returns(knexStub)
+    Object.assign(knexFunc, knexStub)
+    Db.getKnex.returns(knexFunc)
+
+    const result = await Model.reverseRuleLedgerEntries('42a874d4-82a4-4471-a3fc-3dfeb6f7cb93', 'Chargeback', trxStub)
+    test.deepEqual(result, [], 'nothing reversed')
+    test.ok(Model.insertFeeTransfer.notCalled, 'no reversal transfer')
+    test.ok(knexStub.insert.notCalled, 'no insert')
+    test.ok(knexStub.decrement.notCalled, 'positions not moved')
+    test.end()
+  })
+
+  await transferSettlementTest.test('reverseRuleLedgerEntries should rollback when a position can not be updated', async (test) => {
+    sandbox.stub(Db, 'getKnex')
+    sandbox.stub(Model, 'insertFeeTransfer').resolves(true)
+    knexStub.transacting.onCall(0).resolves([{ ...recordsToInsert[0], transferParticipantId: 101, currencyId: 'TZS' }])
+    knexStub.transacting.onCall(1).resolves([103])
+    knexStub.transacting.onCall(2).resolves(0)
+    const knexFunc = sandbox.stub().returns(knexStub)
+    Object.assign(knexFunc, knexStub)
+    Db.getKnex.returns(knexFunc)
+    try {
+      await Model.reverseRuleLedgerEntries('42a874d4-82a4-4471-a3fc-3dfeb6f7cb93', 'Chargeback')
+      test.fail('Error not thrown')
+    } catch (err) {
+      test.equal(err.message, 'Unable to update participantPosition record for participantCurrencyId: 13', 'error thrown')
+      test.equal(trxSpyRollBack.get.calledOnce, true, 'transaction rolled back')
+    }
+    test.end()
+  })
+
+  await transferSettlementTest.test('reverseRuleLedgerEntries should rollback when the reversal transfer has no state', async (test) => {
+    sandbox.stub(Db, 'getKnex')
+    sandbox.stub(Model, 'insertFeeTransfer').resolves(true)
+    knexStub.transacting.onCall(0).resolves([{ ...recordsToInsert[0], transferParticipantId: 101, currencyId: 'TZS' }])
+    knexStub.transacting.onCall(1).resolves([103])
+    knexStub.transacting.onCall(2).resolves(1)
+    knexStub.transacting.onCall(3).resolves([])
+    const knexFunc = sandbox.stub().returns(knexStub)
+    Object.assign(knexFunc, knexStub)
+    Db.getKnex.returns(knexFunc)
+    try {
+      await Model.reverseRuleLedgerEntries('42a874d4-82a4-4471-a3fc-3dfeb6f7cb93', 'Chargeback')
+      test.fail('Error not thrown')
+    } catch (err) {
+      test.ok(err.message.startsWith('Unable to find a transfer state for transferId : '), 'error thrown')
+      test.equal(trxSpyRollBack.get.calledOnce, true, 'transaction rolled back')
+    }
+    test.end()
+  })
+
   await transferSettlementTest.test('updateTransferSettlement should handle errors', async (test) => {
     try {
       const transferId = '154cbf04-bac7-444d-aa66-76f66126d7f5'
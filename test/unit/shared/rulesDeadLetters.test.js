@@ -0,0 +1,108 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Logger = require('@mojaloop/central-services-logger')
+const Db = require('../../../src/lib/db')
+const RulesService = require('../../../src/domain/rules')
+const RulesHandler = require('../../../src/handlers/rules/handler')
+const RulesDeadLetters = require('../../../src/shared/rulesDeadLetters')
+
+Test('RulesDeadLetters', async (rulesDeadLettersTest) => {
+  let sandbox
+  let exitCode
+
+  const deadLetter = { settlementRuleDeadLetterId: 12, transferId: '154cbf04-bac7-444d-aa66-76f66126d7f5', status: 'PENDING', replayCount: 0 }
+
+  rulesDeadLettersTest.beforeEach(test => {
+    sandbox = Sinon.createSandbox()
+    sandbox.stub(Logger, 'isErrorEnabled').value(true)
+    sandbox.stub(Logger, 'error')
+    sandbox.stub(Db, 'connect').resolves()
+    sandbox.stub(Db, 'disconnect').resolves()
+    exitCode = process.exitCode
+    test.end()
+  })
+
+  rulesDeadLettersTest.afterEach(test => {
+    process.exitCode = exitCode
+    sandbox.restore()
+    test.end()
+  })
+
+  await rulesDeadLettersTest.test('run should list the dead letters matching the options and print them', async test => {
+    sandbox.stub(RulesService, 'getRuleDeadLetters').resolves([deadLetter])
+    const consoleLog = sandbox.stub(console, 'log')
+    const result = await RulesDeadLetters.run('list', undefined, { status: 'PENDING' })
+    consoleLog.restore()
+    test.deepEqual(result, [deadLetter])
+    test.deepEqual(RulesService.getRuleDeadLetters.lastCall.args[0], { status: 'PENDING', transferId: undefined }, 'dead letters filtered by status')
+    test.ok(Db.connect.calledOnce, 'database connected')
+    test.ok(Db.disconnect.calledOnce, 'database disconnected')
+    test.equal(consoleLog.lastCall.args[0], JSON.stringify([deadLetter], null, 2), 'result printed')
+    test.end()
+  })
+
+  await rulesDeadLettersTest.test('run should load the rule scripts before replaying the dead letter', async test => {
+    const replayed = { ...deadLetter, status: 'REPLAYED', replayCount: 1 }
+    sandbox.stub(RulesHandler, 'reloadRules').resolves({ reloadedDate: new Date(), scripts: [] })
+    sandbox.stub(RulesHandler, 'replayDeadLetter').resolves(replayed)
+    const consoleLog = sandbox.stub(console, 'log')
+    const result = await RulesDeadLetters.run('replay', '12')
+    consoleLog.restore()
+    test.deepEqual(result, replayed)
+    test.ok(RulesHandler.reloadRules.withArgs('cli').calledOnce, 'rule scripts loaded')
+    test.ok(RulesHandler.replayDeadLetter.withArgs('12').calledOnce, 'dead letter replayed')
+    test.ok(RulesHandler.reloadRules.calledBefore(RulesHandler.replayDeadLetter), 'scripts loaded before the replay')
+    test.ok(Db.disconnect.calledOnce, 'database disconnected')
+    test.end()
+  })
+
+  await rulesDeadLettersTest.test('run should set a failing exit code when the replay fails', async test => {
+    sandbox.stub(RulesHandler, 'reloadRules').resolves({ reloadedDate: new Date(), scripts: [] })
+    sandbox.stub(RulesHandler, 'replayDeadLetter').rejects(new Error('Replay of rule dead letter 12 failed: Script execution was unsuccessful'))
+    const result = await RulesDeadLetters.run('replay', '12')
+    test.equal(result, undefined)
+    test.equal(process.exitCode, 1, 'exit code set')
+    test.ok(Db.disconnect.calledOnce, 'database disconnected')
+    test.ok(Logger.error.calledOnce, 'error logged')
+    test.end()
+  })
+
+  await rulesDeadLettersTest.test('run should reject a replay without id and unknown actions without connecting the database', async test => {
+    await RulesDeadLetters.run('replay')
+    await RulesDeadLetters.run('purge')
+    test.equal(process.exitCode, 1, 'exit code set')
+    test.ok(Db.connect.notCalled, 'database not connected')
+    test.ok(Logger.error.firstCall.args[0].includes('id of the dead letter'), 'missing id reported')
+    test.ok(Logger.error.secondCall.args[0].includes("Unknown dead letter action 'purge'"), 'unknown action reported')
+    test.end()
+  })
+
+  rulesDeadLettersTest.end()
+})
@@ -0,0 +1,105 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Fs = require('fs')
+const Logger = require('@mojaloop/central-services-logger')
+const Db = require('../../../src/lib/db')
+const RulesService = require('../../../src/domain/rules')
+const RulesSimulation = require('../../../src/shared/rulesSimulation')
+
+Test('RulesSimulation', async (rulesSimulationTest) => {
+  let sandbox
+  let exitCode
+
+  const simulation = { transferId: '154cbf04-bac7-444d-aa66-76f66126d7f5', ledgerEntries: [], logs: [], durationMs: 1 }
+
+  rulesSimulationTest.beforeEach(test => {
+    sandbox = Sinon.createSandbox()
+    sandbox.stub(Logger, 'isErrorEnabled').value(true)
+    sandbox.stub(Logger, 'error')
+    sandbox.stub(Db, 'connect').resolves()
+    sandbox.stub(Db, 'disconnect').resolves()
+    sandbox.stub(Fs, 'readFileSync')
+    Fs.readFileSync.withArgs('./scripts/fee.js').returns('// Type: notification')
+    Fs.readFileSync.withArgs('./transfer.json').returns('{ "amount": { "amount": "10" } }')
+    Fs.readFileSync.withArgs('./payload.json').returns('{ "id": "154cbf04-bac7-444d-aa66-76f66126d7f5" }')
+    exitCode = process.exitCode
+    test.end()
+  })
+
+  rulesSimulationTest.afterEach(test => {
+    process.exitCode = exitCode
+    sandbox.restore()
+    test.end()
+  })
+
+  await rulesSimulationTest.test('run should load the transfer by transferId and print the result', async test => {
+    sandbox.stub(RulesService, 'simulateRuleScript').resolves(simulation)
+    const consoleLog = sandbox.stub(console, 'log')
+    const result = await RulesSimulation.run('./scripts/fee.js', { transferId: simulation.transferId })
+    consoleLog.restore()
+    test.deepEqual(result, simulation)
+    test.deepEqual(RulesService.simulateRuleScript.lastCall.args[0], {
+      name: 'fee.js',
+      source: '// Type: notification',
+      transferId: simulation.transferId,
+      transfer: undefined,
+      payload: undefined
+    }, 'script simulated for the transferId')
+    test.ok(Db.connect.calledOnce, 'database connected to load the transfer')
+    test.ok(Db.disconnect.calledOnce, 'database disconnected')
+    test.equal(consoleLog.lastCall.args[0], JSON.stringify(simulation, null, 2), 'result printed')
+    test.end()
+  })
+
+  await rulesSimulationTest.test('run should use the transfer and payload files without connecting the database', async test => {
+    sandbox.stub(RulesService, 'simulateRuleScript').resolves(simulation)
+    const consoleLog = sandbox.stub(console, 'log')
+    await RulesSimulation.run('./scripts/fee.js', { transfer: './transfer.json', payload: './payload.json' })
+    consoleLog.restore()
+    const { transfer, payload } = RulesService.simulateRuleScript.lastCall.args[0]
+    test.deepEqual(transfer, { amount: { amount: '10' } }, 'transfer read from the file')
+    test.deepEqual(payload, { id: simulation.transferId }, 'payload read from the file')
+    test.ok(Db.connect.notCalled, 'database not connected')
+    test.ok(Db.disconnect.notCalled, 'database not disconnected')
+    test.end()
+  })
+
+  await rulesSimulationTest.test('run should set a failing exit code when the simulation fails', async test => {
+    sandbox.stub(RulesService, 'simulateRuleScript').rejects(new Error('Rules file: fee.js: is not a valid JavaScript file'))
+    const result = await RulesSimulation.run('./scripts/fee.js', { transferId: simulation.transferId })
+    test.equal(result, undefined)
+    test.equal(process.exitCode, 1, 'exit code set')
+    test.ok(Db.disconnect.calledOnce, 'database disconnected')
+    test.ok(Logger.error.calledOnce, 'error logged')
+    test.end()
+  })
+
+  rulesSimulationTest.end()
+})
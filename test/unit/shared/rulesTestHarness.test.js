@@ -0,0 +1,94 @@
+/*****
+ License
+ --------------
+ Copyright © 2017 Bill & Melinda Gates Foundation
+ The Mojaloop files are made available by the Bill & Melinda Gates Foundation under the Apache License, Version 2.0 (the "License") and you may not use these files except in compliance with the License. You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, the Mojaloop files are distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+
+ Contributors
+ --------------
+ This is the official list of the Mojaloop project contributors for this file.
+ Names of the original copyright holders (individuals or organizations)
+ should be listed with a '*' in the first column. People who have
+ contributed from an organization can be listed under the organization
+ that actually holds the copyright for their contributions (see the
+ Gates Foundation organization for an example). Those individuals should have
+ their names indented and be marked with a '-'. Email address can be added
+ optionally within square brackets <email>.
+
+ * Gates Foundation
+ - Name Surname <name.surname@gatesfoundation.com>
+ --------------
+ ******/
+'use strict'
+
+const Test = require('tapes')(require('tape'))
+const Sinon = require('sinon')
+const Logger = require('@mojaloop/central-services-logger')
+const Transaction = require('../../../src/domain/transactions/index')
+const PricingRateModel = require('../../../src/models/rules/pricingRate')
+const RulesTestHarness = require('../../../src/shared/rulesTestHarness')
+
+Test('RulesTestHarness', async (rulesTestHarnessTest) => {
+  let sandbox
+  let exitCode
+
+  rulesTestHarnessTest.beforeEach(test => {
+    sandbox = Sinon.createSandbox()
+    sandbox.stub(Logger)
+    exitCode = process.exitCode
+    process.exitCode = undefined
+    test.end()
+  })
+
+  rulesTestHarnessTest.afterEach(test => {
+    process.exitCode = exitCode
+    sandbox.restore()
+    test.end()
+  })
+
+  await rulesTestHarnessTest.test('run should pass the test cases of the rule scripts', async test => {
+    const getById = Transaction.getById
+    const getByCurrencies = PricingRateModel.getByCurrencies
+    const consoleLog = sandbox.stub(console, 'log')
+    const summary = await RulesTestHarness.run()
+    consoleLog.restore()
+    test.equal(summary.passed, 2, 'all cases passed')
+    test.equal(summary.failed, 0, 'no case failed')
+    test.equal(summary.results[0].script, 'interchangeFeeCalculation.js')
+    test.equal(process.exitCode, undefined, 'exit code not set')
+    test.equal(consoleLog.lastCall.args[0], '2 passed, 0 failed', 'summary printed')
+    test.equal(Transaction.getById, getById, 'central ledger lookup restored')
+    test.equal(PricingRateModel.getByCurrencies, getByCurrencies, 'pricing rate lookup restored')
+    test.end()
+  })
+
+  await rulesTestHarnessTest.test('run should report the differences and set a failing exit code when a case fails', async test => {
+    const consoleLog = sandbox.stub(console, 'log')
+    const summary = await RulesTestHarness.run({ cases: './test/unit/data/ruleTests' })
+    const output = consoleLog.getCalls().map(call => call.args[0])
+    consoleLog.restore()
+    test.equal(summary.passed, 0, 'no case passed')
+    test.equal(summary.failed, 3, 'all cases failed')
+    test.equal(process.exitCode, 1, 'exit code set')
+    test.ok(output.includes('FAIL interchangeFeeCalculation.js: expects a wrong fee'), 'failing case printed')
+    test.ok(output.some(line => line.startsWith('    - ledger entry 1:') && line.includes('"amount":"9.50"')), 'expected ledger entry printed')
+    test.ok(output.some(line => line.startsWith('    + ledger entry 1:') && line.includes('"amount":"9.00"')), 'actual ledger entry printed')
+    test.deepEqual(summary.results[0].results[1].diff, ['the test case has no transfer or ilpPacket'], 'case without transfer reported')
+    test.ok(summary.results[1].results[0].diff[0].includes('missingScript.js is not loaded'), 'missing script reported')
+    test.end()
+  })
+
+  await rulesTestHarnessTest.test('run should set a failing exit code when the scripts can not be loaded', async test => {
+    const summary = await RulesTestHarness.run({ scripts: './test/unit/data/invalidType', cases: './test/unit/data/ruleTests' })
+    test.equal(summary, undefined)
+    test.equal(process.exitCode, 1, 'exit code set')
+    test.ok(Logger.error.lastCall.args[0].includes('Rule script tests failed to run'), 'error logged')
+    test.end()
+  })
+
+  rulesTestHarnessTest.end()
+})
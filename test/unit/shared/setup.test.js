@@ -66,6 +66,9 @@ Test('Server Setup', async setupTest => {
         },
         rules: {
           registerRulesHandler: sandbox.stub().returns(Promise.resolve())
+        },
+        windowClosure: {
+          registerWindowClosureHandler: sandbox.stub().returns(Promise.resolve())
         }
       }
 
@@ -159,6 +162,38 @@ Test('Server Setup', async setupTest => {
         }
       })
 
+      await initTest.test('test - API with migrations', async test => {
+        try {
+          const MigratorStub = {
+            migrate: sandbox.stub().returns(Promise.resolve([1, ['100100_settlementRuleScript.js']]))
+          }
+          const SetupProxy1 = Proxyquire('../../../src/shared/setup', {
+            '@hapi/catbox-memory': EngineStub,
+            '@hapi/hapi': HapiStub,
+            'hapi-openapi': HapiOpenAPIStub,
+            path: PathStub,
+            '../lib/db': DbStub,
+            '../lib/migrator': MigratorStub,
+            '../models/lib/enums': EnumsStub,
+            '../lib/config': ConfigStub
+          })
+
+          const port = await getPort()
+          const server = await SetupProxy1.initialize({ service: 'api', port, runMigrations: true })
+          test.ok(server, 'return server object')
+          test.ok(MigratorStub.migrate.calledOnce, 'Migrator.migrate called once')
+          test.ok(DbStub.connect.calledBefore(MigratorStub.migrate), 'migrations run after connecting to the database')
+
+          await SetupProxy1.initialize({ service: 'api', port })
+          test.ok(MigratorStub.migrate.calledOnce, 'Migrator.migrate not called when runMigrations is not set')
+          test.end()
+        } catch (err) {
+          Logger.error(`init failed with error - ${err}`)
+          test.fail()
+          test.end()
+        }
+      })
+
       await initTest.test('test 1 - handler', async test => {
         try {
           const errorToThrow = new Error('Throw Boom error')
@@ -231,6 +266,38 @@ Test('Server Setup', async setupTest => {
         }
       })
 
+      await initTest.test('test - metrics set up unless disabled', async test => {
+        try {
+          const RulesMetricsStub = {
+            setup: sandbox.stub()
+          }
+          const setupProxy = (config) => Proxyquire('../../../src/shared/setup', {
+            '@hapi/catbox-memory': EngineStub,
+            '@hapi/hapi': HapiStub,
+            'hapi-openapi': HapiOpenAPIStub,
+            path: PathStub,
+            '../lib/db': DbStub,
+            '../lib/rulesMetrics': RulesMetricsStub,
+            '../models/lib/enums': EnumsStub,
+            '../lib/config': config
+          })
+
+          const Config2Stub = Object.assign({}, ConfigStub)
+          Config2Stub.INSTRUMENTATION_METRICS_DISABLED = false
+          await setupProxy(Config2Stub).initialize({ service: 'handler', port: await getPort() })
+          test.ok(RulesMetricsStub.setup.withArgs(ConfigStub.INSTRUMENTATION_METRICS_CONFIG).calledOnce, 'metrics set up with the metrics config')
+
+          Config2Stub.INSTRUMENTATION_METRICS_DISABLED = true
+          await setupProxy(Config2Stub).initialize({ service: 'handler', port: await getPort() })
+          test.ok(RulesMetricsStub.setup.calledOnce, 'metrics not set up when disabled')
+          test.end()
+        } catch (err) {
+          Logger.error(`init failed with error - ${err}`)
+          test.fail()
+          test.end()
+        }
+      })
+
       await initTest.test('test - handler service type, run handlers true and a handler list', async test => {
         try {
           const errorToThrow = new Error('Throw Boom error')
@@ -365,6 +432,49 @@ Test('Server Setup', async setupTest => {
         }
       })
 
+      await initTest.test('test - handler windowClosure handler', async test => {
+        try {
+          const errorToThrow = new Error('Throw Boom error')
+
+          const HapiStubThrowError = {
+            Server: sandbox.stub().callsFake((opt) => {
+              opt.routes.validate.failAction(sandbox.stub(), sandbox.stub(), errorToThrow)
+              return serverStub
+            })
+          }
+
+          const SetupProxy1 = Proxyquire('../../../src/shared/setup', {
+            '../handlers/register': RegisterHandlersStub,
+            '@hapi/catbox-memory': EngineStub,
+            '@hapi/hapi': HapiStubThrowError,
+            'hapi-openapi': HapiOpenAPIStub,
+            path: PathStub,
+            '../lib/db': DbStub,
+            '../models/lib/enums': EnumsStub,
+            '../lib/config': ConfigStub
+          })
+
+          const windowClosureHandler = {
+            type: 'windowClosure',
+            enabled: true
+          }
+
+          const modulesList = [
+            windowClosureHandler
+          ]
+
+          const port = await getPort()
+          const server = await SetupProxy1.initialize({ service: 'handler', port, modules: [], runHandlers: true, handlers: modulesList })
+          test.ok(server, 'return server object')
+          test.ok(RegisterHandlersStub.windowClosure.registerWindowClosureHandler.called)
+          test.end()
+        } catch (err) {
+          Logger.error(`init failed with error - ${err}`)
+          test.fail(`Should have not received an error: ${err}`)
+          test.end()
+        }
+      })
+
       await initTest.test('test - handler service type, run handlers true a handler list and incorrect handler type', async test => {
         try {
           const errorToThrow = new Error('Throw Boom error')